@@ -8,44 +8,94 @@
  * - Intent-gating skip patterns
  * - Fuzzy semantic cache
  * - Feedback loop via agent_end hook
+ * - Hot config reload from a watched file or /hookclaw reload
+ * - Structured per-call decision traces (rotating JSONL)
  */
 
-import { createHandler } from "./src/hook-handler.js";
-
-/** Default configuration values */
-const DEFAULTS = {
-  maxResults: 3,
-  minScore: 0.5,
-  maxContextChars: 2000,
-  timeoutMs: 2000,
-  logInjections: true,
-  formatTemplate: "xml",
-  skipShortPrompts: 20,
-  // v2.1 defaults
-  halfLifeHours: 168,
-  skipPatterns: null,
-  enableSkipPatterns: true,
-  enableTemporalParsing: false,
-  enableFeedbackLoop: false,
-  mmrLambda: 0.7,
-  enableMmr: true,
-  fuzzyCacheThreshold: 0.85,
-  // v2.1 — direct FTS5 keyword search
-  enableFts: true,
-  ftsBoostWeight: 0.3,
-  ftsDbPath: null,
-  ftsAgentId: "main",
-  // Debug logging — verbose per-result details in gateway logs
-  debugLogging: false,
-};
+import { createHandler, PromptCache } from "./src/hook-handler.js";
+import { MetricsCollector } from "./src/metrics.js";
+import { createCommand } from "./src/commands.js";
+import { InjectionLedger } from "./src/injection-ledger.js";
+import { createAnalyzer } from "./src/analyzer.js";
+import { ConfigHolder, readConfigFile, watchConfigFile } from "./src/config-reload.js";
+import { resolveConfig, formatEffectiveConfig } from "./src/config-schema.js";
+import { TraceWriter, defaultTracePath } from "./src/decision-trace.js";
+import { resolve as resolvePath } from "node:path";
 
 /**
- * Merge user config with defaults.
- * @param {Record<string, unknown>} [userConfig]
- * @returns {object} Resolved config
+ * Read the current plugin options: the gateway's entry for this plugin
+ * (re-read from disk when the runtime exposes a config loader, else
+ * api.pluginConfig as the gateway last set it), with the optional
+ * configFile layered on top.
+ *
+ * @param {import('openclaw/plugin-sdk').OpenClawPluginApi} api
+ * @param {boolean} [fresh=false] - Re-read the gateway config instead of using the startup snapshot
+ * @returns {object} Resolved config (throws when configFile is malformed)
  */
-function resolveConfig(userConfig) {
-  return { ...DEFAULTS, ...userConfig };
+function loadConfig(api, fresh = false) {
+  let userConfig = api.pluginConfig;
+  if (fresh) {
+    const loader = api.runtime?.config?.loadConfig;
+    if (typeof loader !== "function") {
+      api.logger.debug?.("hookclaw: no runtime config loader — reloading from api.pluginConfig");
+    } else {
+      try {
+        const entry = loader()?.plugins?.entries?.hookclaw;
+        if (entry?.config) userConfig = entry.config;
+      } catch (err) {
+        // Non-fatal — fall back to api.pluginConfig
+        api.logger.debug?.(`hookclaw: runtime config loader failed, reloading from api.pluginConfig — ${err.message}`);
+      }
+    }
+  }
+  const configFile = userConfig?.configFile;
+  const fileConfig = configFile ? readConfigFile(resolvePath(String(configFile))) : {};
+  return resolveConfig({ ...userConfig, ...fileConfig }, api.logger);
+}
+
+/**
+ * Trace writer for a config, reusing the current one when it writes to the
+ * same file (queued traces stay in order).
+ *
+ * @param {object} config
+ * @param {TraceWriter|null} current
+ * @param {object} logger
+ * @returns {TraceWriter|null}
+ */
+function traceWriterFor(config, current, logger) {
+  if (!config.enableTrace) return null;
+  const filePath = config.traceFile ? resolvePath(String(config.traceFile)) : defaultTracePath();
+  if (current?.filePath !== filePath) return new TraceWriter(filePath, { maxBytes: config.traceMaxBytes, maxFiles: config.traceMaxFiles, logger });
+  current.maxBytes = config.traceMaxBytes;
+  current.maxFiles = config.traceMaxFiles;
+  return current;
+}
+
+/**
+ * Bring shared services in line with a reloaded config: resize the prompt
+ * cache, toggle/retune session dedup and tracing.
+ *
+ * @param {object} config - New resolved config
+ * @param {object} services
+ * @param {object} logger
+ */
+function reconfigureServices(config, services, logger) {
+  services.promptCache.configure(config.cacheSize, config.cacheTtlMs, config.fuzzyCacheThreshold, {
+    eviction: config.cacheEviction,
+    maxBytes: config.cacheMaxBytes,
+    analyzer: createAnalyzer(config.analyzer || {}),
+  });
+
+  if (!config.enableSessionDedup) services.injectionLedger = null;
+  else if (services.injectionLedger) services.injectionLedger.reinjectAfterTurns = config.reinjectAfterTurns;
+  else services.injectionLedger = new InjectionLedger({ reinjectAfterTurns: config.reinjectAfterTurns });
+
+  const previousWriter = services.traceWriter;
+  services.traceWriter = traceWriterFor(config, previousWriter, logger);
+  // Traces queued on a replaced writer still reach its file; shutdown waits for them
+  if (previousWriter && previousWriter !== services.traceWriter) {
+    services.closingTraceWriters = Promise.all([services.closingTraceWriters, previousWriter.close()]);
+  }
 }
 
 /** @type {import('openclaw/plugin-sdk').OpenClawPluginDefinition} */
@@ -60,41 +110,142 @@ export default {
    * @param {import('openclaw/plugin-sdk').OpenClawPluginApi} api
    */
   register(api) {
-    const config = resolveConfig(api.pluginConfig);
-    const handler = createHandler(config, api);
+    let config;
+    try {
+      config = loadConfig(api);
+    } catch (err) {
+      api.logger.warn(`hookclaw: configFile ignored — ${err.message}`);
+      config = resolveConfig(api.pluginConfig, api.logger);
+    }
+    // Shared between hooks; the feedback hook fills in the tracker once loaded
+    const services = {
+      utilityTracker: null,
+      metrics: new MetricsCollector(api.logger, 100),
+      injectionLedger: config.enableSessionDedup
+        ? new InjectionLedger({ reinjectAfterTurns: config.reinjectAfterTurns })
+        : null,
+      promptCache: new PromptCache(config.cacheSize, config.cacheTtlMs, config.fuzzyCacheThreshold, {
+        eviction: config.cacheEviction,
+        maxBytes: config.cacheMaxBytes,
+        // Same analysis as the handler's keyword search (it warns about bad config)
+        analyzer: createAnalyzer(config.analyzer || {}),
+      }),
+      traceWriter: traceWriterFor(config, null, api.logger),
+    };
+    // The active pipeline; a reload builds a new one and swaps it in whole
+    const holder = new ConfigHolder(config, {
+      build: (next) => createHandler(next, api, services),
+      onSwap: (next) => reconfigureServices(next, services, api.logger),
+      logger: api.logger,
+    });
+
+    /**
+     * Reload the config from its sources and swap the pipeline if it changed.
+     * @param {string} source - "file" or "command"
+     * @returns {string} Outcome line
+     */
+    services.reloadConfig = (source) => {
+      let next;
+      try {
+        next = loadConfig(api, true);
+      } catch (err) {
+        const message = `hookclaw: config reload (${source}) rejected, keeping previous config — ${err.message}`;
+        api.logger.warn(message);
+        return message;
+      }
+      return holder.update(next, source).message;
+    };
+    services.describeConfig = () => formatEffectiveConfig(holder.config);
 
     // Register primary hook: before_agent_start
-    api.on("before_agent_start", handler, { priority: 10 });
+    api.on("before_agent_start", (event, ctx) => holder.current(event, ctx), { priority: 10 });
 
     api.logger.info(
       `hookclaw: registered before_agent_start hook (v2.1, maxResults=${config.maxResults}, ` +
         `minScore=${config.minScore}, timeout=${config.timeoutMs}ms, format=${config.formatTemplate}, ` +
-        `mmr=${config.enableMmr}, fts=${config.enableFts})`
+        `mmr=${config.enableMmr}, fts=${config.enableFts}, rrf=${config.enableRrf}` +
+        `${Array.isArray(config.profiles) && config.profiles.length > 0 ? `, profiles=${config.profiles.map((p) => p?.name).join("/")}` : ""})`
     );
+    if (config.debugLogging) api.logger.info(formatEffectiveConfig(config));
+
+    // Compaction drops earlier injections from context — allow them again
+    // (registered regardless: a reload can turn session dedup on)
+    api.on("after_compaction", (event, ctx) => {
+      if (ctx?.sessionKey) services.injectionLedger?.clearSession(ctx.sessionKey);
+    }, { priority: 90 });
+
+    let stopWatching = null;
+    if (config.configFile && config.watchConfigFile) {
+      const filePath = resolvePath(String(config.configFile));
+      stopWatching = watchConfigFile(filePath, () => services.reloadConfig("file"));
+      api.logger.info(`hookclaw: watching ${filePath} for config changes`);
+    }
+
+    // Release the SQLite connection and flush utility scores on shutdown
+    api.on("gateway_stop", () => {
+      stopWatching?.();
+      return shutdown(holder.config, services);
+    }, { priority: 90 });
 
     // Register feedback hook: agent_end (Phase 3)
     if (config.enableFeedbackLoop) {
-      registerFeedbackHook(api, config);
+      registerFeedbackHook(api, config, services);
+    }
+
+    // Operator command: /hookclaw metrics | flush
+    if (typeof api.registerCommand === "function") {
+      try {
+        api.registerCommand(createCommand(services));
+      } catch (err) {
+        api.logger.warn(`hookclaw: command registration failed — ${err.message}`);
+      }
     }
   },
 };
 
+/**
+ * Release long-lived resources (plugin unload / gateway stop).
+ *
+ * @param {object} config
+ * @param {object} services
+ */
+async function shutdown(config, services) {
+  if (config.enableFts) {
+    try {
+      // Already loaded by the handler if FTS ever ran; closing an empty pool is a no-op
+      const { closeFtsConnections } = await import("./src/fts-search.js");
+      closeFtsConnections();
+    } catch {
+      // node:sqlite unavailable — nothing was opened
+    }
+  }
+
+  await services.closingTraceWriters;
+  await services.traceWriter?.close();
+
+  const tracker = services.utilityTracker;
+  if (tracker) {
+    await tracker.save();
+    tracker.destroy();
+  }
+}
+
 /**
  * Register the agent_end feedback hook for utility tracking.
  *
  * @param {import('openclaw/plugin-sdk').OpenClawPluginApi} api
  * @param {object} config
+ * @param {object} services - Shared services; receives the loaded utility tracker
  */
-async function registerFeedbackHook(api, config) {
+async function registerFeedbackHook(api, config, services) {
   try {
     const { UtilityTracker, defaultStoragePath } = await import("./src/utility-tracker.js");
-    const { MetricsCollector } = await import("./src/metrics.js");
 
     const storagePath = defaultStoragePath();
     const tracker = new UtilityTracker(storagePath, api.logger);
-    const metrics = new MetricsCollector(api.logger, 100);
 
     await tracker.load();
+    services.utilityTracker = tracker;
 
     api.on("agent_end", async (event, ctx) => {
       try {
@@ -105,10 +256,7 @@ async function registerFeedbackHook(api, config) {
           tracker.recordResponse(sessionKey, responseText);
         }
 
-        // Record metrics
-        metrics.record({
-          outcome: responseText ? "response" : "no_response",
-        });
+        services.metrics.recordAgentEnd({ responded: Boolean(responseText) });
       } catch {
         // Non-fatal
       }
@@ -0,0 +1,14 @@
+/**
+ * Regenerate the configSchema in openclaw.plugin.json from
+ * src/config-schema.js. Run after changing an option: npm run manifest
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { manifestConfigSchema } from "../src/config-schema.js";
+
+const manifestPath = fileURLToPath(new URL("../openclaw.plugin.json", import.meta.url));
+const manifest = JSON.parse(readFileSync(manifestPath, "utf8"));
+manifest.configSchema = manifestConfigSchema();
+writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + "\n");
+console.log(`openclaw.plugin.json: ${Object.keys(manifest.configSchema.properties).length} options`);
@@ -0,0 +1,84 @@
+/**
+ * Offline retrieval evaluation: compare config variants on labelled prompts.
+ *
+ *   npm run eval -- --db fixture.sqlite --cases cases.jsonl \
+ *     [--variants variants.json] [--k 3] [--now 2026-03-01] \
+ *     [--similarity ./my-similarity.js] [--json]
+ *
+ * variants.json maps a name to a partial plugin config, e.g.
+ *   { "baseline": {}, "no-mmr": { "enableMmr": false }, "rrf": { "enableRrf": true } }
+ * Without it, the defaults are evaluated as "baseline". A --similarity
+ * module's default export (query, text) => score replaces the built-in
+ * lexical stand-in for vector search on cases without recorded scores.
+ * The synonyms file, if any, is looked up next to the cases file.
+ */
+
+import { readFileSync } from "node:fs";
+import { dirname, resolve as resolvePath } from "node:path";
+import { pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+import { loadCases, evaluateVariants, formatEvalReport, DEFAULT_EVAL_K } from "../src/evaluation.js";
+import { closeFtsConnections } from "../src/fts-search.js";
+
+const USAGE =
+  "Usage: npm run eval -- --db <fixture.sqlite> --cases <cases.jsonl> " +
+  "[--variants <variants.json>] [--k N] [--now <date>] [--similarity <module.js>] [--json]";
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      db: { type: "string" },
+      cases: { type: "string" },
+      variants: { type: "string" },
+      k: { type: "string", default: String(DEFAULT_EVAL_K) },
+      now: { type: "string" },
+      similarity: { type: "string" },
+      json: { type: "boolean", default: false },
+    },
+  });
+  if (!values.db || !values.cases) throw new Error(USAGE);
+
+  const k = Number(values.k);
+  if (!Number.isInteger(k) || k < 1) throw new Error(`--k must be a positive integer, got "${values.k}"`);
+  const now = values.now ? new Date(values.now).getTime() : undefined;
+  if (Number.isNaN(now)) throw new Error(`--now is not a date: "${values.now}"`);
+
+  let similarity;
+  if (values.similarity) {
+    const mod = await import(pathToFileURL(resolvePath(values.similarity)).href);
+    similarity = mod.default;
+    if (typeof similarity !== "function") throw new Error(`${values.similarity} has no default export function`);
+  }
+
+  const casesPath = resolvePath(values.cases);
+  const cases = loadCases(casesPath);
+  const variants = values.variants ? JSON.parse(readFileSync(values.variants, "utf8")) : { baseline: {} };
+  const warnings = [];
+  const logger = { debug() {}, info() {}, warn: (m) => warnings.push(m), error: (m) => warnings.push(m) };
+
+  const reports = await evaluateVariants(variants, cases, {
+    dbPath: resolvePath(values.db),
+    k,
+    now,
+    similarity,
+    workspaceDir: dirname(casesPath),
+    logger,
+  });
+
+  for (const w of new Set(warnings)) console.error(w);
+  if (values.json) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    console.log(`${cases.length} cases, ${Object.keys(variants).length} variants\n`);
+    console.log(formatEvalReport(reports, k));
+  }
+}
+
+try {
+  await main();
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  closeFtsConnections();
+}
@@ -0,0 +1,164 @@
+/**
+ * Multi-agent memory stores — search several OpenClaw agents' memory
+ * (e.g. personal, work, ops) from one prompt and merge the results.
+ *
+ * Each store has a weight (scales its scores before merging) and optional
+ * include/exclude path globs. Merged results carry `agent`, which labels
+ * them in the formatted context and namespaces their chunk identity.
+ */
+
+/** Default agent session key for a store's vector search tool */
+const sessionKeyFor = (id) => `agent:${id}:main`;
+
+/**
+ * @typedef {object} AgentStore
+ * @property {string} id - OpenClaw agent ID
+ * @property {number} weight - Score multiplier (1 = unchanged)
+ * @property {string|null} dbPath - Explicit SQLite path for FTS5 (null = ~/.openclaw/memory/<id>.sqlite)
+ * @property {string} sessionKey - Session key the store's memory search tool is created with
+ * @property {RegExp[]} include - Keep only paths matching one of these (empty = all)
+ * @property {RegExp[]} exclude - Drop paths matching any of these
+ */
+
+/**
+ * Convert a path glob to a RegExp. `**` matches across directories,
+ * `*` and `?` within one path segment. A pattern without wildcards
+ * also matches everything below it as a directory prefix.
+ *
+ * @param {string} pattern - e.g. "memory/projects/**", "*.md"
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  const wildcard = /[*?]/.test(pattern);
+  if (!wildcard) pattern = pattern.replace(/\/+$/, "");
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === "*" && pattern[i + 1] === "*") {
+      source += ".*";
+      i++;
+      if (pattern[i + 1] === "/") i++;
+    } else if (c === "*") {
+      source += "[^/]*";
+    } else if (c === "?") {
+      source += "[^/]";
+    } else {
+      source += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}${wildcard ? "" : "(?:/.*)?"}$`);
+}
+
+/**
+ * Validate and normalize the `agents` config option.
+ * Entries may be an agent id string or `{ id, weight, include, exclude, dbPath, sessionKey }`.
+ * Invalid or duplicate entries are warned and skipped.
+ *
+ * @param {Array<string|object>|null} agents
+ * @param {object} [logger] - Plugin logger
+ * @returns {AgentStore[]|null} Stores, or null when multi-agent search is off
+ */
+export function normalizeAgentStores(agents, logger = null) {
+  if (!Array.isArray(agents) || agents.length === 0) return null;
+
+  const stores = [];
+  const seen = new Set();
+  for (const entry of agents) {
+    const spec = typeof entry === "string" ? { id: entry } : entry;
+    const id = typeof spec?.id === "string" ? spec.id.trim() : "";
+    if (!id) {
+      logger?.warn?.(`hookclaw: agents entry ignored — missing id: ${JSON.stringify(entry)}`);
+      continue;
+    }
+    if (seen.has(id)) {
+      logger?.warn?.(`hookclaw: agents entry ignored — duplicate id "${id}"`);
+      continue;
+    }
+    seen.add(id);
+
+    let weight = spec.weight ?? 1;
+    if (typeof weight !== "number" || !Number.isFinite(weight) || weight < 0) {
+      logger?.warn?.(`hookclaw: agent "${id}" has invalid weight ${JSON.stringify(spec.weight)}, using 1`);
+      weight = 1;
+    }
+
+    stores.push({
+      id,
+      weight,
+      dbPath: spec.dbPath || null,
+      sessionKey: spec.sessionKey || sessionKeyFor(id),
+      include: compileGlobs(spec.include, id, logger),
+      exclude: compileGlobs(spec.exclude, id, logger),
+    });
+  }
+  return stores.length > 0 ? stores : null;
+}
+
+/**
+ * Compile a list of path globs, skipping non-strings.
+ */
+function compileGlobs(patterns, id, logger) {
+  if (patterns == null) return [];
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  return list.reduce((acc, p) => {
+    if (typeof p === "string" && p) acc.push(globToRegExp(p));
+    else logger?.warn?.(`hookclaw: agent "${id}" path filter ignored: ${JSON.stringify(p)}`);
+    return acc;
+  }, []);
+}
+
+/**
+ * Whether a result path passes a store's include/exclude filters.
+ * Pathless results only pass stores without include filters.
+ *
+ * @param {string} path
+ * @param {{include: RegExp[], exclude: RegExp[]}} store
+ * @returns {boolean}
+ */
+export function matchesPathFilters(path, store) {
+  const p = path || "";
+  if (store.include.length > 0 && !store.include.some((re) => re.test(p))) return false;
+  return !store.exclude.some((re) => re.test(p));
+}
+
+/**
+ * Merge per-store result lists: apply path filters, label each result
+ * with its agent, scale scores by the store weight, sort, and drop
+ * chunks that several stores returned (same text), keeping the
+ * highest-weighted copy.
+ *
+ * @param {Array<{store: AgentStore, results: Array<object>}>} lists
+ * @returns {Array<object>} Merged results, best first
+ */
+export function mergeStoreResults(lists) {
+  const merged = [];
+  for (const { store, results } of lists) {
+    for (const r of results || []) {
+      if (!matchesPathFilters(r.path, store)) continue;
+      merged.push({ ...r, agent: store.id, score: Math.min(1, r.score * store.weight) });
+    }
+  }
+  merged.sort((a, b) => b.score - a.score);
+
+  const seen = new Set();
+  return merged.filter((r) => {
+    const key = (r.text || "").replace(/\s+/g, " ").trim();
+    if (!key) return true;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Overall vector search status across stores: "ok" if any store answered,
+ * otherwise the first failure that isn't "unavailable" (a timeout or error
+ * says more than a store without a memory tool).
+ *
+ * @param {string[]} statuses
+ * @returns {string}
+ */
+export function combineStatuses(statuses) {
+  if (statuses.includes("ok")) return "ok";
+  return statuses.find((s) => s !== "unavailable") || "unavailable";
+}
@@ -0,0 +1,328 @@
+/**
+ * Text analysis shared by keyword search, query synthesis and the
+ * fuzzy prompt cache / MMR similarity.
+ *
+ * An analyzer (createAnalyzer) bundles the per-deployment choices:
+ *   - Unicode-aware splitting: letters and digits of any script; Han and
+ *     kana runs (no spaces between words) become overlapping bigrams
+ *   - Latin diacritic folding ("despliegué" → "desplegue"), matching the
+ *     default FTS5 unicode61 tokenizer
+ *   - stop words for one or more languages, plus user-supplied extras
+ *   - optional light stemming ("deployed" → "deploy") and FTS5 prefix
+ *     terms ("deploy"*) so inflections meet in the index
+ *
+ * The module-level tokenizeQuery()/tokenize() use the default analyzer
+ * (English stop words, no stemming).
+ *
+ * Kept free of node:sqlite so modules that only need tokenization
+ * (query-enricher) load on any supported Node version.
+ */
+
+// ---------------------------------------------------------------------------
+// Stop words — common words that hurt FTS5 precision
+// ---------------------------------------------------------------------------
+export const STOP_WORDS = new Set([
+  "a", "an", "the", "is", "are", "was", "were", "be", "been", "being",
+  "have", "has", "had", "do", "does", "did", "will", "would", "shall",
+  "should", "may", "might", "must", "can", "could",
+  "i", "me", "my", "we", "our", "you", "your", "he", "she", "it",
+  "they", "them", "their", "its", "this", "that", "these", "those",
+  "of", "in", "to", "for", "with", "on", "at", "from", "by", "about",
+  "as", "into", "through", "during", "before", "after", "above", "below",
+  "and", "but", "or", "nor", "not", "so", "if", "then", "than",
+  "when", "where", "how", "what", "which", "who", "whom", "why",
+  "all", "each", "every", "both", "few", "more", "most", "other",
+  "some", "such", "no", "only", "same", "just", "also", "very",
+  "up", "out", "over", "any", "here", "there",
+  "remember", "tell", "know", "think", "use", "using", "used",
+]);
+
+/** Stop words per language (compared after diacritic folding) */
+export const STOP_WORD_LISTS = Object.freeze({
+  en: STOP_WORDS,
+  es: new Set([
+    "el", "la", "los", "las", "un", "una", "unos", "unas", "lo", "al", "del",
+    "de", "en", "a", "por", "para", "con", "sin", "sobre", "entre", "hasta", "desde",
+    "y", "e", "o", "u", "ni", "pero", "sino", "que", "si", "no", "como", "cuando",
+    "donde", "cual", "cuales", "quien", "quienes", "cuanto", "porque",
+    "yo", "tu", "el", "ella", "nosotros", "vosotros", "ellos", "ellas", "usted", "ustedes",
+    "me", "te", "se", "nos", "os", "le", "les", "mi", "mis", "tus", "su", "sus", "nuestro", "nuestra",
+    "este", "esta", "estos", "estas", "ese", "esa", "esos", "esas", "eso", "esto", "aquel",
+    "es", "son", "era", "eran", "fue", "fueron", "ser", "sido", "estar", "esta", "estan", "estaba",
+    "ha", "han", "he", "hemos", "has", "hay", "habia", "tiene", "tienen", "hace",
+    "mas", "muy", "ya", "tambien", "solo", "todo", "todos", "toda", "todas", "otro", "otra",
+    "algo", "alguno", "alguna", "aqui", "alli", "asi",
+    "recuerdas", "recuerda", "acuerdas", "sabes", "dime", "usar", "uso",
+  ]),
+  fr: new Set([
+    "le", "la", "les", "un", "une", "des", "du", "de", "au", "aux", "ce", "ces", "cet", "cette",
+    "et", "ou", "mais", "donc", "ni", "car", "que", "qui", "quoi", "dont", "si", "ne", "pas", "plus",
+    "je", "tu", "il", "elle", "nous", "vous", "ils", "elles", "on", "me", "te", "se", "lui", "leur",
+    "mon", "ma", "mes", "ton", "ta", "tes", "son", "sa", "ses", "notre", "nos", "votre", "vos",
+    "dans", "en", "sur", "sous", "pour", "par", "avec", "sans", "chez", "entre", "vers",
+    "est", "sont", "etait", "ete", "etre", "avoir", "ai", "as", "avons", "avez", "ont", "avait",
+    "comment", "quand", "ou", "pourquoi", "quel", "quelle", "quels", "quelles",
+    "tout", "tous", "toute", "toutes", "aussi", "tres", "deja", "ici", "la",
+    "souviens", "rappelle", "dis",
+  ]),
+  de: new Set([
+    "der", "die", "das", "den", "dem", "des", "ein", "eine", "einen", "einem", "einer", "eines",
+    "und", "oder", "aber", "doch", "nicht", "kein", "keine", "dass", "wenn", "als", "ob", "so",
+    "ich", "du", "er", "sie", "es", "wir", "ihr", "mich", "dich", "sich", "uns", "euch", "ihm", "ihn",
+    "mein", "meine", "dein", "deine", "sein", "seine", "unser", "unsere",
+    "in", "im", "an", "am", "auf", "aus", "bei", "mit", "nach", "von", "vom", "zu", "zum", "zur",
+    "fur", "uber", "unter", "vor", "durch", "gegen", "ohne", "um",
+    "ist", "sind", "war", "waren", "sein", "gewesen", "hat", "haben", "hatte", "wird", "werden",
+    "wie", "wo", "was", "wann", "warum", "wer", "welche", "welcher",
+    "auch", "noch", "schon", "nur", "sehr", "hier", "da", "alle", "alles",
+    "erinnerst", "erinnere", "weisst",
+  ]),
+});
+
+// ---------------------------------------------------------------------------
+// Splitting and normalization
+// ---------------------------------------------------------------------------
+
+/** Query terms: keeps dots and dashes so identifiers like index.js survive */
+const QUERY_TOKEN_RE = /[\p{L}\p{N}\p{M}_.-]+/gu;
+
+/** Similarity words: letters, digits and underscore only */
+const WORD_TOKEN_RE = /[\p{L}\p{N}\p{M}_]+/gu;
+
+/** Scripts written without spaces between words */
+const CJK_RUN_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー]+/gu;
+const CJK_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+
+/**
+ * Whether a query term came from a Han/kana run (a CJK bigram or single
+ * character) rather than a space-delimited word.
+ *
+ * @param {string} term
+ * @returns {boolean}
+ */
+export function isCjkTerm(term) {
+  return CJK_RE.test(term);
+}
+
+/**
+ * Lowercase and strip diacritics from Latin letters (other scripts keep
+ * their marks — a kana's dakuten changes the letter).
+ */
+function normalize(str) {
+  return str
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/(\p{Script=Latin})\p{M}+/gu, "$1")
+    .normalize("NFC");
+}
+
+/**
+ * Split text into normalized tokens with the given pattern. Han/kana runs
+ * are cut out of each token and emitted as overlapping bigrams.
+ *
+ * @param {string} text
+ * @param {RegExp} pattern - Global token pattern
+ * @returns {string[]}
+ */
+function splitTokens(text, pattern) {
+  const out = [];
+  for (const raw of normalize(text || "").match(pattern) || []) {
+    if (!CJK_RE.test(raw)) {
+      out.push(raw);
+      continue;
+    }
+    for (const part of raw.split(CJK_RUN_RE)) {
+      if (part) out.push(part);
+    }
+    for (const run of raw.match(CJK_RUN_RE)) {
+      if (run.length === 1) out.push(run);
+      for (let i = 0; i + 1 < run.length; i++) out.push(run.slice(i, i + 2));
+    }
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Light stemmers — suffix stripping, tuned to produce good FTS5 prefixes
+// ---------------------------------------------------------------------------
+
+/**
+ * English: plurals, -ing/-ed/-ly/-ment and a trailing e, so "release",
+ * "released" and "releasing" all become "releas".
+ */
+function stemEnglish(word) {
+  if (word.length <= 3 || /[^a-z]/.test(word)) return word;
+  let w = word;
+  if (w.endsWith("ies") && w.length > 4) w = `${w.slice(0, -3)}y`;
+  else if (w.endsWith("sses")) w = w.slice(0, -2);
+  else if (w.endsWith("s") && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  for (const suffix of ["ment", "ing", "ed", "ly"]) {
+    if (suffix === "ed" && w.endsWith("eed")) break;
+    if (!w.endsWith(suffix)) continue;
+    const stem = w.slice(0, -suffix.length);
+    if (stem.length < 3 || !/[aeiouy]/.test(stem)) break;
+    w = stem;
+    // running → run, stopped → stop
+    if (/([^aeioulsz])\1$/.test(w)) w = w.slice(0, -1);
+    break;
+  }
+  if (w.length > 4 && w.endsWith("e") && !w.endsWith("ee")) w = w.slice(0, -1);
+  return w;
+}
+
+/** Spanish suffixes, longest first */
+const SPANISH_SUFFIXES = [
+  "amientos", "imientos", "amiento", "imiento", "aciones", "uciones", "ciones", "ieron",
+  "acion", "ucion", "cion", "mente", "ancias", "ancia", "abamos", "aban", "aron",
+  "iendo", "ando", "adas", "ados", "idas", "idos", "amos", "emos", "imos",
+  "aba", "ada", "ado", "ida", "ido", "ar", "er", "ir", "es", "os", "as", "a", "o", "e", "s",
+];
+
+/**
+ * Spanish: nominal and verbal endings, so "desplegado", "desplegar" and
+ * "desplegamos" share the prefix "despleg".
+ */
+function stemSpanish(word) {
+  if (word.length <= 4 || /[^a-zñ]/.test(word)) return word;
+  for (const suffix of SPANISH_SUFFIXES) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 4) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
+
+/** Stemmers per language (languages without one only contribute stop words) */
+const STEMMERS = Object.freeze({
+  en: stemEnglish,
+  es: stemSpanish,
+});
+
+export const ANALYZER_LANGUAGES = Object.freeze(Object.keys(STOP_WORD_LISTS));
+
+// ---------------------------------------------------------------------------
+// Analyzer
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} Analyzer
+ * @property {string[]} languages - Languages in effect
+ * @property {boolean} stemming
+ * @property {boolean} prefixQueries - Emit FTS5 prefix terms ("deploy"*)
+ * @property {(query: string) => string[]} tokenizeQuery - Search terms (stop words removed)
+ * @property {(str: string) => Set<string>} tokenize - Word set for similarity (stop words kept)
+ */
+
+/**
+ * Build an analyzer from the `analyzer` plugin config.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.languages=["en"]] - Stop-word lists (and stemmers) to apply, see ANALYZER_LANGUAGES
+ * @param {string[]} [options.stopWords=[]] - Extra stop words
+ * @param {boolean} [options.stemming=false] - Light suffix stripping
+ * @param {boolean} [options.prefixQueries] - FTS5 prefix terms (defaults to `stemming`, since stems only match as prefixes)
+ * @param {object} [logger] - Warns about unknown languages
+ * @returns {Analyzer}
+ */
+export function createAnalyzer(
+  { languages = ["en"], stopWords = [], stemming = false, prefixQueries = stemming } = {},
+  logger
+) {
+  const requested = Array.isArray(languages) ? languages : [languages];
+  const known = [];
+  for (const lang of requested) {
+    const code = String(lang).toLowerCase();
+    if (STOP_WORD_LISTS[code]) {
+      if (!known.includes(code)) known.push(code);
+    } else {
+      logger?.warn?.(`hookclaw: unknown analyzer language "${lang}" ignored`);
+    }
+  }
+  if (known.length === 0) known.push("en");
+
+  const stops = new Set();
+  for (const code of known) {
+    for (const word of STOP_WORD_LISTS[code]) stops.add(normalize(word));
+  }
+  for (const word of Array.isArray(stopWords) ? stopWords : []) {
+    for (const token of splitTokens(String(word), QUERY_TOKEN_RE)) stops.add(token);
+  }
+
+  const stemmers = stemming ? known.map((code) => STEMMERS[code]).filter(Boolean) : [];
+  // First stemmer that changes the word wins (languages in configured order)
+  const stem = (word) => {
+    for (const fn of stemmers) {
+      const stemmed = fn(word);
+      if (stemmed !== word) return stemmed;
+    }
+    return word;
+  };
+
+  return {
+    languages: known,
+    stemming: stemmers.length > 0,
+    prefixQueries: Boolean(prefixQueries),
+
+    tokenizeQuery(query) {
+      const terms = [];
+      for (const token of splitTokens(query, QUERY_TOKEN_RE)) {
+        if ((token.length < 2 && !CJK_RE.test(token)) || stops.has(token)) continue;
+        terms.push(stem(token));
+      }
+      return terms;
+    },
+
+    tokenize(str) {
+      return new Set(splitTokens(str, WORD_TOKEN_RE).map(stem));
+    },
+  };
+}
+
+/** English stop words, no stemming */
+const DEFAULT_ANALYZER = createAnalyzer();
+
+/**
+ * Tokenize a query string into meaningful search terms with the default
+ * analyzer. Strips stop words and short tokens.
+ *
+ * @param {string} query - Raw user query
+ * @param {Analyzer} [analyzer] - Analyzer to use instead of the default
+ * @returns {string[]} Filtered tokens suitable for FTS5
+ */
+export function tokenizeQuery(query, analyzer = DEFAULT_ANALYZER) {
+  return analyzer.tokenizeQuery(query);
+}
+
+// ---------------------------------------------------------------------------
+// Word-set similarity — fuzzy prompt cache and MMR
+// ---------------------------------------------------------------------------
+
+/**
+ * Tokenize a string into lowercase word tokens.
+ * @param {string} str
+ * @param {Analyzer} [analyzer] - Analyzer to use instead of the default
+ * @returns {Set<string>}
+ */
+export function tokenize(str, analyzer = DEFAULT_ANALYZER) {
+  return analyzer.tokenize(str);
+}
+
+/**
+ * Compute Jaccard similarity between two token sets.
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {number} 0-1
+ */
+export function jaccardSimilarity(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let intersection = 0;
+  const smaller = a.size <= b.size ? a : b;
+  const larger = a.size <= b.size ? b : a;
+  for (const token of smaller) {
+    if (larger.has(token)) intersection++;
+  }
+  return intersection / (a.size + b.size - intersection);
+}
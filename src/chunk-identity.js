@@ -0,0 +1,69 @@
+/**
+ * Chunk identity — one stable key per indexed chunk, shared by FTS5
+ * boosting, rank fusion, MMR, the caches, utility tracking and logs.
+ *
+ * A daily note like memory/2026-02-12.md holds many chunks, so the file
+ * path alone is not an identity. Keys are, in order of preference:
+ *   - "path:start-end"  (vector results carry `lines`, FTS5 rows start/end lines)
+ *   - "#<chunkId>"      (SQLite chunk id, when no line range is known)
+ *   - "path"            (pathful results without lines or id)
+ *   - text prefix       (pathless results, e.g. memory-lancedb)
+ *
+ * Results from a multi-agent search carry `agent`, and their keys are
+ * prefixed with it ("work@memory/notes.md:1-20"): two agents' stores can
+ * hold different chunks under the same path.
+ */
+
+/** Length of the text prefix used as identity for pathless chunks */
+const TEXT_KEY_LENGTH = 100;
+
+/**
+ * Line range of a chunk as "start-end", or "" if unknown.
+ *
+ * @param {{lines?: string, startLine?: number, endLine?: number, start_line?: number, end_line?: number}} r
+ * @returns {string}
+ */
+export function chunkLines(r) {
+  if (r.lines) return r.lines;
+  const start = r.startLine ?? r.start_line;
+  const end = r.endLine ?? r.end_line;
+  return start != null && end != null ? `${start}-${end}` : "";
+}
+
+/**
+ * Stable identity key for a chunk.
+ *
+ * @param {{path?: string, lines?: string, startLine?: number, endLine?: number, chunkId?: string|number, text?: string, agent?: string}} r
+ * @returns {string}
+ */
+export function chunkKey(r) {
+  return r.agent ? `${r.agent}@${baseKey(r)}` : baseKey(r);
+}
+
+/**
+ * Chunk key within a single store.
+ */
+function baseKey(r) {
+  const lines = chunkLines(r);
+  if (r.path && lines) return `${r.path}:${lines}`;
+  if (r.chunkId != null && r.chunkId !== "") return `#${r.chunkId}`;
+  if (r.path) return r.path;
+  return (r.text || "").slice(0, TEXT_KEY_LENGTH);
+}
+
+/**
+ * Drop repeated chunks, keeping the first (highest-ranked) occurrence.
+ *
+ * @param {Array<object>} results
+ * @returns {Array<object>}
+ */
+export function dedupeChunks(results) {
+  if (!results || results.length <= 1) return results || [];
+  const seen = new Set();
+  return results.filter((r) => {
+    const key = chunkKey(r);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
@@ -0,0 +1,124 @@
+/**
+ * /hookclaw chat command — operator view into the running plugin,
+ * registered via api.registerCommand.
+ *
+ * Subcommands:
+ *   metrics (default) — outcome counts, injection rate, latency percentiles
+ *   flush             — drop all cached retrievals
+ *   config            — effective config, with defaults next to overrides
+ *   reload            — re-read the plugin config and swap it in
+ *   trace             — decision traces: last call, a call number, or a session
+ */
+
+import { readTraces, formatTrace, formatTraceLine } from "./decision-trace.js";
+
+/** Calls listed by /hookclaw trace session */
+const SESSION_TRACE_LIMIT = 10;
+
+/**
+ * Subcommand table: name -> { description, run(services, args) => string }
+ */
+const SUBCOMMANDS = {
+  metrics: {
+    description: "Show hook outcome counts, injection rate and latency percentiles",
+    run(services) {
+      if (!services.metrics) return "hookclaw: metrics collector unavailable";
+      return services.metrics.formatReport();
+    },
+  },
+  flush: {
+    description: "Drop all cached retrievals so the next prompts search the index again",
+    run(services) {
+      if (!services.promptCache) return "hookclaw: prompt cache unavailable";
+      const count = services.promptCache.size;
+      services.promptCache.clear();
+      return `hookclaw: prompt cache flushed (${count} entries)`;
+    },
+  },
+  config: {
+    description: "Show the effective config (overridden options list their default)",
+    run(services) {
+      if (!services.describeConfig) return "hookclaw: config unavailable";
+      return services.describeConfig();
+    },
+  },
+  reload: {
+    description: "Re-read the plugin config (gateway entry and configFile) and apply it without a restart",
+    run(services) {
+      if (!services.reloadConfig) return "hookclaw: config reload unavailable";
+      return services.reloadConfig("command");
+    },
+  },
+  trace: {
+    description: "Show the decision trace of the last call, of call N (trace 42), or list a session's calls (trace session <key>)",
+    async run(services, args) {
+      const writer = services.traceWriter;
+      if (!writer) return "hookclaw: tracing is off (set enableTrace)";
+      await writer.flush();
+      const query = { maxFiles: writer.maxFiles };
+
+      if (args[0] === "session") {
+        const sessionKey = args[1];
+        if (!sessionKey) return "hookclaw: usage: /hookclaw trace session <sessionKey>";
+        const traces = await readTraces(writer.filePath, { ...query, sessionKey, limit: SESSION_TRACE_LIMIT });
+        if (traces.length === 0) return `hookclaw: no traces for session ${sessionKey}`;
+        return [`HookClaw traces for ${sessionKey} (last ${traces.length})`, ...traces.map(formatTraceLine)].join("\n");
+      }
+
+      if (args[0] !== undefined) {
+        const callNum = Number(args[0]);
+        if (!Number.isInteger(callNum)) return `hookclaw: not a call number: ${args[0]}`;
+        const [trace] = await readTraces(writer.filePath, { ...query, callNum, limit: 1 });
+        return trace ? formatTrace(trace) : `hookclaw: no trace for call #${callNum}`;
+      }
+
+      const [trace] = await readTraces(writer.filePath, { ...query, limit: 1 });
+      return trace ? formatTrace(trace) : "hookclaw: no traces yet";
+    },
+  },
+};
+
+/**
+ * Build the usage text listing all subcommands.
+ * @returns {string}
+ */
+function usage() {
+  const lines = ["Usage: /hookclaw <subcommand>"];
+  for (const [name, sub] of Object.entries(SUBCOMMANDS)) {
+    lines.push(`  ${name} — ${sub.description}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Run a /hookclaw subcommand.
+ *
+ * @param {string} [args] - Raw argument string ("metrics", "help", ...)
+ * @param {object} services - Shared runtime services from index.js
+ * @returns {Promise<string>} Reply text
+ */
+export async function runCommand(args, services) {
+  const [name = "metrics", ...rest] = (args || "").trim().split(/\s+/).filter(Boolean);
+  const sub = SUBCOMMANDS[name.toLowerCase()];
+  if (!sub) return usage();
+  try {
+    return await sub.run(services, rest);
+  } catch (err) {
+    return `hookclaw: ${name} failed — ${err.message}`;
+  }
+}
+
+/**
+ * Create the command definition for api.registerCommand.
+ *
+ * @param {object} services - Shared runtime services from index.js
+ * @returns {{ name: string, description: string, acceptsArgs: boolean, handler: Function }}
+ */
+export function createCommand(services) {
+  return {
+    name: "hookclaw",
+    description: "HookClaw memory plugin status and cache control (try: /hookclaw metrics, /hookclaw config, /hookclaw trace)",
+    acceptsArgs: true,
+    handler: async (ctx) => ({ text: await runCommand(ctx?.args, services) }),
+  };
+}
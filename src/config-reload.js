@@ -0,0 +1,167 @@
+/**
+ * Hot configuration reload — tune the plugin without restarting the gateway.
+ *
+ * The hook reads its pipeline from a ConfigHolder instead of a config
+ * captured at register() time. A reload (the watched `configFile` changed,
+ * or `/hookclaw reload`) builds a complete new pipeline first — skip
+ * patterns compiled, profiles resolved — and only then swaps it in, so a
+ * prompt sees either the old config or the new one, never a mix. Prompts
+ * already in flight finish on the pipeline they started with.
+ */
+
+import { readFileSync, watchFile, unwatchFile } from "node:fs";
+import { sameValue, formatConfigValue } from "./config-schema.js";
+
+/** Options read once at startup: changing them needs a gateway restart */
+export const RESTART_ONLY_OPTIONS = Object.freeze(["enableFeedbackLoop", "configFile", "watchConfigFile"]);
+
+/** Poll interval for the watched config file */
+const WATCH_INTERVAL_MS = 2000;
+
+/**
+ * @typedef {object} ConfigChange
+ * @property {string} key
+ * @property {unknown} from - Previous value (undefined = unset)
+ * @property {unknown} to - New value (undefined = unset)
+ */
+
+/**
+ * Options whose values differ between two resolved configs, in key order
+ * of the previous config (new keys last).
+ *
+ * @param {object} prev
+ * @param {object} next
+ * @returns {ConfigChange[]}
+ */
+export function diffConfig(prev, next) {
+  const keys = new Set([...Object.keys(prev || {}), ...Object.keys(next || {})]);
+  const changes = [];
+  for (const key of keys) {
+    const from = prev?.[key];
+    const to = next?.[key];
+    if (sameValue(from, to)) continue;
+    changes.push({ key, from, to });
+  }
+  return changes;
+}
+
+/**
+ * One-line summary of config changes: "minScore: 0.5 → 0.6, halfLifeHours: 168 → 72".
+ *
+ * @param {ConfigChange[]} changes
+ * @returns {string}
+ */
+export function formatConfigDiff(changes) {
+  if (!changes || changes.length === 0) return "no changes";
+  return changes.map((c) => `${c.key}: ${formatConfigValue(c.from)} → ${formatConfigValue(c.to)}`).join(", ");
+}
+
+/**
+ * Read plugin options from a JSON file.
+ *
+ * @param {string} filePath
+ * @returns {object} Options (throws when unreadable or not a JSON object)
+ */
+export function readConfigFile(filePath) {
+  const data = JSON.parse(readFileSync(filePath, "utf8"));
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("expected a JSON object of plugin options");
+  }
+  return data;
+}
+
+/**
+ * Poll a config file and call onChange when its mtime or size changes.
+ * The watcher doesn't keep the process alive.
+ *
+ * @param {string} filePath
+ * @param {Function} onChange
+ * @returns {Function} Stops watching
+ */
+export function watchConfigFile(filePath, onChange) {
+  const listener = (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    onChange();
+  };
+  watchFile(filePath, { interval: WATCH_INTERVAL_MS, persistent: false }, listener);
+  return () => unwatchFile(filePath, listener);
+}
+
+/**
+ * Holds the resolved config and what was built from it (the hook handler),
+ * and swaps both together on reload.
+ */
+export class ConfigHolder {
+  /**
+   * @param {object} config - Resolved plugin configuration
+   * @param {object} options
+   * @param {(config: object) => any} options.build - Build the derived value (may throw to reject a config)
+   * @param {(config: object, prev: object, changes: ConfigChange[]) => void} [options.onSwap] - Reconfigure shared state after a swap
+   * @param {object} [options.logger] - Plugin logger
+   */
+  constructor(config, { build, onSwap = null, logger = null }) {
+    this._build = build;
+    this._onSwap = onSwap;
+    this._logger = logger;
+    this._config = config;
+    this._current = build(config);
+    this._version = 1;
+  }
+
+  /** The active resolved config */
+  get config() {
+    return this._config;
+  }
+
+  /** What was built from the active config */
+  get current() {
+    return this._current;
+  }
+
+  /** Incremented on every applied reload */
+  get version() {
+    return this._version;
+  }
+
+  /**
+   * Swap in a new config. Nothing changes when it is identical or when
+   * building from it fails; the previous config stays active.
+   *
+   * @param {object} next - Resolved plugin configuration
+   * @param {string} [source="reload"] - What triggered the reload, for the log line
+   * @returns {{ applied: boolean, changes: ConfigChange[], message: string }}
+   */
+  update(next, source = "reload") {
+    const changes = diffConfig(this._config, next);
+    if (changes.length === 0) {
+      const message = `hookclaw: config reload (${source}) — no changes`;
+      this._logger?.info?.(message);
+      return { applied: false, changes, message };
+    }
+
+    let built;
+    try {
+      built = this._build(next);
+    } catch (err) {
+      const message = `hookclaw: config reload (${source}) rejected, keeping previous config — ${err.message}`;
+      this._logger?.warn?.(message);
+      return { applied: false, changes: [], message };
+    }
+
+    const prev = this._config;
+    this._config = next;
+    this._current = built;
+    this._version++;
+    try {
+      this._onSwap?.(next, prev, changes);
+    } catch (err) {
+      this._logger?.warn?.(`hookclaw: config reload (${source}) — reconfiguring services failed: ${err.message}`);
+    }
+
+    let message = `hookclaw: config reloaded (${source}) — ${formatConfigDiff(changes)}`;
+    const restartOnly = changes.filter((c) => RESTART_ONLY_OPTIONS.includes(c.key)).map((c) => c.key);
+    if (restartOnly.length > 0) message += ` (${restartOnly.join(", ")}: takes effect after restart)`;
+    this._logger?.info?.(message);
+    return { applied: true, changes, message };
+  }
+}
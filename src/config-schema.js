@@ -0,0 +1,722 @@
+/**
+ * Plugin configuration schema — the single source of option types, ranges
+ * and defaults.
+ *
+ * index.js resolves the gateway config against it, the handler takes its
+ * defaults from it, and the `configSchema` in openclaw.plugin.json is
+ * generated from it (`npm run manifest`). Invalid values never reach the
+ * pipeline: numbers outside their range are clamped, and anything else that
+ * doesn't fit (wrong type, unknown enum value, bad regex, unknown option) is
+ * dropped in favour of the default, each with a startup warning.
+ */
+
+import { DEFAULT_CACHE_SIZE, DEFAULT_CACHE_TTL_MS, DEFAULT_FUZZY_THRESHOLD } from "./prompt-cache.js";
+import { DEFAULT_TRACE_MAX_BYTES, DEFAULT_TRACE_MAX_FILES } from "./decision-trace.js";
+
+/**
+ * Option schemas in JSON Schema form (as published in the manifest), in
+ * documentation order.
+ */
+export const CONFIG_SCHEMA = Object.freeze({
+  maxResults: {
+    type: "integer",
+    default: 3,
+    minimum: 1,
+    description: "Maximum number of memory chunks to inject",
+  },
+  minScore: {
+    type: "number",
+    default: 0.5,
+    minimum: 0,
+    maximum: 1,
+    description: "Minimum similarity score threshold (0-1)",
+  },
+  maxContextChars: {
+    type: "integer",
+    default: 2000,
+    minimum: 1,
+    description: "Maximum total characters of injected context",
+  },
+  maxContextTokens: {
+    type: ["integer", "null"],
+    default: null,
+    minimum: 1,
+    description: "Token budget for injected context. When set, replaces maxContextChars.",
+  },
+  tokenEstimator: {
+    type: ["string", "null"],
+    default: null,
+    description: "Path to an ES module whose default export (text) => number estimates tokens. Null uses the built-in heuristic.",
+  },
+  timeoutMs: {
+    type: "number",
+    default: 2000,
+    minimum: 1,
+    description: "Deadline for the concurrent vector and FTS5 searches in milliseconds",
+  },
+  logInjections: {
+    type: "boolean",
+    default: true,
+    description: "Log when memories are injected into prompts",
+  },
+  formatTemplate: {
+    type: "string",
+    enum: ["xml", "markdown", "json", "custom"],
+    default: "xml",
+    description: 'Format for injected context block. "custom" renders contextTemplate.',
+  },
+  contextTemplate: {
+    type: ["object", "null"],
+    default: null,
+    additionalProperties: false,
+    properties: {
+      header: { type: "string" },
+      entry: { type: "string" },
+      footer: { type: "string" },
+      escape: { type: "string", enum: ["xml", "json", "none"] },
+    },
+    description: 'Template for formatTemplate "custom": header, per-entry and footer strings. Entry placeholders: {{text}} {{path}} {{lines}} {{score}} {{date}} {{source}}. Values are escaped per escape (default xml).',
+  },
+  skipShortPrompts: {
+    type: "integer",
+    default: 20,
+    minimum: 0,
+    description: "Skip prompts shorter than this many characters",
+  },
+  cacheSize: {
+    type: "integer",
+    default: DEFAULT_CACHE_SIZE,
+    minimum: 1,
+    description: "Max entries in the prompt dedup cache",
+  },
+  cacheTtlMs: {
+    type: "number",
+    default: DEFAULT_CACHE_TTL_MS,
+    minimum: 0,
+    description: "Time-to-live for cached prompt results in milliseconds (default 5 min)",
+  },
+  adaptiveResults: {
+    type: "boolean",
+    default: true,
+    description: "Vary result count based on score quality (high score = fewer results, low score = none)",
+  },
+  halfLifeHours: {
+    type: "number",
+    default: 168,
+    minimum: 0,
+    description: "Temporal decay half-life in hours (default 1 week). Recent memories score higher. Set 0 to disable.",
+  },
+  skipPatterns: {
+    type: ["array", "null"],
+    default: null,
+    items: { type: "string" },
+    description: "Custom regex patterns (strings) for prompts to skip. Null uses built-in defaults.",
+  },
+  enableSkipPatterns: {
+    type: "boolean",
+    default: true,
+    description: "Enable intent-gating skip patterns (creative, procedural, meta prompts)",
+  },
+  enableTemporalParsing: {
+    type: "boolean",
+    default: false,
+    description: "Parse temporal expressions (yesterday, last week) from prompts and use the time window to filter and rank results",
+  },
+  temporalFilterMode: {
+    type: "string",
+    enum: ["restrict", "boost"],
+    default: "restrict",
+    description: "How a parsed time window is applied: restrict drops out-of-window memories when in-window ones exist, boost only demotes them",
+  },
+  temporalBoost: {
+    type: "number",
+    default: 0.2,
+    minimum: 0,
+    maximum: 1,
+    description: "Additive score boost for memories inside the parsed time window (0-1)",
+  },
+  temporalDemoteFactor: {
+    type: "number",
+    default: 0.8,
+    minimum: 0,
+    maximum: 1,
+    description: "Score multiplier for memories outside the parsed time window (0-1)",
+  },
+  temporalOverfetch: {
+    type: "number",
+    default: 3,
+    minimum: 1,
+    description: "Search multiplier applied to maxResults when a time window is present, so in-window chunks survive the top-k cut",
+  },
+  enableQuerySynthesis: {
+    type: "boolean",
+    default: false,
+    description: 'For short or anaphoric follow-ups ("and the second one?"), add salient terms from recent conversation turns to the search query',
+  },
+  synthesisTurns: {
+    type: "integer",
+    default: 4,
+    minimum: 0,
+    description: "How many recent user/assistant turns query synthesis reads",
+  },
+  synthesisMaxTerms: {
+    type: "integer",
+    default: 8,
+    minimum: 0,
+    description: "Maximum context terms appended to a follow-up query",
+  },
+  followUpMaxWords: {
+    type: "integer",
+    default: 6,
+    minimum: 0,
+    description: "Prompts with this many words or fewer are treated as follow-ups (anaphoric prompts up to 3x this)",
+  },
+  enableSessionDedup: {
+    type: "boolean",
+    default: false,
+    description: "Skip chunks already injected earlier in the same session and inject the next-best candidates instead",
+  },
+  reinjectAfterTurns: {
+    type: "integer",
+    default: 10,
+    minimum: 0,
+    description: "Turns after which an already-injected chunk may be injected again (compaction resets sooner; 0 = never suppress)",
+  },
+  enableFeedbackLoop: {
+    type: "boolean",
+    default: false,
+    description: "Enable agent_end feedback hook for utility score tracking",
+  },
+  utilityWeight: {
+    type: "number",
+    default: 0.2,
+    minimum: 0,
+    maximum: 1,
+    description: "How strongly feedback-loop utility scores adjust ranking (0 = off, 1 = scores scale 0x-2x). Requires enableFeedbackLoop.",
+  },
+  utilityFloor: {
+    type: "number",
+    default: 0.2,
+    minimum: 0,
+    maximum: 1,
+    description: "Minimum utility used when blending, so a run of uncited retrievals can't bury a chunk entirely (0-1)",
+  },
+  mmrLambda: {
+    type: "number",
+    default: 0.7,
+    minimum: 0,
+    maximum: 1,
+    description: "MMR diversity parameter (0=max diversity, 1=max relevance)",
+  },
+  enableMmr: {
+    type: "boolean",
+    default: true,
+    description: "Enable MMR diversity filtering to remove redundant memories",
+  },
+  mmrSimilarity: {
+    type: "string",
+    enum: ["jaccard", "embedding"],
+    default: "jaccard",
+    description: "How MMR measures redundancy: jaccard (word overlap) or embedding (cosine of the chunk vectors stored in memory-core's SQLite index; falls back to jaccard when a candidate has none)",
+  },
+  fuzzyCacheThreshold: {
+    type: "number",
+    default: DEFAULT_FUZZY_THRESHOLD,
+    minimum: 0,
+    maximum: 1,
+    description: "Jaccard similarity threshold for fuzzy cache matching (0-1). Set 1.0 for exact-only.",
+  },
+  cacheEviction: {
+    type: "string",
+    enum: ["lru", "lfu"],
+    default: "lru",
+    description: "Which entry a full prompt cache drops: lru (least recently used) or lfu (least frequently used, ties by recency)",
+  },
+  cacheMaxBytes: {
+    type: ["integer", "null"],
+    default: null,
+    minimum: 1,
+    description: "Bound on the estimated size of all cached entries in bytes (null = bounded by cacheSize only)",
+  },
+  cacheScope: {
+    type: "string",
+    enum: ["global", "agent", "session"],
+    default: "agent",
+    description: "Cache partition: global (shared), agent (per agent id) or session (per session key). Cached memories are never served outside their partition.",
+  },
+  invalidateCacheOnIndexChange: {
+    type: "boolean",
+    default: true,
+    description: "Drop cached results when memory-core re-indexes (SQLite file, WAL or data_version change) instead of waiting for cacheTtlMs. Needs enableFts.",
+  },
+  enableFts: {
+    type: "boolean",
+    default: true,
+    description: "Enable direct FTS5 keyword search to boost vector results",
+  },
+  ftsBoostWeight: {
+    type: "number",
+    default: 0.3,
+    minimum: 0,
+    maximum: 1,
+    description: "Weight for FTS5 keyword boost added to vector score (0-1)",
+  },
+  ftsDbPath: {
+    type: ["string", "null"],
+    default: null,
+    description: "Override path to OpenClaw SQLite database. Null uses auto-discovery.",
+  },
+  ftsAgentId: {
+    type: "string",
+    default: "main",
+    description: "OpenClaw agent ID for database path resolution",
+  },
+  synonymsFile: {
+    type: ["string", "null"],
+    default: "hookclaw-synonyms.json",
+    description: "Synonym/abbreviation dictionary (JSON) that expands FTS5 query terms, relative to the agent workspace. Null disables.",
+  },
+  synonymWeight: {
+    type: "number",
+    default: 0.7,
+    minimum: 0,
+    maximum: 1,
+    description: "Score multiplier for chunks matched only through a synonym (0-1)",
+  },
+  analyzer: {
+    type: ["object", "null"],
+    default: null,
+    properties: {
+      languages: {
+        type: "array",
+        items: { type: "string", enum: ["en", "es", "fr", "de"] },
+        default: ["en"],
+        description: "Stop-word lists to apply (en and es also have a light stemmer)",
+      },
+      stopWords: { type: "array", items: { type: "string" }, default: [], description: "Extra stop words" },
+      stemming: { type: "boolean", default: false, description: "Light suffix stripping (deployed -> deploy)" },
+      prefixQueries: { type: "boolean", description: 'FTS5 prefix terms ("deploy"*); defaults to the stemming setting' },
+    },
+    description: "Keyword analysis shared by FTS5 queries and Jaccard similarity (fuzzy cache, MMR). Null = English stop words, no stemming.",
+  },
+  agents: {
+    type: ["array", "null"],
+    default: null,
+    items: {
+      oneOf: [
+        { type: "string" },
+        {
+          type: "object",
+          required: ["id"],
+          properties: {
+            id: { type: "string", description: "OpenClaw agent ID" },
+            weight: {
+              type: "number",
+              minimum: 0,
+              default: 1,
+              description: "Score multiplier for this agent's results",
+            },
+            include: { type: "array", items: { type: "string" }, description: "Path globs to keep (empty = all)" },
+            exclude: { type: "array", items: { type: "string" }, description: "Path globs to drop" },
+            dbPath: { type: "string", description: "SQLite path for FTS5 (default ~/.openclaw/memory/<id>.sqlite)" },
+            sessionKey: {
+              type: "string",
+              description: "Session key for the agent's memory search tool (default agent:<id>:main)",
+            },
+          },
+        },
+      ],
+    },
+    description: "Agent memory stores to search and merge. Entries are agent ids or { id, weight, include, exclude, dbPath, sessionKey }. Null searches only the session's own agent.",
+  },
+  enableFtsFallback: {
+    type: "boolean",
+    default: true,
+    description: "Inject FTS5 keyword results on their own when vector search errors, times out or is unavailable",
+  },
+  ftsFallbackMinScore: {
+    type: "number",
+    default: 0.5,
+    minimum: 0,
+    maximum: 1,
+    description: "Minimum FTS5 score for keyword-only results: fallback results, and with enableRrf chunks only the keyword search found (0-1)",
+  },
+  enableRrf: {
+    type: "boolean",
+    default: false,
+    description: "Fuse vector, FTS5, recency and entity rankings with Reciprocal Rank Fusion instead of the additive FTS5 boost. FTS-only matches become injectable.",
+  },
+  rrfWeights: {
+    type: ["object", "null"],
+    default: null,
+    additionalProperties: false,
+    properties: {
+      vector: { type: "number" },
+      fts: { type: "number" },
+      recency: { type: "number" },
+      entity: { type: "number" },
+    },
+    description: "Per-signal RRF weights. Omitted signals use the defaults (vector 0.4, fts 0.3, recency 0.2, entity 0.1).",
+  },
+  rrfK: {
+    type: "number",
+    default: 60,
+    minimum: 1,
+    description: "RRF rank constant k — higher values flatten the difference between adjacent ranks",
+  },
+  debugLogging: {
+    type: "boolean",
+    default: false,
+    description: "Log detailed per-result info (prompt preview, path, score, FTS boost, snippet) to gateway logs. Use temporarily for tuning.",
+  },
+  enableTrace: {
+    type: "boolean",
+    default: false,
+    description: "Write a structured decision trace per call (skip, cache, candidates, boosts, decay, cuts, MMR picks, context size) to traceFile. Query with /hookclaw trace.",
+  },
+  traceFile: {
+    type: ["string", "null"],
+    default: null,
+    description: "JSONL trace file (default ~/.openclaw/plugins/hookclaw/traces.jsonl)",
+  },
+  traceMaxBytes: {
+    type: "integer",
+    default: DEFAULT_TRACE_MAX_BYTES,
+    minimum: 10000,
+    description: "Rotate the trace file once it would grow past this size",
+  },
+  traceMaxFiles: {
+    type: "integer",
+    default: DEFAULT_TRACE_MAX_FILES,
+    minimum: 1,
+    maximum: 20,
+    description: "Rotated trace files kept (traces.jsonl.1 is the newest)",
+  },
+  profiles: {
+    type: ["array", "null"],
+    default: null,
+    items: {
+      type: "object",
+      required: ["name", "match"],
+      properties: {
+        name: { type: "string", description: "Shown in the injection log line" },
+        match: {
+          type: "object",
+          properties: {
+            agentId: { type: ["string", "array"], items: { type: "string" }, description: "Agent id(s)" },
+            channel: { type: ["string", "array"], items: { type: "string" }, description: "Channel(s), e.g. telegram" },
+            sessionKey: {
+              type: ["string", "array"],
+              items: { type: "string" },
+              description: "Session key pattern(s) with * and ? wildcards",
+            },
+          },
+        },
+        options: { type: "object", description: "Any subset of the options above, except those of services every profile shares (cache, analyzer, session dedup, feedback loop, trace)" },
+      },
+    },
+    description: "Named option overrides picked per prompt. The first profile whose match fits the agent, channel and session key wins; others use the base config.",
+  },
+  shadowConfig: {
+    type: ["object", "null"],
+    default: null,
+    description: "Option overrides for a shadow pipeline. After each answered prompt, it re-runs the prompt with these options layered over the active config. It never injects anything. Its selection is compared with the primary one in the logs and in /hookclaw metrics.",
+  },
+  shadowSampleRate: {
+    type: "number",
+    default: 1,
+    minimum: 0,
+    maximum: 1,
+    description: "Share of prompts replayed through the shadow pipeline (0-1)",
+  },
+  configFile: {
+    type: ["string", "null"],
+    default: null,
+    description: "JSON file of plugin options layered over this config. Reloaded without a gateway restart when it changes or on /hookclaw reload.",
+  },
+  watchConfigFile: {
+    type: "boolean",
+    default: true,
+    description: "Poll configFile and apply changes automatically",
+  },
+});
+
+/** Default value of every option */
+export const DEFAULTS = Object.freeze(
+  Object.fromEntries(Object.entries(CONFIG_SCHEMA).map(([key, schema]) => [key, schema.default]))
+);
+
+/** Types programmatic callers may pass beyond what JSON config can express */
+const RUNTIME_TYPES = {
+  tokenEstimator: ["function"],
+};
+
+/** Longest value shown in a warning or report line before it's cut */
+const MAX_VALUE_CHARS = 60;
+
+/** Comparable form of an option value (regexes by source, functions by identity) */
+function serialize(value) {
+  if (typeof value === "function") return value;
+  return JSON.stringify(value, (k, v) => (v instanceof RegExp ? String(v) : v));
+}
+
+/**
+ * Whether two option values are equal (deep, for JSON-like values).
+ *
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean}
+ */
+export function sameValue(a, b) {
+  return a === b || serialize(a) === serialize(b);
+}
+
+/**
+ * Short printable form of an option value.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function formatConfigValue(value) {
+  if (value === undefined) return "unset";
+  if (typeof value === "function") return "[function]";
+  const text = serialize(value) ?? String(value);
+  return text.length > MAX_VALUE_CHARS ? `${text.slice(0, MAX_VALUE_CHARS - 1)}…` : text;
+}
+
+/** JSON Schema type name of a value */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/** Type names a schema accepts (integer accepts any number; checkOption rounds it) */
+function schemaTypes(schema) {
+  return schema.type === undefined ? null : [].concat(schema.type);
+}
+
+/** Whether a value has one of the given types */
+function hasType(value, types) {
+  let type = typeOf(value);
+  if (type === "number" && !Number.isFinite(value)) type = "non-finite number";
+  return types.includes(type) || (type === "number" && types.includes("integer"));
+}
+
+/**
+ * Round and clamp a number to its schema.
+ *
+ * @param {object} schema
+ * @param {string[]} types
+ * @param {number} value
+ * @returns {{ value: number, problem?: string }}
+ */
+function checkNumber(schema, types, value) {
+  let n = value;
+  const problems = [];
+  if (types.includes("integer") && !types.includes("number") && !Number.isInteger(n)) {
+    n = Math.round(n);
+    problems.push(`${value} is not a whole number`);
+  }
+  if (schema.minimum !== undefined && n < schema.minimum) {
+    problems.push(`${n} is below the minimum ${schema.minimum}`);
+    n = schema.minimum;
+  } else if (schema.maximum !== undefined && n > schema.maximum) {
+    problems.push(`${n} is above the maximum ${schema.maximum}`);
+    n = schema.maximum;
+  }
+  return problems.length > 0 ? { value: n, problem: `${problems.join(", ")} — using ${n}` } : { value };
+}
+
+/**
+ * Check the inside of an object or array option against its schema's
+ * `properties`, `required`, `items` and `oneOf`. Bad fields and items are
+ * dropped, each with a line in `problems` prefixed by its path
+ * ("vector", "[1].match.agentId").
+ *
+ * @param {object} schema
+ * @param {unknown} value
+ * @param {string} path - Location within the option ("" at the top)
+ * @param {string[]} problems - Collects what was wrong
+ * @returns {unknown} The usable value, or undefined when nothing of it is
+ */
+function checkNested(schema, value, path, problems) {
+  const at = path ? `${path}: ` : "";
+  if (schema.oneOf) {
+    const alternative = schema.oneOf.find((alt) => !schemaTypes(alt) || hasType(value, schemaTypes(alt)));
+    if (!alternative) {
+      const expected = schema.oneOf.flatMap((alt) => schemaTypes(alt) || []).join(" or ");
+      problems.push(`${at}expected ${expected}, got ${formatConfigValue(value)} — dropped`);
+      return undefined;
+    }
+    return checkNested(alternative, value, path, problems);
+  }
+
+  const types = schemaTypes(schema);
+  if (types && !hasType(value, types)) {
+    problems.push(`${at}expected ${types.join(" or ")}, got ${formatConfigValue(value)} — dropped`);
+    return undefined;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${at}expected one of ${schema.enum.join(", ")}, got ${formatConfigValue(value)} — dropped`);
+    return undefined;
+  }
+  if (typeof value === "number") {
+    const checked = checkNumber(schema, types || ["number"], value);
+    if (checked.problem) problems.push(`${at}${checked.problem}`);
+    return checked.value;
+  }
+
+  if (Array.isArray(value)) {
+    if (!schema.items) return value;
+    const items = [];
+    value.forEach((item, i) => {
+      const checked = checkNested(schema.items, item, `${path}[${i}]`, problems);
+      if (checked !== undefined) items.push(checked);
+    });
+    return items;
+  }
+
+  if (typeOf(value) === "object" && (schema.properties || schema.required)) {
+    const fields = {};
+    for (const [name, field] of Object.entries(value)) {
+      const fieldPath = path ? `${path}.${name}` : name;
+      const fieldSchema = schema.properties?.[name];
+      if (!fieldSchema) {
+        if (schema.additionalProperties === false) problems.push(`${fieldPath}: unknown field — dropped`);
+        else fields[name] = field;
+        continue;
+      }
+      if (field === undefined) continue;
+      const checked = checkNested(fieldSchema, field, fieldPath, problems);
+      if (checked !== undefined) fields[name] = checked;
+    }
+    const missing = (schema.required || []).filter((name) => fields[name] === undefined);
+    if (missing.length > 0) {
+      problems.push(`${at}missing ${missing.join(", ")} — dropped`);
+      return undefined;
+    }
+    return fields;
+  }
+
+  return value;
+}
+
+/**
+ * Check one option value against its schema.
+ *
+ * @param {string} key
+ * @param {unknown} value
+ * @returns {{ value?: unknown, problem?: string, ignored?: boolean }} The value
+ *   to use (possibly clamped or filtered) and what was wrong with the input
+ */
+export function checkOption(key, value) {
+  const schema = CONFIG_SCHEMA[key];
+  if (!schema) return { ignored: true, problem: "unknown option" };
+
+  const types = [...schemaTypes(schema), ...(RUNTIME_TYPES[key] || [])];
+  if (!hasType(value, types)) {
+    return { ignored: true, problem: `expected ${types.join(" or ")}, got ${formatConfigValue(value)}` };
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return { ignored: true, problem: `expected one of ${schema.enum.join(", ")}, got ${formatConfigValue(value)}` };
+  }
+
+  if (typeof value === "number") return checkNumber(schema, types, value);
+
+  if (key === "skipPatterns" && Array.isArray(value)) {
+    const valid = [];
+    const invalid = [];
+    for (const p of value) {
+      if (p instanceof RegExp) { valid.push(p); continue; }
+      try {
+        new RegExp(p, "i");
+        valid.push(p);
+      } catch {
+        invalid.push(p);
+      }
+    }
+    if (invalid.length > 0) {
+      return { value: valid, problem: `invalid pattern${invalid.length > 1 ? "s" : ""} dropped: ${invalid.map(formatConfigValue).join(", ")}` };
+    }
+    return { value };
+  }
+
+  // Fields and items of object and array options
+  if (value !== null && typeof value === "object") {
+    const problems = [];
+    const checked = checkNested(schema, value, "", problems);
+    if (checked === undefined) return { ignored: true, problem: problems.join("; ") };
+    if (problems.length > 0) return { value: checked, problem: problems.join("; ") };
+  }
+
+  return { value };
+}
+
+/**
+ * Check a set of options against the schema, warning about each problem.
+ * Unknown options and values that can't be used are left out, so the
+ * caller's fallback (default or base config) applies.
+ *
+ * @param {Record<string, unknown>} [options]
+ * @param {object} [logger] - Plugin logger
+ * @param {string} [label] - Where the options come from, for warnings (e.g. 'profile "ops"')
+ * @returns {Record<string, unknown>} Usable options
+ */
+export function validateConfig(options, logger = null, label = "") {
+  const where = label ? ` in ${label}` : "";
+  const valid = {};
+  for (const [key, raw] of Object.entries(options || {})) {
+    if (raw === undefined) continue;
+    const { value, problem, ignored } = checkOption(key, raw);
+    if (ignored) {
+      logger?.warn?.(`hookclaw: ${key}${where} ignored — ${problem}`);
+      continue;
+    }
+    if (problem) logger?.warn?.(`hookclaw: ${key}${where} — ${problem}`);
+    valid[key] = value;
+  }
+  return valid;
+}
+
+/**
+ * Merge user config with defaults, after validation.
+ *
+ * @param {Record<string, unknown>} [userConfig]
+ * @param {object} [logger] - Plugin logger (receives one warning per problem)
+ * @returns {object} Resolved config
+ */
+export function resolveConfig(userConfig, logger = null) {
+  return { ...DEFAULTS, ...validateConfig(userConfig, logger) };
+}
+
+/**
+ * Human-readable listing of a resolved config, one option per line, with
+ * the default noted next to every overridden value.
+ *
+ * @param {object} config - Resolved config
+ * @returns {string}
+ */
+export function formatEffectiveConfig(config) {
+  const keys = Object.keys(CONFIG_SCHEMA);
+  const width = Math.max(...keys.map((k) => k.length));
+  let overrides = 0;
+  const lines = keys.map((key) => {
+    const value = config?.[key];
+    const changed = !sameValue(value, DEFAULTS[key]);
+    if (changed) overrides++;
+    const note = changed ? `   (default ${formatConfigValue(DEFAULTS[key])})` : "";
+    return `  ${key.padEnd(width)}  ${formatConfigValue(value)}${note}`;
+  });
+  return [`HookClaw effective config (${overrides} override${overrides === 1 ? "" : "s"})`, ...lines].join("\n");
+}
+
+/**
+ * The manifest's `configSchema`, generated from CONFIG_SCHEMA.
+ *
+ * @returns {object} JSON Schema for the plugin config
+ */
+export function manifestConfigSchema() {
+  return JSON.parse(JSON.stringify({ type: "object", additionalProperties: false, properties: CONFIG_SCHEMA }));
+}
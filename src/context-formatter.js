@@ -1,47 +1,69 @@
 /**
  * Formats memory search results into context blocks
  * for injection into prompts.
+ *
+ * Built-in formats: xml (default), markdown, json. A "custom" format
+ * renders a user template (header / per-entry / footer with
+ * {{placeholders}}). All formats share the same budget packing and
+ * truncation (see token-budget.js).
+ */
+
+import { createBudget, packEntries } from "./token-budget.js";
+
+/** Placeholders available in custom entry templates */
+export const TEMPLATE_PLACEHOLDERS = Object.freeze(["text", "path", "lines", "score", "date", "source", "agent"]);
+
+const PLACEHOLDER_RE = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Pack rendered entries between a header and footer within the budget.
+ *
+ * @param {Array} results
+ * @param {object} options
+ * @param {string} options.open - Header (counted against the budget)
+ * @param {string} options.close - Footer (counted against the budget)
+ * @param {(result: object, text: string) => string} options.render - Render one entry
+ * @param {(body: string) => string} [options.finish] - Post-process the joined entries
+ * @param {number} options.maxChars
+ * @param {number|null} [options.maxTokens]
+ * @param {(text: string) => number} [options.estimateTokens]
+ * @returns {string} Context block, or "" if nothing fit
  */
+function assemble(results, { open, close, render, finish = (body) => body, maxChars, maxTokens, estimateTokens }) {
+  const budget = createBudget({ maxChars, maxTokens, estimateTokens });
+  const entries = packEntries(results, {
+    render,
+    budget,
+    reserved: budget.cost(open) + budget.cost(close),
+  });
+
+  // Nothing fit
+  if (entries.length === 0) return "";
+
+  return open + finish(entries.join("")) + close;
+}
 
 /**
  * Format memory results as XML context block.
  *
  * @param {Array<{text: string, source: string, path: string, lines: string, score: number}>} results
  * @param {number} maxChars - Maximum total characters
+ * @param {object} [options]
+ * @param {number|null} [options.maxTokens] - Token budget (takes precedence over maxChars)
+ * @param {(text: string) => number} [options.estimateTokens] - Custom token estimator
  * @returns {string} XML-formatted context block
  */
-export function formatAsXml(results, maxChars = 4000) {
+export function formatAsXml(results, maxChars = 4000, { maxTokens = null, estimateTokens } = {}) {
   if (!results || results.length === 0) return "";
 
-  const lines = ["<relevant_memories>"];
-  let charCount = 0;
-
-  for (const r of results) {
-    const text = r.text.trim();
-    if (!text) continue;
-
-    // Check if adding this chunk would exceed the limit
-    // Account for the XML tags overhead (~120 chars per entry)
-    const entryOverhead = 120 + (r.path?.length || 0);
-    if (charCount + text.length + entryOverhead > maxChars) {
-      // Try to fit a truncated version
-      const remaining = maxChars - charCount - entryOverhead - 3; // 3 for "..."
-      if (remaining > 50) {
-        const truncated = text.slice(0, remaining) + "...";
-        lines.push(formatXmlEntry(r, truncated));
-      }
-      break;
-    }
-
-    lines.push(formatXmlEntry(r, text));
-    charCount += text.length + entryOverhead;
-  }
-
-  // If we only have the opening tag, nothing fit
-  if (lines.length === 1) return "";
-
-  lines.push("</relevant_memories>");
-  return lines.join("\n");
+  return assemble(results, {
+    open: "<relevant_memories>\n",
+    close: "</relevant_memories>",
+    render: (r, text) => formatXmlEntry(r, text) + "\n",
+    maxChars,
+    maxTokens,
+    estimateTokens,
+  });
 }
 
 /**
@@ -50,6 +72,9 @@ export function formatAsXml(results, maxChars = 4000) {
 function formatXmlEntry(result, text) {
   const attrs = [`source="${escapeXmlAttr(result.source || "memory")}"`];
 
+  if (result.agent) {
+    attrs.push(`agent="${escapeXmlAttr(result.agent)}"`);
+  }
   if (result.path) {
     attrs.push(`path="${escapeXmlAttr(result.path)}"`);
   }
@@ -66,42 +91,22 @@ function formatXmlEntry(result, text) {
  *
  * @param {Array<{text: string, source: string, path: string, lines: string, score: number}>} results
  * @param {number} maxChars - Maximum total characters
+ * @param {object} [options]
+ * @param {number|null} [options.maxTokens] - Token budget (takes precedence over maxChars)
+ * @param {(text: string) => number} [options.estimateTokens] - Custom token estimator
  * @returns {string} Markdown-formatted context block
  */
-export function formatAsMarkdown(results, maxChars = 4000) {
+export function formatAsMarkdown(results, maxChars = 4000, { maxTokens = null, estimateTokens } = {}) {
   if (!results || results.length === 0) return "";
 
-  const lines = ["---", "**Relevant Memories:**", ""];
-  let charCount = 0;
-
-  for (const r of results) {
-    const text = r.text.trim();
-    if (!text) continue;
-
-    const header = buildMarkdownHeader(r);
-    const entryOverhead = header.length + 10; // newlines + separator
-
-    if (charCount + text.length + entryOverhead > maxChars) {
-      const remaining = maxChars - charCount - entryOverhead - 3;
-      if (remaining > 50) {
-        lines.push(header);
-        lines.push(text.slice(0, remaining) + "...");
-        lines.push("");
-      }
-      break;
-    }
-
-    lines.push(header);
-    lines.push(text);
-    lines.push("");
-    charCount += text.length + entryOverhead;
-  }
-
-  // If we only have the header lines, nothing fit
-  if (lines.length === 3) return "";
-
-  lines.push("---");
-  return lines.join("\n");
+  return assemble(results, {
+    open: "---\n**Relevant Memories:**\n\n",
+    close: "---",
+    render: (r, text) => `${buildMarkdownHeader(r)}\n${text}\n\n`,
+    maxChars,
+    maxTokens,
+    estimateTokens,
+  });
 }
 
 /**
@@ -109,28 +114,161 @@ export function formatAsMarkdown(results, maxChars = 4000) {
  */
 function buildMarkdownHeader(result) {
   const parts = [`> *${result.source || "memory"}*`];
+  if (result.agent) parts.push(`agent ${result.agent}`);
   if (result.path) parts.push(`\`${result.path}\``);
   if (result.lines) parts.push(`lines ${result.lines}`);
   parts.push(`(score: ${result.score.toFixed(3)})`);
   return parts.join(" | ");
 }
 
+/**
+ * Format memory results as a JSON document:
+ * {"relevant_memories":[{"source","agent","path","lines","score","date","text"}, ...]}
+ *
+ * @param {Array<{text: string, source: string, path: string, lines: string, score: number}>} results
+ * @param {number} maxChars - Maximum total characters
+ * @param {object} [options]
+ * @param {number|null} [options.maxTokens] - Token budget (takes precedence over maxChars)
+ * @param {(text: string) => number} [options.estimateTokens] - Custom token estimator
+ * @returns {string} JSON context block
+ */
+export function formatAsJson(results, maxChars = 4000, { maxTokens = null, estimateTokens } = {}) {
+  if (!results || results.length === 0) return "";
+
+  return assemble(results, {
+    open: '{"relevant_memories":[\n',
+    close: "]}",
+    render: (r, text) => `  ${JSON.stringify(jsonEntry(r, text))},\n`,
+    // Drop the last entry's trailing comma
+    finish: (body) => body.replace(/,\n$/, "\n"),
+    maxChars,
+    maxTokens,
+    estimateTokens,
+  });
+}
+
+/**
+ * Build the JSON object for one memory entry.
+ */
+function jsonEntry(result, text) {
+  const entry = { source: result.source || "memory" };
+  if (result.agent) entry.agent = result.agent;
+  if (result.path) entry.path = result.path;
+  if (result.lines) entry.lines = result.lines;
+  entry.score = Number(result.score.toFixed(3));
+  const date = entryDate(result);
+  if (date) entry.date = date;
+  entry.text = text;
+  return entry;
+}
+
+/**
+ * Format memory results with a user template.
+ *
+ * Entry placeholders: {{text}}, {{path}}, {{lines}}, {{score}}, {{date}},
+ * {{source}}, {{agent}} (empty unless multi-agent search is on). Values are escaped per `template.escape` — "xml" (default,
+ * same rules as the XML format), "json" (JSON string contents) or "none".
+ * Unknown placeholders are left as-is. Header and footer are literal.
+ *
+ * @param {Array<{text: string, source: string, path: string, lines: string, score: number}>} results
+ * @param {{header?: string, entry: string, footer?: string, escape?: "xml"|"json"|"none"}} template
+ * @param {number} maxChars - Maximum total characters
+ * @param {object} [options]
+ * @param {number|null} [options.maxTokens] - Token budget (takes precedence over maxChars)
+ * @param {(text: string) => number} [options.estimateTokens] - Custom token estimator
+ * @returns {string} Context block
+ */
+export function formatWithTemplate(results, template, maxChars = 4000, { maxTokens = null, estimateTokens } = {}) {
+  if (!results || results.length === 0) return "";
+  if (!isValidTemplate(template)) return formatAsXml(results, maxChars, { maxTokens, estimateTokens });
+
+  const escape = ESCAPERS[template.escape] || ESCAPERS.xml;
+  return assemble(results, {
+    open: template.header || "",
+    close: template.footer || "",
+    render: (r, text) => renderTemplateEntry(template.entry, r, text, escape),
+    maxChars,
+    maxTokens,
+    estimateTokens,
+  });
+}
+
+/**
+ * Whether a custom template has the required per-entry string.
+ *
+ * @param {unknown} template
+ * @returns {boolean}
+ */
+export function isValidTemplate(template) {
+  return Boolean(template) && typeof template.entry === "string" && template.entry.length > 0;
+}
+
+/**
+ * Substitute placeholders in an entry template.
+ */
+function renderTemplateEntry(entryTemplate, result, text, escape) {
+  const values = {
+    text,
+    path: result.path || "",
+    lines: result.lines || "",
+    score: typeof result.score === "number" ? result.score.toFixed(3) : "",
+    date: entryDate(result) || "",
+    source: result.source || "memory",
+    agent: result.agent || "",
+  };
+  return entryTemplate.replace(PLACEHOLDER_RE, (match, name) =>
+    Object.hasOwn(values, name) ? escape(values[name]) : match
+  );
+}
+
+/**
+ * Date of a memory entry (YYYY-MM-DD): metadata first, then the file path.
+ */
+function entryDate(result) {
+  for (const value of [result.date, result.updatedAt]) {
+    if (value == null) continue;
+    const d = new Date(value);
+    if (!Number.isNaN(d.getTime())) return d.toISOString().slice(0, 10);
+  }
+  const m = result.path?.match(/(\d{4}-\d{2}-\d{2})/);
+  return m ? m[1] : null;
+}
+
 /**
  * Format results using the specified template.
  *
  * @param {Array} results - Memory search results
  * @param {object} options
- * @param {string} options.formatTemplate - "xml" or "markdown"
+ * @param {string} options.formatTemplate - "xml", "markdown", "json" or "custom"
+ * @param {object} [options.contextTemplate] - Template for "custom" (see formatWithTemplate)
  * @param {number} options.maxContextChars - Maximum context characters
+ * @param {number|null} [options.maxContextTokens] - Token budget (takes precedence over maxContextChars)
+ * @param {(text: string) => number} [options.estimateTokens] - Custom token estimator
  * @returns {string} Formatted context block
  */
-export function formatContext(results, { formatTemplate = "xml", maxContextChars = 4000 } = {}) {
+export function formatContext(
+  results,
+  {
+    formatTemplate = "xml",
+    contextTemplate = null,
+    maxContextChars = 4000,
+    maxContextTokens = null,
+    estimateTokens,
+  } = {}
+) {
   if (!results || results.length === 0) return "";
 
+  const budgetOptions = { maxTokens: maxContextTokens, estimateTokens };
   if (formatTemplate === "markdown") {
-    return formatAsMarkdown(results, maxContextChars);
+    return formatAsMarkdown(results, maxContextChars, budgetOptions);
   }
-  return formatAsXml(results, maxContextChars);
+  if (formatTemplate === "json") {
+    return formatAsJson(results, maxContextChars, budgetOptions);
+  }
+  if (formatTemplate === "custom") {
+    return formatWithTemplate(results, contextTemplate, maxContextChars, budgetOptions);
+  }
+  return formatAsXml(results, maxContextChars, budgetOptions);
 }
 
 /**
@@ -153,3 +291,17 @@ function escapeXmlText(str) {
     .replace(/</g, "&lt;")
     .replace(/>/g, "&gt;");
 }
+
+/**
+ * Escape a value for use inside a JSON string literal.
+ */
+function escapeJsonString(str) {
+  return JSON.stringify(String(str)).slice(1, -1);
+}
+
+/** Placeholder escapers for custom templates (values may land in attributes, so xml escapes quotes) */
+const ESCAPERS = {
+  xml: escapeXmlAttr,
+  json: escapeJsonString,
+  none: (str) => String(str),
+};
@@ -0,0 +1,66 @@
+/**
+ * Per-call deadline shared by the retrieval stages (vector search, FTS5).
+ *
+ * Stages are launched together and each one is raced against whatever is
+ * left of the budget. A stage that settles in time is merged; one that
+ * misses the deadline is reported as "timeout" (still pending) or "late"
+ * (settled, but only after the budget was spent — e.g. synchronous work
+ * that blocked the timer) and its result is dropped. Timers are cleared
+ * as soon as a stage settles, and a late rejection is swallowed, so a
+ * discarded stage leaves nothing behind.
+ */
+
+/**
+ * @typedef {object} StageOutcome
+ * @property {"ok"|"timeout"|"late"|"error"} status
+ * @property {number} ms - Elapsed time until the stage settled or was abandoned
+ * @property {*} [value] - Stage result (status "ok" only)
+ * @property {Error} [error] - Failure (status "error" only)
+ */
+
+/**
+ * Create a deadline that starts now.
+ *
+ * @param {number} budgetMs - Total budget for all stages
+ * @returns {{ budgetMs: number, elapsed: () => number, remaining: () => number, expired: () => boolean, run: (fn: () => any) => Promise<StageOutcome> }}
+ */
+export function createDeadline(budgetMs) {
+  const startedAt = Date.now();
+  const endsAt = startedAt + Math.max(0, budgetMs);
+
+  const remaining = () => Math.max(0, endsAt - Date.now());
+
+  /**
+   * Run one stage under the deadline. `fn` may return a value or a promise;
+   * it is started on the next microtask so stages launched together overlap.
+   */
+  function run(fn) {
+    const stageStart = Date.now();
+    const task = Promise.resolve().then(fn);
+
+    return new Promise((resolve) => {
+      let settled = false;
+      const finish = (outcome) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve({ ...outcome, ms: Date.now() - stageStart });
+      };
+
+      const timer = setTimeout(() => finish({ status: "timeout" }), remaining());
+
+      task.then(
+        (value) => finish(Date.now() > endsAt ? { status: "late" } : { status: "ok", value }),
+        (error) => finish({ status: "error", error })
+      );
+    });
+  }
+
+  return {
+    budgetMs,
+    elapsed: () => Date.now() - startedAt,
+    remaining,
+    expired: () => Date.now() >= endsAt,
+    run,
+  };
+}
@@ -0,0 +1,305 @@
+/**
+ * Structured per-call decision trace.
+ *
+ * With `enableTrace`, every before_agent_start call produces one JSON object
+ * recording what each pipeline stage decided: skip, cache lookup, vector and
+ * FTS5 candidates, FTS boosts or RRF ranks, decay factors, the temporal
+ * window, utility blending, the adaptive cut, MMR picks, session dedup and
+ * the final formatted size. Traces are appended to a JSONL file that rotates
+ * by size (traces.jsonl → traces.jsonl.1 → ...), and can be looked up by call
+ * number or session (/hookclaw trace).
+ *
+ * Stages that didn't run are absent from the trace. Results are recorded as
+ * { key, score } with the chunk key from chunk-identity.js.
+ */
+
+import { appendFile, mkdir, readFile, rename, stat } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { chunkKey } from "./chunk-identity.js";
+
+/** Rotate the trace file once it would grow past this many bytes */
+export const DEFAULT_TRACE_MAX_BYTES = 5 * 1024 * 1024;
+
+/** Rotated trace files kept next to the live one */
+export const DEFAULT_TRACE_MAX_FILES = 3;
+
+/** Longest prompt/query stored in a trace */
+const MAX_TEXT_CHARS = 500;
+
+/**
+ * Default trace file, next to the utility scores.
+ * @returns {string}
+ */
+export function defaultTracePath() {
+  const home = process.env.HOME || process.env.USERPROFILE || ".";
+  return join(home, ".openclaw", "plugins", "hookclaw", "traces.jsonl");
+}
+
+/** Round a score for the trace (keeps lines short and diffable) */
+function round(n) {
+  return typeof n === "number" ? Math.round(n * 10000) / 10000 : n;
+}
+
+/**
+ * Start the trace for one call.
+ *
+ * @param {object} [ctx] - PluginHookAgentContext
+ * @param {string|null} [profile] - Profile serving the call
+ * @param {number} [now=Date.now()]
+ * @returns {object}
+ */
+export function createTrace(ctx, profile = null, now = Date.now()) {
+  return {
+    call: null,
+    time: new Date(now).toISOString(),
+    sessionKey: ctx?.sessionKey || null,
+    agentId: ctx?.agentId || null,
+    ...(profile ? { profile } : {}),
+  };
+}
+
+/**
+ * Results as { key, score } in rank order.
+ *
+ * @param {Array<object>} results
+ * @returns {Array<{key: string, score: number}>}
+ */
+export function traceResults(results) {
+  return (results || []).map((r) => ({ key: chunkKey(r), score: round(r.score) }));
+}
+
+/**
+ * Cut prompt/query text to the stored length.
+ * @param {string} text
+ * @returns {string}
+ */
+export function traceText(text) {
+  return text.length > MAX_TEXT_CHARS ? `${text.substring(0, MAX_TEXT_CHARS)}...` : text;
+}
+
+/**
+ * Decay factor per dated chunk, from scores before and after decay.
+ *
+ * @param {Array<object>} before
+ * @param {Array<object>} after
+ * @returns {Array<{key: string, factor: number, score: number}>}
+ */
+export function traceDecay(before, after) {
+  const prior = new Map(before.map((r) => [chunkKey(r), r.score]));
+  const factors = [];
+  for (const r of after) {
+    const from = prior.get(chunkKey(r));
+    if (!from || r.score === from) continue;
+    factors.push({ key: chunkKey(r), factor: round(r.score / from), score: round(r.score) });
+  }
+  return factors;
+}
+
+/**
+ * FTS5 boosts applied to vector results (additive mode).
+ *
+ * @param {Array<object>} candidates - After boosting
+ * @returns {Array<{key: string, from: number, fts: number, to: number}>}
+ */
+export function traceBoosts(candidates) {
+  return candidates
+    .filter((r) => r._ftsScore !== undefined)
+    .map((r) => ({ key: chunkKey(r), from: round(r._originalScore), fts: round(r._ftsScore), to: round(r.score) }));
+}
+
+/**
+ * Utility scores blended into ranking.
+ *
+ * @param {Array<object>} results - After applyUtilityBlend
+ * @returns {Array<{key: string, utility: number, score: number}>}
+ */
+export function traceUtility(results) {
+  return results
+    .filter((r) => r._utility !== undefined)
+    .map((r) => ({ key: chunkKey(r), utility: round(r._utility), score: round(r.score) }));
+}
+
+/**
+ * Append-only JSONL writer with size-based rotation. Writes are queued and
+ * never block the hook; a failing write is reported once and then dropped
+ * until writes succeed again.
+ */
+export class TraceWriter {
+  /**
+   * @param {string} filePath
+   * @param {object} [options]
+   * @param {number} [options.maxBytes]
+   * @param {number} [options.maxFiles]
+   * @param {object} [options.logger]
+   */
+  constructor(filePath, { maxBytes = DEFAULT_TRACE_MAX_BYTES, maxFiles = DEFAULT_TRACE_MAX_FILES, logger = null } = {}) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this._logger = logger;
+    this._queue = Promise.resolve();
+    /** @type {number|null} Current file size, read on first write */
+    this._size = null;
+    this._failing = false;
+    this._closed = false;
+  }
+
+  /**
+   * Queue one trace for writing (ignored once closed).
+   * @param {object} trace
+   */
+  write(trace) {
+    if (this._closed) return;
+    const line = `${JSON.stringify(trace)}\n`;
+    this._queue = this._queue
+      .then(() => this._append(line))
+      .then(() => { this._failing = false; })
+      .catch((err) => {
+        if (!this._failing) this._logger?.warn?.(`hookclaw: trace write failed — ${err.message}`);
+        this._failing = true;
+        this._size = null;
+      });
+  }
+
+  /**
+   * Resolves once every queued trace is on disk.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this._queue;
+  }
+
+  /**
+   * Stop accepting traces; resolves once the queued ones are on disk.
+   * @returns {Promise<void>}
+   */
+  close() {
+    this._closed = true;
+    return this.flush();
+  }
+
+  async _append(line) {
+    if (this._size === null) {
+      await mkdir(dirname(this.filePath), { recursive: true });
+      try {
+        this._size = (await stat(this.filePath)).size;
+      } catch {
+        this._size = 0;
+      }
+    }
+    const bytes = Buffer.byteLength(line);
+    if (this._size > 0 && this._size + bytes > this.maxBytes) await this._rotate();
+    await appendFile(this.filePath, line);
+    this._size += bytes;
+  }
+
+  /** Shift traces.jsonl.N → .N+1 (dropping the oldest), then the live file to .1 */
+  async _rotate() {
+    for (let i = this.maxFiles - 1; i >= 0; i--) {
+      const from = i === 0 ? this.filePath : `${this.filePath}.${i}`;
+      try {
+        await rename(from, `${this.filePath}.${i + 1}`);
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    }
+    this._size = 0;
+  }
+}
+
+/**
+ * Read traces back, oldest first, from the live file and its rotations.
+ * Unparseable lines (e.g. a write cut short) are skipped.
+ *
+ * @param {string} filePath
+ * @param {object} [query]
+ * @param {number} [query.callNum] - Only this call number (numbers restart with the gateway)
+ * @param {string} [query.sessionKey] - Only this session
+ * @param {number} [query.limit=20] - Most recent matches to return
+ * @param {number} [query.maxFiles] - Rotated files to search
+ * @returns {Promise<object[]>}
+ */
+export async function readTraces(filePath, { callNum, sessionKey, limit = 20, maxFiles = DEFAULT_TRACE_MAX_FILES } = {}) {
+  const files = [];
+  for (let i = maxFiles; i >= 1; i--) files.push(`${filePath}.${i}`);
+  files.push(filePath);
+
+  const matches = [];
+  for (const file of files) {
+    let text;
+    try {
+      text = await readFile(file, "utf8");
+    } catch {
+      continue;
+    }
+    for (const line of text.split("\n")) {
+      if (!line) continue;
+      let trace;
+      try {
+        trace = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (callNum !== undefined && trace.call !== callNum) continue;
+      if (sessionKey !== undefined && trace.sessionKey !== sessionKey) continue;
+      matches.push(trace);
+    }
+  }
+  return matches.slice(-limit);
+}
+
+/** "key 0.612, key 0.540" */
+function formatList(results) {
+  return results.map((r) => `${r.key} ${r.score?.toFixed?.(3) ?? r.score}`).join(", ") || "none";
+}
+
+/**
+ * One line per trace, for listings.
+ * @param {object} trace
+ * @returns {string}
+ */
+export function formatTraceLine(trace) {
+  const count = trace.results ? `, ${trace.results.length} memories` : "";
+  const latency = typeof trace.latencyMs === "number" ? `, ${trace.latencyMs}ms` : "";
+  const prompt = trace.prompt ? ` "${trace.prompt.substring(0, 60)}${trace.prompt.length > 60 ? "..." : ""}"` : "";
+  return `#${trace.call} ${trace.time} ${trace.outcome}${count}${latency}${prompt}`;
+}
+
+/**
+ * Multi-line, human-readable view of one trace.
+ * @param {object} trace
+ * @returns {string}
+ */
+export function formatTrace(trace) {
+  const lines = [formatTraceLine(trace)];
+  const add = (label, text) => lines.push(`  ${label}: ${text}`);
+  add("session", `${trace.sessionKey || "none"}${trace.agentId ? ` (agent ${trace.agentId})` : ""}${trace.profile ? `, profile ${trace.profile}` : ""}`);
+  if (trace.error) add("error", trace.error);
+  if (trace.skip) add("skip", `${trace.skip.reason} (${trace.skip.chars} chars)`);
+  if (trace.query) add("query", `"${trace.query.text}"${trace.query.synthesizedTerms ? ` (+${trace.query.synthesizedTerms} context terms)` : ""}`);
+  if (trace.cache) {
+    const stale = trace.cache.stale ? `, ${trace.cache.stale} stale dropped` : "";
+    add("cache", `${trace.cache.hit ? `hit (${trace.cache.results} results)` : "miss"}, scope "${trace.cache.scope}"${stale}`);
+  }
+  if (trace.search) {
+    const stages = Object.entries(trace.search.stages).map(([name, s]) => `${name} ${s.status} ${s.ms}ms`).join(", ");
+    add("search", `${stages} (fetch ${trace.search.fetchCount})`);
+  }
+  if (trace.vector) add("vector", formatList(trace.vector));
+  if (trace.fts) add("fts", formatList(trace.fts));
+  if (trace.fallback) add("fallback", "fts-only");
+  if (trace.boosts?.length) add("boosts", trace.boosts.map((b) => `${b.key} ${b.from.toFixed(3)}→${b.to.toFixed(3)} (fts ${b.fts.toFixed(3)})`).join(", "));
+  if (trace.rrf) add("rrf", trace.rrf.map((r) => `${r.key} ${Object.entries(r.ranks).map(([sig, rank]) => `${sig}#${rank ?? "-"}`).join(" ")}`).join(", "));
+  if (trace.decay?.length) add("decay", trace.decay.map((d) => `${d.key} ×${d.factor.toFixed(3)}`).join(", "));
+  if (trace.temporal) {
+    const t = trace.temporal;
+    add("temporal", `${t.start} → ${t.end}: ${t.action}, ${t.inWindow} in-window, ${t.outOfWindow} out, ${t.undated} undated`);
+  }
+  if (trace.utility?.length) add("utility", trace.utility.map((u) => `${u.key} ${u.utility.toFixed(3)}`).join(", "));
+  if (trace.adaptive) add("adaptive", `${trace.adaptive.in} → ${trace.adaptive.out}`);
+  if (trace.mmr) add("mmr", `${trace.mmr.in} → picked ${trace.mmr.picked.join(", ") || "none"}`);
+  if (trace.dedup?.suppressed.length) add("dedup", `already injected ${trace.dedup.suppressed.join(", ")}`);
+  if (trace.results) add("results", formatList(trace.results));
+  if (trace.context) add("context", `${trace.context.chars} chars`);
+  return lines.join("\n");
+}
@@ -0,0 +1,380 @@
+/**
+ * Offline retrieval evaluation — replay labelled prompts through the full
+ * createHandler pipeline and score what it would have injected.
+ *
+ * Inputs:
+ *   - a fixture SQLite memory DB in OpenClaw's chunks_fts layout (FTS5 runs
+ *     against it for real)
+ *   - a JSONL file of cases, one per line:
+ *       { "id": "deploy-1", "prompt": "how do we deploy the gateway?",
+ *         "expected": ["memory/ops.md:10-24", "memory/2026-02-12.md"],
+ *         "vector": [{ "path": "memory/ops.md", "lines": "10-24", "score": 0.71 }],
+ *         "messages": [...] }
+ *     `expected` lists relevant chunks as "path", "path:start-end" or
+ *     { path, startLine, endLine } (empty = the prompt should inject nothing).
+ *     `vector` holds recorded memory-core scores; without it every fixture
+ *     chunk is scored by a local similarity function. `messages` feeds
+ *     follow-up query synthesis.
+ *   - config variants to compare, each a partial plugin config.
+ *
+ * Each variant reports recall@k, MRR and nDCG@k over labelled cases, the
+ * share of labelled cases that injected anything, and the share of
+ * unlabelled cases that injected something anyway (false injections).
+ */
+
+import { readFileSync } from "node:fs";
+import { createHandler } from "./hook-handler.js";
+import { resolveConfig } from "./config-schema.js";
+import { createAnalyzer } from "./analyzer.js";
+import { chunkLines } from "./chunk-identity.js";
+import { resetManager } from "./memory-client.js";
+
+/** Default cut-off for recall@k and nDCG@k */
+export const DEFAULT_EVAL_K = 3;
+
+/**
+ * @typedef {object} ExpectedChunk
+ * @property {string} path
+ * @property {number|null} start - First line (null = any chunk of the file)
+ * @property {number|null} end
+ */
+
+/**
+ * @typedef {object} EvalCase
+ * @property {string} id
+ * @property {string} prompt
+ * @property {ExpectedChunk[]} expected
+ * @property {Array<object>|null} vector - Recorded vector results
+ * @property {Array<object>|undefined} messages - Conversation before the prompt
+ */
+
+/** Parse "start-end" into numbers, or null */
+function parseRange(lines) {
+  const m = /^(\d+)-(\d+)$/.exec(String(lines || ""));
+  return m ? { start: Number(m[1]), end: Number(m[2]) } : null;
+}
+
+/**
+ * Normalize one expected-chunk entry.
+ *
+ * @param {string|{path: string, startLine?: number, endLine?: number, lines?: string}} entry
+ * @returns {ExpectedChunk}
+ */
+export function parseExpected(entry) {
+  if (typeof entry === "string") {
+    const m = /^(.*):(\d+)-(\d+)$/.exec(entry);
+    return m ? { path: m[1], start: Number(m[2]), end: Number(m[3]) } : { path: entry, start: null, end: null };
+  }
+  if (!entry || typeof entry.path !== "string") throw new Error(`expected entry needs a path: ${JSON.stringify(entry)}`);
+  const range = parseRange(chunkLines(entry));
+  return { path: entry.path, start: range?.start ?? null, end: range?.end ?? null };
+}
+
+/**
+ * Read evaluation cases from a JSONL file. Blank lines and lines starting
+ * with "#" are skipped.
+ *
+ * @param {string} filePath
+ * @returns {EvalCase[]} (throws on a malformed line, naming it)
+ */
+export function loadCases(filePath) {
+  const cases = [];
+  const lines = readFileSync(filePath, "utf8").split("\n");
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith("#")) continue;
+    try {
+      const raw = JSON.parse(line);
+      if (typeof raw.prompt !== "string" || raw.prompt === "") throw new Error("missing prompt");
+      cases.push({
+        id: raw.id != null ? String(raw.id) : `line ${i + 1}`,
+        prompt: raw.prompt,
+        expected: (raw.expected || []).map(parseExpected),
+        vector: Array.isArray(raw.vector) ? raw.vector : null,
+        messages: raw.messages,
+      });
+    } catch (err) {
+      throw new Error(`${filePath}:${i + 1}: ${err.message}`);
+    }
+  }
+  return cases;
+}
+
+/**
+ * All chunks in a fixture DB. fts-search.js is loaded lazily, so the rest
+ * of the harness loads without node:sqlite.
+ *
+ * @param {string} dbPath
+ * @returns {Promise<Array<{id: string|number|null, path: string, source: string, startLine: number, endLine: number, text: string}>>}
+ */
+export async function readChunks(dbPath) {
+  const { getConnection } = await import("./fts-search.js");
+  const rows = getConnection(dbPath)
+    .prepare("SELECT text, id, path, source, start_line, end_line FROM chunks_fts")
+    .all();
+  return rows.map((r) => ({
+    id: r.id,
+    path: r.path,
+    source: r.source || "memory",
+    startLine: r.start_line,
+    endLine: r.end_line,
+    text: r.text,
+  }));
+}
+
+/**
+ * Stand-in for embedding similarity: cosine of analyzed term counts.
+ *
+ * @param {string} query
+ * @param {string} text
+ * @param {import('./analyzer.js').Analyzer} [analyzer]
+ * @returns {number} 0-1
+ */
+export function lexicalSimilarity(query, text, analyzer = createAnalyzer()) {
+  const counts = (str) => {
+    const map = new Map();
+    for (const t of analyzer.tokenizeQuery(str || "")) map.set(t, (map.get(t) || 0) + 1);
+    return map;
+  };
+  const a = counts(query);
+  const b = counts(text);
+  if (a.size === 0 || b.size === 0) return 0;
+  let dot = 0;
+  for (const [t, n] of a) dot += n * (b.get(t) || 0);
+  const norm = (m) => Math.sqrt([...m.values()].reduce((sum, n) => sum + n * n, 0));
+  return dot / (norm(a) * norm(b));
+}
+
+/**
+ * Memory search tool stub: answers with the current case's recorded vector
+ * results, or scores every fixture chunk with the similarity function.
+ * Recorded results without text borrow it from the matching fixture chunk.
+ *
+ * @param {Array<object>} chunks - From readChunks
+ * @param {(query: string, text: string) => number} similarity
+ * @returns {{ tool: object, setCase: (c: EvalCase) => void }}
+ */
+export function createVectorStub(chunks, similarity) {
+  const byKey = new Map(chunks.map((c) => [`${c.path}:${c.startLine}-${c.endLine}`, c]));
+  let current = null;
+
+  function recorded(entries) {
+    return entries.map((r) => {
+      const lines = chunkLines(r);
+      const chunk = byKey.get(`${r.path}:${lines}`);
+      const range = parseRange(lines);
+      return {
+        id: r.id ?? chunk?.id,
+        path: r.path,
+        source: r.source || chunk?.source || "memory",
+        startLine: range?.start,
+        endLine: range?.end,
+        snippet: r.text ?? chunk?.text ?? "",
+        score: r.score,
+      };
+    });
+  }
+
+  const tool = {
+    async execute(id, { query, maxResults, minScore }) {
+      const scored = current?.vector
+        ? recorded(current.vector)
+        : chunks.map((c) => ({ ...c, snippet: c.text, score: similarity(query, c.text) }));
+      const results = scored
+        .filter((r) => typeof r.score === "number" && r.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, maxResults);
+      return { details: { results, count: results.length } };
+    },
+  };
+
+  return { tool, setCase: (c) => { current = c; } };
+}
+
+/** Whether an injected result is one of the expected chunks (overlapping lines) */
+function matches(result, expected) {
+  if (result.path !== expected.path) return false;
+  if (expected.start === null) return true;
+  const range = parseRange(chunkLines(result));
+  return !range || (range.start <= expected.end && range.end >= expected.start);
+}
+
+/**
+ * Ranking quality of one case. Each expected chunk counts once, at the
+ * first injected result that matches it.
+ *
+ * @param {Array<object>} injected - Injected results, in order
+ * @param {ExpectedChunk[]} expected
+ * @param {number} [k]
+ * @returns {{ recall: number, reciprocalRank: number, ndcg: number, hits: number }}
+ */
+export function scoreRanking(injected, expected, k = DEFAULT_EVAL_K) {
+  if (expected.length === 0) return { recall: 0, reciprocalRank: 0, ndcg: 0, hits: 0 };
+  const credited = new Set();
+  let firstRank = 0;
+  let dcg = 0;
+  let hits = 0;
+  injected.forEach((r, i) => {
+    const j = expected.findIndex((e, idx) => !credited.has(idx) && matches(r, e));
+    if (j === -1) return;
+    credited.add(j);
+    if (!firstRank) firstRank = i + 1;
+    if (i < k) {
+      hits++;
+      dcg += 1 / Math.log2(i + 2);
+    }
+  });
+  let idcg = 0;
+  for (let i = 0; i < Math.min(k, expected.length); i++) idcg += 1 / Math.log2(i + 2);
+  return {
+    recall: hits / expected.length,
+    reciprocalRank: firstRank ? 1 / firstRank : 0,
+    ndcg: idcg > 0 ? dcg / idcg : 0,
+    hits,
+  };
+}
+
+/**
+ * @typedef {object} VariantReport
+ * @property {string} name
+ * @property {number} cases - All cases
+ * @property {number} labelled - Cases with expected chunks
+ * @property {number} recall - Mean recall@k over labelled cases
+ * @property {number} mrr - Mean reciprocal rank over labelled cases
+ * @property {number} ndcg - Mean nDCG@k over labelled cases
+ * @property {number} injectionRate - Labelled cases that injected anything
+ * @property {number|null} falseInjectionRate - Unlabelled cases that injected anything (null without any)
+ * @property {Array<object>} details - Per case: id, injected chunk keys, scores
+ */
+
+/**
+ * Run every case through a fresh pipeline built from one config variant.
+ *
+ * The vector backend is stubbed, FTS5 reads the fixture DB, and each case
+ * gets its own session (so neither the cache nor session dedup carries over
+ * between cases).
+ *
+ * @param {string} name - Variant name
+ * @param {object} variant - Partial plugin config
+ * @param {EvalCase[]} cases
+ * @param {object} options
+ * @param {string} options.dbPath - Fixture DB
+ * @param {Array<object>} [options.chunks] - Fixture chunks (read from dbPath if absent)
+ * @param {number} [options.k=3]
+ * @param {(query: string, text: string) => number} [options.similarity] - Local vector stand-in (default lexicalSimilarity)
+ * @param {number} [options.now] - Pinned clock (ms) for decay and time windows
+ * @param {string} [options.workspaceDir] - Where the synonyms file is looked up
+ * @param {object} [options.logger] - Receives config warnings
+ * @returns {Promise<VariantReport>}
+ */
+export async function evaluateVariant(name, variant, cases, options) {
+  const { dbPath, k = DEFAULT_EVAL_K, now, workspaceDir = process.cwd() } = options;
+  const logger = options.logger || { debug() {}, info() {}, warn() {}, error() {} };
+  const chunks = options.chunks || await readChunks(dbPath);
+  const config = {
+    ...resolveConfig({ ...variant, ftsDbPath: dbPath }, logger),
+    // Isolate cases from each other and keep the run quiet
+    cacheScope: "session",
+    logInjections: false,
+    debugLogging: false,
+  };
+  const analyzer = createAnalyzer(config.analyzer || {});
+  const stub = createVectorStub(chunks, options.similarity || ((q, text) => lexicalSimilarity(q, text, analyzer)));
+
+  let captured = null;
+  const services = {
+    // Neutral tracker: records what was injected, blends no utility
+    utilityTracker: {
+      recordInjection: (sessionKey, injected) => { captured = injected; },
+      getUtilityScores: () => new Map(),
+    },
+    clock: now != null ? () => now : undefined,
+  };
+  const api = {
+    config: {},
+    pluginConfig: variant,
+    runtime: { tools: { createMemorySearchTool: () => stub.tool } },
+    logger,
+  };
+
+  resetManager();
+  const handler = createHandler(config, api, services);
+  const details = [];
+  try {
+    for (let i = 0; i < cases.length; i++) {
+      const c = cases[i];
+      stub.setCase(c);
+      captured = null;
+      const result = await handler(
+        { prompt: c.prompt, messages: c.messages },
+        { agentId: "eval", sessionKey: `eval:${name}:${i}`, workspaceDir }
+      );
+      const injected = result?.prependContext ? captured || [] : [];
+      details.push({
+        id: c.id,
+        labelled: c.expected.length > 0,
+        injected: injected.map((r) => `${r.path}:${chunkLines(r)}`),
+        ...scoreRanking(injected, c.expected, k),
+      });
+    }
+  } finally {
+    resetManager();
+  }
+
+  const labelled = details.filter((d) => d.labelled);
+  const unlabelled = details.filter((d) => !d.labelled);
+  const mean = (list, key) => (list.length ? list.reduce((sum, d) => sum + d[key], 0) / list.length : 0);
+  const rate = (list) => list.filter((d) => d.injected.length > 0).length / list.length;
+  return {
+    name,
+    cases: details.length,
+    labelled: labelled.length,
+    recall: mean(labelled, "recall"),
+    mrr: mean(labelled, "reciprocalRank"),
+    ndcg: mean(labelled, "ndcg"),
+    injectionRate: labelled.length ? rate(labelled) : 0,
+    falseInjectionRate: unlabelled.length ? rate(unlabelled) : null,
+    details,
+  };
+}
+
+/**
+ * Evaluate several config variants on the same cases.
+ *
+ * @param {Record<string, object>} variants - Name -> partial plugin config
+ * @param {EvalCase[]} cases
+ * @param {object} options - See evaluateVariant
+ * @returns {Promise<VariantReport[]>}
+ */
+export async function evaluateVariants(variants, cases, options) {
+  const chunks = options.chunks || await readChunks(options.dbPath);
+  const reports = [];
+  for (const [name, variant] of Object.entries(variants)) {
+    reports.push(await evaluateVariant(name, variant, cases, { ...options, chunks }));
+  }
+  return reports;
+}
+
+/**
+ * Comparison table of variant reports.
+ *
+ * @param {VariantReport[]} reports
+ * @param {number} [k]
+ * @returns {string}
+ */
+export function formatEvalReport(reports, k = DEFAULT_EVAL_K) {
+  const header = ["variant", "labelled", `recall@${k}`, "MRR", `nDCG@${k}`, "injected", "false inj."];
+  const pct = (x) => (x === null ? "-" : `${(x * 100).toFixed(1)}%`);
+  const rows = reports.map((r) => [
+    r.name,
+    `${r.labelled}/${r.cases}`,
+    r.recall.toFixed(3),
+    r.mrr.toFixed(3),
+    r.ndcg.toFixed(3),
+    pct(r.injectionRate),
+    pct(r.falseInjectionRate),
+  ]);
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((row) => row[i].length)));
+  const line = (cells) => cells.map((c, i) => (i === 0 ? c.padEnd(widths[i]) : c.padStart(widths[i]))).join("  ");
+  return [line(header), ...rows.map(line)].join("\n");
+}
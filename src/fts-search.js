@@ -9,60 +9,89 @@
  *
  * This module reads the existing chunks_fts FTS5 table (read-only) and uses
  * an OR-based query strategy with stop-word filtering and score normalization.
+ * The default unicode61 tokenizer indexes a whole Han/kana run as a single
+ * token, so CJK query bigrams can't go through MATCH; they are looked up as
+ * substrings of the chunk text instead.
+ *
+ * Connections are long-lived: one read-only DatabaseSync per resolved path,
+ * with prepared statements cached per connection. A connection is reopened
+ * when the file is replaced (new inode) or a query fails, and all are
+ * closed by closeFtsConnections() on shutdown. The same connection reports
+ * the index version (getIndexVersion) used to invalidate the prompt cache,
+ * and loads stored chunk embeddings (getChunkEmbeddings) for MMR diversity.
  *
  * Requires Node 22+ (node:sqlite built-in).
  */
 
 import { DatabaseSync } from "node:sqlite";
 import { resolve } from "node:path";
-import { existsSync } from "node:fs";
+import { existsSync, statSync } from "node:fs";
 import { homedir } from "node:os";
+import { tokenizeQuery, isCjkTerm } from "./analyzer.js";
+import { expandTerms } from "./synonyms.js";
+
+// Tokenization lives in analyzer.js (shared with query synthesis); re-exported here
+export { tokenizeQuery };
+
+/** Default score multiplier for chunks matched only through a synonym */
+export const DEFAULT_SYNONYM_WEIGHT = 0.7;
 
-// ---------------------------------------------------------------------------
-// Stop words — common English words that hurt FTS5 precision
-// ---------------------------------------------------------------------------
-const STOP_WORDS = new Set([
-  "a", "an", "the", "is", "are", "was", "were", "be", "been", "being",
-  "have", "has", "had", "do", "does", "did", "will", "would", "shall",
-  "should", "may", "might", "must", "can", "could",
-  "i", "me", "my", "we", "our", "you", "your", "he", "she", "it",
-  "they", "them", "their", "its", "this", "that", "these", "those",
-  "of", "in", "to", "for", "with", "on", "at", "from", "by", "about",
-  "as", "into", "through", "during", "before", "after", "above", "below",
-  "and", "but", "or", "nor", "not", "so", "if", "then", "than",
-  "when", "where", "how", "what", "which", "who", "whom", "why",
-  "all", "each", "every", "both", "few", "more", "most", "other",
-  "some", "such", "no", "only", "same", "just", "also", "very",
-  "up", "out", "over", "any", "here", "there",
-  "remember", "tell", "know", "think", "use", "using", "used",
-]);
-
-/**
- * Tokenize a query string into meaningful search terms.
- * Strips stop words and short tokens.
+/**
+ * Split a query into the FTS5 MATCH expressions that searchFts runs: the
+ * literal terms, and the synonym alternatives (scored lower). `expression`
+ * is the combined form with each term grouped with its alternatives, as
+ * logged for debugging. CJK terms are kept out of MATCH and returned as
+ * `substrings`.
  *
  * @param {string} query - Raw user query
- * @returns {string[]} Filtered tokens suitable for FTS5
+ * @param {import('./analyzer.js').Analyzer} [analyzer] - Tokenization, stop words, stemming (default: English)
+ * @param {import('./synonyms.js').SynonymDictionary} [synonyms] - Synonym/abbreviation dictionary
+ * @returns {{ literal: string|null, expanded: string|null, expression: string|null, substrings: string[] }}
  */
-export function tokenizeQuery(query) {
-  const tokens = (query || "").toLowerCase().match(/[a-z0-9_.-]+/g) || [];
-  return tokens.filter((t) => t.length >= 2 && !STOP_WORDS.has(t));
+export function buildFtsQueryParts(query, analyzer, synonyms) {
+  // Quote each term for exact matching in FTS5 (a multi-word synonym is a
+  // phrase); prefix terms ("deploy"*) let a stem match its inflections
+  const suffix = analyzer?.prefixQueries ? "*" : "";
+  const quote = (tokens) => `"${tokens.join(" ").replace(/"/g, "")}"${suffix}`;
+
+  const literal = new Set();
+  const expanded = new Set();
+  const substrings = new Set();
+  const groups = [];
+  for (const group of expandTerms(tokenizeQuery(query, analyzer), synonyms)) {
+    const terms = [];
+    for (const t of group.literal) {
+      if (isCjkTerm(t)) substrings.add(t);
+      else terms.push(quote([t]));
+    }
+    for (const term of terms) literal.add(term);
+    const alternatives = group.alternatives.map(quote);
+    for (const alt of alternatives) expanded.add(alt);
+    const members = [...terms, ...alternatives];
+    if (members.length === 0) continue;
+    groups.push(alternatives.length > 0 ? `(${members.join(" OR ")})` : members.join(" OR "));
+  }
+  for (const term of literal) expanded.delete(term);
+
+  return {
+    literal: literal.size > 0 ? [...literal].join(" OR ") : null,
+    expanded: expanded.size > 0 ? [...expanded].join(" OR ") : null,
+    expression: groups.length > 0 ? [...new Set(groups)].join(" OR ") : null,
+    substrings: [...substrings],
+  };
 }
 
 /**
- * Build an FTS5 MATCH expression using OR (not AND).
- * Returns null if no meaningful tokens remain after filtering.
+ * Build an FTS5 MATCH expression using OR (not AND), with each term grouped
+ * with its synonyms. Returns null if no meaningful tokens remain after filtering.
  *
  * @param {string} query - Raw user query
+ * @param {import('./analyzer.js').Analyzer} [analyzer] - Tokenization, stop words, stemming (default: English)
+ * @param {import('./synonyms.js').SynonymDictionary} [synonyms] - Synonym/abbreviation dictionary
  * @returns {string|null} FTS5 query string
  */
-export function buildFtsQuery(query) {
-  const tokens = tokenizeQuery(query);
-  if (tokens.length === 0) return null;
-
-  // Quote each token for exact matching in FTS5
-  const quoted = tokens.map((t) => `"${t.replace(/"/g, "")}"`);
-  return quoted.join(" OR ");
+export function buildFtsQuery(query, analyzer, synonyms) {
+  return buildFtsQueryParts(query, analyzer, synonyms).expression;
 }
 
 /**
@@ -89,9 +118,10 @@ export function normalizeRank(rank) {
  * @param {object} [options]
  * @param {string} [options.dbPath] - Explicit override
  * @param {string} [options.agentId] - Agent ID (defaults to "main")
+ * @param {boolean} [options.allowLegacy=true] - Fall back to the legacy shared main.sqlite
  * @returns {string|null} Resolved path, or null if not found
  */
-export function resolveDbPath({ dbPath, agentId = "main" } = {}) {
+export function resolveDbPath({ dbPath, agentId = "main", allowLegacy = true } = {}) {
   if (dbPath && existsSync(dbPath)) return dbPath;
 
   // Standard OpenClaw memory path
@@ -99,12 +129,219 @@ export function resolveDbPath({ dbPath, agentId = "main" } = {}) {
   if (existsSync(standard)) return standard;
 
   // Legacy path (single main.sqlite)
+  if (!allowLegacy) return null;
   const legacy = resolve(homedir(), ".openclaw", "memory", "main.sqlite");
   if (existsSync(legacy)) return legacy;
 
   return null;
 }
 
+const SEARCH_SQL =
+  `SELECT text, id, path, source, start_line, end_line, bm25(chunks_fts) AS rank
+     FROM chunks_fts
+    WHERE chunks_fts MATCH ?
+    ORDER BY rank ASC
+    LIMIT ?`;
+
+// CJK terms: count how many of the JSON-array terms each chunk contains.
+// No index helps a substring match, so it scans — only for queries with CJK
+// terms, and only the newest chunks (highest rowids) up to the scan limit.
+const SUBSTRING_SQL =
+  `SELECT text, id, path, source, start_line, end_line, hits
+     FROM (SELECT text, id, path, source, start_line, end_line,
+                  (SELECT count(*) FROM json_each(?) WHERE instr(recent.text, value) > 0) AS hits
+             FROM (SELECT text, id, path, source, start_line, end_line
+                     FROM chunks_fts
+                    ORDER BY rowid DESC
+                    LIMIT ?) AS recent)
+    WHERE hits > 0
+    ORDER BY hits DESC
+    LIMIT ?`;
+
+/** Default number of chunks the CJK substring scan reads */
+export const DEFAULT_SUBSTRING_SCAN_LIMIT = 10000;
+
+/**
+ * bm25 relevance credited per matched CJK bigram. A matched word scores
+ * about 3 in a typical memory index; the overlapping bigrams of one word
+ * match together, so each counts for half of that. normalizeRank() then
+ * puts substring matches on the same 0-1 scale as FTS5 matches.
+ */
+const CJK_BIGRAM_RELEVANCE = 1.5;
+
+/**
+ * Open read-only connections, keyed by resolved database path.
+ * @type {Map<string, { db: DatabaseSync, dev: number, ino: number, statements: Map<string, object> }>}
+ */
+const _connections = new Map();
+
+/**
+ * Get the shared read-only connection for a database file, reopening it
+ * if the file was replaced since it was opened. Throws if the file is gone
+ * or cannot be opened.
+ *
+ * @param {string} dbPath - Resolved database path
+ * @returns {{ db: DatabaseSync, prepare: (sql: string) => object }}
+ */
+export function getConnection(dbPath) {
+  const { dev, ino } = statSync(dbPath);
+  let conn = _connections.get(dbPath);
+  if (conn && (conn.dev !== dev || conn.ino !== ino)) {
+    closeConnection(dbPath);
+    conn = null;
+  }
+  if (!conn) {
+    const db = new DatabaseSync(dbPath, { open: true, readOnly: true });
+    conn = { db, dev, ino, statements: new Map() };
+    _connections.set(dbPath, conn);
+  }
+  const { db, statements } = conn;
+  return {
+    db,
+    prepare(sql) {
+      let stmt = statements.get(sql);
+      if (!stmt) {
+        stmt = db.prepare(sql);
+        statements.set(sql, stmt);
+      }
+      return stmt;
+    },
+  };
+}
+
+/**
+ * Close and forget the connection for one database path.
+ *
+ * @param {string} dbPath
+ */
+export function closeConnection(dbPath) {
+  const conn = _connections.get(dbPath);
+  if (!conn) return;
+  _connections.delete(dbPath);
+  try {
+    conn.db.close();
+  } catch {
+    // ignore close errors
+  }
+}
+
+/**
+ * Close all open connections (plugin shutdown).
+ */
+export function closeFtsConnections() {
+  for (const dbPath of [..._connections.keys()]) {
+    closeConnection(dbPath);
+  }
+}
+
+/**
+ * File signature for change detection: inode, mtime and size, or "-" if missing.
+ */
+function fileSignature(path) {
+  try {
+    const { ino, mtimeMs, size } = statSync(path);
+    return `${ino}:${mtimeMs}:${size}`;
+  } catch {
+    return "-";
+  }
+}
+
+/**
+ * Current version of a memory index, for invalidating cached retrievals.
+ * Changes whenever memory-core writes to the database: the main file and
+ * WAL signatures catch rewrites and appends, and `PRAGMA data_version`
+ * (which moves whenever another connection commits) catches in-place
+ * writes that keep the file size and a coarse mtime.
+ *
+ * @param {object} [options] - Same resolution options as resolveDbPath
+ * @param {string} [options.dbPath]
+ * @param {string} [options.agentId]
+ * @param {boolean} [options.allowLegacy]
+ * @returns {string|null} Opaque version string, or null if the index can't be found or read
+ */
+export function getIndexVersion(options = {}) {
+  const resolvedPath = resolveDbPath(options);
+  if (!resolvedPath) return null;
+  try {
+    const { data_version: dataVersion } = getConnection(resolvedPath).prepare("PRAGMA data_version").get();
+    return `${fileSignature(resolvedPath)}|${fileSignature(`${resolvedPath}-wal`)}|${dataVersion}`;
+  } catch {
+    closeConnection(resolvedPath);
+    return null;
+  }
+}
+
+/** Chunk ids per embedding query (well under SQLite's bound-parameter limit) */
+const EMBEDDING_BATCH = 100;
+
+/**
+ * Decode a stored embedding: memory-core writes a JSON array; a raw
+ * little-endian float32 BLOB is accepted too.
+ *
+ * @param {string|Uint8Array|null} value
+ * @returns {Float32Array|null}
+ */
+function decodeEmbedding(value) {
+  if (typeof value === "string") {
+    const arr = JSON.parse(value);
+    return Array.isArray(arr) && arr.length > 0 ? Float32Array.from(arr) : null;
+  }
+  if (value instanceof Uint8Array && value.byteLength > 0 && value.byteLength % 4 === 0) {
+    return new Float32Array(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength));
+  }
+  return null;
+}
+
+/**
+ * Load the stored embeddings of chunks by id from memory-core's `chunks`
+ * table. Chunks without a (decodable) embedding are left out, so callers
+ * can tell which results have vectors.
+ *
+ * @param {Array<string|number>} ids - Chunk ids
+ * @param {object} [options] - Same resolution options as resolveDbPath
+ * @param {string} [options.dbPath]
+ * @param {string} [options.agentId]
+ * @param {boolean} [options.allowLegacy]
+ * @returns {Map<string, Float32Array>} Chunk id (as a string) -> embedding; empty if the index can't be read
+ */
+export function getChunkEmbeddings(ids, options = {}) {
+  const embeddings = new Map();
+  const unique = [...new Set((ids || []).filter((id) => id != null && id !== "").map(String))];
+  if (unique.length === 0) return embeddings;
+
+  const resolvedPath = resolveDbPath(options);
+  if (!resolvedPath) return embeddings;
+
+  try {
+    const conn = getConnection(resolvedPath);
+    for (let i = 0; i < unique.length; i += EMBEDDING_BATCH) {
+      const batch = unique.slice(i, i + EMBEDDING_BATCH);
+      const sql = `SELECT id, embedding FROM chunks WHERE id IN (${batch.map(() => "?").join(", ")})`;
+      for (const row of conn.prepare(sql).all(...batch)) {
+        try {
+          const vector = decodeEmbedding(row.embedding);
+          if (vector) embeddings.set(String(row.id), vector);
+        } catch {
+          // Malformed embedding — leave this chunk out
+        }
+      }
+    }
+    return embeddings;
+  } catch {
+    // No chunks table (FTS-only index), locked or replaced file
+    closeConnection(resolvedPath);
+    return new Map();
+  }
+}
+
+/**
+ * Number of open connections (diagnostics/tests).
+ * @returns {number}
+ */
+export function openConnectionCount() {
+  return _connections.size;
+}
+
 /**
  * Search OpenClaw's FTS5 index directly.
  *
@@ -113,56 +350,89 @@ export function resolveDbPath({ dbPath, agentId = "main" } = {}) {
  * @param {number} [options.maxResults=5] - Max results to return
  * @param {string} [options.dbPath] - Override database path
  * @param {string} [options.agentId] - Agent ID (default "main")
+ * @param {boolean} [options.allowLegacy=true] - Fall back to the legacy shared main.sqlite
+ * @param {import('./analyzer.js').Analyzer} [options.analyzer] - Query analyzer (default: English)
+ * @param {import('./synonyms.js').SynonymDictionary} [options.synonyms] - Synonym/abbreviation dictionary
+ * @param {number} [options.synonymWeight=0.7] - Score multiplier for chunks matched only through a synonym
+ * @param {number} [options.substringScanLimit=10000] - Newest chunks the CJK substring match reads
  * @param {object} [options.logger] - Logger instance
- * @returns {Array<{text: string, path: string, startLine: number, endLine: number, score: number, source: string}>}
+ * @returns {Array<{text: string, id: string|null, path: string, startLine: number, endLine: number, score: number, source: string}>}
  */
 export function searchFts(query, options = {}) {
-  const { maxResults = 5, dbPath, agentId = "main", logger } = options;
+  const {
+    maxResults = 5,
+    dbPath,
+    agentId = "main",
+    allowLegacy = true,
+    analyzer,
+    synonyms,
+    synonymWeight = DEFAULT_SYNONYM_WEIGHT,
+    substringScanLimit = DEFAULT_SUBSTRING_SCAN_LIMIT,
+    logger,
+  } = options;
 
-  const ftsQuery = buildFtsQuery(query);
-  if (!ftsQuery) {
+  const { literal, expanded, substrings } = buildFtsQueryParts(query, analyzer, synonyms);
+  if (!literal && !expanded && substrings.length === 0) {
     return [];
   }
 
-  const resolvedPath = resolveDbPath({ dbPath, agentId });
+  const resolvedPath = resolveDbPath({ dbPath, agentId, allowLegacy });
   if (!resolvedPath) {
-    logger?.warn?.("hookclaw-fts: SQLite database not found");
+    logger?.warn?.(`hookclaw-fts: SQLite database not found${allowLegacy ? "" : ` for agent "${agentId}"`}`);
     return [];
   }
 
-  let db;
+  // Fetch extra, we'll score and re-rank. Synonym-only matches come from a
+  // second query so they can be scored below literal ones, CJK matches from
+  // a substring scan.
+  const run = () => {
+    const conn = getConnection(resolvedPath);
+    const stmt = conn.prepare(SEARCH_SQL);
+    return {
+      literalRows: literal ? stmt.all(literal, maxResults * 2) : [],
+      expandedRows: expanded ? stmt.all(expanded, maxResults * 2) : [],
+      substringRows: substrings.length > 0
+        ? conn.prepare(SUBSTRING_SQL).all(JSON.stringify(substrings), substringScanLimit, maxResults * 2)
+        : [],
+    };
+  };
+
   try {
-    db = new DatabaseSync(resolvedPath, { open: true, readOnly: true });
-
-    const rows = db
-      .prepare(
-        `SELECT text, path, source, start_line, end_line, bm25(chunks_fts) AS rank
-           FROM chunks_fts
-          WHERE chunks_fts MATCH ?
-          ORDER BY rank ASC
-          LIMIT ?`
-      )
-      .all(ftsQuery, maxResults * 2); // Fetch extra, we'll score and re-rank
-
-    return rows
-      .map((row) => ({
-        text: row.text,
-        path: row.path,
-        startLine: row.start_line,
-        endLine: row.end_line,
-        source: row.source || "memory",
-        score: normalizeRank(row.rank),
-      }))
+    let rows;
+    try {
+      rows = run();
+    } catch {
+      // Stale handle (file rewritten in place, locked, truncated) — reopen once
+      closeConnection(resolvedPath);
+      rows = run();
+    }
+
+    const toResult = (row, score) => ({
+      text: row.text,
+      id: row.id ?? null,
+      path: row.path,
+      startLine: row.start_line,
+      endLine: row.end_line,
+      source: row.source || "memory",
+      score,
+    });
+    // A chunk found both ways keeps its better score
+    const byChunk = new Map();
+    const add = (result) => {
+      const key = result.id ?? `${result.path}:${result.startLine}-${result.endLine}`;
+      const existing = byChunk.get(key);
+      if (!existing || existing.score < result.score) byChunk.set(key, result);
+    };
+    for (const row of rows.literalRows) add(toResult(row, normalizeRank(row.rank)));
+    for (const row of rows.expandedRows) add(toResult(row, normalizeRank(row.rank) * synonymWeight));
+    for (const row of rows.substringRows) add(toResult(row, normalizeRank(-row.hits * CJK_BIGRAM_RELEVANCE)));
+
+    return [...byChunk.values()]
       .sort((a, b) => b.score - a.score)
       .slice(0, maxResults);
   } catch (err) {
+    closeConnection(resolvedPath);
     logger?.warn?.(`hookclaw-fts: search failed — ${err.message}`);
     return [];
-  } finally {
-    try {
-      db?.close();
-    } catch {
-      // ignore close errors
-    }
   }
 }
@@ -7,11 +7,27 @@
  * Retains temporal decay, skip patterns, fuzzy cache, MMR diversity.
  */
 
-import { searchMemories } from "./memory-client.js";
-import { formatContext } from "./context-formatter.js";
+import { searchMemoriesWithStatus } from "./memory-client.js";
+import { formatContext, isValidTemplate } from "./context-formatter.js";
+import { withFallbackEstimator } from "./token-budget.js";
+import { chunkKey, chunkLines, dedupeChunks } from "./chunk-identity.js";
+import { createDeadline } from "./deadline.js";
+import { normalizeAgentStores, mergeStoreResults, combineStatuses } from "./agent-stores.js";
+import { createAnalyzer, tokenize, jaccardSimilarity } from "./analyzer.js";
+import { loadSynonyms } from "./synonyms.js";
+import { normalizeProfiles, matchProfile } from "./profiles.js";
+import { PromptCache, CACHE_EVICTION_POLICIES } from "./prompt-cache.js";
+import { DEFAULTS, validateConfig } from "./config-schema.js";
+import { createShadowHandler, createShadowServices, shadowOverrides } from "./shadow.js";
+import { createTrace, traceResults, traceText, traceDecay, traceBoosts, traceUtility } from "./decision-trace.js";
+import { resolve as resolvePath, isAbsolute } from "node:path";
+import { pathToFileURL } from "node:url";
 
 let _callCount = 0;
 
+const CACHE_SCOPES = ["global", "agent", "session"];
+const MMR_SIMILARITIES = ["jaccard", "embedding"];
+
 // ---------------------------------------------------------------------------
 // Default skip patterns — prompts that never benefit from memory injection
 // ---------------------------------------------------------------------------
@@ -89,118 +105,96 @@ export function applyTemporalDecay(results, halfLifeHours = 168, now = Date.now(
 }
 
 // ---------------------------------------------------------------------------
-// Fuzzy semantic cache — Jaccard similarity on word tokens
+// Temporal window — filter/boost results against a parsed time expression
 // ---------------------------------------------------------------------------
 
-/**
- * Tokenize a string into lowercase word tokens.
- * @param {string} str
- * @returns {Set<string>}
- */
-export function tokenize(str) {
-  const tokens = str.toLowerCase().match(/\b\w+\b/g);
-  return new Set(tokens || []);
-}
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
- * Compute Jaccard similarity between two token sets.
- * @param {Set<string>} a
- * @param {Set<string>} b
- * @returns {number} 0-1
+ * Resolve the time span a chunk covers.
+ * Prefers explicit chunk metadata (updatedAt/date), falling back to the
+ * date in the path. Path dates are day-granular, so they cover a full day.
+ *
+ * @param {{path?: string, updatedAt?: number|string, date?: number|string|Date}} result
+ * @returns {{ start: number, end: number } | null}
  */
-export function jaccardSimilarity(a, b) {
-  if (a.size === 0 && b.size === 0) return 1;
-  if (a.size === 0 || b.size === 0) return 0;
-
-  let intersection = 0;
-  const smaller = a.size <= b.size ? a : b;
-  const larger = a.size <= b.size ? b : a;
-  for (const token of smaller) {
-    if (larger.has(token)) intersection++;
+export function getChunkTimeSpan(result) {
+  const meta = result?.updatedAt ?? result?.date;
+  if (meta !== undefined && meta !== null && meta !== "") {
+    const t = meta instanceof Date ? meta.getTime() : new Date(meta).getTime();
+    if (!isNaN(t)) return { start: t, end: t };
   }
-  return intersection / (a.size + b.size - intersection);
+  const pathDate = parseDateFromPath(result?.path);
+  if (!pathDate) return null;
+  const start = pathDate.getTime();
+  return { start, end: start + DAY_MS - 1 };
 }
 
-// ---------------------------------------------------------------------------
-// Prompt dedup LRU cache with fuzzy matching
-// ---------------------------------------------------------------------------
-const DEFAULT_CACHE_SIZE = 20;
-const DEFAULT_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
-const DEFAULT_FUZZY_THRESHOLD = 0.85;
-
-class PromptCache {
-  constructor(maxSize = DEFAULT_CACHE_SIZE, ttlMs = DEFAULT_CACHE_TTL_MS, fuzzyThreshold = DEFAULT_FUZZY_THRESHOLD) {
-    this._maxSize = maxSize;
-    this._ttlMs = ttlMs;
-    this._fuzzyThreshold = fuzzyThreshold;
-    /** @type {Map<string, { results: Array, ts: number, tokens: Set<string> }>} */
-    this._map = new Map();
-  }
-
-  get(key) {
-    // Exact match first
-    const entry = this._map.get(key);
-    if (entry) {
-      if (Date.now() - entry.ts > this._ttlMs) {
-        this._map.delete(key);
-      } else {
-        // Move to end (most recently used)
-        this._map.delete(key);
-        this._map.set(key, entry);
-        return entry.results;
-      }
-    }
-
-    // Fuzzy match: compare against cached entries
-    if (this._fuzzyThreshold < 1.0) {
-      const keyTokens = tokenize(key);
-      let bestMatch = null;
-      let bestSim = 0;
-
-      for (const [cachedKey, cachedEntry] of this._map) {
-        if (Date.now() - cachedEntry.ts > this._ttlMs) {
-          this._map.delete(cachedKey);
-          continue;
-        }
-        const sim = jaccardSimilarity(keyTokens, cachedEntry.tokens);
-        if (sim >= this._fuzzyThreshold && sim > bestSim) {
-          bestSim = sim;
-          bestMatch = cachedEntry;
-        }
-      }
-
-      if (bestMatch) {
-        // Refresh LRU position: delete and re-insert to move to end
-        const matchKey = [...this._map.entries()]
-          .find(([, v]) => v === bestMatch)?.[0];
-        if (matchKey) {
-          this._map.delete(matchKey);
-          this._map.set(matchKey, bestMatch);
-        }
-        return bestMatch.results;
-      }
-    }
-
-    return undefined;
+/**
+ * Apply a parsed temporal window ({ startDate, endDate }) to scored results.
+ *
+ * - In-window results get an additive boost (capped at 1), or with
+ *   `relative` are scaled by 1 + boost. Rank-derived scores (RRF) need the
+ *   relative form: an absolute +0.2 would swamp their scale.
+ * - Undated results are left untouched.
+ * - Out-of-window results are dropped in "restrict" mode when at least one
+ *   in-window result exists; otherwise they are demoted by demoteFactor.
+ *
+ * @param {Array<{score: number, path?: string}>} results - Score-sorted results
+ * @param {{ startDate: Date, endDate: Date } | null} window
+ * @param {object} [options]
+ * @param {"restrict"|"boost"} [options.mode="restrict"]
+ * @param {number} [options.boost=0.2] - Additive boost for in-window results
+ * @param {number} [options.demoteFactor=0.8] - Multiplier for out-of-window results
+ * @param {boolean} [options.relative=false] - Scale in-window scores by 1 + boost instead of adding it
+ * @returns {{ results: Array, inWindow: number, outOfWindow: number, undated: number, action: string }}
+ */
+export function applyTemporalWindow(
+  results,
+  window,
+  { mode = "restrict", boost = 0.2, demoteFactor = 0.8, relative = false } = {}
+) {
+  const list = results || [];
+  if (!window || list.length === 0) {
+    return { results: list, inWindow: 0, outOfWindow: 0, undated: 0, action: "none" };
   }
 
-  set(key, results) {
-    if (this._map.has(key)) this._map.delete(key);
-    this._map.set(key, { results, ts: Date.now(), tokens: tokenize(key) });
-    // Evict oldest if over capacity
-    if (this._map.size > this._maxSize) {
-      const oldest = this._map.keys().next().value;
-      this._map.delete(oldest);
+  const winStart = window.startDate.getTime();
+  const winEnd = window.endDate.getTime();
+  const inWindow = [];
+  const outOfWindow = [];
+  const undated = [];
+
+  for (const r of list) {
+    const span = getChunkTimeSpan(r);
+    if (!span) undated.push({ ...r });
+    else if (span.end >= winStart && span.start <= winEnd) {
+      const score = relative ? r.score * (1 + boost) : Math.min(1, r.score + boost);
+      inWindow.push({ ...r, _temporal: "in", score });
+    } else {
+      outOfWindow.push({ ...r, _temporal: "out" });
     }
   }
 
-  clear() {
-    this._map.clear();
+  let action;
+  let kept;
+  if (inWindow.length > 0 && mode === "restrict") {
+    action = "restrict";
+    kept = [...inWindow, ...undated];
+  } else {
+    action = inWindow.length > 0 ? "boost" : "demote";
+    for (const r of outOfWindow) r.score = r.score * demoteFactor;
+    kept = [...inWindow, ...undated, ...outOfWindow];
   }
 
-  get size() {
-    return this._map.size;
-  }
+  kept.sort((a, b) => b.score - a.score);
+  return {
+    results: kept,
+    inWindow: inWindow.length,
+    outOfWindow: outOfWindow.length,
+    undated: undated.length,
+    action,
+  };
 }
 
 // ---------------------------------------------------------------------------
@@ -208,13 +202,60 @@ class PromptCache {
 // ---------------------------------------------------------------------------
 
 /**
- * Compute text similarity between two chunks using Jaccard on word tokens.
- * @param {string} textA
- * @param {string} textB
- * @returns {number} 0-1
+ * Cosine similarity of two vectors, or null if they can't be compared
+ * (different dimensions, zero vector).
+ *
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @returns {number|null} -1 to 1
  */
-function textSimilarity(textA, textB) {
-  return jaccardSimilarity(tokenize(textA || ""), tokenize(textB || ""));
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) return null;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return null;
+  return dot / Math.sqrt(normA * normB);
+}
+
+/**
+ * Pairwise similarity matrix for MMR, computed once per call.
+ *
+ * Uses cosine similarity of stored chunk embeddings when every result has
+ * one (paraphrases score high, shared boilerplate doesn't); otherwise
+ * Jaccard over word tokens for all pairs, so every pair is on one scale.
+ * The same chunk reached via two signals is always a full duplicate.
+ *
+ * @param {Array<object>} results
+ * @param {Map<string, ArrayLike<number>>} [embeddings] - Chunk key -> embedding
+ * @param {import('./analyzer.js').Analyzer} [analyzer] - Word tokenization for Jaccard (default: English)
+ * @returns {{ matrix: Float64Array, method: "embedding"|"jaccard" }} Row-major n×n matrix
+ */
+export function similarityMatrix(results, embeddings, analyzer) {
+  const n = results.length;
+  const keys = results.map((r) => chunkKey(r));
+  const vectors = embeddings ? keys.map((k) => embeddings.get(k)) : [];
+  const useEmbeddings = n > 0 && vectors.length === n && vectors.every((v) => v && v.length === vectors[0].length);
+  const tokens = useEmbeddings ? null : results.map((r) => tokenize(r.text || "", analyzer));
+
+  const matrix = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    matrix[i * n + i] = 1;
+    for (let j = i + 1; j < n; j++) {
+      let sim;
+      if (keys[i] === keys[j]) sim = 1;
+      else if (useEmbeddings) sim = Math.max(0, cosineSimilarity(vectors[i], vectors[j]) ?? 0);
+      else sim = jaccardSimilarity(tokens[i], tokens[j]);
+      matrix[i * n + j] = sim;
+      matrix[j * n + i] = sim;
+    }
+  }
+  return { matrix, method: useEmbeddings ? "embedding" : "jaccard" };
 }
 
 /**
@@ -225,30 +266,32 @@ function textSimilarity(textA, textB) {
  * @param {Array<{text: string, score: number}>} results - Score-sorted results
  * @param {number} lambda - Balance between relevance and diversity (0-1, default 0.7)
  * @param {number} [maxResults] - Maximum results to return
+ * @param {object} [options]
+ * @param {Map<string, ArrayLike<number>>} [options.embeddings] - Chunk key -> stored embedding (see similarityMatrix)
+ * @param {import('./analyzer.js').Analyzer} [options.analyzer] - Word tokenization for Jaccard
  * @returns {Array} Diverse subset
  */
-export function mmrFilter(results, lambda = 0.7, maxResults = Infinity) {
+export function mmrFilter(results, lambda = 0.7, maxResults = Infinity, { embeddings, analyzer } = {}) {
   if (!results || results.length <= 1) return results || [];
 
+  const n = results.length;
+  const { matrix } = similarityMatrix(results, embeddings, analyzer);
+
+  // Max similarity of each result to anything selected so far
+  const maxSim = new Float64Array(n);
+  const remaining = new Set();
+  for (let i = 1; i < n; i++) {
+    remaining.add(i);
+    maxSim[i] = matrix[i];
+  }
   const selected = [results[0]];
-  const candidates = results.slice(1);
 
-  while (selected.length < maxResults && candidates.length > 0) {
+  while (selected.length < maxResults && remaining.size > 0) {
     let bestIdx = -1;
     let bestMmr = -Infinity;
 
-    for (let i = 0; i < candidates.length; i++) {
-      const candidate = candidates[i];
-      const relevance = candidate.score;
-
-      // Max similarity to any already-selected item
-      let maxSim = 0;
-      for (const sel of selected) {
-        const sim = textSimilarity(candidate.text, sel.text);
-        if (sim > maxSim) maxSim = sim;
-      }
-
-      const mmrScore = lambda * relevance - (1 - lambda) * maxSim;
+    for (const i of remaining) {
+      const mmrScore = lambda * results[i].score - (1 - lambda) * maxSim[i];
       if (mmrScore > bestMmr) {
         bestMmr = mmrScore;
         bestIdx = i;
@@ -256,8 +299,12 @@ export function mmrFilter(results, lambda = 0.7, maxResults = Infinity) {
     }
 
     if (bestIdx === -1) break;
-    selected.push(candidates[bestIdx]);
-    candidates.splice(bestIdx, 1);
+    selected.push(results[bestIdx]);
+    remaining.delete(bestIdx);
+    for (const i of remaining) {
+      const sim = matrix[i * n + bestIdx];
+      if (sim > maxSim[i]) maxSim[i] = sim;
+    }
   }
 
   return selected;
@@ -287,46 +334,236 @@ export function adaptiveFilter(results, maxResults) {
   return results.slice(0, maxResults);
 }
 
+/** Fallback results below this fraction of the top keyword score are dropped */
+const FALLBACK_RELATIVE_CUT = 0.6;
+
+/**
+ * Adaptive cut for keyword-only fallback results. FTS5 scores are a sigmoid
+ * of the BM25 rank — relative to the corpus, not calibrated like cosine
+ * similarity — so the cut is an absolute floor plus a relative one:
+ *   top score < minScore          -> keep nothing (weak keyword overlap)
+ *   score < 0.6 * top score       -> dropped (long tail of partial matches)
+ *
+ * @param {Array<{score: number}>} results - FTS5 results, best first
+ * @param {number} maxResults - configured upper bound
+ * @param {number} [minScore=0.5] - Minimum FTS5 score
+ * @returns {Array}
+ */
+export function fallbackFilter(results, maxResults, minScore = 0.5) {
+  if (!results || results.length === 0) return [];
+
+  const topScore = results[0]?.score ?? 0;
+  if (topScore < minScore) return [];
+
+  const cut = Math.max(minScore, topScore * FALLBACK_RELATIVE_CUT);
+  return results.filter((r) => r.score >= cut).slice(0, maxResults);
+}
+
+// ---------------------------------------------------------------------------
+// Utility blend — feedback-loop scores nudge the ranking
+// ---------------------------------------------------------------------------
+
+/**
+ * Blend utility scores (from UtilityTracker) into result scores.
+ * Utility 0.5 is neutral; each result is scaled by
+ *   1 + weight * 2 * (max(utility, floor) - 0.5)
+ * so chunks that are retrieved often but never cited sink, while the floor
+ * keeps a cold start of uncited retrievals from burying a chunk entirely.
+ *
+ * @param {Array<{score: number, path?: string, text?: string}>} results
+ * @param {Map<string, number>} utilityScores - chunkKey -> utility (see UtilityTracker.getUtilityScores)
+ * @param {object} [options]
+ * @param {number} [options.weight=0.2] - Blend strength (0 = off, 1 = utility scales scores between 0x and 2x)
+ * @param {number} [options.floor=0.2] - Minimum utility used for blending
+ * @param {number} [options.cap=1] - Highest blended score (Infinity for rank-derived RRF scores, so the top isn't flattened)
+ * @returns {Array} Results with adjusted scores, re-sorted
+ */
+export function applyUtilityBlend(results, utilityScores, { weight = 0.2, floor = 0.2, cap = 1 } = {}) {
+  if (!results || results.length === 0) return [];
+  if (!utilityScores || utilityScores.size === 0 || weight <= 0) return results;
+
+  const blended = results.map((r) => {
+    const utility = utilityScores.get(chunkKey(r));
+    if (utility === undefined) return r;
+    const factor = 1 + weight * 2 * (Math.max(utility, floor) - 0.5);
+    return { ...r, _utility: utility, score: Math.min(cap, r.score * factor) };
+  });
+
+  blended.sort((a, b) => b.score - a.score);
+  return blended;
+}
+
 /**
  * Create the hook handler with the given plugin config and API.
+ * Options missing from config take their defaults from src/config-schema.js.
  *
  * @param {object} config - Resolved plugin configuration
  * @param {object} api - OpenClaw plugin API
+ * @param {object} [services] - Shared runtime services, populated by index.js (may fill in after startup)
+ * @param {import('./utility-tracker.js').UtilityTracker} [services.utilityTracker] - Feedback-loop tracker
+ * @param {import('./metrics.js').MetricsCollector} [services.metrics] - Outcome/latency collector
+ * @param {import('./injection-ledger.js').InjectionLedger} [services.injectionLedger] - Per-session record of injected chunks
+ * @param {PromptCache} [services.promptCache] - Retrieval cache (shared with /hookclaw flush; created here if absent)
+ * @param {() => number} [services.clock] - Current time in ms for decay and time windows (default Date.now; the evaluation harness pins it)
+ * @param {import('./decision-trace.js').TraceWriter} [services.traceWriter] - Receives one decision trace per call (enableTrace)
  * @returns {Function} Hook handler function matching PluginHookHandlerMap["before_agent_start"]
  */
-export function createHandler(config, api) {
+export function createHandler(config, api, services = {}) {
+  const primary = createProfileHandler(config, api, services);
+  if (!config.shadowConfig) return primary;
+
+  // Shadow mode: the same prompts through an alternate config, compared after the fact
+  const overrides = validateConfig(shadowOverrides(config.shadowConfig, api.logger), api.logger, "shadowConfig");
+  const shadowConfig = { ...config, ...overrides, shadowConfig: null, logInjections: false, debugLogging: false };
+  const shadow = createProfileHandler(shadowConfig, api, createShadowServices(services, shadowConfig));
+  return createShadowHandler(primary, shadow, {
+    sampleRate: config.shadowSampleRate ?? DEFAULTS.shadowSampleRate,
+    services,
+    logger: api.logger,
+    logComparisons: config.logInjections ?? DEFAULTS.logInjections,
+  });
+}
+
+/**
+ * The base pipeline, plus one per profile when profiles are configured.
+ *
+ * @param {object} config - Resolved plugin configuration
+ * @param {object} api - OpenClaw plugin API
+ * @param {object} services - See createHandler
+ * @returns {Function} Handler taking (event, ctx, call)
+ */
+function createProfileHandler(config, api, services) {
+  const profiles = normalizeProfiles(config.profiles, api.logger);
+  const base = createPipelineHandler(config, api, services);
+  if (!profiles) return base;
+
+  // One pipeline per profile, built up front so option warnings show at startup.
+  // They share services (cache, ledger, metrics, tracker) with the base config,
+  // so normalizeProfiles drops the options that configure those; each keeps
+  // its own cache partition, invalidated by its own index version.
+  const pipelines = new Map(
+    profiles.map((p) => {
+      const options = validateConfig(p.options, api.logger, `profile "${p.name}"`);
+      return [p.name, createPipelineHandler({ ...config, ...options }, api, services, p.name)];
+    })
+  );
+
+  /**
+   * Pick the profile for this prompt's context, then run its pipeline.
+   *
+   * @param {import('openclaw/plugin-sdk').PluginHookBeforeAgentStartEvent} event
+   * @param {import('openclaw/plugin-sdk').PluginHookAgentContext} ctx
+   * @param {object} [call] - See the pipeline handler
+   * @returns {Promise<import('openclaw/plugin-sdk').PluginHookBeforeAgentStartResult | void>}
+   */
+  return async function handleBeforeAgentStart(event, ctx, call) {
+    const profile = matchProfile(profiles, ctx);
+    return (profile ? pipelines.get(profile.name) : base)(event, ctx, call);
+  };
+}
+
+/**
+ * Build the retrieval pipeline for one resolved config.
+ *
+ * @param {object} config - Resolved plugin configuration (profile overrides applied)
+ * @param {object} api - OpenClaw plugin API
+ * @param {object} services - See createHandler
+ * @param {string|null} [profileName] - Profile this pipeline serves (null = base config)
+ * @returns {Function} Hook handler function
+ */
+function createPipelineHandler(config, api, services, profileName = null) {
   const {
-    maxResults = 5,
-    minScore = 0.3,
-    maxContextChars = 4000,
-    timeoutMs = 2000,
-    logInjections = true,
-    formatTemplate = "xml",
-    skipShortPrompts = 10,
-    cacheSize = DEFAULT_CACHE_SIZE,
-    cacheTtlMs = DEFAULT_CACHE_TTL_MS,
-    adaptiveResults = true,
+    maxResults = DEFAULTS.maxResults,
+    minScore = DEFAULTS.minScore,
+    maxContextChars = DEFAULTS.maxContextChars,
+    // Token budget — takes precedence over maxContextChars when set
+    maxContextTokens = DEFAULTS.maxContextTokens,
+    tokenEstimator = DEFAULTS.tokenEstimator,
+    timeoutMs = DEFAULTS.timeoutMs,
+    logInjections = DEFAULTS.logInjections,
+    formatTemplate = DEFAULTS.formatTemplate,
+    contextTemplate = DEFAULTS.contextTemplate,
+    skipShortPrompts = DEFAULTS.skipShortPrompts,
+    cacheSize = DEFAULTS.cacheSize,
+    cacheTtlMs = DEFAULTS.cacheTtlMs,
+    adaptiveResults = DEFAULTS.adaptiveResults,
     // v2.0 config
-    halfLifeHours = 24,
-    skipPatterns = null,
-    enableSkipPatterns = true,
-    mmrLambda = 0.7,
-    enableMmr = true,
-    fuzzyCacheThreshold = DEFAULT_FUZZY_THRESHOLD,
-    enableTemporalParsing = false,
+    halfLifeHours = DEFAULTS.halfLifeHours,
+    skipPatterns = DEFAULTS.skipPatterns,
+    enableSkipPatterns = DEFAULTS.enableSkipPatterns,
+    mmrLambda = DEFAULTS.mmrLambda,
+    enableMmr = DEFAULTS.enableMmr,
+    // MMR redundancy measure: "jaccard" (word overlap) or "embedding" (stored chunk vectors)
+    mmrSimilarity = DEFAULTS.mmrSimilarity,
+    fuzzyCacheThreshold = DEFAULTS.fuzzyCacheThreshold,
+    cacheEviction = DEFAULTS.cacheEviction,
+    cacheMaxBytes = DEFAULTS.cacheMaxBytes,
+    invalidateCacheOnIndexChange = DEFAULTS.invalidateCacheOnIndexChange,
+    // Cache partition: "global" (shared), "agent" (per agent id), "session" (per session key)
+    cacheScope = DEFAULTS.cacheScope,
+    enableTemporalParsing = DEFAULTS.enableTemporalParsing,
+    temporalFilterMode = DEFAULTS.temporalFilterMode,
+    temporalBoost = DEFAULTS.temporalBoost,
+    temporalDemoteFactor = DEFAULTS.temporalDemoteFactor,
+    temporalOverfetch = DEFAULTS.temporalOverfetch,
+    // Conversation-aware query synthesis for follow-up prompts
+    enableQuerySynthesis = DEFAULTS.enableQuerySynthesis,
+    synthesisTurns = DEFAULTS.synthesisTurns,
+    synthesisMaxTerms = DEFAULTS.synthesisMaxTerms,
+    followUpMaxWords = DEFAULTS.followUpMaxWords,
     // v2.1 config — direct FTS5 keyword search
-    enableFts = true,
-    ftsBoostWeight = 0.3,
-    ftsDbPath = null,
-    ftsAgentId = "main",
+    enableFts = DEFAULTS.enableFts,
+    // Keyword analysis — { languages, stopWords, stemming, prefixQueries } (see createAnalyzer)
+    analyzer: analyzerConfig = DEFAULTS.analyzer,
+    // Synonym/abbreviation dictionary (JSON, relative to the agent workspace)
+    synonymsFile = DEFAULTS.synonymsFile,
+    synonymWeight = DEFAULTS.synonymWeight,
+    ftsBoostWeight = DEFAULTS.ftsBoostWeight,
+    ftsDbPath = DEFAULTS.ftsDbPath,
+    ftsAgentId = DEFAULTS.ftsAgentId,
+    // Multi-agent search — [{ id, weight, include, exclude, dbPath, sessionKey }]
+    agents = DEFAULTS.agents,
+    // Keyword-only fallback when vector search fails, times out or is unavailable
+    enableFtsFallback = DEFAULTS.enableFtsFallback,
+    ftsFallbackMinScore = DEFAULTS.ftsFallbackMinScore,
+    // Feedback loop — blend utility scores into ranking
+    utilityWeight = DEFAULTS.utilityWeight,
+    utilityFloor = DEFAULTS.utilityFloor,
+    // Reciprocal Rank Fusion — replaces the additive FTS5 boost when enabled
+    enableRrf = DEFAULTS.enableRrf,
+    rrfWeights = DEFAULTS.rrfWeights,
+    rrfK = DEFAULTS.rrfK,
     // Debug logging — logs prompt, each result path/score/snippet
-    debugLogging = false,
+    debugLogging = DEFAULTS.debugLogging,
   } = config;
 
   const logger = api.logger;
   const openClawConfig = api.config;
+  const profileInfo = profileName ? `, profile: ${profileName}` : "";
   const runtime = api.runtime;
-  const cache = new PromptCache(cacheSize, cacheTtlMs, fuzzyCacheThreshold);
+  if (!CACHE_EVICTION_POLICIES.includes(cacheEviction)) {
+    logger.warn(`hookclaw: unknown cacheEviction "${cacheEviction}" — using "lru"`);
+  }
+  const analyzer = createAnalyzer(analyzerConfig || {}, logger);
+  const cache = services.promptCache ||
+    new PromptCache(cacheSize, cacheTtlMs, fuzzyCacheThreshold, { eviction: cacheEviction, maxBytes: cacheMaxBytes, analyzer });
+  const agentStores = normalizeAgentStores(agents, logger);
+
+  // This pipeline's entries in a shared cache are invalidated by its own stores' index version only
+  const cachePartition = profileName ? `profile:${profileName}` : "";
+  const resolvedCacheScope = CACHE_SCOPES.includes(cacheScope) ? cacheScope : "agent";
+  if (resolvedCacheScope !== cacheScope) {
+    logger.warn(`hookclaw: unknown cacheScope "${cacheScope}" — using "agent"`);
+  }
+
+  if (!MMR_SIMILARITIES.includes(mmrSimilarity)) {
+    logger.warn(`hookclaw: unknown mmrSimilarity "${mmrSimilarity}" — using "jaccard"`);
+  }
+  const useEmbeddingMmr = enableMmr && mmrSimilarity === "embedding";
+
+  if (formatTemplate === "custom" && !isValidTemplate(contextTemplate)) {
+    logger.warn('hookclaw: formatTemplate "custom" needs contextTemplate.entry — falling back to xml');
+  }
 
   // Compile skip patterns once at init (invalid user patterns are warned and skipped)
   const compiledSkipPatterns = skipPatterns
@@ -343,7 +580,7 @@ export function createHandler(config, api) {
   let _queryEnricher = null;
 
   async function getQueryEnricher() {
-    if (!enableTemporalParsing) return null;
+    if (!enableTemporalParsing && !enableRrf && !enableQuerySynthesis) return null;
     if (_queryEnricher === undefined) return null;
     if (_queryEnricher) return _queryEnricher;
     try {
@@ -355,11 +592,14 @@ export function createHandler(config, api) {
     }
   }
 
-  // Lazy-load FTS5 search module
+  // Lazy-load FTS5 search module (also reads the index version for the cache)
   let _ftsModule = null;
 
   async function getFtsModule() {
-    if (!enableFts) return null;
+    return enableFts ? loadFtsModule() : null;
+  }
+
+  async function loadFtsModule() {
     if (_ftsModule === undefined) return null; // failed previously
     if (_ftsModule) return _ftsModule;
     try {
@@ -371,27 +611,334 @@ export function createHandler(config, api) {
     }
   }
 
+  // Lazy-load rank fusion module
+  let _fusionModule = null;
+
+  async function getFusionModule() {
+    if (!enableRrf) return null;
+    if (_fusionModule === undefined) return null; // failed previously
+    if (_fusionModule) return _fusionModule;
+    try {
+      _fusionModule = await import("./rank-fusion.js");
+      return _fusionModule;
+    } catch {
+      _fusionModule = undefined;
+      return null;
+    }
+  }
+
+  // Lazy-load a user token estimator (function, or path to a module exporting one).
+  // One that throws at runtime is reported once and replaced by the heuristic.
+  let _tokenEstimator = null;
+
+  async function getTokenEstimator() {
+    if (!maxContextTokens || !tokenEstimator) return null;
+    if (_tokenEstimator === undefined) return null; // failed previously
+    if (_tokenEstimator) return _tokenEstimator;
+    try {
+      let fn = tokenEstimator;
+      if (typeof fn !== "function") {
+        const mod = await import(pathToFileURL(resolvePath(String(tokenEstimator))).href);
+        fn = typeof mod.default === "function" ? mod.default : mod.estimateTokens;
+        if (typeof fn !== "function") throw new Error("module exports no estimator function");
+      }
+      _tokenEstimator = withFallbackEstimator(fn, (err) => {
+        logger.warn(`hookclaw: token estimator failed, using built-in heuristic — ${err.message}`);
+      });
+      return _tokenEstimator;
+    } catch (err) {
+      logger.warn(`hookclaw: token estimator "${tokenEstimator}" unavailable, using built-in heuristic — ${err.message}`);
+      _tokenEstimator = undefined;
+      return null;
+    }
+  }
+
+  /**
+   * Record injected memories for citation tracking in agent_end.
+   * Keyed the same way as the agent_end hook ("unknown" without a session).
+   */
+  function recordInjection(ctx, injected) {
+    const tracker = services.utilityTracker;
+    if (!tracker) return;
+    try {
+      tracker.recordInjection(ctx?.sessionKey || "unknown", injected);
+    } catch {
+      // Non-fatal
+    }
+  }
+
+  /**
+   * Record a hook outcome in the shared metrics collector.
+   * Skips carry no latency (no search work was done), so they don't
+   * drag down the latency percentiles.
+   */
+  function recordMetric(outcome, details = {}) {
+    const metrics = services.metrics;
+    if (!metrics) return;
+    try {
+      metrics.record({ outcome, ...details });
+    } catch {
+      // Non-fatal
+    }
+  }
+
+  /**
+   * Cache partition for a prompt. Agent ids come from the hook context, or
+   * from an "agent:<id>:..." session key when the context has none.
+   *
+   * @returns {string}
+   */
+  function cacheScopeKey(ctx) {
+    // Profiles select differently, so they never share cached selections
+    const prefix = profileName ? `profile:${profileName}/` : "";
+    if (resolvedCacheScope === "global") return prefix;
+    if (resolvedCacheScope === "session") return `${prefix}session:${ctx?.sessionKey || ""}`;
+    const agentId = ctx?.agentId || /^agent:([^:]+):/.exec(ctx?.sessionKey || "")?.[1] || "";
+    return `${prefix}agent:${agentId}`;
+  }
+
+  /**
+   * SQLite index resolution options for a store (null = the session's own agent).
+   * A store without its own database must not read the shared legacy one.
+   */
+  function storeIndexOptions(store) {
+    return store
+      ? { dbPath: store.dbPath, agentId: store.id, allowLegacy: false }
+      : { dbPath: ftsDbPath, agentId: ftsAgentId };
+  }
+
+  /**
+   * Stored embeddings of candidate chunks for embedding-based MMR, keyed by
+   * chunk key and read from each result's own store. Results without a
+   * chunk id or stored vector are simply missing; MMR then falls back to
+   * Jaccard (see similarityMatrix).
+   *
+   * @returns {Promise<Map<string, Float32Array>|null>}
+   */
+  async function loadEmbeddings(results) {
+    if (!useEmbeddingMmr || results.length <= 1) return null;
+    const mod = await loadFtsModule();
+    if (!mod) return null;
+    const idOf = (r) => r.chunkId ?? r.id;
+    try {
+      const embeddings = new Map();
+      for (const store of agentStores || [null]) {
+        const own = results.filter((r) => (store ? r.agent === store.id : !r.agent));
+        if (own.length === 0) continue;
+        const vectors = mod.getChunkEmbeddings(own.map(idOf), storeIndexOptions(store));
+        for (const r of own) {
+          const vector = vectors.get(String(idOf(r)));
+          if (vector) embeddings.set(chunkKey(r), vector);
+        }
+      }
+      return embeddings;
+    } catch {
+      // Non-fatal — MMR falls back to Jaccard
+      return null;
+    }
+  }
+
+  /**
+   * Cut ranked candidates down to what gets injected: the adaptive (or
+   * keyword fallback) filter, then MMR diversity, capped at maxResults.
+   * The last selection made for a call (after dedup, if any) is the one traced.
+   *
+   * @param {Array} list - Ranked candidates
+   * @param {object} options
+   * @param {"adaptive"|"fallback"|null} options.cut - Score filter applied before MMR
+   * @param {Map<string, ArrayLike<number>>|null} [options.embeddings] - For embedding-based MMR
+   * @param {object} [options.trace] - Decision trace to record the cut and MMR picks in
+   * @returns {Array}
+   */
+  function selectResults(list, { cut, embeddings = null, trace = null }) {
+    const filtered = cut === "fallback"
+      ? fallbackFilter(list, maxResults, ftsFallbackMinScore)
+      : cut === "adaptive" ? adaptiveFilter(list, maxResults) : list;
+    const diverse = enableMmr ? mmrFilter(filtered, mmrLambda, maxResults, { embeddings, analyzer }) : filtered;
+    const picked = (diverse || []).slice(0, maxResults);
+    if (trace) {
+      if (cut === "adaptive") trace.adaptive = { in: list.length, out: filtered.length };
+      if (enableMmr) trace.mmr = { in: filtered.length, picked: picked.map((r) => chunkKey(r)) };
+    }
+    return picked;
+  }
+
+  /**
+   * The workspace's synonym dictionary, or null without one (or without FTS5).
+   */
+  function getSynonyms(ctx) {
+    if (!enableFts || !synonymsFile) return null;
+    const file = String(synonymsFile);
+    const path = isAbsolute(file) ? file : resolvePath(ctx?.workspaceDir || process.cwd(), file);
+    try {
+      const synonyms = loadSynonyms(path, analyzer, logger);
+      return synonyms.size > 0 ? synonyms : null;
+    } catch {
+      // Non-fatal — literal terms only
+      return null;
+    }
+  }
+
+  /**
+   * Version of the memory index(es) behind the cache, one per store.
+   * Null when unknown (FTS5 off, no SQLite index found, node:sqlite
+   * missing) — the cache then relies on its TTL alone. Gated on enableFts
+   * so deployments without keyword search never open SQLite per prompt.
+   *
+   * @returns {Promise<string|null>}
+   */
+  async function getIndexVersion() {
+    if (!invalidateCacheOnIndexChange) return null;
+    const mod = await getFtsModule();
+    if (!mod) return null;
+    try {
+      const versions = (agentStores || [null]).map((store) => mod.getIndexVersion(storeIndexOptions(store)));
+      return versions.every((v) => v === null) ? null : versions.join(";");
+    } catch {
+      // Non-fatal — the TTL still bounds staleness
+      return null;
+    }
+  }
+
+  /**
+   * Run vector search (OpenClaw) and FTS5 keyword search for every store
+   * concurrently under one timeoutMs deadline. FTS5 is synchronous, so it
+   * executes while the embedding requests are in flight; a stage that
+   * misses the deadline is dropped.
+   *
+   * Without `agents` there is a single unlabeled store (the session's own
+   * agent, FTS5 via ftsDbPath/ftsAgentId). With `agents`, each store's
+   * results are filtered, weighted and labeled, then merged.
+   *
+   * @returns {Promise<{ rawResults: Array, ftsResults: Array, vectorStatus: string, stages: object }>}
+   */
+  async function searchStores(query, fetchCount, ctx, synonyms) {
+    const ftsMod = await getFtsModule();
+    const deadline = createDeadline(timeoutMs);
+    const stores = agentStores || [null];
+
+    const outcomes = await Promise.all(stores.map((store) => Promise.all([
+      deadline.run(() =>
+        searchMemoriesWithStatus(query, {
+          maxResults: fetchCount,
+          minScore,
+          timeoutMs: deadline.remaining(),
+          runtime,
+          config: openClawConfig,
+          sessionKey: store ? store.sessionKey : ctx?.sessionKey,
+          agentId: store?.id,
+          logger,
+        })
+      ),
+      ftsMod
+        ? deadline.run(() =>
+            ftsMod.searchFts(query, {
+              ...storeIndexOptions(store),
+              maxResults: fetchCount * 2,
+              analyzer,
+              synonyms,
+              synonymWeight,
+              logger,
+            })
+          )
+        : null,
+    ])));
+
+    const stages = {};
+    const vectorLists = [];
+    const ftsLists = [];
+    const statuses = [];
+    outcomes.forEach(([vectorStage, ftsStage], i) => {
+      const store = stores[i];
+      const suffix = store ? `:${store.id}` : "";
+      const vector = vectorStage.status === "ok" ? vectorStage.value : { results: [], status: vectorStage.status };
+      statuses.push(vector.status);
+      vectorLists.push({ store, results: dedupeChunks(vector.results) });
+      stages[`vector${suffix}`] = { status: vector.status, ms: vectorStage.ms };
+
+      if (!ftsStage) return;
+      stages[`fts${suffix}`] = { status: ftsStage.status, ms: ftsStage.ms };
+      // FTS5 is non-fatal — vector results still work
+      ftsLists.push({ store, results: ftsStage.status === "ok" ? ftsStage.value || [] : [] });
+    });
+
+    const merge = (lists) => (agentStores ? mergeStoreResults(lists) : lists[0]?.results || []);
+    return {
+      rawResults: merge(vectorLists),
+      ftsResults: merge(ftsLists),
+      vectorStatus: combineStatuses(statuses),
+      stages,
+    };
+  }
+
   /**
    * Hook handler called before the agent processes each prompt.
+   * Errors are counted in metrics and re-thrown to OpenClaw's hook runner.
    *
    * @param {import('openclaw/plugin-sdk').PluginHookBeforeAgentStartEvent} event
    * @param {import('openclaw/plugin-sdk').PluginHookAgentContext} ctx
+   * @param {object} [call] - Filled in for the caller: `callNum`, `outcome`, `trace` (with a
+   *   traceWriter), and `selection` — the session-agnostic ranked results, left undefined
+   *   when the prompt was skipped (shadow mode compares these)
    * @returns {Promise<import('openclaw/plugin-sdk').PluginHookBeforeAgentStartResult | void>}
    */
-  return async function handleBeforeAgentStart(event, ctx) {
-    _callCount++;
-    const callNum = _callCount;
+  return async function handleBeforeAgentStart(event, ctx, call = {}) {
+    const callStart = Date.now();
+    // Shadow pipelines have no trace writer, so only live calls are traced
+    if (services.traceWriter) call.trace = createTrace(ctx, profileName, callStart);
+    try {
+      return await runPipeline(event, ctx, call);
+    } catch (err) {
+      recordMetric("error", { latencyMs: Date.now() - callStart });
+      call.outcome = "error";
+      if (call.trace) call.trace.error = err.message;
+      throw err;
+    } finally {
+      if (call.trace) {
+        try {
+          // The writer in service now — a reload may have replaced (and closed) the one the call started with
+          services.traceWriter?.write({ ...call.trace, call: call.callNum, outcome: call.outcome, latencyMs: Date.now() - callStart });
+        } catch {
+          // Non-fatal
+        }
+      }
+    }
+  };
+
+  /**
+   * Skip checks, cache lookup, search, ranking and formatting for one prompt.
+   */
+  async function runPipeline(event, ctx, call) {
+    // A shadow run reuses the call number of the prompt it replays
+    const callNum = call.callNum ?? ++_callCount;
+    call.callNum = callNum;
+    const trace = call.trace;
+    const recordOutcome = (outcome, details) => {
+      call.outcome = outcome;
+      recordMetric(outcome, details);
+    };
 
     const prompt = event?.prompt;
-    if (!prompt || typeof prompt !== "string") return;
+    if (!prompt || typeof prompt !== "string") {
+      if (trace) trace.skip = { reason: "no_prompt", chars: 0 };
+      recordOutcome("short_prompt");
+      return;
+    }
 
     const trimmed = prompt.trim();
+    if (trace) trace.prompt = traceText(trimmed);
+
+    // Every prompt is a turn for the session ledger, including skipped ones
+    const ledger = ctx?.sessionKey ? services.injectionLedger : null;
+    if (ledger) ledger.nextTurn(ctx.sessionKey);
 
     // Skip short prompts (greetings, single words, etc.)
     if (trimmed.length < skipShortPrompts) {
       if (logInjections) {
         logger.info(`hookclaw: #${callNum} skip — prompt too short (${trimmed.length} chars)`);
       }
+      if (trace) trace.skip = { reason: "short_prompt", chars: trimmed.length };
+      recordOutcome("short_prompt");
       return;
     }
 
@@ -400,120 +947,345 @@ export function createHandler(config, api) {
       if (logInjections) {
         logger.info(`hookclaw: #${callNum} skip — matches skip pattern`);
       }
+      if (trace) trace.skip = { reason: "skip_pattern", chars: trimmed.length };
+      recordOutcome("skip_pattern");
       return;
     }
 
     const startTime = Date.now();
+    const now = services.clock ? services.clock() : startTime;
 
-    // Check prompt dedup cache (now with fuzzy matching)
-    const cached = cache.get(trimmed);
+    // Follow-up prompts ("and the second one?") borrow salient terms from recent
+    // turns. The synthesized query drives vector search, FTS5 and the cache key.
+    let query = trimmed;
+    let synthesisInfo = "";
+    let synthesizedTerms = 0;
+    const enricherMod = await getQueryEnricher();
+    if (enricherMod && enableQuerySynthesis) {
+      try {
+        const synth = enricherMod.synthesizeQuery(trimmed, event.messages, {
+          maxTurns: synthesisTurns,
+          maxTerms: synthesisMaxTerms,
+          maxWords: followUpMaxWords,
+          analyzer,
+        });
+        if (synth.synthesized) {
+          query = synth.query;
+          synthesizedTerms = synth.terms.length;
+          synthesisInfo = `, query: +${synth.terms.length} context terms`;
+          if (debugLogging) {
+            logger.info(`hookclaw: [debug] #${callNum} synthesized query: "${query.substring(0, 200)}"`);
+          }
+        }
+      } catch {
+        // Non-fatal — fall back to the raw prompt
+      }
+    }
+    if (trace) trace.query = { text: traceText(query), ...(synthesizedTerms ? { synthesizedTerms } : {}) };
+
+    const formatOptions = {
+      formatTemplate,
+      contextTemplate,
+      maxContextChars,
+      maxContextTokens,
+      estimateTokens: await getTokenEstimator(),
+    };
+
+    // Drop cached retrievals made against an older index (memory-core re-indexed)
+    const dropped = cache.syncVersion(await getIndexVersion(), cachePartition);
+    if (dropped > 0 && logInjections) {
+      logger.info(`hookclaw: #${callNum} memory index changed — dropped ${dropped} cached entries`);
+    }
+
+    // Check prompt dedup cache (now with fuzzy matching), within this prompt's scope
+    const scope = cacheScopeKey(ctx);
+    const cached = cache.get(query, scope);
+    if (trace) {
+      trace.cache = {
+        scope,
+        hit: cached !== undefined,
+        ...(cached !== undefined ? { results: cached.selection.length } : {}),
+        ...(dropped > 0 ? { stale: dropped } : {}),
+      };
+    }
     if (cached !== undefined) {
-      if (cached.length === 0) {
+      const { selection } = cached;
+      call.selection = selection;
+      if (selection.length === 0) {
         if (logInjections) {
           logger.info(`hookclaw: #${callNum} cache hit — no results (0ms)`);
         }
+        recordOutcome("cache_hit", { latencyMs: Date.now() - startTime, resultCount: 0 });
+        return;
+      }
+      // The cached selection is session-agnostic; replace what this session
+      // already has with the next-best cached candidates
+      let fresh = selection;
+      const { fresh: remaining, suppressed } = ledger
+        ? ledger.partition(ctx.sessionKey, cached.candidates)
+        : { fresh: cached.candidates, suppressed: [] };
+      if (suppressed.length > 0) {
+        if (trace) trace.dedup = { suppressed: suppressed.map((r) => chunkKey(r)) };
+        fresh = selectResults(remaining, { cut: cached.cut, embeddings: await loadEmbeddings(remaining), trace });
+      }
+      if (fresh.length === 0) {
+        if (logInjections) {
+          logger.info(`hookclaw: #${callNum} cache hit — all ${selection.length} memories already injected (0ms)`);
+        }
+        recordOutcome("cache_hit", { latencyMs: Date.now() - startTime, resultCount: 0 });
         return;
       }
-      const context = formatContext(cached, { formatTemplate, maxContextChars });
+      const context = formatContext(fresh, formatOptions);
+      if (trace) {
+        trace.results = traceResults(fresh);
+        trace.context = { chars: context.length };
+      }
       if (context) {
         if (logInjections) {
-          const topScore = cached[0]?.score?.toFixed(3) || "?";
+          const topScore = fresh[0]?.score?.toFixed(3) || "?";
           logger.info(
-            `hookclaw: #${callNum} cache hit — injecting ${cached.length} memories (0ms, top score: ${topScore})`
+            `hookclaw: #${callNum} cache hit — injecting ${fresh.length} memories (0ms, top score: ${topScore}${profileInfo})`
           );
         }
+        recordInjection(ctx, fresh);
+        if (ledger) ledger.record(ctx.sessionKey, fresh);
+        recordOutcome("cache_hit", {
+          latencyMs: Date.now() - startTime,
+          resultCount: fresh.length,
+          topScore: fresh[0]?.score,
+        });
         return { prependContext: context };
       }
+      recordOutcome("cache_hit", { latencyMs: Date.now() - startTime, resultCount: 0 });
       return;
     }
 
-    // Query enrichment (temporal parsing, entity extraction for logging)
-    const enricherMod = await getQueryEnricher();
+    // Query enrichment (temporal parsing, entity extraction)
+    let temporalFilter = null;
+    let entities = [];
     if (enricherMod) {
       try {
-        enricherMod.enrichQuery(trimmed);
+        // Time windows come from what the user just said; entities may come from context
+        const enriched = enricherMod.enrichQuery(trimmed, new Date(now));
+        if (enableTemporalParsing) temporalFilter = enriched.temporalFilter;
+        entities = query === trimmed ? enriched.entities : enricherMod.extractEntities(query);
       } catch {
         // Non-fatal
       }
     }
 
-    // Memory search (vector similarity via OpenClaw)
-    const rawResults = await searchMemories(prompt, {
-      maxResults,
-      minScore,
-      timeoutMs,
-      runtime,
-      config: openClawConfig,
-      sessionKey: ctx?.sessionKey,
-      logger,
-    });
+    // Over-fetch when a time window is present so in-window chunks
+    // are not lost to the top-k cut before the window is applied, and by
+    // the number of chunks this session already has so they can be replaced
+    const ledgerExtra = ledger ? Math.min(maxResults, ledger.activeCount(ctx.sessionKey)) : 0;
+    const fetchCount = (temporalFilter
+      ? maxResults * Math.max(1, temporalOverfetch)
+      : maxResults) + ledgerExtra;
+
+    // Synonyms expand the FTS5 query only (vector search handles paraphrase)
+    const synonyms = getSynonyms(ctx);
+    if (debugLogging && enableFts) {
+      const match = (await getFtsModule())?.buildFtsQuery(query, analyzer, synonyms);
+      if (match) {
+        const weightInfo = synonyms ? ` (synonym-only matches ×${synonymWeight})` : "";
+        logger.info(`hookclaw: [debug] #${callNum} fts match: ${match}${weightInfo}`);
+      }
+    }
+
+    // Vector + FTS5 search across the configured stores, under one deadline
+    const { rawResults, ftsResults, vectorStatus, stages } = await searchStores(query, fetchCount, ctx, synonyms);
+    // Recorded before boosting, which adjusts vector scores in place
+    if (trace) {
+      trace.search = { fetchCount, stages };
+      trace.vector = traceResults(rawResults);
+      if (enableFts) trace.fts = traceResults(ftsResults);
+    }
+    if (logInjections) {
+      for (const [name, st] of Object.entries(stages)) {
+        if (name.startsWith("fts") && (st.status === "timeout" || st.status === "late")) {
+          logger.info(`hookclaw: #${callNum} ${name} missed the ${timeoutMs}ms deadline (${st.ms}ms) — discarded`);
+        }
+      }
+    }
+    if (debugLogging) {
+      const stageInfo = Object.entries(stages).map(([name, st]) => `${name} ${st.status} ${st.ms}ms`).join(", ");
+      logger.info(`hookclaw: [debug] #${callNum} stages: ${stageInfo} (deadline ${timeoutMs}ms)`);
+    }
+
+    // Degraded mode: vector search is down but the local FTS5 index answered,
+    // so keyword results stand on their own (own threshold, see fallbackFilter)
+    const fallback = enableFtsFallback && vectorStatus !== "ok" && ftsResults.length > 0;
 
-    // FTS5 keyword search (parallel signal — boosts vector results with keyword matches)
     let ftsHits = 0;
-    const ftsMod = await getFtsModule();
-    if (ftsMod && rawResults && rawResults.length > 0) {
-      try {
-        const ftsResults = ftsMod.searchFts(trimmed, {
-          maxResults: maxResults * 2,
-          dbPath: ftsDbPath,
-          agentId: ftsAgentId,
-          logger,
-        });
-        if (ftsResults.length > 0) {
-          // Build a map of path -> FTS5 score for quick lookup
-          const ftsScoreMap = new Map();
-          for (const fr of ftsResults) {
-            const key = fr.path;
-            // Keep highest FTS5 score per path
-            if (!ftsScoreMap.has(key) || ftsScoreMap.get(key) < fr.score) {
-              ftsScoreMap.set(key, fr.score);
-            }
+    let ftsOnly = 0;
+    let candidates;
+    let decayedResults;
+    const fusionMod = fallback ? null : await getFusionModule();
+    // Fused scores are rank-derived (see rank-fusion.js), not cosine-calibrated
+    const fused = Boolean(fusionMod);
+    if (fallback) {
+      candidates = dedupeChunks(ftsResults)
+        .slice(0, fetchCount)
+        .map((r) => ({ ...r, lines: chunkLines(r) }));
+      ftsHits = candidates.length;
+      ftsOnly = candidates.length;
+      decayedResults = applyTemporalDecay(candidates, halfLifeHours, now);
+      if (trace) {
+        trace.fallback = true;
+        trace.decay = traceDecay(candidates, decayedResults);
+      }
+    } else if (fusionMod) {
+      // RRF: vector + FTS5 + recency + entity rankings. The recency signal
+      // stands in for temporal decay, so decay is not applied on top.
+      // Keyword-only chunks must clear the fallback floor on their own FTS5
+      // score, as they would if vector search were down.
+      candidates = fusionMod.fuseResults(
+        { vector: rawResults || [], fts: ftsResults },
+        {
+          weights: rrfWeights,
+          k: rrfK,
+          entities,
+          timeOf: (r) => getChunkTimeSpan(r)?.end ?? null,
+          ftsOnlyMinScore: ftsFallbackMinScore,
+        }
+      ).slice(0, fetchCount);
+      for (const r of candidates) {
+        if (r._rrfDetails.fts === null) continue;
+        ftsHits++;
+        if (r._rrfDetails.vector === null) ftsOnly++;
+      }
+      decayedResults = candidates;
+      if (trace) {
+        trace.rrf = traceResults(candidates).map((t, i) => ({ ...t, ranks: candidates[i]._rrfDetails }));
+      }
+    } else {
+      // Additive boost: vector results that also appear in FTS5 results
+      candidates = rawResults || [];
+      if (ftsResults.length > 0) {
+        // Build a map of chunk -> FTS5 score for quick lookup. Keyed per
+        // chunk so a hit in one chunk of a daily note doesn't boost the rest
+        const ftsScoreMap = new Map();
+        for (const fr of ftsResults) {
+          const key = chunkKey(fr);
+          // Keep highest FTS5 score per chunk
+          if (!ftsScoreMap.has(key) || ftsScoreMap.get(key) < fr.score) {
+            ftsScoreMap.set(key, fr.score);
           }
+        }
 
-          // Boost vector results that also appear in FTS5 results
-          for (const result of rawResults) {
-            const ftsScore = ftsScoreMap.get(result.path);
-            if (ftsScore !== undefined) {
-              const boost = ftsBoostWeight * ftsScore;
-              result._ftsScore = ftsScore;
-              result._originalScore = result.score;
-              result.score = Math.min(1, result.score + boost);
-              ftsHits++;
-            }
+        for (const result of candidates) {
+          const ftsScore = ftsScoreMap.get(chunkKey(result));
+          if (ftsScore !== undefined) {
+            const boost = ftsBoostWeight * ftsScore;
+            result._ftsScore = ftsScore;
+            result._originalScore = result.score;
+            result.score = Math.min(1, result.score + boost);
+            ftsHits++;
           }
+        }
 
-          // Re-sort after boosting
-          if (ftsHits > 0) {
-            rawResults.sort((a, b) => b.score - a.score);
-          }
+        // Re-sort after boosting
+        if (ftsHits > 0) {
+          candidates.sort((a, b) => b.score - a.score);
         }
-      } catch {
-        // FTS5 is non-fatal — vector results still work
+      }
+
+      // Apply temporal decay
+      decayedResults = applyTemporalDecay(candidates, halfLifeHours, now);
+      if (trace) {
+        if (ftsHits > 0) trace.boosts = traceBoosts(candidates);
+        trace.decay = traceDecay(candidates, decayedResults);
       }
     }
 
-    // Apply temporal decay
-    const decayedResults = applyTemporalDecay(rawResults || [], halfLifeHours);
+    // Apply temporal window (restrict/boost in-window, demote the rest)
+    let temporalInfo = "";
+    if (temporalFilter) {
+      const tw = applyTemporalWindow(decayedResults, temporalFilter, {
+        mode: temporalFilterMode,
+        boost: temporalBoost,
+        demoteFactor: temporalDemoteFactor,
+        relative: fused,
+      });
+      decayedResults = tw.results.slice(0, maxResults + ledgerExtra);
+      temporalInfo = `, temporal: ${tw.action} ${tw.inWindow} in-window`;
+      if (trace) {
+        trace.temporal = {
+          start: temporalFilter.startDate.toISOString(),
+          end: temporalFilter.endDate.toISOString(),
+          action: tw.action,
+          inWindow: tw.inWindow,
+          outOfWindow: tw.outOfWindow,
+          undated: tw.undated,
+        };
+      }
+      if (debugLogging) {
+        const from = temporalFilter.startDate.toISOString();
+        const to = temporalFilter.endDate.toISOString();
+        logger.info(
+          `hookclaw: [debug] #${callNum} temporal window ${from} → ${to}: ` +
+            `${tw.inWindow} in-window, ${tw.outOfWindow} out-of-window, ${tw.undated} undated → ${tw.action}` +
+            ` (fetched ${candidates.length}/${fetchCount})`
+        );
+      }
+    }
 
-    // Apply adaptive filtering
-    const filtered = adaptiveResults
-      ? adaptiveFilter(decayedResults, maxResults)
-      : decayedResults;
+    // Blend feedback-loop utility scores (cited chunks rise, ignored ones sink)
+    const tracker = services.utilityTracker;
+    if (tracker) {
+      decayedResults = applyUtilityBlend(decayedResults, tracker.getUtilityScores(decayedResults), {
+        weight: utilityWeight,
+        floor: utilityFloor,
+        cap: fused ? Infinity : 1,
+      });
+      if (trace) trace.utility = traceUtility(decayedResults);
+    }
 
-    // Apply MMR diversity filter
-    const results = enableMmr
-      ? mmrFilter(filtered, mmrLambda, maxResults)
-      : filtered;
+    // Adaptive filtering, then MMR diversity, capped at maxResults
+    const embeddings = await loadEmbeddings(decayedResults);
+    if (debugLogging && embeddings) {
+      logger.info(
+        `hookclaw: [debug] #${callNum} mmr: ${embeddings.size}/${decayedResults.length} candidates have stored embeddings`
+      );
+    }
+    // The adaptive filter's thresholds are calibrated for cosine scores; fused
+    // candidates were already gated per signal (minScore, ftsFallbackMinScore)
+    const cut = fallback ? "fallback" : adaptiveResults && !fused ? "adaptive" : null;
+    const ranked = selectResults(decayedResults, { cut, embeddings, trace });
+    call.selection = ranked;
+
+    // Cache the session-agnostic selection, with the candidates it was picked
+    // from so a session that already has some of it can be refilled. Fallback
+    // selections are not cached, so the next prompt retries vector search.
+    if (!fallback) cache.set(query, { selection: ranked, candidates: decayedResults, cut }, scope, cachePartition);
+
+    // Replace chunks this session already has with the next-best candidates
+    let results = ranked;
+    let suppressedCount = 0;
+    if (ledger) {
+      const { fresh, suppressed } = ledger.partition(ctx.sessionKey, decayedResults);
+      suppressedCount = suppressed.length;
+      if (trace && suppressedCount > 0) trace.dedup = { suppressed: suppressed.map((r) => chunkKey(r)) };
+      if (suppressedCount > 0) {
+        results = selectResults(fresh, { cut, embeddings, trace });
+        if (debugLogging) {
+          logger.info(
+            `hookclaw: [debug] #${callNum} already injected this session: ${suppressed.map((r) => chunkKey(r)).join(", ")}`
+          );
+        }
+      }
+    }
+    const ledgerInfo = suppressedCount > 0 ? `, ${suppressedCount} already injected` : "";
+    const fallbackInfo = fallback ? `, fallback: fts-only (vector ${vectorStatus})` : "";
 
-    // Cache the final results
-    cache.set(trimmed, results || []);
+    if (trace) trace.results = traceResults(results);
 
-    if (!results || results.length === 0) {
+    if (results.length === 0) {
       if (logInjections) {
-        const rawCount = rawResults?.length || 0;
-        const topScore = rawResults?.[0]?.score?.toFixed(3) || "?";
+        const rawCount = candidates.length;
+        const topScore = candidates[0]?.score?.toFixed(3) || "?";
         const reason = rawCount > 0
-          ? `${rawCount} results filtered out (top score: ${topScore})`
+          ? `${rawCount} results filtered out (top score: ${topScore}${ledgerInfo}${fallbackInfo})`
           : "no relevant memories found";
         logger.info(`hookclaw: #${callNum} ${reason} (${Date.now() - startTime}ms)`);
       }
@@ -523,27 +1295,59 @@ export function createHandler(config, api) {
           : trimmed;
         logger.info(`hookclaw: [debug] #${callNum} prompt: "${promptPreview}" → no injection`);
       }
+      recordOutcome("no_results", {
+        latencyMs: Date.now() - startTime,
+        resultCount: 0,
+        topScore: candidates[0]?.score,
+        ftsUsed: ftsHits > 0,
+        fallback,
+        stages,
+      });
       return;
     }
 
-    const context = formatContext(results, { formatTemplate, maxContextChars });
+    const context = formatContext(results, formatOptions);
+    if (trace) trace.context = { chars: context.length };
 
     if (!context) {
       if (logInjections) {
         logger.info(`hookclaw: #${callNum} memories found but formatting produced empty context`);
       }
+      recordOutcome("no_results", {
+        latencyMs: Date.now() - startTime,
+        resultCount: 0,
+        topScore: results[0]?.score,
+        ftsUsed: ftsHits > 0,
+        fallback,
+        stages,
+      });
       return;
     }
 
     if (logInjections) {
       const elapsed = Date.now() - startTime;
       const topScore = results[0]?.score?.toFixed(3) || "?";
-      const ftsInfo = ftsHits > 0 ? `, fts: ${ftsHits} boosted` : "";
+      const ftsInfo = fallback || ftsHits === 0
+        ? ""
+        : enableRrf
+          ? `, rrf: ${ftsHits} fts-ranked, ${ftsOnly} fts-only`
+          : `, fts: ${ftsHits} boosted`;
       logger.info(
-        `hookclaw: #${callNum} injecting ${results.length} memories (${elapsed}ms, top score: ${topScore}${ftsInfo})`
+        `hookclaw: #${callNum} injecting ${results.length} memories (${elapsed}ms, top score: ${topScore}${ftsInfo}${fallbackInfo}${temporalInfo}${synthesisInfo}${ledgerInfo}${profileInfo})`
       );
     }
 
+    recordInjection(ctx, results);
+    if (ledger) ledger.record(ctx.sessionKey, results);
+    recordOutcome("injection", {
+      latencyMs: Date.now() - startTime,
+      resultCount: results.length,
+      topScore: results[0]?.score,
+      ftsUsed: ftsHits > 0,
+      fallback,
+      stages,
+    });
+
     if (debugLogging) {
       const promptPreview = trimmed.length > 120
         ? trimmed.substring(0, 120) + "..."
@@ -554,11 +1358,15 @@ export function createHandler(config, api) {
         const ftsTag = r._ftsScore !== undefined
           ? ` | fts: ${r._ftsScore.toFixed(3)} | pre-boost: ${(r._originalScore ?? r.score).toFixed(3)}`
           : "";
+        const rrfTag = r._rrfDetails
+          ? ` | rrf: ${Object.entries(r._rrfDetails).map(([sig, rank]) => `${sig}#${rank ?? "-"}`).join(" ")}`
+          : "";
+        const utilityTag = r._utility !== undefined ? ` | utility: ${r._utility.toFixed(3)}` : "";
         const snippet = (r.snippet || r.text || "")
           .replace(/\n/g, " ")
           .substring(0, 150);
         logger.info(
-          `hookclaw: [debug] #${callNum} result[${i}]: ${r.path}:${r.startLine ?? r.start_line ?? "?"}-${r.endLine ?? r.end_line ?? "?"} | score: ${r.score.toFixed(3)}${ftsTag}`
+          `hookclaw: [debug] #${callNum} result[${i}]: ${chunkKey(r)} | score: ${r.score.toFixed(3)}${ftsTag}${rrfTag}${utilityTag}`
         );
         if (snippet) {
           logger.info(`hookclaw: [debug] #${callNum} result[${i}]: "${snippet}..."`);
@@ -567,7 +1375,7 @@ export function createHandler(config, api) {
     }
 
     return { prependContext: context };
-  };
+  }
 }
 
 /**
@@ -585,4 +1393,5 @@ export function resetCallCount() {
 }
 
 // Export for testing
-export { PromptCache };
+// Moved to their own modules; re-exported for existing importers
+export { PromptCache, tokenize, jaccardSimilarity };
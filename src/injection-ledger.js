@@ -0,0 +1,153 @@
+/**
+ * Session-scoped injection ledger — remembers which chunks were already
+ * prepended in each session so a long conversation about one topic doesn't
+ * get the same memories on every turn.
+ *
+ * A chunk becomes eligible again after `reinjectAfterTurns` turns, or as soon
+ * as the session is compacted (the after_compaction hook clears the session,
+ * since the earlier injections are no longer in the model's context).
+ */
+
+import { chunkKey } from "./chunk-identity.js";
+
+const DEFAULT_REINJECT_AFTER_TURNS = 10;
+const DEFAULT_MAX_SESSIONS = 200;
+
+/**
+ * Per-session ledger of injected chunks.
+ */
+export class InjectionLedger {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.reinjectAfterTurns=10] - Turns before a chunk may be injected again (0 = never suppress)
+   * @param {number} [options.maxSessions=200] - Sessions tracked before the least recently active is dropped
+   */
+  constructor({ reinjectAfterTurns = DEFAULT_REINJECT_AFTER_TURNS, maxSessions = DEFAULT_MAX_SESSIONS } = {}) {
+    this._reinjectAfterTurns = reinjectAfterTurns;
+    this._maxSessions = maxSessions;
+    /** @type {Map<string, { turn: number, chunks: Map<string, { turn: number, ts: number }> }>} */
+    this._sessions = new Map();
+  }
+
+  /**
+   * Get (or create) a session entry, refreshing its LRU position.
+   * @param {string} sessionKey
+   */
+  _session(sessionKey) {
+    let session = this._sessions.get(sessionKey);
+    if (session) {
+      this._sessions.delete(sessionKey);
+    } else {
+      session = { turn: 0, chunks: new Map() };
+    }
+    this._sessions.set(sessionKey, session);
+    if (this._sessions.size > this._maxSessions) {
+      const oldest = this._sessions.keys().next().value;
+      this._sessions.delete(oldest);
+    }
+    return session;
+  }
+
+  /**
+   * Advance the session's turn counter. Call once per prompt.
+   *
+   * @param {string} sessionKey
+   * @returns {number} The new turn number
+   */
+  nextTurn(sessionKey) {
+    const session = this._session(sessionKey);
+    session.turn++;
+    return session.turn;
+  }
+
+  /**
+   * Number of chunks currently suppressed for a session.
+   *
+   * @param {string} sessionKey
+   * @returns {number}
+   */
+  activeCount(sessionKey) {
+    const session = this._sessions.get(sessionKey);
+    if (!session) return 0;
+    let count = 0;
+    for (const entry of session.chunks.values()) {
+      if (this._isActive(session, entry)) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Whether a ledger entry still suppresses re-injection.
+   */
+  _isActive(session, entry) {
+    return this._reinjectAfterTurns > 0 && session.turn - entry.turn < this._reinjectAfterTurns;
+  }
+
+  /**
+   * Split results into chunks that are new to this session and chunks
+   * that were injected recently enough to still be in context.
+   *
+   * @param {string} sessionKey
+   * @param {Array<object>} results
+   * @returns {{ fresh: Array<object>, suppressed: Array<object> }}
+   */
+  partition(sessionKey, results) {
+    const session = this._sessions.get(sessionKey);
+    if (!session || !results || results.length === 0) {
+      return { fresh: results || [], suppressed: [] };
+    }
+    const fresh = [];
+    const suppressed = [];
+    for (const r of results) {
+      const entry = session.chunks.get(chunkKey(r));
+      if (entry && this._isActive(session, entry)) suppressed.push(r);
+      else fresh.push(r);
+    }
+    return { fresh, suppressed };
+  }
+
+  /**
+   * Record chunks injected on the session's current turn.
+   *
+   * @param {string} sessionKey
+   * @param {Array<object>} results
+   */
+  record(sessionKey, results) {
+    if (!results || results.length === 0) return;
+    const session = this._session(sessionKey);
+    const ts = Date.now();
+    for (const r of results) {
+      session.chunks.set(chunkKey(r), { turn: session.turn, ts });
+    }
+  }
+
+  /**
+   * Forget a session's injections (e.g. after compaction).
+   *
+   * @param {string} sessionKey
+   */
+  clearSession(sessionKey) {
+    this._sessions.delete(sessionKey);
+  }
+
+  /**
+   * Forget all sessions.
+   */
+  clear() {
+    this._sessions.clear();
+  }
+
+  /** Turns before a chunk may be injected again (0 = never suppress) */
+  get reinjectAfterTurns() {
+    return this._reinjectAfterTurns;
+  }
+
+  set reinjectAfterTurns(turns) {
+    this._reinjectAfterTurns = turns;
+  }
+
+  /** Number of tracked sessions */
+  get size() {
+    return this._sessions.size;
+  }
+}
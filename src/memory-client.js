@@ -5,25 +5,30 @@
  * Uses the built-in memory-core search index (SQLite + embeddings).
  */
 
-/** @type {object | null} */
-let _tool = null;
-let _initFailed = false;
+/**
+ * Memory search tools, one per agent store ("" = the session's own agent).
+ * A null entry records a failed initialization.
+ * @type {Map<string, object | null>}
+ */
+const _tools = new Map();
 
 /**
  * Initialize the memory search tool from OpenClaw runtime.
- * Caches the tool instance across calls.
+ * Caches the tool instance across calls, per agent.
  *
  * @param {object} params
  * @param {object} params.runtime - OpenClaw PluginRuntime
  * @param {object} params.config - OpenClaw config object
  * @param {string} params.sessionKey - Agent session key
+ * @param {string} [params.agentId] - Agent store to search (omit for the session's own agent)
  * @param {object} params.logger - Plugin logger
  * @returns {object | null}
  */
-function getTool({ runtime, config, sessionKey, logger }) {
-  if (_initFailed) return null;
-  if (_tool) return _tool;
+function getTool({ runtime, config, sessionKey, agentId, logger }) {
+  const key = agentId || "";
+  if (_tools.has(key)) return _tools.get(key);
 
+  const label = agentId ? ` for agent "${agentId}"` : "";
   try {
     const tool = runtime.tools.createMemorySearchTool({
       config,
@@ -31,17 +36,17 @@ function getTool({ runtime, config, sessionKey, logger }) {
     });
 
     if (!tool) {
-      logger.warn("hookclaw: memory search tool unavailable (createMemorySearchTool returned null)");
-      _initFailed = true;
+      logger.warn(`hookclaw: memory search tool unavailable${label} (createMemorySearchTool returned null)`);
+      _tools.set(key, null);
       return null;
     }
 
-    _tool = tool;
-    logger.info("hookclaw: memory search tool initialized");
-    return _tool;
+    _tools.set(key, tool);
+    logger.info(`hookclaw: memory search tool initialized${label}`);
+    return tool;
   } catch (err) {
-    _initFailed = true;
-    logger.error(`hookclaw: failed to create memory search tool — ${err.message}`);
+    _tools.set(key, null);
+    logger.error(`hookclaw: failed to create memory search tool${label} — ${err.message}`);
     return null;
   }
 }
@@ -57,56 +62,90 @@ function getTool({ runtime, config, sessionKey, logger }) {
  * @param {object} options.runtime - OpenClaw PluginRuntime
  * @param {object} options.config - OpenClaw config
  * @param {string} [options.sessionKey] - Session key for scoped search
+ * @param {string} [options.agentId] - Agent store to search (omit for the session's own agent)
  * @param {object} options.logger - Plugin logger
- * @returns {Promise<Array<{text: string, source: string, path: string, lines: string, score: number}>>}
+ * @returns {Promise<Array<{text: string, source: string, path: string, lines: string, score: number, chunkId?: string}>>}
  */
-export async function searchMemories(query, { maxResults = 5, minScore = 0.3, timeoutMs = 2000, runtime, config, sessionKey, logger } = {}) {
-  const tool = getTool({ runtime, config, sessionKey, logger });
-  if (!tool) return [];
+export async function searchMemories(query, options = {}) {
+  return (await searchMemoriesWithStatus(query, options)).results;
+}
 
+/**
+ * Search memory index and report how the search went, so callers can
+ * tell "nothing relevant" apart from "vector search unavailable".
+ *
+ * Status:
+ *   - ok:          the tool answered (results may be empty)
+ *   - timeout:     no answer within timeoutMs (late answers are ignored)
+ *   - error:       the tool threw
+ *   - unavailable: the memory search tool could not be initialized
+ *
+ * @param {string} query - The user's prompt text
+ * @param {object} options - Same as searchMemories
+ * @returns {Promise<{results: Array, status: "ok"|"timeout"|"error"|"unavailable", error?: Error}>}
+ */
+export async function searchMemoriesWithStatus(query, { maxResults = 5, minScore = 0.3, timeoutMs = 2000, runtime, config, sessionKey, agentId, logger } = {}) {
+  const tool = getTool({ runtime, config, sessionKey, agentId, logger });
+  if (!tool) return { results: [], status: "unavailable" };
+
+  const timeoutError = new Error("Memory search timeout");
+  let timer;
   try {
     const rawResult = await Promise.race([
       tool.execute("hookclaw-search", { query, maxResults, minScore }),
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error("Memory search timeout")), timeoutMs)
-      ),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(timeoutError), timeoutMs);
+      }),
     ]);
 
-    // The tool returns { content: [{ type: "text", text: "..." }], details: { results, count } }
-    // Parse the results from the details or from the text content
-    const details = rawResult?.details;
-    if (details?.results && Array.isArray(details.results)) {
-      return details.results.map((r) => ({
-        text: r.snippet || r.text || "",
-        source: r.source || "memory",
-        path: r.path || "",
-        lines: r.startLine && r.endLine ? `${r.startLine}-${r.endLine}` : (r.lines || ""),
-        score: typeof r.score === "number" ? r.score : 0,
-      }));
-    }
-
-    // Fallback: try to extract from details.memories (memory-lancedb format)
-    if (details?.memories && Array.isArray(details.memories)) {
-      return details.memories.map((r) => ({
-        text: r.text || "",
-        source: "memory",
-        path: "",
-        lines: "",
-        score: typeof r.score === "number" ? r.score : 0,
-      }));
-    }
-
-    return [];
+    return { results: mapToolResults(rawResult), status: "ok" };
   } catch (err) {
     logger.warn(`hookclaw: memory search failed — ${err.message}`);
-    return [];
+    return { results: [], status: err === timeoutError ? "timeout" : "error", error: err };
+  } finally {
+    clearTimeout(timer);
   }
 }
 
 /**
- * Reset the cached tool (useful for testing).
+ * Map a memory tool response to the memory result shape.
+ *
+ * @param {object} rawResult - Tool response
+ * @returns {Array<{text: string, source: string, path: string, lines: string, score: number, chunkId?: string}>}
+ */
+function mapToolResults(rawResult) {
+  // The tool returns { content: [{ type: "text", text: "..." }], details: { results, count } }
+  // Parse the results from the details or from the text content
+  const details = rawResult?.details;
+  if (details?.results && Array.isArray(details.results)) {
+    return details.results.map((r) => ({
+      text: r.snippet || r.text || "",
+      source: r.source || "memory",
+      path: r.path || "",
+      lines: r.startLine && r.endLine ? `${r.startLine}-${r.endLine}` : (r.lines || ""),
+      score: typeof r.score === "number" ? r.score : 0,
+      ...(r.updatedAt !== undefined ? { updatedAt: r.updatedAt } : {}),
+      ...(r.id != null ? { chunkId: r.id } : {}),
+    }));
+  }
+
+  // Fallback: try to extract from details.memories (memory-lancedb format)
+  if (details?.memories && Array.isArray(details.memories)) {
+    return details.memories.map((r) => ({
+      text: r.text || "",
+      source: "memory",
+      path: "",
+      lines: "",
+      score: typeof r.score === "number" ? r.score : 0,
+    }));
+  }
+
+  return [];
+}
+
+/**
+ * Reset the cached tools (useful for testing).
  */
 export function resetManager() {
-  _tool = null;
-  _initFailed = false;
+  _tools.clear();
 }
@@ -35,8 +35,24 @@ export class MetricsCollector {
     /** @type {number[]} */
     this._topScores = [];
 
+    // Injected result counts
+    /** @type {number[]} */
+    this._resultCounts = [];
+
     // Signal usage
     this._ftsUsed = 0;
+    this._fallbacks = 0;
+
+    // Per-stage retrieval latency and deadline misses (vector, fts)
+    /** @type {Map<string, { latencies: number[], timeouts: number, late: number, errors: number }>} */
+    this._stages = new Map();
+
+    // agent_end feedback (not counted as hook calls)
+    this._agentResponses = 0;
+    this._agentNoResponses = 0;
+
+    // Shadow-mode comparisons (not counted as hook calls)
+    this._shadow = this._emptyShadowStats();
 
     // Start time
     this._startTime = Date.now();
@@ -51,6 +67,8 @@ export class MetricsCollector {
    * @param {number} [event.topScore] - Top result score
    * @param {number} [event.resultCount] - Number of results
    * @param {boolean} [event.ftsUsed] - FTS5 keyword boost used
+   * @param {boolean} [event.fallback] - Keyword-only fallback (vector search failed)
+   * @param {Object<string, {status: string, ms: number}>} [event.stages] - Per-stage retrieval outcome
    */
   record(event) {
     this._totalCalls++;
@@ -90,7 +108,17 @@ export class MetricsCollector {
       }
     }
 
+    if (event.outcome === "injection" && typeof event.resultCount === "number") {
+      this._resultCounts.push(event.resultCount);
+      if (this._resultCounts.length > this._maxLatencyWindow) {
+        this._resultCounts.shift();
+      }
+    }
+
     if (event.ftsUsed) this._ftsUsed++;
+    if (event.fallback) this._fallbacks++;
+
+    if (event.stages) this._recordStages(event.stages);
 
     // Periodic summary
     if (this._summaryInterval > 0 && this._totalCalls % this._summaryInterval === 0) {
@@ -98,6 +126,86 @@ export class MetricsCollector {
     }
   }
 
+  /**
+   * Track per-stage latency and deadline misses.
+   * @param {Object<string, {status: string, ms: number}>} stages
+   */
+  _recordStages(stages) {
+    for (const [name, { status, ms }] of Object.entries(stages)) {
+      let stage = this._stages.get(name);
+      if (!stage) {
+        stage = { latencies: [], timeouts: 0, late: 0, errors: 0 };
+        this._stages.set(name, stage);
+      }
+      if (typeof ms === "number") {
+        stage.latencies.push(ms);
+        if (stage.latencies.length > this._maxLatencyWindow) {
+          stage.latencies.shift();
+        }
+      }
+      if (status === "timeout") stage.timeouts++;
+      else if (status === "late") stage.late++;
+      else if (status === "error") stage.errors++;
+    }
+  }
+
+  /**
+   * Record an agent_end event from the feedback hook.
+   * Tracked separately so it doesn't skew before_agent_start call counts.
+   *
+   * @param {object} event
+   * @param {boolean} event.responded - Whether the agent produced response text
+   */
+  recordAgentEnd({ responded }) {
+    if (responded) this._agentResponses++;
+    else this._agentNoResponses++;
+  }
+
+  /**
+   * Record a shadow-mode comparison, or a shadow run that failed or was
+   * dropped because another one was still in flight.
+   *
+   * @param {object} event
+   * @param {number} [event.overlap] - Chunks both pipelines selected
+   * @param {number} [event.jaccard] - overlap / union
+   * @param {boolean} [event.topMatch] - Same first chunk
+   * @param {boolean} [event.identical] - Same chunks in the same order
+   * @param {string[]} [event.primary] - Primary selection (chunk keys)
+   * @param {string[]} [event.shadow] - Shadow selection (chunk keys)
+   * @param {number} [event.latencyMs] - Shadow pipeline time
+   * @param {boolean} [event.error] - Shadow pipeline threw
+   * @param {boolean} [event.busy] - Not run: a shadow run was in flight
+   */
+  recordShadow(event) {
+    const stats = this._shadow;
+    if (event.busy) {
+      stats.busy++;
+      return;
+    }
+    if (event.error) {
+      stats.errors++;
+      return;
+    }
+    stats.runs++;
+    if (event.topMatch) stats.topMatches++;
+    if (event.identical) stats.identical++;
+    // Calls where only one side would have injected anything
+    const primaryInjects = event.primary?.length > 0;
+    const shadowInjects = event.shadow?.length > 0;
+    if (primaryInjects && !shadowInjects) stats.primaryOnly++;
+    if (shadowInjects && !primaryInjects) stats.shadowOnly++;
+    for (const [list, value] of [[stats.jaccards, event.jaccard], [stats.latencies, event.latencyMs]]) {
+      if (typeof value !== "number") continue;
+      list.push(value);
+      if (list.length > this._maxLatencyWindow) list.shift();
+    }
+  }
+
+  /** Zeroed shadow-mode counters */
+  _emptyShadowStats() {
+    return { runs: 0, busy: 0, errors: 0, topMatches: 0, identical: 0, primaryOnly: 0, shadowOnly: 0, jaccards: [], latencies: [] };
+  }
+
   /**
    * Get current metrics snapshot.
    */
@@ -115,7 +223,13 @@ export class MetricsCollector {
       errors: this._errors,
       latency: this._computeLatencyStats(),
       topScoreAvg: this._computeAverage(this._topScores),
+      resultCountAvg: this._computeAverage(this._resultCounts),
       ftsUsed: this._ftsUsed,
+      fallbacks: this._fallbacks,
+      stages: this._computeStageStats(),
+      agentResponses: this._agentResponses,
+      agentNoResponses: this._agentNoResponses,
+      shadow: this._computeShadowStats(),
       uptimeMs,
     };
   }
@@ -135,19 +249,60 @@ export class MetricsCollector {
       `${(snap.cacheHitRate * 100).toFixed(0)}% cache | ` +
       `p50=${latency.p50}ms p95=${latency.p95}ms | ` +
       `avg_score=${snap.topScoreAvg.toFixed(3)} | ` +
-      `fts=${snap.ftsUsed}`
+      `fts=${snap.ftsUsed} fallback=${snap.fallbacks}`
     );
   }
 
+  /**
+   * Render a multi-line, human-readable report of the current snapshot
+   * (used by the /hookclaw metrics command).
+   *
+   * @returns {string}
+   */
+  formatReport() {
+    const snap = this.getSnapshot();
+    const pct = (v) => `${(v * 100).toFixed(1)}%`;
+    const mins = Math.floor(snap.uptimeMs / 60000);
+    const uptime = mins >= 60 ? `${Math.floor(mins / 60)}h ${mins % 60}m` : `${mins}m`;
+    const l = snap.latency;
+    const sh = snap.shadow;
+    const stages = Object.entries(snap.stages).map(([name, s]) => {
+      const misses = s.timeouts + s.late;
+      return `${name} p50=${s.p50}ms p95=${s.p95}ms` +
+        (misses > 0 ? ` (${misses} missed deadline)` : "") +
+        (s.errors > 0 ? ` (${s.errors} errors)` : "");
+    });
+
+    return [
+      `HookClaw metrics (uptime ${uptime})`,
+      `calls: ${snap.totalCalls} | injected: ${snap.injections} (${pct(snap.injectionRate)}) | ` +
+        `cache hits: ${snap.cacheHits} (${pct(snap.cacheHitRate)})`,
+      `skipped: ${snap.skipPatternHits} pattern, ${snap.shortPromptSkips} short | ` +
+        `no results: ${snap.noResults} | errors: ${snap.errors}`,
+      `latency: p50=${l.p50}ms p95=${l.p95}ms p99=${l.p99}ms avg=${l.avg}ms max=${l.max}ms`,
+      ...(stages.length > 0 ? [`stages: ${stages.join(" | ")}`] : []),
+      `avg top score: ${snap.topScoreAvg.toFixed(3)} | avg injected: ${snap.resultCountAvg.toFixed(1)} | fts used: ${snap.ftsUsed} | fallback: ${snap.fallbacks}`,
+      `agent_end: ${snap.agentResponses} responses, ${snap.agentNoResponses} empty`,
+      ...(sh.runs + sh.busy + sh.errors > 0
+        ? [
+            `shadow: ${sh.runs} compared | avg jaccard ${sh.jaccardAvg.toFixed(3)} | top-1 same ${pct(sh.topMatchRate)} | ` +
+              `identical ${pct(sh.identicalRate)} | injects only primary ${sh.primaryOnly}, only shadow ${sh.shadowOnly} | ` +
+              `p50=${sh.latency.p50}ms p95=${sh.latency.p95}ms | ${sh.busy} busy, ${sh.errors} errors`,
+          ]
+        : []),
+    ].join("\n");
+  }
+
   /**
    * Compute latency percentiles.
+   * @param {number[]} [latencies] - Defaults to the call latency window
    */
-  _computeLatencyStats() {
-    if (this._latencies.length === 0) {
+  _computeLatencyStats(latencies = this._latencies) {
+    if (latencies.length === 0) {
       return { p50: 0, p95: 0, p99: 0, avg: 0, min: 0, max: 0 };
     }
 
-    const sorted = [...this._latencies].sort((a, b) => a - b);
+    const sorted = [...latencies].sort((a, b) => a - b);
     return {
       p50: sorted[Math.floor(sorted.length * 0.5)] || 0,
       p95: sorted[Math.floor(sorted.length * 0.95)] || 0,
@@ -158,6 +313,41 @@ export class MetricsCollector {
     };
   }
 
+  /**
+   * Latency percentiles and deadline misses per retrieval stage.
+   */
+  _computeStageStats() {
+    const stats = {};
+    for (const [name, stage] of this._stages) {
+      stats[name] = {
+        ...this._computeLatencyStats(stage.latencies),
+        count: stage.latencies.length,
+        timeouts: stage.timeouts,
+        late: stage.late,
+        errors: stage.errors,
+      };
+    }
+    return stats;
+  }
+
+  /**
+   * Shadow-mode agreement rates and latency.
+   */
+  _computeShadowStats() {
+    const { runs, busy, errors, topMatches, identical, primaryOnly, shadowOnly, jaccards, latencies } = this._shadow;
+    return {
+      runs,
+      busy,
+      errors,
+      jaccardAvg: this._computeAverage(jaccards),
+      topMatchRate: runs > 0 ? topMatches / runs : 0,
+      identicalRate: runs > 0 ? identical / runs : 0,
+      primaryOnly,
+      shadowOnly,
+      latency: this._computeLatencyStats(latencies),
+    };
+  }
+
   /**
    * Compute average of an array.
    * @param {number[]} arr
@@ -181,7 +371,13 @@ export class MetricsCollector {
     this._errors = 0;
     this._latencies = [];
     this._topScores = [];
+    this._resultCounts = [];
     this._ftsUsed = 0;
+    this._fallbacks = 0;
+    this._stages = new Map();
+    this._agentResponses = 0;
+    this._agentNoResponses = 0;
+    this._shadow = this._emptyShadowStats();
     this._startTime = Date.now();
   }
 }
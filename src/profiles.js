@@ -0,0 +1,162 @@
+/**
+ * Configuration profiles — named option overrides picked per prompt.
+ *
+ * A profile matches on the hook context and overrides any subset of the
+ * plugin options, e.g. terse injection on Telegram or a stricter minScore
+ * for an ops agent:
+ *
+ *   "profiles": [
+ *     { "name": "telegram", "match": { "channel": "telegram" }, "options": { "maxResults": 1 } },
+ *     { "name": "ops", "match": { "agentId": "ops" }, "options": { "minScore": 0.6 } },
+ *     { "name": "desktop", "match": { "sessionKey": "agent:*:desktop:*" }, "options": { "maxContextChars": 4000 } }
+ *   ]
+ *
+ * Each match field takes a value or a list of values, session keys take
+ * `*` / `?` wildcards, and all given fields must match. Profiles are tried
+ * in order; the first match wins, and prompts matching none use the base
+ * config.
+ */
+
+/** Options a profile can't override (structure, not per-prompt tuning) */
+const NON_OVERRIDABLE = new Set(["profiles", "shadowConfig", "shadowSampleRate", "configFile", "watchConfigFile"]);
+
+/**
+ * Options of the services every profile shares — the prompt cache (which
+ * also tokenizes prompts with the base analyzer), the session dedup ledger,
+ * the feedback tracker and the trace writer. These come from the base config.
+ */
+const SHARED_SERVICE_OPTIONS = new Set([
+  "cacheSize", "cacheTtlMs", "cacheEviction", "cacheMaxBytes", "fuzzyCacheThreshold", "analyzer",
+  "enableSessionDedup", "reinjectAfterTurns",
+  "enableFeedbackLoop",
+  "enableTrace", "traceFile", "traceMaxBytes", "traceMaxFiles",
+]);
+
+/**
+ * @typedef {object} Profile
+ * @property {string} name
+ * @property {{ agentId?: string[], channel?: string[], sessionKey?: RegExp[] }} match
+ * @property {object} options - Option overrides
+ */
+
+/**
+ * Compile a session-key wildcard pattern (`*` any run, `?` one character).
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function wildcardToRegExp(pattern) {
+  const source = pattern
+    .split("")
+    .map((c) => (c === "*" ? ".*" : c === "?" ? "." : c.replace(/[.+^${}()|[\]\\]/g, "\\$&")))
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+/** Normalize a match field to a list of strings (null when absent) */
+function toList(value) {
+  if (value == null) return null;
+  const list = (Array.isArray(value) ? value : [value]).filter((v) => typeof v === "string" && v !== "");
+  return list.length > 0 ? list : null;
+}
+
+/**
+ * Validate and normalize the `profiles` config option. Invalid or
+ * duplicate entries are warned and skipped.
+ *
+ * @param {Array<object>|null} profiles
+ * @param {object} [logger] - Plugin logger
+ * @returns {Profile[]|null} Profiles, or null when there are none
+ */
+export function normalizeProfiles(profiles, logger = null) {
+  if (profiles == null) return null;
+  if (!Array.isArray(profiles)) {
+    logger?.warn?.("hookclaw: profiles must be an array — ignored");
+    return null;
+  }
+
+  const seen = new Set();
+  const normalized = [];
+  for (const entry of profiles) {
+    const name = entry?.name;
+    if (typeof name !== "string" || name === "") {
+      logger?.warn?.(`hookclaw: profile ignored — missing name: ${JSON.stringify(entry)}`);
+      continue;
+    }
+    if (seen.has(name)) {
+      logger?.warn?.(`hookclaw: duplicate profile "${name}" ignored`);
+      continue;
+    }
+
+    const agentId = toList(entry.match?.agentId);
+    const channel = toList(entry.match?.channel)?.map((c) => c.toLowerCase()) ?? null;
+    const sessionKey = toList(entry.match?.sessionKey)?.map(wildcardToRegExp) ?? null;
+    if (!agentId && !channel && !sessionKey) {
+      logger?.warn?.(`hookclaw: profile "${name}" ignored — match needs agentId, channel or sessionKey`);
+      continue;
+    }
+
+    const options = {};
+    for (const [key, value] of Object.entries(entry.options || {})) {
+      if (NON_OVERRIDABLE.has(key)) {
+        logger?.warn?.(`hookclaw: profile "${name}" cannot override "${key}" — ignored`);
+        continue;
+      }
+      if (SHARED_SERVICE_OPTIONS.has(key)) {
+        logger?.warn?.(`hookclaw: profile "${name}" cannot override "${key}" — shared by every profile, ignored`);
+        continue;
+      }
+      options[key] = value;
+    }
+
+    seen.add(name);
+    normalized.push({
+      name,
+      match: {
+        ...(agentId ? { agentId } : {}),
+        ...(channel ? { channel } : {}),
+        ...(sessionKey ? { sessionKey } : {}),
+      },
+      options,
+    });
+  }
+  return normalized.length > 0 ? normalized : null;
+}
+
+/**
+ * What a profile can match on, from the hook context. The agent id falls
+ * back to an "agent:<id>:..." session key, and the channel to the
+ * message provider or the session key's third segment
+ * ("agent:main:telegram:dm:42").
+ *
+ * @param {object} [ctx] - PluginHookAgentContext
+ * @returns {{ agentId: string, channel: string, sessionKey: string }}
+ */
+export function profileContext(ctx) {
+  const sessionKey = ctx?.sessionKey || "";
+  const parts = /^agent:([^:]+):([^:]+)/.exec(sessionKey);
+  return {
+    agentId: ctx?.agentId || parts?.[1] || "",
+    channel: ctx?.messageProvider || ctx?.channel || (parts && parts[2] !== "main" ? parts[2] : ""),
+    sessionKey,
+  };
+}
+
+/**
+ * First profile matching the hook context.
+ *
+ * @param {Profile[]|null} profiles
+ * @param {object} [ctx]
+ * @returns {Profile|null}
+ */
+export function matchProfile(profiles, ctx) {
+  if (!profiles) return null;
+  const { agentId, channel, sessionKey } = profileContext(ctx);
+  for (const profile of profiles) {
+    const { match } = profile;
+    if (match.agentId && !match.agentId.includes(agentId)) continue;
+    if (match.channel && !match.channel.includes(channel.toLowerCase())) continue;
+    if (match.sessionKey && !match.sessionKey.some((re) => re.test(sessionKey))) continue;
+    return profile;
+  }
+  return null;
+}
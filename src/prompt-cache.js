@@ -0,0 +1,434 @@
+/**
+ * Prompt dedup cache — retrievals keyed by query text, with fuzzy matching
+ * of near-duplicate prompts.
+ *
+ * Fuzzy lookups go through a MinHash/LSH index instead of scanning every
+ * entry: each prompt's word set gets a MinHash signature, split into bands,
+ * and only entries sharing at least one band bucket are compared with exact
+ * Jaccard. Band width is picked from the threshold so a prompt at the
+ * threshold still collides with ~99% probability; the final Jaccard check
+ * keeps the threshold exact (LSH can miss a match, never invent one).
+ *
+ * Entries are partitioned by scope (see createHandler cacheScope) and
+ * bounded by count and, optionally, by estimated bytes. Each entry also
+ * belongs to a version partition — the pipeline that retrieved it — whose
+ * memory index version is tracked separately, so pipelines reading
+ * different stores don't invalidate each other's entries. When a bound is
+ * exceeded the eviction policy picks the victim:
+ *   - lru: least recently used
+ *   - lfu: least frequently used (ties: least recently used)
+ */
+
+import { tokenize, jaccardSimilarity } from "./analyzer.js";
+
+export const DEFAULT_CACHE_SIZE = 20;
+export const DEFAULT_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+export const DEFAULT_FUZZY_THRESHOLD = 0.85;
+export const CACHE_EVICTION_POLICIES = Object.freeze(["lru", "lfu"]);
+
+/** MinHash signature length */
+const NUM_HASHES = 64;
+
+/** Probability that a prompt exactly at the fuzzy threshold shares a band bucket */
+const TARGET_RECALL = 0.99;
+
+/** Fixed per-entry overhead in the byte estimate (signature, token set, bookkeeping) */
+const ENTRY_OVERHEAD_BYTES = NUM_HASHES * 4 + 256;
+
+/** Per-hash seeds, deterministic so signatures are stable across restarts */
+const SEEDS = (() => {
+  const seeds = new Uint32Array(NUM_HASHES);
+  let x = 0x9e3779b9;
+  for (let i = 0; i < NUM_HASHES; i++) {
+    x = (x + 0x6d2b79f5) >>> 0;
+    seeds[i] = fmix32(x);
+  }
+  return seeds;
+})();
+
+/**
+ * MurmurHash3 32-bit finalizer — spreads bits of a 32-bit integer.
+ * @param {number} h
+ * @returns {number}
+ */
+function fmix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * FNV-1a hash of a string.
+ * @param {string} str
+ * @returns {number}
+ */
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * MinHash signature of a token set.
+ *
+ * @param {Set<string>} tokens
+ * @returns {Uint32Array} NUM_HASHES minimums (all 0xffffffff for an empty set)
+ */
+export function minHashSignature(tokens) {
+  const sig = new Uint32Array(NUM_HASHES).fill(0xffffffff);
+  for (const token of tokens) {
+    const base = hashString(token);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const h = fmix32(base ^ SEEDS[i]);
+      if (h < sig[i]) sig[i] = h;
+    }
+  }
+  return sig;
+}
+
+/**
+ * Rows per LSH band for a similarity threshold: the widest band (fewest
+ * candidates) that still puts a pair at the threshold in a shared bucket
+ * with TARGET_RECALL probability.
+ *
+ * @param {number} threshold - Jaccard threshold (0-1)
+ * @returns {number} Rows per band (divides NUM_HASHES)
+ */
+export function rowsPerBand(threshold) {
+  for (const rows of [16, 8, 4, 2]) {
+    const bands = NUM_HASHES / rows;
+    if (1 - Math.pow(1 - Math.pow(threshold, rows), bands) >= TARGET_RECALL) return rows;
+  }
+  return 1;
+}
+
+/**
+ * Rough memory footprint of an entry (UTF-16 string data plus overhead).
+ */
+function estimateBytes(key, results) {
+  let json;
+  try {
+    json = JSON.stringify(results) || "";
+  } catch {
+    json = "";
+  }
+  return 2 * (key.length + json.length) + ENTRY_OVERHEAD_BYTES;
+}
+
+/**
+ * Retrieval cache with scope partitions, fuzzy LSH lookup and pluggable eviction.
+ */
+export class PromptCache {
+  /**
+   * @param {number} [maxSize=20] - Maximum entries
+   * @param {number} [ttlMs=300000] - Entry lifetime
+   * @param {number} [fuzzyThreshold=0.85] - Jaccard similarity for a fuzzy hit (1 = exact only)
+   * @param {object} [options]
+   * @param {"lru"|"lfu"} [options.eviction="lru"] - Which entry to drop when a bound is exceeded
+   * @param {number|null} [options.maxBytes=null] - Bound on the estimated size of all entries (null = count only)
+   * @param {import('./analyzer.js').Analyzer} [options.analyzer] - Prompt tokenization for fuzzy matching (default: English)
+   */
+  constructor(
+    maxSize = DEFAULT_CACHE_SIZE,
+    ttlMs = DEFAULT_CACHE_TTL_MS,
+    fuzzyThreshold = DEFAULT_FUZZY_THRESHOLD,
+    { eviction = "lru", maxBytes = null, analyzer } = {}
+  ) {
+    this._maxSize = maxSize;
+    this._ttlMs = ttlMs;
+    this._fuzzyThreshold = fuzzyThreshold;
+    this._eviction = CACHE_EVICTION_POLICIES.includes(eviction) ? eviction : "lru";
+    this._maxBytes = maxBytes > 0 ? maxBytes : null;
+    this._rows = rowsPerBand(fuzzyThreshold);
+    this._tokenize = (str) => tokenize(str, analyzer);
+
+    /**
+     * Entries in recency order (least recently used first).
+     * @type {Map<string, { key: string, scope: string, partition: string, results: *, ts: number, tokens: Set<string>, bands: string[], bytes: number, hits: number }>}
+     */
+    this._map = new Map();
+    /** LSH buckets: scope + band + band hash -> entry map keys */
+    this._buckets = new Map();
+    /** LFU buckets: hit count -> entry map keys, least recently used first */
+    this._byHits = new Map();
+    this._minHits = 0;
+    this._bytes = 0;
+    /** Version partition -> memory index version its entries were retrieved against */
+    this._versions = new Map();
+  }
+
+  /**
+   * Track the memory index version behind a partition. When it changes
+   * (memory-core re-indexed), that partition's entries were retrieved
+   * against a stale index and are dropped, so a repeated question sees
+   * newly written memories. Other partitions are left alone.
+   *
+   * @param {string|null} version - Current index version (null = unknown, keep entries)
+   * @param {string} [partition=""] - Version partition (see set)
+   * @returns {number} Number of entries dropped
+   */
+  syncVersion(version, partition = "") {
+    if (version == null) return 0;
+    const previous = this._versions.get(partition);
+    this._versions.set(partition, version);
+    if (previous === undefined || previous === version) return 0;
+    let dropped = 0;
+    for (const [mapKey, entry] of [...this._map]) {
+      if (entry.partition !== partition) continue;
+      this._remove(mapKey);
+      dropped++;
+    }
+    return dropped;
+  }
+
+  /**
+   * @param {string} key - Query text
+   * @param {string} [scope=""] - Cache partition (see createHandler cacheScope)
+   * @returns {*} Cached value, or undefined
+   */
+  get(key, scope = "") {
+    // Exact match first
+    const mapKey = `${scope}\0${key}`;
+    const entry = this._live(mapKey);
+    if (entry) {
+      this._touch(mapKey, entry);
+      return entry.results;
+    }
+
+    if (this._fuzzyThreshold >= 1.0) return undefined;
+
+    // Fuzzy match: only entries sharing an LSH bucket are compared
+    const keyTokens = this._tokenize(key);
+    let bestKey = null;
+    let bestEntry = null;
+    let bestSim = 0;
+    for (const candidateKey of this._candidates(scope, keyTokens)) {
+      const candidate = this._live(candidateKey);
+      if (!candidate) continue;
+      const sim = jaccardSimilarity(keyTokens, candidate.tokens);
+      if (sim >= this._fuzzyThreshold && sim > bestSim) {
+        bestSim = sim;
+        bestKey = candidateKey;
+        bestEntry = candidate;
+      }
+    }
+
+    if (!bestEntry) return undefined;
+    this._touch(bestKey, bestEntry);
+    return bestEntry.results;
+  }
+
+  /**
+   * @param {string} key - Query text
+   * @param {*} results - Cached value (JSON-serializable, for the byte estimate)
+   * @param {string} [scope=""] - Cache partition
+   * @param {string} [partition=""] - Version partition whose syncVersion invalidates the entry
+   */
+  set(key, results, scope = "", partition = "") {
+    const mapKey = `${scope}\0${key}`;
+    this._remove(mapKey);
+
+    const tokens = this._tokenize(key);
+    const bands = this._fuzzyThreshold < 1.0 ? this._bandKeys(scope, tokens) : [];
+    const entry = { key, scope, partition, results, ts: Date.now(), tokens, bands, bytes: estimateBytes(key, results), hits: 0 };
+    if (this._maxBytes !== null && entry.bytes > this._maxBytes) return; // would never fit
+
+    // Make room first, so a new entry (no hits yet) isn't its own LFU victim
+    this._evict(entry.bytes);
+
+    this._map.set(mapKey, entry);
+    this._bytes += entry.bytes;
+    for (const band of bands) {
+      let bucket = this._buckets.get(band);
+      if (!bucket) {
+        bucket = new Set();
+        this._buckets.set(band, bucket);
+      }
+      bucket.add(mapKey);
+    }
+    this._addHits(mapKey, 0);
+    this._minHits = 0;
+  }
+
+  /**
+   * Change bounds, TTL, fuzzy threshold or eviction policy in place (config
+   * reload). Entries are re-indexed for the new threshold and analyzer, then
+   * evicted down to the new bounds.
+   *
+   * @param {number} [maxSize]
+   * @param {number} [ttlMs]
+   * @param {number} [fuzzyThreshold]
+   * @param {object} [options] - As in the constructor
+   * @returns {number} Number of entries evicted
+   */
+  configure(
+    maxSize = DEFAULT_CACHE_SIZE,
+    ttlMs = DEFAULT_CACHE_TTL_MS,
+    fuzzyThreshold = DEFAULT_FUZZY_THRESHOLD,
+    { eviction = "lru", maxBytes = null, analyzer } = {}
+  ) {
+    this._maxSize = maxSize;
+    this._ttlMs = ttlMs;
+    this._fuzzyThreshold = fuzzyThreshold;
+    this._eviction = CACHE_EVICTION_POLICIES.includes(eviction) ? eviction : "lru";
+    this._maxBytes = maxBytes > 0 ? maxBytes : null;
+    this._rows = rowsPerBand(fuzzyThreshold);
+    this._tokenize = (str) => tokenize(str, analyzer);
+
+    // Token sets and band keys depend on the analyzer and threshold
+    this._buckets.clear();
+    for (const [mapKey, entry] of this._map) {
+      entry.tokens = this._tokenize(entry.key);
+      entry.bands = this._fuzzyThreshold < 1.0 ? this._bandKeys(entry.scope, entry.tokens) : [];
+      for (const band of entry.bands) {
+        let bucket = this._buckets.get(band);
+        if (!bucket) {
+          bucket = new Set();
+          this._buckets.set(band, bucket);
+        }
+        bucket.add(mapKey);
+      }
+    }
+
+    let evicted = 0;
+    while (this._map.size > Math.max(0, this._maxSize) || (this._maxBytes !== null && this._bytes > this._maxBytes)) {
+      this._remove(this._victim());
+      evicted++;
+    }
+    return evicted;
+  }
+
+  clear() {
+    this._map.clear();
+    this._buckets.clear();
+    this._byHits.clear();
+    this._minHits = 0;
+    this._bytes = 0;
+  }
+
+  get size() {
+    return this._map.size;
+  }
+
+  /** Estimated size of all entries in bytes */
+  get bytes() {
+    return this._bytes;
+  }
+
+  /**
+   * Get an entry if present and not expired (expired entries are removed).
+   */
+  _live(mapKey) {
+    const entry = this._map.get(mapKey);
+    if (!entry) return null;
+    if (Date.now() - entry.ts > this._ttlMs) {
+      this._remove(mapKey);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Record a hit: most recently used, one more use.
+   */
+  _touch(mapKey, entry) {
+    this._map.delete(mapKey);
+    this._map.set(mapKey, entry);
+
+    const bucket = this._byHits.get(entry.hits);
+    bucket.delete(mapKey);
+    if (bucket.size === 0) {
+      this._byHits.delete(entry.hits);
+      if (this._minHits === entry.hits) this._minHits = entry.hits + 1;
+    }
+    entry.hits++;
+    this._addHits(mapKey, entry.hits);
+  }
+
+  _addHits(mapKey, hits) {
+    let bucket = this._byHits.get(hits);
+    if (!bucket) {
+      bucket = new Set();
+      this._byHits.set(hits, bucket);
+    }
+    bucket.add(mapKey);
+  }
+
+  /**
+   * Drop one entry from every index.
+   */
+  _remove(mapKey) {
+    const entry = this._map.get(mapKey);
+    if (!entry) return;
+    this._map.delete(mapKey);
+    this._bytes -= entry.bytes;
+    for (const band of entry.bands) {
+      const bucket = this._buckets.get(band);
+      bucket.delete(mapKey);
+      if (bucket.size === 0) this._buckets.delete(band);
+    }
+    const hitBucket = this._byHits.get(entry.hits);
+    hitBucket.delete(mapKey);
+    if (hitBucket.size === 0) this._byHits.delete(entry.hits);
+  }
+
+  /**
+   * Evict until an incoming entry of the given size fits both bounds.
+   * @param {number} incomingBytes
+   */
+  _evict(incomingBytes) {
+    while (
+      this._map.size > 0 &&
+      (this._map.size >= this._maxSize || (this._maxBytes !== null && this._bytes + incomingBytes > this._maxBytes))
+    ) {
+      this._remove(this._victim());
+    }
+  }
+
+  /**
+   * Map key of the entry the eviction policy drops next.
+   */
+  _victim() {
+    if (this._eviction === "lfu") {
+      // _minHits can go stale after arbitrary removals; fall back to a scan of the (few) hit counts
+      let bucket = this._byHits.get(this._minHits);
+      if (!bucket) {
+        this._minHits = Math.min(...this._byHits.keys());
+        bucket = this._byHits.get(this._minHits);
+      }
+      return bucket.values().next().value;
+    }
+    return this._map.keys().next().value;
+  }
+
+  /**
+   * LSH bucket keys for a token set within a scope.
+   */
+  _bandKeys(scope, tokens) {
+    const sig = minHashSignature(tokens);
+    const rows = this._rows;
+    const keys = [];
+    for (let start = 0; start < NUM_HASHES; start += rows) {
+      keys.push(`${scope}\0${start}:${sig.subarray(start, start + rows).join(",")}`);
+    }
+    return keys;
+  }
+
+  /**
+   * Entries sharing at least one LSH bucket with a token set.
+   */
+  _candidates(scope, tokens) {
+    const candidates = new Set();
+    for (const band of this._bandKeys(scope, tokens)) {
+      const bucket = this._buckets.get(band);
+      if (bucket) for (const mapKey of bucket) candidates.add(mapKey);
+    }
+    return candidates;
+  }
+}
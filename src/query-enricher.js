@@ -7,6 +7,8 @@
  * simple regex patterns.
  */
 
+import { tokenizeQuery } from "./analyzer.js";
+
 // ---------------------------------------------------------------------------
 // Entity extraction patterns
 // ---------------------------------------------------------------------------
@@ -153,6 +155,149 @@ export function parseTemporalExpression(prompt, now = new Date()) {
   return null;
 }
 
+// ---------------------------------------------------------------------------
+// Conversation-aware query synthesis — follow-ups borrow context from history
+// ---------------------------------------------------------------------------
+
+/** Prompts that lean on earlier turns: pronouns, ordinals, "what about" */
+const ANAPHORA_RE = /\b(it|its|that|this|those|these|them|they|one|ones|same|former|latter|above|(first|second|third|last|other|previous|next) one)\b|^\s*(and|but|also|so|what about|how about)\b/i;
+
+/** Max characters read from a single message (assistant turns can be huge) */
+const MAX_MESSAGE_CHARS = 4000;
+
+/**
+ * Decide whether a prompt is a follow-up that needs conversation context.
+ * Short prompts always qualify; anaphoric ones qualify up to 3x maxWords,
+ * since longer prompts usually carry their own meaning.
+ *
+ * @param {string} prompt
+ * @param {number} [maxWords=6] - Prompts with this many words or fewer count as follow-ups
+ * @returns {boolean}
+ */
+export function isFollowUpPrompt(prompt, maxWords = 6) {
+  if (!prompt) return false;
+  const words = prompt.trim().split(/\s+/).filter(Boolean);
+  if (words.length <= maxWords) return true;
+  return words.length <= maxWords * 3 && ANAPHORA_RE.test(prompt);
+}
+
+/**
+ * Extract plain text from an OpenClaw/Anthropic-style message.
+ * Content may be a string or an array of { type: "text", text } parts.
+ *
+ * @param {unknown} message
+ * @returns {{ role: string, text: string } | null}
+ */
+export function messageText(message) {
+  if (!message || typeof message !== "object") return null;
+  const { role, content } = /** @type {{role?: string, content?: unknown}} */ (message);
+  if (role !== "user" && role !== "assistant") return null;
+
+  let text = "";
+  if (typeof content === "string") {
+    text = content;
+  } else if (Array.isArray(content)) {
+    text = content
+      .filter((p) => p && p.type === "text" && typeof p.text === "string")
+      .map((p) => p.text)
+      .join("\n");
+  }
+  text = text.trim();
+  return text ? { role, text: text.slice(0, MAX_MESSAGE_CHARS) } : null;
+}
+
+/**
+ * Capitalized words that don't start a sentence — product and project names
+ * (PostgreSQL, CockroachDB, Grafana) that the CamelCase entity pattern misses.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function properNouns(text) {
+  const found = [];
+  for (const sentence of text.split(/[.!?;:\n]+\s*/)) {
+    const words = sentence.split(/\s+/).slice(1);
+    for (const raw of words) {
+      const word = raw.replace(/^[^\w]+|[^\w]+$/g, "");
+      if (/^[A-Z][A-Za-z0-9_-]{2,}$/.test(word)) found.push(word);
+    }
+  }
+  return found;
+}
+
+/**
+ * Build a search query for the current prompt, folding in salient terms
+ * from the last few user/assistant turns when the prompt is a follow-up.
+ *
+ * Salient terms, in priority order:
+ *   1. Entities (file paths, error codes, identifiers, quoted strings), newest turn first
+ *   2. Proper nouns (mid-sentence capitalized words), newest turn first
+ *   3. Keywords from the most recent prior user turn
+ *   4. Keywords repeated in two or more recent turns
+ * Terms already in the prompt are not repeated.
+ *
+ * @param {string} prompt - Current (trimmed) prompt
+ * @param {unknown[]} [messages] - event.messages from before_agent_start
+ * @param {object} [options]
+ * @param {number} [options.maxTurns=4] - How many recent turns to read
+ * @param {number} [options.maxTerms=8] - Max terms appended to the prompt
+ * @param {number} [options.maxWords=6] - Follow-up word-count threshold
+ * @param {import('./analyzer.js').Analyzer} [options.analyzer] - Term extraction (default: English)
+ * @returns {{ query: string, synthesized: boolean, terms: string[] }}
+ */
+export function synthesizeQuery(prompt, messages, { maxTurns = 4, maxTerms = 8, maxWords = 6, analyzer } = {}) {
+  const unchanged = { query: prompt, synthesized: false, terms: [] };
+  if (!prompt || !Array.isArray(messages) || messages.length === 0) return unchanged;
+  if (!isFollowUpPrompt(prompt, maxWords)) return unchanged;
+
+  const turns = messages.map(messageText).filter(Boolean);
+  // The current prompt may already be the last user message
+  const last = turns[turns.length - 1];
+  if (last && last.role === "user" && last.text === prompt.trim()) turns.pop();
+  const recent = turns.slice(-maxTurns).reverse(); // newest first
+  if (recent.length === 0) return unchanged;
+
+  const promptTokens = new Set(tokenizeQuery(prompt, analyzer));
+  const promptLower = prompt.toLowerCase();
+  const terms = [];
+  const seen = new Set();
+  const add = (term) => {
+    const key = term.toLowerCase();
+    if (seen.has(key) || promptTokens.has(key)) return;
+    if (key.length >= 4 && promptLower.includes(key)) return;
+    seen.add(key);
+    terms.push(term);
+  };
+
+  for (const turn of recent) {
+    for (const entity of extractEntities(turn.text)) add(entity);
+  }
+  for (const turn of recent) {
+    for (const noun of properNouns(turn.text)) add(noun);
+  }
+
+  const lastUser = recent.find((t) => t.role === "user");
+  if (lastUser) {
+    for (const token of tokenizeQuery(lastUser.text, analyzer)) {
+      if (token.length >= 3) add(token);
+    }
+  }
+
+  const counts = new Map();
+  for (const turn of recent) {
+    for (const token of new Set(tokenizeQuery(turn.text, analyzer))) {
+      if (token.length >= 3) counts.set(token, (counts.get(token) || 0) + 1);
+    }
+  }
+  for (const [token, n] of counts) {
+    if (n >= 2) add(token);
+  }
+
+  const picked = terms.slice(0, maxTerms);
+  if (picked.length === 0) return unchanged;
+  return { query: `${prompt} ${picked.join(" ")}`, synthesized: true, terms: picked };
+}
+
 // ---------------------------------------------------------------------------
 // Combined query enrichment
 // ---------------------------------------------------------------------------
@@ -0,0 +1,173 @@
+/**
+ * Reciprocal Rank Fusion (RRF) — merges independently ranked candidate
+ * lists into a single ranking.
+ *
+ * Signals:
+ *   - vector:  order returned by OpenClaw's embedding search
+ *   - fts:     order returned by direct FTS5 keyword search
+ *   - recency: candidates ordered newest first (undated chunks unranked)
+ *   - entity:  candidates ordered by how many prompt entities they mention
+ *
+ * RRF only looks at ranks, so cosine similarities and bm25-derived scores
+ * never need to share a scale:
+ *
+ *   rrf(d) = Σ weight_s / (k + rank_s(d))
+ *
+ * Unlike the additive FTS5 boost, a chunk that only the keyword search
+ * found becomes a first-class candidate — provided its own FTS5 score
+ * clears ftsOnlyMinScore. The fused score says where a chunk ranks, not how
+ * relevant it is, so a lone weak keyword match would otherwise be injected
+ * whenever vector search comes back empty.
+ */
+
+import { chunkKey, chunkLines } from "./chunk-identity.js";
+
+// Re-exported for existing callers; identity lives in chunk-identity.js
+export { chunkKey };
+
+/** Default per-signal weights (roadmap 2.2: 40/30/20/10) */
+export const DEFAULT_RRF_WEIGHTS = Object.freeze({
+  vector: 0.4,
+  fts: 0.3,
+  recency: 0.2,
+  entity: 0.1,
+});
+
+/** Default RRF rank constant — higher k flattens the rank curve */
+export const DEFAULT_RRF_K = 60;
+
+const SIGNALS = ["vector", "fts", "recency", "entity"];
+
+/**
+ * Convert an FTS5 row into the memory result shape used by the pipeline.
+ *
+ * @param {{text: string, path: string, startLine: number, endLine: number, id?: string, source?: string, score: number}} row
+ * @returns {{text: string, source: string, path: string, lines: string, score: number, chunkId?: string}}
+ */
+export function ftsRowToResult(row) {
+  return {
+    text: row.text || "",
+    source: row.source || "memory",
+    path: row.path || "",
+    lines: chunkLines({ startLine: row.startLine, endLine: row.endLine }),
+    score: row.score,
+    ...(row.id != null ? { chunkId: row.id } : {}),
+    ...(row.agent ? { agent: row.agent } : {}),
+  };
+}
+
+/**
+ * Count how many entities appear in a chunk's text or path (case-insensitive).
+ *
+ * @param {{text?: string, path?: string}} r
+ * @param {string[]} entities
+ * @returns {number}
+ */
+function countEntityMatches(r, entities) {
+  const haystack = `${r.path || ""}\n${r.text || ""}`.toLowerCase();
+  let count = 0;
+  for (const e of entities) {
+    if (e && haystack.includes(e.toLowerCase())) count++;
+  }
+  return count;
+}
+
+/**
+ * Fuse vector and FTS5 result lists (plus derived recency and entity
+ * rankings) with weighted RRF.
+ *
+ * Each fused result carries:
+ *   - score:         fused score normalized to 0-1 (1 = ranked first by every signal)
+ *   - _rrfScore:     raw weighted RRF sum
+ *   - _rrfDetails:   { vector, fts, recency, entity } — 1-based rank per signal, null if absent
+ *   - _vectorScore / _ftsScore: original signal scores when present
+ *
+ * @param {object} lists
+ * @param {Array} [lists.vector] - Vector results, best first
+ * @param {Array} [lists.fts] - FTS5 rows from searchFts(), best first
+ * @param {object} [options]
+ * @param {Partial<typeof DEFAULT_RRF_WEIGHTS>} [options.weights]
+ * @param {number} [options.k=60]
+ * @param {string[]} [options.entities] - Entities extracted from the prompt
+ * @param {(r: object) => number|null} [options.timeOf] - Chunk timestamp (ms) for recency ranking
+ * @param {number} [options.ftsOnlyMinScore=0] - Minimum FTS5 score for a chunk vector search didn't return
+ * @returns {Array} Fused results, sorted by score descending
+ */
+export function fuseResults(
+  { vector = [], fts = [] } = {},
+  { weights, k = DEFAULT_RRF_K, entities = [], timeOf, ftsOnlyMinScore = 0 } = {}
+) {
+  const w = { ...DEFAULT_RRF_WEIGHTS, ...(weights || {}) };
+
+  /** @type {Map<string, object>} */
+  const candidates = new Map();
+  const rankings = { vector: [], fts: [], recency: [], entity: [] };
+
+  for (const r of vector || []) {
+    const key = chunkKey(r);
+    if (candidates.has(key)) continue;
+    candidates.set(key, { ...r, _vectorScore: r.score });
+    rankings.vector.push(key);
+  }
+
+  const ftsSeen = new Set();
+  for (const row of fts || []) {
+    const key = chunkKey(row);
+    if (ftsSeen.has(key)) continue;
+    ftsSeen.add(key);
+    // Weak keyword-only matches keep their place in the FTS5 ranking but don't become candidates
+    rankings.fts.push(key);
+    const existing = candidates.get(key);
+    if (existing) {
+      existing._ftsScore = row.score;
+    } else if (row.score >= ftsOnlyMinScore) {
+      candidates.set(key, { ...ftsRowToResult(row), _ftsScore: row.score });
+    }
+  }
+
+  if (typeof timeOf === "function") {
+    rankings.recency = [...candidates.entries()]
+      .map(([key, c]) => ({ key, t: timeOf(c) }))
+      .filter((e) => typeof e.t === "number" && Number.isFinite(e.t))
+      .sort((a, b) => b.t - a.t)
+      .map((e) => e.key);
+  }
+
+  if (entities && entities.length > 0) {
+    rankings.entity = [...candidates.entries()]
+      .map(([key, c]) => ({ key, n: countEntityMatches(c, entities) }))
+      .filter((e) => e.n > 0)
+      .sort((a, b) => b.n - a.n)
+      .map((e) => e.key);
+  }
+
+  // key -> 1-based rank, per signal
+  const ranks = {};
+  for (const sig of SIGNALS) {
+    ranks[sig] = new Map(rankings[sig].map((key, i) => [key, i + 1]));
+  }
+
+  const maxPossible = SIGNALS.reduce((s, sig) => s + Math.max(0, w[sig] || 0), 0) / (k + 1);
+
+  const fused = [];
+  for (const [key, c] of candidates) {
+    const details = {};
+    let rrf = 0;
+    for (const sig of SIGNALS) {
+      const rank = ranks[sig].get(key) ?? null;
+      details[sig] = rank;
+      if (rank !== null && w[sig] > 0) {
+        rrf += w[sig] / (k + rank);
+      }
+    }
+    fused.push({
+      ...c,
+      score: maxPossible > 0 ? rrf / maxPossible : 0,
+      _rrfScore: rrf,
+      _rrfDetails: details,
+    });
+  }
+
+  fused.sort((a, b) => b.score - a.score);
+  return fused;
+}
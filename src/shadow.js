@@ -0,0 +1,191 @@
+/**
+ * Shadow mode — trial an alternate config against live prompts.
+ *
+ *   "shadowConfig": { "ftsBoostWeight": 0.5, "mmrLambda": 0.8 }
+ *
+ * After the primary pipeline has answered a prompt, the same prompt runs
+ * through a second pipeline built from the active config with
+ * `shadowConfig` layered on top. The two selections are compared, logged
+ * and counted in metrics. The shadow only observes: it injects nothing,
+ * has its own prompt cache, never touches the session ledger, and reads
+ * utility scores without recording injections.
+ *
+ * Both sides are compared on their session-agnostic selection (what the
+ * prompt cache stores), so session dedup doesn't show up as a difference.
+ */
+
+import { chunkKey } from "./chunk-identity.js";
+import { PromptCache } from "./prompt-cache.js";
+import { createAnalyzer } from "./analyzer.js";
+
+/** Options that shape the shadow itself rather than its retrieval */
+const NON_OVERRIDABLE = new Set(["shadowConfig", "shadowSampleRate"]);
+
+/**
+ * @typedef {object} ShadowComparison
+ * @property {string[]} primary - Chunk keys selected by the primary pipeline, in order
+ * @property {string[]} shadow - Chunk keys selected by the shadow pipeline, in order
+ * @property {number} overlap - Chunks both selected
+ * @property {number} jaccard - overlap / union (1 when both selected nothing)
+ * @property {boolean} topMatch - Same first chunk (or both empty)
+ * @property {boolean} identical - Same chunks in the same order
+ */
+
+/**
+ * Drop shadowConfig entries that can't be overridden.
+ *
+ * @param {object} options - Shadow option overrides
+ * @param {object} [logger]
+ * @returns {object}
+ */
+export function shadowOverrides(options, logger = null) {
+  const overrides = {};
+  for (const [key, value] of Object.entries(options || {})) {
+    if (NON_OVERRIDABLE.has(key)) {
+      logger?.warn?.(`hookclaw: shadowConfig cannot override "${key}" — ignored`);
+      continue;
+    }
+    overrides[key] = value;
+  }
+  return overrides;
+}
+
+/**
+ * Compare two selections by chunk identity.
+ *
+ * @param {Array<object>} primary
+ * @param {Array<object>} shadow
+ * @returns {ShadowComparison}
+ */
+export function compareSelections(primary, shadow) {
+  const a = primary.map((r) => chunkKey(r));
+  const b = shadow.map((r) => chunkKey(r));
+  const inPrimary = new Set(a);
+  const overlap = new Set(b.filter((k) => inPrimary.has(k))).size;
+  const union = new Set([...a, ...b]).size;
+  return {
+    primary: a,
+    shadow: b,
+    overlap,
+    jaccard: union === 0 ? 1 : overlap / union,
+    topMatch: a[0] === b[0],
+    identical: a.length === b.length && a.every((k, i) => k === b[i]),
+  };
+}
+
+/**
+ * One log line with both selections and their overlap.
+ *
+ * @param {number|undefined} callNum
+ * @param {ShadowComparison} cmp
+ * @param {number} latencyMs - Shadow pipeline time
+ * @returns {string}
+ */
+export function formatShadowComparison(callNum, cmp, latencyMs) {
+  const list = (keys) => `[${keys.join(", ")}]`;
+  const top = cmp.topMatch ? "top-1 same" : "top-1 differs";
+  return (
+    `hookclaw: #${callNum ?? "?"} shadow — ${cmp.identical ? "identical" : `overlap ${cmp.overlap}`} ` +
+    `(jaccard ${cmp.jaccard.toFixed(2)}, ${top}, ${latencyMs}ms) — ` +
+    `primary ${list(cmp.primary)} vs shadow ${list(cmp.shadow)}`
+  );
+}
+
+/**
+ * Services for the shadow pipeline: a private prompt cache, no ledger or
+ * metrics, and a read-only view of the feedback tracker (looked up per
+ * call, since the tracker loads after startup).
+ *
+ * @param {object} services - The primary pipeline's services
+ * @param {object} config - Resolved shadow config
+ * @returns {object}
+ */
+export function createShadowServices(services, config) {
+  return {
+    get utilityTracker() {
+      const tracker = services.utilityTracker;
+      return tracker ? { getUtilityScores: (results) => tracker.getUtilityScores(results), recordInjection() {} } : null;
+    },
+    metrics: null,
+    injectionLedger: null,
+    promptCache: new PromptCache(config.cacheSize, config.cacheTtlMs, config.fuzzyCacheThreshold, {
+      eviction: config.cacheEviction,
+      maxBytes: config.cacheMaxBytes,
+      analyzer: createAnalyzer(config.analyzer || {}),
+    }),
+    clock: services.clock,
+  };
+}
+
+/**
+ * Wrap the primary handler so a sample of prompts is replayed through the
+ * shadow handler once the primary result has been returned. One shadow run
+ * at a time: prompts arriving while one is in flight are not shadowed
+ * (counted as busy), so the shadow can't pile up work under load.
+ *
+ * Both handlers take (event, ctx, call) and fill `call.selection` with
+ * their session-agnostic selection (undefined when the prompt was skipped)
+ * and `call.callNum` with the log call number.
+ *
+ * @param {Function} primary
+ * @param {Function} shadow
+ * @param {object} options
+ * @param {number} [options.sampleRate=1] - Share of prompts to shadow (0-1)
+ * @param {object} options.services - Shared services (metrics)
+ * @param {object} options.logger
+ * @param {boolean} [options.logComparisons=true] - Log one line per comparison
+ * @param {() => number} [options.random=Math.random]
+ * @returns {Function} Hook handler; `handler.settled()` resolves once no shadow run is pending
+ */
+export function createShadowHandler(primary, shadow, { sampleRate = 1, services, logger, logComparisons = true, random = Math.random }) {
+  let pending = null;
+
+  async function runShadow(event, ctx, primaryCall) {
+    const call = { callNum: primaryCall.callNum };
+    const start = Date.now();
+    try {
+      await shadow(event, ctx, call);
+    } catch (err) {
+      services.metrics?.recordShadow({ error: true });
+      logger.warn(`hookclaw: #${primaryCall.callNum ?? "?"} shadow failed — ${err.message}`);
+      return;
+    }
+    // Neither side searched (skipped prompt on both) — nothing to compare
+    if (primaryCall.selection === undefined && call.selection === undefined) return;
+
+    const latencyMs = Date.now() - start;
+    const cmp = compareSelections(primaryCall.selection || [], call.selection || []);
+    try {
+      services.metrics?.recordShadow({ ...cmp, latencyMs });
+    } catch {
+      // Non-fatal
+    }
+    if (logComparisons) logger.info(formatShadowComparison(primaryCall.callNum, cmp, latencyMs));
+  }
+
+  /**
+   * Answer with the primary pipeline, then schedule the shadow run.
+   *
+   * @param {import('openclaw/plugin-sdk').PluginHookBeforeAgentStartEvent} event
+   * @param {import('openclaw/plugin-sdk').PluginHookAgentContext} ctx
+   * @returns {Promise<import('openclaw/plugin-sdk').PluginHookBeforeAgentStartResult | void>}
+   */
+  async function handleBeforeAgentStart(event, ctx) {
+    const call = {};
+    const result = await primary(event, ctx, call);
+    if (random() < sampleRate) {
+      if (pending) {
+        services.metrics?.recordShadow({ busy: true });
+      } else {
+        // setImmediate: the hook result reaches OpenClaw before any shadow work starts
+        pending = new Promise((resolve) => setImmediate(resolve))
+          .then(() => runShadow(event, ctx, call))
+          .finally(() => { pending = null; });
+      }
+    }
+    return result;
+  }
+
+  handleBeforeAgentStart.settled = () => pending || Promise.resolve();
+  return handleBeforeAgentStart;
+}
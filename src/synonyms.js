@@ -0,0 +1,155 @@
+/**
+ * User-maintained synonyms and abbreviations for FTS5 keyword search.
+ *
+ * Memories say "k8s", "Postgres" and "PR" while prompts say "Kubernetes",
+ * "database" and "pull request". A JSON dictionary in the workspace maps
+ * terms to their alternatives; every entry is a group of equivalent terms,
+ * so a match works in both directions:
+ *
+ *   { "kubernetes": ["k8s", "kube"], "pull request": ["pr"] }
+ *   [["kubernetes", "k8s", "kube"], ["pull request", "pr"]]
+ *
+ * Terms are normalized with the same analyzer as queries (case, accents,
+ * stemming), and multi-word terms match consecutive query terms. The file
+ * is re-read when it changes, so edits apply without a restart.
+ */
+
+import { statSync, readFileSync } from "node:fs";
+import { tokenizeQuery } from "./analyzer.js";
+
+/**
+ * @typedef {object} SynonymDictionary
+ * @property {Map<string, string[][]>} alternatives - Normalized term ("pull request") -> alternative term token lists
+ * @property {number} maxTermLength - Longest term, in tokens
+ * @property {number} size - Number of groups
+ */
+
+/**
+ * @typedef {object} TermGroup
+ * @property {string[]} literal - Query terms as written (one, or several for a phrase)
+ * @property {string[][]} alternatives - Synonyms, each a token list (one token or a phrase)
+ */
+
+export const EMPTY_SYNONYMS = Object.freeze({ alternatives: new Map(), maxTermLength: 0, size: 0 });
+
+/**
+ * Build a dictionary from parsed JSON: an object mapping a term to its
+ * alternatives, or an array of equivalence groups.
+ *
+ * @param {object|Array<string[]>} data
+ * @param {import('./analyzer.js').Analyzer} [analyzer] - Normalization shared with queries
+ * @returns {SynonymDictionary}
+ */
+export function parseSynonyms(data, analyzer) {
+  let groups;
+  if (Array.isArray(data)) {
+    groups = data.filter(Array.isArray);
+  } else if (data && typeof data === "object") {
+    groups = Object.entries(data).map(([term, alts]) => [term, ...(Array.isArray(alts) ? alts : [alts])]);
+  } else {
+    throw new Error("expected an object or an array of groups");
+  }
+
+  const alternatives = new Map();
+  let maxTermLength = 0;
+  let size = 0;
+  for (const group of groups) {
+    // Normalize each term; drop terms that are only stop words
+    const terms = [];
+    const seen = new Set();
+    for (const raw of group) {
+      if (typeof raw !== "string") continue;
+      const tokens = tokenizeQuery(raw, analyzer);
+      const key = tokens.join(" ");
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      terms.push(tokens);
+    }
+    if (terms.length < 2) continue;
+    size++;
+
+    for (const term of terms) {
+      const key = term.join(" ");
+      const list = alternatives.get(key) || [];
+      for (const other of terms) {
+        const otherKey = other.join(" ");
+        if (otherKey !== key && !list.some((t) => t.join(" ") === otherKey)) list.push(other);
+      }
+      alternatives.set(key, list);
+      maxTermLength = Math.max(maxTermLength, term.length);
+    }
+  }
+  return { alternatives, maxTermLength, size };
+}
+
+/**
+ * Group query terms with their synonyms. Multi-word dictionary terms are
+ * matched greedily (longest first) against consecutive query terms.
+ *
+ * @param {string[]} tokens - Query terms from the analyzer
+ * @param {SynonymDictionary|null} [synonyms]
+ * @returns {TermGroup[]} One group per literal term or phrase, in query order
+ */
+export function expandTerms(tokens, synonyms) {
+  const { alternatives, maxTermLength } = synonyms || EMPTY_SYNONYMS;
+  const groups = [];
+  let i = 0;
+  while (i < tokens.length) {
+    let matched = null;
+    for (let len = Math.min(maxTermLength, tokens.length - i); len >= 1 && !matched; len--) {
+      const alts = alternatives.get(tokens.slice(i, i + len).join(" "));
+      if (alts) matched = { literal: tokens.slice(i, i + len), alternatives: alts };
+    }
+    if (matched) {
+      groups.push(matched);
+      i += matched.literal.length;
+    } else {
+      groups.push({ literal: [tokens[i]], alternatives: [] });
+      i++;
+    }
+  }
+  return groups;
+}
+
+/** Loaded dictionaries by path: { sig, analyzer, synonyms } */
+const _cache = new Map();
+
+/**
+ * Load a synonym file, re-reading it only when its mtime or size changes.
+ * A missing file is an empty dictionary; an unreadable or malformed one is
+ * reported once (per change) through the logger and treated as empty.
+ *
+ * @param {string} filePath - Absolute path
+ * @param {import('./analyzer.js').Analyzer} [analyzer]
+ * @param {object} [logger]
+ * @returns {SynonymDictionary}
+ */
+export function loadSynonyms(filePath, analyzer, logger) {
+  let sig;
+  try {
+    const { mtimeMs, size } = statSync(filePath);
+    sig = `${mtimeMs}:${size}`;
+  } catch {
+    _cache.delete(filePath);
+    return EMPTY_SYNONYMS;
+  }
+
+  const cached = _cache.get(filePath);
+  if (cached && cached.sig === sig && cached.analyzer === analyzer) return cached.synonyms;
+
+  let synonyms = EMPTY_SYNONYMS;
+  try {
+    synonyms = parseSynonyms(JSON.parse(readFileSync(filePath, "utf8")), analyzer);
+  } catch (err) {
+    logger?.warn?.(`hookclaw: synonyms file ${filePath} ignored — ${err.message}`);
+  }
+  _cache.set(filePath, { sig, analyzer, synonyms });
+  return synonyms;
+}
+
+/**
+ * Forget loaded dictionaries (tests).
+ */
+export function clearSynonymCache() {
+  _cache.clear();
+}
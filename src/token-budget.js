@@ -0,0 +1,192 @@
+/**
+ * Budgeted context assembly — token estimation, greedy packing and
+ * sentence-boundary truncation shared by the context formatters.
+ *
+ * The budget unit is whatever `cost()` measures: characters for
+ * maxContextChars, estimated tokens for maxContextTokens.
+ */
+
+/** A truncated chunk shorter than this is noise, not context */
+const MIN_TRUNCATED_CHARS = 50;
+
+/** Boundaries earlier than this fraction of the allowed length are not worth snapping to */
+const MIN_BOUNDARY_RATIO = 0.5;
+
+const ELLIPSIS = "...";
+
+// One alternative per cost class (see estimateTokens)
+const TOKEN_PIECE_RE = /(\p{Script=Han}|\p{Script=Hiragana}|\p{Script=Katakana}|\p{Script=Hangul})|([A-Za-z0-9]+)|([\p{L}\p{M}\p{N}]+)|(\S)/gu;
+
+// Sentence end: terminal punctuation followed by whitespace, or a newline
+const SENTENCE_END_RE = /[.!?](?=\s)|[。！？]|\n/g;
+
+/**
+ * Built-in token estimator. Rough BPE behaviour without a vocabulary:
+ *   - CJK characters: 1 token each
+ *   - ASCII words/numbers: 1 token per 4 characters
+ *   - Other scripts (Cyrillic, accented Latin, ...): 1 token per 2 characters
+ *   - Punctuation and symbols: 1 token each (code is symbol-dense)
+ *   - Whitespace: free
+ *
+ * @param {string} text
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  let tokens = 0;
+  for (const m of String(text).matchAll(TOKEN_PIECE_RE)) {
+    if (m[1]) tokens += 1;
+    else if (m[2]) tokens += Math.ceil(m[2].length / 4);
+    else if (m[3]) tokens += Math.ceil(m[3].length / 2);
+    else tokens += 1;
+  }
+  return tokens;
+}
+
+/**
+ * Guard a user-supplied token estimator. The first time it throws, the
+ * error goes to onError and the built-in heuristic takes over for good, so
+ * a broken estimator degrades the budget instead of failing every call.
+ *
+ * @param {(text: string) => number} estimator
+ * @param {(err: Error) => void} [onError]
+ * @returns {(text: string) => number}
+ */
+export function withFallbackEstimator(estimator, onError) {
+  let failed = false;
+  return (text) => {
+    if (!failed) {
+      try {
+        return estimator(text);
+      } catch (err) {
+        failed = true;
+        onError?.(err);
+      }
+    }
+    return estimateTokens(text);
+  };
+}
+
+/**
+ * Build the budget for a formatter call.
+ * A positive maxTokens takes precedence over maxChars.
+ *
+ * @param {object} options
+ * @param {number} [options.maxChars=4000] - Character budget
+ * @param {number|null} [options.maxTokens] - Token budget
+ * @param {(text: string) => number} [options.estimateTokens] - Token estimator (defaults to the built-in heuristic,
+ *   which also stands in when the estimator throws or returns a non-number)
+ * @returns {{ limit: number, cost: (text: string) => number, unit: "chars"|"tokens" }}
+ */
+export function createBudget({ maxChars = 4000, maxTokens = null, estimateTokens: estimator } = {}) {
+  if (maxTokens > 0) {
+    const estimate = typeof estimator === "function" ? withFallbackEstimator(estimator) : estimateTokens;
+    return {
+      limit: maxTokens,
+      cost: (text) => {
+        const n = Number(estimate(text));
+        return Number.isFinite(n) ? n : estimateTokens(text);
+      },
+      unit: "tokens",
+    };
+  }
+  return { limit: maxChars, cost: (text) => text.length, unit: "chars" };
+}
+
+/**
+ * Cut text to at most maxLength characters, preferring the end of a
+ * sentence, then a word boundary, then a hard cut.
+ *
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string} Trimmed prefix (no ellipsis)
+ */
+export function truncateAtBoundary(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  if (maxLength <= 0) return "";
+  const head = text.slice(0, maxLength + 1);
+  const floor = maxLength * MIN_BOUNDARY_RATIO;
+
+  let sentenceEnd = -1;
+  for (const m of head.matchAll(SENTENCE_END_RE)) {
+    const end = m[0] === "\n" ? m.index : m.index + 1;
+    if (end <= maxLength) sentenceEnd = end;
+  }
+  if (sentenceEnd >= floor) return text.slice(0, sentenceEnd).trimEnd();
+
+  const wordEnd = head.search(/\s\S*$/);
+  if (wordEnd >= floor) return text.slice(0, wordEnd).trimEnd();
+
+  return text.slice(0, maxLength);
+}
+
+/**
+ * Render the longest boundary-truncated version of a chunk that fits.
+ *
+ * @param {object} result
+ * @param {string} text - Trimmed chunk text
+ * @param {number} available - Remaining budget
+ * @param {(result: object, text: string) => string} render
+ * @param {(text: string) => number} cost
+ * @returns {string|null} Rendered entry, or null if too little would survive
+ */
+function renderTruncated(result, text, available, render, cost) {
+  if (cost(render(result, text.slice(0, MIN_TRUNCATED_CHARS) + ELLIPSIS)) > available) return null;
+
+  // Longest prefix whose rendered entry fits (cost grows with prefix length)
+  let lo = MIN_TRUNCATED_CHARS;
+  let hi = text.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (cost(render(result, text.slice(0, mid) + ELLIPSIS)) <= available) lo = mid;
+    else hi = mid - 1;
+  }
+
+  const cut = truncateAtBoundary(text, lo);
+  if (cut.length < MIN_TRUNCATED_CHARS) return null;
+  return render(result, cut + ELLIPSIS);
+}
+
+/**
+ * Greedily pack rendered entries into a budget, in rank order.
+ *
+ * A chunk that doesn't fit is skipped rather than ending the pack, so
+ * several smaller lower-ranked chunks can still make it in. Leftover
+ * budget then goes to the best skipped chunk, cut at a sentence boundary.
+ *
+ * @param {Array<{text: string}>} results - Ranked results
+ * @param {object} options
+ * @param {(result: object, text: string) => string} options.render - Render one entry (including its separator)
+ * @param {{ limit: number, cost: (text: string) => number }} options.budget
+ * @param {number} [options.reserved=0] - Budget already spent on the wrapper
+ * @returns {string[]} Rendered entries, in rank order
+ */
+export function packEntries(results, { render, budget, reserved = 0 }) {
+  const { limit, cost } = budget;
+  let used = reserved;
+  const picked = new Map();
+  const skipped = [];
+
+  results.forEach((r, i) => {
+    const text = (r.text || "").trim();
+    if (!text) return;
+    const entry = render(r, text);
+    const entryCost = cost(entry);
+    if (used + entryCost <= limit) {
+      picked.set(i, entry);
+      used += entryCost;
+    } else {
+      skipped.push({ i, text });
+    }
+  });
+
+  for (const { i, text } of skipped) {
+    const entry = renderTruncated(results[i], text, limit - used, render, cost);
+    if (entry) {
+      picked.set(i, entry);
+      break;
+    }
+  }
+
+  return [...picked.entries()].sort((a, b) => a[0] - b[0]).map(([, entry]) => entry);
+}
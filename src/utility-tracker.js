@@ -4,13 +4,20 @@
  *
  * Uses the agent_end hook to detect whether injected memories were
  * referenced in the response. Over time, builds utility scores that
- * can be fed back into RRF as an additional signal.
+ * the hook handler blends into ranking (see applyUtilityBlend).
  *
- * Storage: Lightweight JSON file persisted to disk.
+ * Storage: Lightweight JSON file persisted to disk, keyed by chunk
+ * identity (see chunk-identity.js):
+ *   { "version": 2, "chunks": { key: {...} }, "legacyFiles": { path: {...} } }
+ *
+ * v1 files were a flat { path: {...} } map, which conflated every chunk of
+ * a daily note. On load those entries move to `legacyFiles` and only serve
+ * as a fallback for chunks of that file until the chunk has its own history.
  */
 
 import { readFile, writeFile, mkdir } from "node:fs/promises";
 import { dirname, join } from "node:path";
+import { chunkKey } from "./chunk-identity.js";
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -19,6 +26,7 @@ const BAYESIAN_PRIOR = 2; // pseudo-count for Bayesian smoothing
 const BAYESIAN_PRIOR_CITATIONS = 1;
 const MIN_RETRIEVALS_FOR_SCORE = 3; // Don't use utility score until N retrievals
 const SAVE_DEBOUNCE_MS = 5000;
+const STORAGE_VERSION = 2;
 
 /**
  * Utility tracker — tracks how often memories are retrieved vs cited.
@@ -31,12 +39,14 @@ export class UtilityTracker {
   constructor(storagePath, logger = null) {
     this._storagePath = storagePath;
     this._logger = logger;
-    /** @type {Map<string, { retrievals: number, citations: number }>} */
+    /** @type {Map<string, { retrievals: number, citations: number }>} chunk key -> counts */
     this._scores = new Map();
+    /** @type {Map<string, { retrievals: number, citations: number }>} v1 path-level counts (read-only) */
+    this._legacyFiles = new Map();
     this._loaded = false;
     this._dirty = false;
     this._saveTimer = null;
-    /** @type {Map<string, string[]>} sessionKey -> injected chunk paths */
+    /** @type {Map<string, Array<{key: string, text: string}>>} sessionKey -> injected chunks */
     this._pendingInjections = new Map();
   }
 
@@ -48,12 +58,17 @@ export class UtilityTracker {
       const data = await readFile(this._storagePath, "utf-8");
       const parsed = JSON.parse(data);
       if (parsed && typeof parsed === "object") {
-        for (const [key, val] of Object.entries(parsed)) {
-          if (val && typeof val.retrievals === "number") {
-            this._scores.set(key, {
-              retrievals: val.retrievals || 0,
-              citations: val.citations || 0,
-            });
+        if (parsed.version === STORAGE_VERSION) {
+          readCounts(parsed.chunks, this._scores);
+          readCounts(parsed.legacyFiles, this._legacyFiles);
+        } else {
+          // v1: flat path-keyed map — keep as a per-file fallback, rewrite as v2
+          readCounts(parsed, this._legacyFiles);
+          if (this._legacyFiles.size > 0) {
+            this._dirty = true;
+            this._logger?.info(
+              `hookclaw: migrated ${this._legacyFiles.size} path-level utility entries to chunk-level storage`
+            );
           }
         }
       }
@@ -73,7 +88,11 @@ export class UtilityTracker {
 
     try {
       await mkdir(dirname(this._storagePath), { recursive: true });
-      const obj = Object.fromEntries(this._scores);
+      const obj = {
+        version: STORAGE_VERSION,
+        chunks: Object.fromEntries(this._scores),
+        legacyFiles: Object.fromEntries(this._legacyFiles),
+      };
       await writeFile(this._storagePath, JSON.stringify(obj, null, 2), "utf-8");
       this._dirty = false;
     } catch (err) {
@@ -97,14 +116,14 @@ export class UtilityTracker {
    * Record that memories were retrieved and injected for a session.
    *
    * @param {string} sessionKey
-   * @param {Array<{path?: string, text?: string}>} injectedMemories
+   * @param {Array<{path?: string, lines?: string, text?: string}>} injectedMemories
    */
   recordInjection(sessionKey, injectedMemories) {
     if (!injectedMemories || injectedMemories.length === 0) return;
 
     const entries = injectedMemories
       .map((m) => ({
-        key: m.path || (m.text || "").slice(0, 100),
+        key: chunkKey(m),
         text: m.text || "",
       }))
       .filter((e) => e.key);
@@ -161,12 +180,18 @@ export class UtilityTracker {
   /**
    * Get the utility score for a memory chunk.
    * Uses Bayesian smoothing to avoid extreme scores with few observations.
+   * Chunks without enough history of their own fall back to their file's
+   * migrated v1 entry, if any.
    *
-   * @param {string} chunkKey - Chunk path or text prefix
+   * @param {string} key - Chunk key (see chunkKey)
+   * @param {string} [path] - Chunk's file path, for the v1 fallback
    * @returns {number} 0-1 utility score (higher = more useful)
    */
-  getUtilityScore(chunkKey) {
-    const entry = this._scores.get(chunkKey);
+  getUtilityScore(key, path) {
+    let entry = this._scores.get(key);
+    if ((!entry || entry.retrievals < MIN_RETRIEVALS_FOR_SCORE) && path) {
+      entry = this._legacyFiles.get(path) || entry;
+    }
     if (!entry || entry.retrievals < MIN_RETRIEVALS_FOR_SCORE) {
       return 0.5; // Neutral default
     }
@@ -179,15 +204,15 @@ export class UtilityTracker {
   /**
    * Get utility scores for multiple chunks.
    *
-   * @param {Array<{path?: string, text?: string}>} chunks
-   * @returns {Map<string, number>} chunkKey -> utility score
+   * @param {Array<{path?: string, lines?: string, text?: string}>} chunks
+   * @returns {Map<string, number>} chunk key -> utility score
    */
   getUtilityScores(chunks) {
     const scores = new Map();
     for (const chunk of chunks) {
-      const key = chunk.path || (chunk.text || "").slice(0, 100);
+      const key = chunkKey(chunk);
       if (key) {
-        scores.set(key, this.getUtilityScore(key));
+        scores.set(key, this.getUtilityScore(key, chunk.path));
       }
     }
     return scores;
@@ -228,6 +253,7 @@ export class UtilityTracker {
    */
   clear() {
     this._scores.clear();
+    this._legacyFiles.clear();
     this._pendingInjections.clear();
     this._dirty = true;
     this._scheduleSave();
@@ -244,6 +270,24 @@ export class UtilityTracker {
   }
 }
 
+/**
+ * Copy valid { retrievals, citations } entries from a stored object into a map.
+ *
+ * @param {object} source
+ * @param {Map<string, { retrievals: number, citations: number }>} target
+ */
+function readCounts(source, target) {
+  if (!source || typeof source !== "object") return;
+  for (const [key, val] of Object.entries(source)) {
+    if (val && typeof val.retrievals === "number") {
+      target.set(key, {
+        retrievals: val.retrievals || 0,
+        citations: val.citations || 0,
+      });
+    }
+  }
+}
+
 /**
  * Default storage path for utility scores.
  * @param {string} [pluginDir] - Plugin directory override
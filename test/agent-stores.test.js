@@ -0,0 +1,112 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  globToRegExp,
+  normalizeAgentStores,
+  matchesPathFilters,
+  mergeStoreResults,
+  combineStatuses,
+} from "../src/agent-stores.js";
+
+describe("globToRegExp", () => {
+  it("matches ** across directories and * within a segment", () => {
+    assert.ok(globToRegExp("memory/projects/**").test("memory/projects/a/b.md"));
+    assert.ok(globToRegExp("memory/*.md").test("memory/2026-02-12.md"));
+    assert.ok(!globToRegExp("memory/*.md").test("memory/sub/2026-02-12.md"));
+    assert.ok(globToRegExp("**/*.md").test("memory/sub/x.md"));
+  });
+
+  it("treats a plain path as a directory prefix", () => {
+    const re = globToRegExp("memory/private/");
+    assert.ok(re.test("memory/private"));
+    assert.ok(re.test("memory/private/diary.md"));
+    assert.ok(!re.test("memory/private-notes.md"));
+  });
+
+  it("escapes regex metacharacters", () => {
+    assert.ok(!globToRegExp("a.md").test("abmd"));
+  });
+});
+
+describe("normalizeAgentStores", () => {
+  it("returns null when multi-agent search is off", () => {
+    assert.equal(normalizeAgentStores(null), null);
+    assert.equal(normalizeAgentStores([]), null);
+  });
+
+  it("accepts id strings and objects with defaults", () => {
+    const stores = normalizeAgentStores(["personal", { id: "work", weight: 0.5, include: "memory/work/**" }]);
+    assert.equal(stores.length, 2);
+    assert.deepEqual(
+      { ...stores[0], include: stores[0].include.length },
+      { id: "personal", weight: 1, dbPath: null, sessionKey: "agent:personal:main", include: 0, exclude: [] }
+    );
+    assert.equal(stores[1].weight, 0.5);
+    assert.equal(stores[1].include.length, 1);
+  });
+
+  it("warns about and skips invalid entries", () => {
+    const warnings = [];
+    const logger = { warn: (msg) => warnings.push(msg) };
+    const stores = normalizeAgentStores([{ weight: 2 }, "ops", "ops", { id: "work", weight: -1 }], logger);
+    assert.deepEqual(stores.map((s) => [s.id, s.weight]), [["ops", 1], ["work", 1]]);
+    assert.equal(warnings.length, 3);
+  });
+});
+
+describe("matchesPathFilters", () => {
+  const [store] = normalizeAgentStores([{ id: "work", include: ["memory/**"], exclude: ["memory/private/**"] }]);
+
+  it("applies include then exclude", () => {
+    assert.ok(matchesPathFilters("memory/notes.md", store));
+    assert.ok(!matchesPathFilters("memory/private/diary.md", store));
+    assert.ok(!matchesPathFilters("sessions/x.jsonl", store));
+  });
+
+  it("drops pathless results only when include filters are set", () => {
+    assert.ok(!matchesPathFilters("", store));
+    assert.ok(matchesPathFilters("", normalizeAgentStores(["ops"])[0]));
+  });
+});
+
+describe("mergeStoreResults", () => {
+  const [personal, work] = normalizeAgentStores([
+    { id: "personal", weight: 0.5 },
+    { id: "work", exclude: ["memory/private/**"] },
+  ]);
+
+  it("labels, weights and sorts results from all stores", () => {
+    const merged = mergeStoreResults([
+      { store: personal, results: [{ text: "dentist on friday", path: "memory/a.md", score: 0.8 }] },
+      { store: work, results: [{ text: "deploy freeze next week", path: "memory/b.md", score: 0.6 }] },
+    ]);
+    assert.deepEqual(merged.map((r) => [r.agent, r.score]), [["work", 0.6], ["personal", 0.4]]);
+  });
+
+  it("drops the same chunk returned by several stores, keeping the best", () => {
+    const merged = mergeStoreResults([
+      { store: personal, results: [{ text: "shared  runbook", path: "memory/r.md", score: 0.9 }] },
+      { store: work, results: [{ text: "shared runbook", path: "memory/r.md", score: 0.7 }] },
+    ]);
+    assert.equal(merged.length, 1);
+    assert.equal(merged[0].agent, "work");
+  });
+
+  it("applies path filters per store", () => {
+    const merged = mergeStoreResults([
+      { store: work, results: [{ text: "salary notes", path: "memory/private/pay.md", score: 0.9 }] },
+    ]);
+    assert.deepEqual(merged, []);
+  });
+});
+
+describe("combineStatuses", () => {
+  it("is ok when any store answered", () => {
+    assert.equal(combineStatuses(["timeout", "ok"]), "ok");
+  });
+
+  it("prefers a concrete failure over unavailable", () => {
+    assert.equal(combineStatuses(["unavailable", "timeout"]), "timeout");
+    assert.equal(combineStatuses(["unavailable"]), "unavailable");
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createAnalyzer,
+  tokenizeQuery,
+  tokenize,
+  isCjkTerm,
+  STOP_WORD_LISTS,
+  ANALYZER_LANGUAGES,
+} from "../src/analyzer.js";
+
+describe("createAnalyzer", () => {
+  it("defaults to English stop words without stemming", () => {
+    const analyzer = createAnalyzer();
+    assert.deepEqual(analyzer.languages, ["en"]);
+    assert.equal(analyzer.stemming, false);
+    assert.equal(analyzer.prefixQueries, false);
+    assert.deepEqual(analyzer.tokenizeQuery("what was deployed yesterday"), ["deployed", "yesterday"]);
+  });
+
+  it("splits Unicode words and folds Latin diacritics", () => {
+    const analyzer = createAnalyzer({ languages: ["es"] });
+    assert.deepEqual(analyzer.tokenizeQuery("¿Cuándo migramos la configuración?"), ["migramos", "configuracion"]);
+    assert.deepEqual(tokenizeQuery("naïve café"), ["naive", "cafe"]);
+  });
+
+  it("keeps kana marks (they change the letter)", () => {
+    assert.deepEqual(tokenizeQuery("ガイド"), ["ガイ", "イド"]);
+  });
+
+  it("splits Han and kana runs into bigrams, apart from Latin text", () => {
+    assert.deepEqual(tokenizeQuery("部署失败 deploy失败"), ["部署", "署失", "失败", "deploy", "失败"]);
+    assert.deepEqual(tokenizeQuery("東"), ["東"]);
+  });
+
+  it("tells CJK terms from words", () => {
+    assert.equal(isCjkTerm("部署"), true);
+    assert.equal(isCjkTerm("ガイ"), true);
+    assert.equal(isCjkTerm("deploy"), false);
+  });
+
+  it("applies every configured language's stop words", () => {
+    const analyzer = createAnalyzer({ languages: ["es", "en"] });
+    assert.deepEqual(analyzer.tokenizeQuery("do you remember el servidor de pruebas"), ["servidor", "pruebas"]);
+  });
+
+  it("adds user stop words", () => {
+    const analyzer = createAnalyzer({ stopWords: ["HookClaw", "Münch"] });
+    assert.deepEqual(analyzer.tokenizeQuery("hookclaw notes from munch"), ["notes"]);
+  });
+
+  it("stems English inflections to a shared prefix", () => {
+    const analyzer = createAnalyzer({ stemming: true });
+    const terms = analyzer.tokenizeQuery("deployed deploying deploys deployment");
+    assert.deepEqual(new Set(terms), new Set(["deploy"]));
+    assert.deepEqual(analyzer.tokenizeQuery("released releasing release"), ["releas", "releas", "releas"]);
+    assert.deepEqual(analyzer.tokenizeQuery("running stopped policies"), ["run", "stop", "policy"]);
+    // Short words, "-eed" words and non-letters are left alone
+    assert.deepEqual(analyzer.tokenizeQuery("speed user index.js"), ["speed", "user", "index.js"]);
+  });
+
+  it("stems Spanish inflections to a shared prefix", () => {
+    const analyzer = createAnalyzer({ languages: ["es"], stemming: true });
+    assert.deepEqual(analyzer.tokenizeQuery("desplegamos desplegado desplegar"), ["despleg", "despleg", "despleg"]);
+    assert.deepEqual(analyzer.tokenizeQuery("servidores"), ["servidor"]);
+  });
+
+  it("turns on prefix queries with stemming unless set explicitly", () => {
+    assert.equal(createAnalyzer({ stemming: true }).prefixQueries, true);
+    assert.equal(createAnalyzer({ stemming: true, prefixQueries: false }).prefixQueries, false);
+    assert.equal(createAnalyzer({ prefixQueries: true }).prefixQueries, true);
+  });
+
+  it("stems similarity tokens but keeps their stop words", () => {
+    const analyzer = createAnalyzer({ stemming: true });
+    assert.deepEqual([...analyzer.tokenize("the deploys")], ["the", "deploy"]);
+  });
+
+  it("warns about unknown languages and falls back to English", () => {
+    const warnings = [];
+    const analyzer = createAnalyzer({ languages: ["xx"] }, { warn: (m) => warnings.push(m) });
+    assert.deepEqual(analyzer.languages, ["en"]);
+    assert.equal(warnings.length, 1);
+    assert.ok(warnings[0].includes('"xx"'));
+  });
+
+  it("ships a stop-word list per language", () => {
+    for (const lang of ANALYZER_LANGUAGES) assert.ok(STOP_WORD_LISTS[lang].size > 20, lang);
+  });
+});
+
+describe("tokenize", () => {
+  it("splits on punctuation, including apostrophes and dots", () => {
+    assert.deepEqual([...tokenize("don't check index.js")], ["don", "t", "check", "index", "js"]);
+  });
+
+  it("uses a custom analyzer", () => {
+    const analyzer = createAnalyzer({ stemming: true });
+    assert.deepEqual([...tokenize("deployed", analyzer)], ["deploy"]);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { chunkKey, chunkLines, dedupeChunks } from "../src/chunk-identity.js";
+
+describe("chunkLines", () => {
+  it("prefers the lines string", () => {
+    assert.equal(chunkLines({ lines: "3-7", startLine: 1, endLine: 2 }), "3-7");
+  });
+
+  it("derives the range from start/end lines in either casing", () => {
+    assert.equal(chunkLines({ startLine: 3, endLine: 7 }), "3-7");
+    assert.equal(chunkLines({ start_line: 3, end_line: 7 }), "3-7");
+  });
+
+  it("returns empty when unknown", () => {
+    assert.equal(chunkLines({ startLine: 3 }), "");
+  });
+});
+
+describe("chunkKey", () => {
+  it("distinguishes chunks of the same file", () => {
+    assert.notEqual(
+      chunkKey({ path: "memory/2026-02-12.md", lines: "1-10" }),
+      chunkKey({ path: "memory/2026-02-12.md", lines: "11-20" })
+    );
+  });
+
+  it("namespaces keys by agent for multi-agent results", () => {
+    const chunk = { path: "memory/notes.md", lines: "1-20" };
+    assert.equal(chunkKey({ ...chunk, agent: "work" }), "work@memory/notes.md:1-20");
+    assert.notEqual(chunkKey({ ...chunk, agent: "work" }), chunkKey({ ...chunk, agent: "ops" }));
+    assert.equal(chunkKey(chunk), "memory/notes.md:1-20");
+  });
+
+  it("gives vector results and FTS5 rows of one chunk the same key", () => {
+    assert.equal(
+      chunkKey({ path: "memory/a.md", lines: "3-7", chunkId: "c1" }),
+      chunkKey({ path: "memory/a.md", startLine: 3, endLine: 7, id: "c1" })
+    );
+  });
+
+  it("falls back to the SQLite chunk id without a line range", () => {
+    assert.equal(chunkKey({ path: "memory/a.md", chunkId: "c1" }), "#c1");
+  });
+
+  it("falls back to path, then text prefix", () => {
+    assert.equal(chunkKey({ path: "memory/a.md" }), "memory/a.md");
+    assert.equal(chunkKey({ text: "x".repeat(150) }), "x".repeat(100));
+  });
+});
+
+describe("dedupeChunks", () => {
+  it("keeps the first occurrence of each chunk", () => {
+    const results = [
+      { path: "a.md", lines: "1-2", score: 0.9 },
+      { path: "a.md", lines: "3-4", score: 0.8 },
+      { path: "a.md", lines: "1-2", score: 0.7 },
+    ];
+    assert.deepEqual(dedupeChunks(results).map((r) => r.score), [0.9, 0.8]);
+  });
+
+  it("handles empty input", () => {
+    assert.deepEqual(dedupeChunks(null), []);
+    assert.deepEqual(dedupeChunks([]), []);
+  });
+});
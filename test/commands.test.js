@@ -0,0 +1,71 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { runCommand, createCommand } from "../src/commands.js";
+import { MetricsCollector } from "../src/metrics.js";
+import { PromptCache } from "../src/hook-handler.js";
+
+describe("runCommand", () => {
+  it("shows metrics by default", async () => {
+    const metrics = new MetricsCollector(null, 0);
+    metrics.record({ outcome: "injection", latencyMs: 50 });
+    const text = await runCommand("", { metrics });
+    assert.ok(text.includes("HookClaw metrics"));
+    assert.ok(text.includes("calls: 1"));
+  });
+
+  it("accepts the metrics subcommand case-insensitively", async () => {
+    const text = await runCommand("  METRICS ", { metrics: new MetricsCollector(null, 0) });
+    assert.ok(text.includes("HookClaw metrics"));
+  });
+
+  it("reports a missing collector", async () => {
+    const text = await runCommand("metrics", {});
+    assert.ok(text.includes("unavailable"));
+  });
+
+  it("flushes the prompt cache", async () => {
+    const promptCache = new PromptCache(10, 60000);
+    promptCache.set("how do we deploy?", [{ text: "a", score: 0.5 }]);
+    promptCache.set("where are the runbooks?", []);
+
+    const text = await runCommand("flush", { promptCache });
+    assert.equal(text, "hookclaw: prompt cache flushed (2 entries)");
+    assert.equal(promptCache.size, 0);
+    assert.ok((await runCommand("flush", {})).includes("unavailable"));
+  });
+
+  it("reloads the config through the registered reloader", async () => {
+    const sources = [];
+    const reloadConfig = (source) => {
+      sources.push(source);
+      return "hookclaw: config reloaded (command) — minScore: 0.5 → 0.6";
+    };
+    assert.equal(await runCommand("reload", { reloadConfig }), "hookclaw: config reloaded (command) — minScore: 0.5 → 0.6");
+    assert.deepEqual(sources, ["command"]);
+    assert.ok((await runCommand("reload", {})).includes("unavailable"));
+  });
+
+  it("shows the effective config", async () => {
+    const text = await runCommand("config", { describeConfig: () => "HookClaw effective config (0 overrides)" });
+    assert.equal(text, "HookClaw effective config (0 overrides)");
+    assert.ok((await runCommand("config", {})).includes("unavailable"));
+  });
+
+  it("prints usage for unknown subcommands", async () => {
+    const text = await runCommand("bogus", {});
+    assert.ok(text.startsWith("Usage: /hookclaw"));
+    assert.ok(text.includes("metrics"));
+    assert.ok(text.includes("flush"));
+    assert.ok(text.includes("reload"));
+  });
+});
+
+describe("createCommand", () => {
+  it("builds a registerCommand definition", async () => {
+    const cmd = createCommand({ metrics: new MetricsCollector(null, 0) });
+    assert.equal(cmd.name, "hookclaw");
+    assert.equal(cmd.acceptsArgs, true);
+    const reply = await cmd.handler({ args: "metrics" });
+    assert.ok(reply.text.includes("HookClaw metrics"));
+  });
+});
@@ -0,0 +1,286 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  ConfigHolder,
+  diffConfig,
+  formatConfigDiff,
+  readConfigFile,
+  RESTART_ONLY_OPTIONS,
+} from "../src/config-reload.js";
+import { resetManager } from "../src/memory-client.js";
+import plugin from "../index.js";
+
+function captureLogger() {
+  const lines = { debug: [], info: [], warn: [] };
+  return {
+    lines,
+    debug: (m) => lines.debug.push(m),
+    info: (m) => lines.info.push(m),
+    warn: (m) => lines.warn.push(m),
+    error: () => {},
+  };
+}
+
+describe("diffConfig", () => {
+  it("lists changed, added and removed options", () => {
+    const changes = diffConfig({ minScore: 0.5, halfLifeHours: 168, agents: null }, { minScore: 0.6, halfLifeHours: 168, rrfK: 30 });
+    assert.deepEqual(changes, [
+      { key: "minScore", from: 0.5, to: 0.6 },
+      { key: "agents", from: null, to: undefined },
+      { key: "rrfK", from: undefined, to: 30 },
+    ]);
+  });
+
+  it("compares arrays, objects and regexes by value", () => {
+    const prev = { skipPatterns: ["^hi", /^bye/i], analyzer: { languages: ["en"] } };
+    const next = { skipPatterns: ["^hi", /^bye/i], analyzer: { languages: ["en"] } };
+    assert.deepEqual(diffConfig(prev, next), []);
+    assert.equal(diffConfig(prev, { ...next, skipPatterns: ["^hi"] }).length, 1);
+  });
+});
+
+describe("formatConfigDiff", () => {
+  it("prints old and new values", () => {
+    const text = formatConfigDiff([
+      { key: "minScore", from: 0.5, to: 0.6 },
+      { key: "skipPatterns", from: null, to: ["^deploy"] },
+      { key: "ftsDbPath", from: undefined, to: "/tmp/x.sqlite" },
+    ]);
+    assert.equal(text, 'minScore: 0.5 → 0.6, skipPatterns: null → ["^deploy"], ftsDbPath: unset → "/tmp/x.sqlite"');
+  });
+
+  it("shortens long values", () => {
+    const text = formatConfigDiff([{ key: "contextTemplate", from: null, to: { entry: "x".repeat(200) } }]);
+    assert.ok(text.length < 100);
+    assert.ok(text.endsWith("…"));
+  });
+
+  it("says when nothing changed", () => {
+    assert.equal(formatConfigDiff([]), "no changes");
+  });
+});
+
+describe("readConfigFile", () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), "hookclaw-config-")); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  it("reads a JSON object", () => {
+    const file = join(dir, "hookclaw.json");
+    writeFileSync(file, '{ "minScore": 0.6 }');
+    assert.deepEqual(readConfigFile(file), { minScore: 0.6 });
+  });
+
+  it("rejects non-objects and bad JSON", () => {
+    const file = join(dir, "hookclaw.json");
+    writeFileSync(file, "[1, 2]");
+    assert.throws(() => readConfigFile(file), /JSON object/);
+    writeFileSync(file, "{ minScore: ");
+    assert.throws(() => readConfigFile(file));
+  });
+});
+
+describe("ConfigHolder", () => {
+  it("builds from the initial config", () => {
+    const holder = new ConfigHolder({ minScore: 0.5 }, { build: (c) => `pipeline@${c.minScore}` });
+    assert.equal(holder.current, "pipeline@0.5");
+    assert.equal(holder.version, 1);
+  });
+
+  it("swaps config and built value together, then reconfigures", () => {
+    const logger = captureLogger();
+    const swaps = [];
+    const holder = new ConfigHolder({ minScore: 0.5, halfLifeHours: 168 }, {
+      build: (c) => `pipeline@${c.minScore}`,
+      onSwap: (next, prev, changes) => swaps.push([prev.minScore, next.minScore, changes.length]),
+      logger,
+    });
+
+    const { applied, message } = holder.update({ minScore: 0.6, halfLifeHours: 72 }, "file");
+    assert.equal(applied, true);
+    assert.equal(holder.current, "pipeline@0.6");
+    assert.equal(holder.config.halfLifeHours, 72);
+    assert.equal(holder.version, 2);
+    assert.deepEqual(swaps, [[0.5, 0.6, 2]]);
+    assert.equal(message, "hookclaw: config reloaded (file) — minScore: 0.5 → 0.6, halfLifeHours: 168 → 72");
+    assert.deepEqual(logger.lines.info, [message]);
+  });
+
+  it("skips identical configs", () => {
+    let builds = 0;
+    const holder = new ConfigHolder({ minScore: 0.5 }, { build: () => ++builds });
+    const { applied, message } = holder.update({ minScore: 0.5 });
+    assert.equal(applied, false);
+    assert.ok(message.endsWith("no changes"));
+    assert.equal(builds, 1);
+  });
+
+  it("keeps the previous config when building fails", () => {
+    const logger = captureLogger();
+    const holder = new ConfigHolder({ minScore: 0.5 }, {
+      build: (c) => {
+        if (c.minScore > 1) throw new Error("minScore out of range");
+        return c.minScore;
+      },
+      logger,
+    });
+    const { applied } = holder.update({ minScore: 2 }, "command");
+    assert.equal(applied, false);
+    assert.equal(holder.current, 0.5);
+    assert.equal(holder.version, 1);
+    assert.ok(logger.lines.warn[0].includes("rejected, keeping previous config — minScore out of range"));
+  });
+
+  it("flags options that only apply after a restart", () => {
+    assert.ok(RESTART_ONLY_OPTIONS.includes("enableFeedbackLoop"));
+    const holder = new ConfigHolder({ enableFeedbackLoop: false }, { build: () => null });
+    const { message } = holder.update({ enableFeedbackLoop: true });
+    assert.ok(message.endsWith("(enableFeedbackLoop: takes effect after restart)"));
+  });
+});
+
+describe("plugin hot reload", () => {
+  let dir;
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "hookclaw-reload-"));
+    resetManager();
+  });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  function registerPlugin(pluginConfig, logger, runtimeConfig = undefined) {
+    const hooks = {};
+    let command = null;
+    const api = {
+      config: {},
+      pluginConfig,
+      runtime: {
+        tools: {
+          createMemorySearchTool: () => ({
+            execute: async () => ({
+              details: { results: [{ path: "memory/deploy.md", lines: "1-3", text: "Deploys run from CI.", score: 0.8 }] },
+            }),
+          }),
+        },
+        ...(runtimeConfig ? { config: runtimeConfig } : {}),
+      },
+      logger,
+      on: (name, handler) => { hooks[name] = handler; },
+      registerCommand: (def) => { command = def; },
+    };
+    plugin.register(api);
+    return { api, hooks, command: (args) => command.handler({ args }) };
+  }
+
+  it("layers configFile over the gateway config and reloads it on /hookclaw reload", async () => {
+    const file = join(dir, "hookclaw.json");
+    writeFileSync(file, JSON.stringify({ minScore: 0.5 }));
+    const logger = captureLogger();
+    const { hooks, command } = registerPlugin(
+      { configFile: file, watchConfigFile: false, enableFts: false, minScore: 0.3 },
+      logger
+    );
+    assert.ok(logger.lines.info.some((m) => m.includes("minScore=0.5")));
+
+    const prompt = "deploy pipeline status for the cluster";
+    const before = await hooks.before_agent_start({ prompt }, { sessionKey: "agent:main:main" });
+    assert.ok(before?.prependContext?.includes("Deploys run from CI."));
+
+    writeFileSync(file, JSON.stringify({ minScore: 0.5, skipPatterns: ["^deploy"] }));
+    const reply = await command("reload");
+    assert.equal(reply.text, 'hookclaw: config reloaded (command) — skipPatterns: null → ["^deploy"]');
+
+    const after = await hooks.before_agent_start({ prompt }, { sessionKey: "agent:main:other" });
+    assert.equal(after, undefined);
+  });
+
+  it("re-reads the gateway entry through the runtime config loader", async () => {
+    let gatewayConfig = { watchConfigFile: false, enableFts: false, minScore: 0.3 };
+    const loadConfig = () => ({ plugins: { entries: { hookclaw: { config: gatewayConfig } } } });
+    const { command } = registerPlugin(gatewayConfig, captureLogger(), { loadConfig });
+
+    gatewayConfig = { ...gatewayConfig, minScore: 0.6 };
+    assert.equal((await command("reload")).text, "hookclaw: config reloaded (command) — minScore: 0.3 → 0.6");
+  });
+
+  it("falls back to api.pluginConfig without a runtime config loader", async () => {
+    const logger = captureLogger();
+    const { api, command } = registerPlugin({ watchConfigFile: false, enableFts: false, minScore: 0.3 }, logger);
+
+    api.pluginConfig = { ...api.pluginConfig, minScore: 0.6 };
+    assert.equal((await command("reload")).text, "hookclaw: config reloaded (command) — minScore: 0.3 → 0.6");
+    assert.deepEqual(logger.lines.debug, ["hookclaw: no runtime config loader — reloading from api.pluginConfig"]);
+  });
+
+  it("falls back to api.pluginConfig when the runtime config loader throws", async () => {
+    const logger = captureLogger();
+    const loadConfig = () => { throw new Error("config locked"); };
+    const { api, command } = registerPlugin({ watchConfigFile: false, enableFts: false, minScore: 0.3 }, logger, { loadConfig });
+
+    api.pluginConfig = { ...api.pluginConfig, minScore: 0.6 };
+    assert.equal((await command("reload")).text, "hookclaw: config reloaded (command) — minScore: 0.3 → 0.6");
+    assert.ok(logger.lines.debug[0].endsWith("— config locked"));
+  });
+
+  it("warns about invalid options at startup and reports the effective config", async () => {
+    const logger = captureLogger();
+    const { command } = registerPlugin({ watchConfigFile: false, enableFts: false, mmrLambda: 1.4, halfLifeHours: "1w" }, logger);
+    assert.ok(logger.lines.warn.includes("hookclaw: mmrLambda — 1.4 is above the maximum 1 — using 1"));
+    assert.ok(logger.lines.warn.includes('hookclaw: halfLifeHours ignored — expected number, got "1w"'));
+
+    const { text } = await command("config");
+    assert.ok(text.startsWith("HookClaw effective config (3 overrides)"));
+    assert.ok(/mmrLambda +1 {3}\(default 0\.7\)/.test(text));
+    assert.ok(/halfLifeHours +168\n/.test(text));
+  });
+
+  it("writes decision traces to traceFile and turns tracing off on reload", async () => {
+    const file = join(dir, "hookclaw.json");
+    const traceFile = join(dir, "traces", "calls.jsonl");
+    writeFileSync(file, JSON.stringify({ enableTrace: true, traceFile }));
+    const { hooks, command } = registerPlugin({ configFile: file, watchConfigFile: false, enableFts: false }, captureLogger());
+
+    await hooks.before_agent_start({ prompt: "deploy pipeline status for the cluster" }, { sessionKey: "agent:main:main" });
+    const { text } = await command("trace");
+    assert.match(text, /^#\d+ .* injection, 1 memories/);
+    assert.ok(text.includes("  results: memory/deploy.md:1-3 0.800"));
+
+    writeFileSync(file, JSON.stringify({ enableTrace: false, traceFile }));
+    await command("reload");
+    assert.equal((await command("trace")).text, "hookclaw: tracing is off (set enableTrace)");
+  });
+
+  it("flushes the replaced trace writer when traceFile changes", async () => {
+    const file = join(dir, "hookclaw.json");
+    const first = join(dir, "first.jsonl");
+    const second = join(dir, "second.jsonl");
+    writeFileSync(file, JSON.stringify({ enableTrace: true, traceFile: first }));
+    const { hooks, command } = registerPlugin({ configFile: file, watchConfigFile: false, enableFts: false }, captureLogger());
+
+    const prompt = "deploy pipeline status for the cluster";
+    await hooks.before_agent_start({ prompt }, { sessionKey: "agent:main:main" });
+    writeFileSync(file, JSON.stringify({ enableTrace: true, traceFile: second }));
+    await command("reload");
+    await hooks.before_agent_start({ prompt }, { sessionKey: "agent:main:other" });
+    await hooks.gateway_stop();
+
+    assert.equal(readFileSync(first, "utf-8").trim().split("\n").length, 1);
+    assert.equal(JSON.parse(readFileSync(second, "utf-8")).sessionKey, "agent:main:other");
+  });
+
+  it("keeps the running config when the file turns malformed", async () => {
+    const file = join(dir, "hookclaw.json");
+    writeFileSync(file, JSON.stringify({ minScore: 0.5 }));
+    const logger = captureLogger();
+    const { hooks, command } = registerPlugin({ configFile: file, watchConfigFile: false, enableFts: false }, logger);
+
+    writeFileSync(file, "{ not json");
+    const reply = await command("reload");
+    assert.ok(reply.text.startsWith("hookclaw: config reload (command) rejected, keeping previous config"));
+
+    const result = await hooks.before_agent_start({ prompt: "deploy pipeline status for the cluster" }, { sessionKey: "agent:main:main" });
+    assert.ok(result?.prependContext);
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  CONFIG_SCHEMA,
+  DEFAULTS,
+  checkOption,
+  validateConfig,
+  resolveConfig,
+  formatEffectiveConfig,
+  manifestConfigSchema,
+} from "../src/config-schema.js";
+
+function captureLogger() {
+  const warnings = [];
+  return { warnings, warn: (m) => warnings.push(m), info: () => {} };
+}
+
+describe("DEFAULTS", () => {
+  it("has a default for every option in the schema", () => {
+    assert.deepEqual(Object.keys(DEFAULTS), Object.keys(CONFIG_SCHEMA));
+    assert.equal(DEFAULTS.maxResults, 3);
+    assert.equal(DEFAULTS.minScore, 0.5);
+    assert.equal(DEFAULTS.halfLifeHours, 168);
+    assert.equal(DEFAULTS.cacheSize, 20);
+  });
+
+  it("defaults satisfy their own schema", () => {
+    for (const [key, value] of Object.entries(DEFAULTS)) {
+      const { problem, ignored } = checkOption(key, value);
+      assert.equal(problem, undefined, key);
+      assert.equal(ignored, undefined, key);
+    }
+  });
+});
+
+describe("checkOption", () => {
+  it("clamps numbers to their range", () => {
+    assert.deepEqual(checkOption("mmrLambda", 1.5), { value: 1, problem: "1.5 is above the maximum 1 — using 1" });
+    assert.deepEqual(checkOption("halfLifeHours", -24), { value: 0, problem: "-24 is below the minimum 0 — using 0" });
+    assert.deepEqual(checkOption("minScore", 0.4), { value: 0.4 });
+  });
+
+  it("rounds integer options", () => {
+    assert.deepEqual(checkOption("maxResults", 2.6), { value: 3, problem: "2.6 is not a whole number — using 3" });
+    assert.deepEqual(checkOption("maxResults", 0.2), {
+      value: 1,
+      problem: "0.2 is not a whole number, 0 is below the minimum 1 — using 1",
+    });
+  });
+
+  it("rejects wrong types and unknown enum values", () => {
+    assert.deepEqual(checkOption("minScore", "0.6"), { ignored: true, problem: 'expected number, got "0.6"' });
+    assert.deepEqual(checkOption("halfLifeHours", null), { ignored: true, problem: "expected number, got null" });
+    assert.deepEqual(checkOption("cacheMaxBytes", null), { value: null });
+    assert.equal(checkOption("formatTemplate", "yaml").problem, 'expected one of xml, markdown, json, custom, got "yaml"');
+    assert.equal(checkOption("timeoutMs", Infinity).ignored, true);
+  });
+
+  it("drops skip patterns that aren't valid regexes", () => {
+    const { value, problem } = checkOption("skipPatterns", ["^deploy", "(unclosed", /^hi/]);
+    assert.deepEqual(value, ["^deploy", /^hi/]);
+    assert.equal(problem, 'invalid pattern dropped: "(unclosed"');
+  });
+
+  it("drops bad fields of object options", () => {
+    assert.deepEqual(checkOption("rrfWeights", { vector: "high", fts: 0.5 }), {
+      value: { fts: 0.5 },
+      problem: 'vector: expected number, got "high" — dropped',
+    });
+    assert.deepEqual(checkOption("contextTemplate", { entry: "{{text}}", bogus: 1 }), {
+      value: { entry: "{{text}}" },
+      problem: "bogus: unknown field — dropped",
+    });
+    assert.deepEqual(checkOption("analyzer", { stopWords: "hookclaw", languages: ["es", "xx"] }), {
+      value: { languages: ["es"] },
+      problem: 'stopWords: expected array, got "hookclaw" — dropped; languages[1]: expected one of en, es, fr, de, got "xx" — dropped',
+    });
+    assert.deepEqual(checkOption("rrfWeights", { vector: 0.5 }), { value: { vector: 0.5 } });
+  });
+
+  it("drops malformed entries of array options", () => {
+    assert.deepEqual(checkOption("agents", ["work", { weight: 2 }, { id: "ops", weight: -1 }, 5]), {
+      value: ["work", { id: "ops", weight: 0 }],
+      problem: "[1]: missing id — dropped; [2].weight: -1 is below the minimum 0 — using 0; [3]: expected string or object, got 5 — dropped",
+    });
+    const { value, problem } = checkOption("profiles", [
+      { match: { agentId: "ops" } },
+      { name: "ops", match: { agentId: ["ops", 5] }, options: { minScore: 0.9 } },
+    ]);
+    assert.deepEqual(value, [{ name: "ops", match: { agentId: ["ops"] }, options: { minScore: 0.9 } }]);
+    assert.equal(problem, "[0]: missing name — dropped; [1].match.agentId[1]: expected string, got 5 — dropped");
+  });
+
+  it("accepts an estimator function programmatically", () => {
+    const fn = (text) => text.length;
+    assert.equal(checkOption("tokenEstimator", fn).value, fn);
+  });
+
+  it("flags unknown options", () => {
+    assert.deepEqual(checkOption("maxResult", 3), { ignored: true, problem: "unknown option" });
+  });
+});
+
+describe("validateConfig", () => {
+  it("keeps usable values and warns once per problem", () => {
+    const logger = captureLogger();
+    const valid = validateConfig({ minScore: 0.6, mmrLambda: -1, maxResult: 3, cacheScope: "user", ftsDbPath: undefined }, logger);
+    assert.deepEqual(valid, { minScore: 0.6, mmrLambda: 0 });
+    assert.deepEqual(logger.warnings, [
+      "hookclaw: mmrLambda — -1 is below the minimum 0 — using 0",
+      "hookclaw: maxResult ignored — unknown option",
+      'hookclaw: cacheScope ignored — expected one of global, agent, session, got "user"',
+    ]);
+  });
+
+  it("warns about nested problems and keeps the rest of the option", () => {
+    const logger = captureLogger();
+    assert.deepEqual(validateConfig({ rrfWeights: { vector: "x", entity: 0.2 } }, logger), { rrfWeights: { entity: 0.2 } });
+    assert.deepEqual(logger.warnings, ['hookclaw: rrfWeights — vector: expected number, got "x" — dropped']);
+  });
+
+  it("names where the options came from", () => {
+    const logger = captureLogger();
+    validateConfig({ minScore: 2 }, logger, 'profile "ops"');
+    assert.equal(logger.warnings[0], 'hookclaw: minScore in profile "ops" — 2 is above the maximum 1 — using 1');
+  });
+});
+
+describe("resolveConfig", () => {
+  it("fills in defaults and replaces rejected values with them", () => {
+    const config = resolveConfig({ maxResults: 5, halfLifeHours: "a week" });
+    assert.equal(config.maxResults, 5);
+    assert.equal(config.halfLifeHours, 168);
+    assert.equal(config.minScore, 0.5);
+    assert.equal("bogus" in resolveConfig({ bogus: true }), false);
+  });
+});
+
+describe("formatEffectiveConfig", () => {
+  it("lists every option and notes defaults next to overrides", () => {
+    const report = formatEffectiveConfig(resolveConfig({ minScore: 0.6, skipPatterns: ["^deploy"] }));
+    const lines = report.split("\n");
+    assert.equal(lines[0], "HookClaw effective config (2 overrides)");
+    assert.equal(lines.length, Object.keys(CONFIG_SCHEMA).length + 1);
+    assert.ok(lines.some((l) => /^ {2}minScore +0\.6 {3}\(default 0\.5\)$/.test(l)));
+    assert.ok(lines.some((l) => /^ {2}skipPatterns +\["\^deploy"\] {3}\(default null\)$/.test(l)));
+    assert.ok(lines.some((l) => /^ {2}maxResults +3$/.test(l)));
+  });
+
+  it("says when everything is default", () => {
+    assert.ok(formatEffectiveConfig(resolveConfig({})).startsWith("HookClaw effective config (0 overrides)"));
+  });
+});
+
+describe("manifest", () => {
+  it("openclaw.plugin.json is generated from the schema (npm run manifest)", () => {
+    const manifest = JSON.parse(readFileSync(new URL("../openclaw.plugin.json", import.meta.url), "utf8"));
+    assert.deepEqual(manifest.configSchema, manifestConfigSchema());
+  });
+});
@@ -1,6 +1,13 @@
 import { describe, it } from "node:test";
 import assert from "node:assert/strict";
-import { formatAsXml, formatAsMarkdown, formatContext } from "../src/context-formatter.js";
+import {
+  formatAsXml,
+  formatAsMarkdown,
+  formatAsJson,
+  formatWithTemplate,
+  isValidTemplate,
+  formatContext,
+} from "../src/context-formatter.js";
 
 const SAMPLE_RESULTS = [
   {
@@ -38,6 +45,12 @@ describe("formatAsXml", () => {
     assert.ok(output.includes("structured logging"));
   });
 
+  it("labels results with their originating agent", () => {
+    const output = formatAsXml([{ ...SAMPLE_RESULTS[0], agent: "work" }]);
+    assert.ok(output.includes('<memory source="memory" agent="work" path="memory/2026-02-10.md"'));
+    assert.ok(!formatAsXml(SAMPLE_RESULTS).includes("agent="));
+  });
+
   it("returns empty string for empty results", () => {
     assert.equal(formatAsXml([]), "");
     assert.equal(formatAsXml(null), "");
@@ -96,6 +109,52 @@ describe("formatAsXml", () => {
   });
 });
 
+describe("budgeted formatting", () => {
+  const LONG = {
+    text: "Deploys go out on thursdays after the release review. " + "Rollbacks need a second approver. ".repeat(40),
+    source: "memory",
+    path: "memory/deploys.md",
+    lines: "1-80",
+    score: 0.9,
+  };
+
+  it("never exceeds maxChars", () => {
+    for (const limit of [150, 300, 500, 1000]) {
+      assert.ok(formatAsXml([LONG, ...SAMPLE_RESULTS], limit).length <= limit);
+      assert.ok(formatAsMarkdown([LONG, ...SAMPLE_RESULTS], limit).length <= limit);
+    }
+  });
+
+  it("skips an oversized chunk to fit smaller lower-ranked ones", () => {
+    const output = formatAsXml([LONG, ...SAMPLE_RESULTS], 700);
+    assert.ok(output.includes("structured logging"));
+    assert.ok(output.includes("reverse proxy"));
+  });
+
+  it("truncates at a sentence boundary", () => {
+    const output = formatAsXml([LONG], 400);
+    assert.ok(output.includes("Rollbacks need a second approver...."));
+    assert.ok(!/approv(?!er)/.test(output));
+  });
+
+  it("budgets by estimated tokens when maxTokens is set", () => {
+    const cjk = { text: "日本語のメモ。".repeat(60), source: "memory", path: "memory/ja.md", lines: "1-2", score: 0.8 };
+    // ~420 chars fits a 2000-char budget but not a 150-token one
+    assert.ok(formatAsXml([cjk], 2000).includes("日本語のメモ。".repeat(60)));
+    const output = formatAsXml([cjk], 2000, { maxTokens: 150 });
+    assert.ok(output.includes("..."));
+    assert.ok(output.length < 420);
+  });
+
+  it("uses a custom token estimator", () => {
+    const estimateTokens = (text) => text.split(/\s+/).length;
+    const output = formatContext(SAMPLE_RESULTS, { maxContextTokens: 25, estimateTokens });
+    assert.ok(output.includes("structured logging"));
+    assert.ok(!output.includes("reverse proxy"));
+    assert.ok(formatContext(SAMPLE_RESULTS, { maxContextTokens: 60, estimateTokens }).includes("reverse proxy"));
+  });
+});
+
 describe("formatAsMarkdown", () => {
   it("formats results with markdown structure", () => {
     const output = formatAsMarkdown(SAMPLE_RESULTS);
@@ -133,6 +192,106 @@ describe("formatAsMarkdown", () => {
   });
 });
 
+describe("formatAsJson", () => {
+  it("produces parseable JSON with entry metadata", () => {
+    const parsed = JSON.parse(formatAsJson(SAMPLE_RESULTS));
+    assert.equal(parsed.relevant_memories.length, 3);
+    assert.deepEqual(parsed.relevant_memories[0], {
+      source: "memory",
+      path: "memory/2026-02-10.md",
+      lines: "14-16",
+      score: 0.85,
+      date: "2026-02-10",
+      text: "The team prefers structured logging for all services across the platform.",
+    });
+  });
+
+  it("stays valid JSON when the budget drops entries", () => {
+    const output = formatAsJson(SAMPLE_RESULTS, 300);
+    assert.ok(output.length <= 300);
+    assert.equal(JSON.parse(output).relevant_memories.length, 1);
+  });
+
+  it("escapes quotes and newlines in text", () => {
+    const output = formatAsJson([{ text: 'say "hi"\nthen <leave>', source: "memory", path: "a.md", lines: "", score: 0.5 }]);
+    assert.equal(JSON.parse(output).relevant_memories[0].text, 'say "hi"\nthen <leave>');
+  });
+
+  it("returns empty string for empty results", () => {
+    assert.equal(formatAsJson([]), "");
+  });
+});
+
+describe("agent labels", () => {
+  const labeled = [{ ...SAMPLE_RESULTS[0], agent: "ops" }];
+
+  it("adds the agent to markdown headers", () => {
+    assert.ok(formatAsMarkdown(labeled).includes("> *memory* | agent ops | `memory/2026-02-10.md`"));
+  });
+
+  it("adds the agent to JSON entries", () => {
+    assert.equal(JSON.parse(formatAsJson(labeled)).relevant_memories[0].agent, "ops");
+    assert.equal(JSON.parse(formatAsJson(SAMPLE_RESULTS)).relevant_memories[0].agent, undefined);
+  });
+
+  it("fills the {{agent}} placeholder", () => {
+    assert.equal(formatWithTemplate(labeled, { entry: "{{agent}}:{{path}}" }), "ops:memory/2026-02-10.md");
+    assert.equal(formatWithTemplate(SAMPLE_RESULTS.slice(0, 1), { entry: "[{{agent}}]" }), "[]");
+  });
+});
+
+describe("formatWithTemplate", () => {
+  const template = {
+    header: "<context>\n",
+    entry: "[{{date}} {{path}}#{{lines}} {{score}} {{source}}] {{text}}\n",
+    footer: "</context>",
+  };
+
+  it("renders header, entries and footer", () => {
+    const output = formatWithTemplate(SAMPLE_RESULTS.slice(0, 1), template);
+    assert.equal(
+      output,
+      "<context>\n[2026-02-10 memory/2026-02-10.md#14-16 0.850 memory] " +
+        "The team prefers structured logging for all services across the platform.\n</context>"
+    );
+  });
+
+  it("xml-escapes values by default", () => {
+    const results = [{ text: "a <b> & c", source: "memory", path: 'x"y.md', lines: "", score: 0.5 }];
+    const output = formatWithTemplate(results, { entry: '<m path="{{path}}">{{text}}</m>' });
+    assert.equal(output, '<m path="x&quot;y.md">a &lt;b&gt; &amp; c</m>');
+  });
+
+  it("supports json and none escaping", () => {
+    const results = [{ text: 'a "quoted" <b>', source: "memory", path: "x.md", lines: "", score: 0.5 }];
+    assert.equal(formatWithTemplate(results, { entry: '"{{text}}"', escape: "json" }), '"a \\"quoted\\" <b>"');
+    assert.equal(formatWithTemplate(results, { entry: "{{text}}", escape: "none" }), 'a "quoted" <b>');
+  });
+
+  it("uses updatedAt metadata for {{date}}", () => {
+    const results = [{ text: "undated path", source: "memory", path: "notes.md", updatedAt: "2026-03-01T10:00:00Z", score: 0.5 }];
+    assert.equal(formatWithTemplate(results, { entry: "{{date}}" }), "2026-03-01");
+  });
+
+  it("leaves unknown placeholders untouched", () => {
+    const output = formatWithTemplate(SAMPLE_RESULTS.slice(0, 1), { entry: "{{nope}} {{ score }}" });
+    assert.equal(output, "{{nope}} 0.850");
+  });
+
+  it("shares the budget and truncation logic", () => {
+    const output = formatWithTemplate(SAMPLE_RESULTS, template, 200);
+    assert.ok(output.length <= 200);
+    assert.ok(output.startsWith("<context>"));
+    assert.ok(output.endsWith("</context>"));
+  });
+
+  it("falls back to xml without an entry template", () => {
+    assert.ok(!isValidTemplate({ header: "x" }));
+    assert.ok(!isValidTemplate(null));
+    assert.ok(formatWithTemplate(SAMPLE_RESULTS, { header: "x" }).startsWith("<relevant_memories>"));
+  });
+});
+
 describe("formatContext", () => {
   it("uses xml format by default", () => {
     const output = formatContext(SAMPLE_RESULTS);
@@ -144,6 +303,19 @@ describe("formatContext", () => {
     assert.ok(output.includes("**Relevant Memories:**"));
   });
 
+  it("uses json format when specified", () => {
+    const output = formatContext(SAMPLE_RESULTS, { formatTemplate: "json" });
+    assert.equal(JSON.parse(output).relevant_memories.length, 3);
+  });
+
+  it("uses the custom template when specified", () => {
+    const output = formatContext(SAMPLE_RESULTS, {
+      formatTemplate: "custom",
+      contextTemplate: { entry: "- {{path}}\n" },
+    });
+    assert.equal(output, "- memory/2026-02-10.md\n- memory/2026-02-08.md\n- memory/2026-01-30.md\n");
+  });
+
   it("passes maxContextChars through", () => {
     const output = formatContext(SAMPLE_RESULTS, { maxContextChars: 200 });
     assert.ok(output.length <= 500);
@@ -0,0 +1,67 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createDeadline } from "../src/deadline.js";
+
+describe("createDeadline", () => {
+  it("returns the value of a stage that settles in time", async () => {
+    const deadline = createDeadline(1000);
+    const outcome = await deadline.run(async () => "done");
+    assert.equal(outcome.status, "ok");
+    assert.equal(outcome.value, "done");
+    assert.equal(typeof outcome.ms, "number");
+  });
+
+  it("accepts synchronous stages", async () => {
+    const outcome = await createDeadline(1000).run(() => [1, 2]);
+    assert.deepEqual(outcome.value, [1, 2]);
+  });
+
+  it("abandons a stage that is still pending at the deadline", async () => {
+    const deadline = createDeadline(30);
+    const outcome = await deadline.run(() => new Promise(() => {}));
+    assert.equal(outcome.status, "timeout");
+    assert.equal(outcome.value, undefined);
+    assert.ok(deadline.expired());
+    assert.equal(deadline.remaining(), 0);
+  });
+
+  it("reports a stage that blocked past the deadline as late", async () => {
+    const deadline = createDeadline(5);
+    const outcome = await deadline.run(() => {
+      const until = Date.now() + 20;
+      while (Date.now() < until) { /* busy */ }
+      return "stale";
+    });
+    assert.equal(outcome.status, "late");
+    assert.equal(outcome.value, undefined);
+  });
+
+  it("captures stage errors instead of rejecting", async () => {
+    const outcome = await createDeadline(1000).run(() => {
+      throw new Error("db locked");
+    });
+    assert.equal(outcome.status, "error");
+    assert.match(outcome.error.message, /db locked/);
+  });
+
+  it("shares one budget across concurrent stages", async () => {
+    const deadline = createDeadline(40);
+    const started = Date.now();
+    const [fast, slow] = await Promise.all([
+      deadline.run(async () => "fast"),
+      deadline.run(() => new Promise(() => {})),
+    ]);
+    assert.equal(fast.status, "ok");
+    assert.equal(slow.status, "timeout");
+    assert.ok(Date.now() - started < 400);
+  });
+
+  it("swallows a rejection that arrives after the deadline", async () => {
+    const deadline = createDeadline(10);
+    let reject;
+    const outcome = await deadline.run(() => new Promise((_, r) => { reject = r; }));
+    assert.equal(outcome.status, "timeout");
+    reject(new Error("too late"));
+    await new Promise((r) => setImmediate(r));
+  });
+});
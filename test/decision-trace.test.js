@@ -0,0 +1,302 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, readFileSync, writeFileSync, existsSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  TraceWriter,
+  readTraces,
+  createTrace,
+  traceDecay,
+  formatTrace,
+  formatTraceLine,
+} from "../src/decision-trace.js";
+import { createHandler } from "../src/hook-handler.js";
+import { InjectionLedger } from "../src/injection-ledger.js";
+import { runCommand } from "../src/commands.js";
+import { resetManager } from "../src/memory-client.js";
+
+// node:sqlite ships with Node 22+; cases that need the FTS5 fixture are skipped without it
+const sqlite = await import("node:sqlite").catch(() => null);
+const { closeConnection } = sqlite ? await import("../src/fts-search.js") : {};
+const needsSqlite = { skip: sqlite ? false : "node:sqlite unavailable" };
+
+const RESULTS = [
+  { path: "memory/ops.md", lines: "11-20", text: "Database backups run nightly to the NAS share.", score: 0.7 },
+  { path: "memory/2026-01-05.md", lines: "1-8", text: "Upgraded the postgres database to version 16.", score: 0.65 },
+  { path: "memory/recipes.md", lines: "1-5", text: "Banana bread recipe with three ripe bananas.", score: 0.3 },
+];
+
+const silentLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+function fakeApi() {
+  return {
+    config: {},
+    runtime: {
+      tools: {
+        createMemorySearchTool: () => ({
+          execute: async (id, params) => {
+            const results = RESULTS.filter((r) => r.score >= params.minScore).map((r) => ({ ...r }));
+            return { details: { results, count: results.length } };
+          },
+        }),
+      },
+    },
+    logger: silentLogger,
+  };
+}
+
+const ctx = { agentId: "main", sessionKey: "agent:main:main" };
+
+describe("TraceWriter", () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), "hookclaw-trace-")); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  it("appends one JSON line per trace, creating the directory", async () => {
+    const file = join(dir, "nested", "traces.jsonl");
+    const writer = new TraceWriter(file);
+    writer.write({ call: 1, outcome: "injection" });
+    writer.write({ call: 2, outcome: "no_results" });
+    await writer.flush();
+    const lines = readFileSync(file, "utf8").trim().split("\n").map((l) => JSON.parse(l));
+    assert.deepEqual(lines, [{ call: 1, outcome: "injection" }, { call: 2, outcome: "no_results" }]);
+  });
+
+  it("rotates by size and keeps maxFiles old files", async () => {
+    const file = join(dir, "traces.jsonl");
+    const writer = new TraceWriter(file, { maxBytes: 80, maxFiles: 2 });
+    for (let call = 1; call <= 8; call++) writer.write({ call, pad: "x".repeat(20) });
+    await writer.flush();
+    assert.ok(existsSync(`${file}.1`));
+    assert.ok(existsSync(`${file}.2`));
+    assert.ok(!existsSync(`${file}.3`));
+
+    // Oldest calls rotated away; the rest read back in order
+    const calls = (await readTraces(file, { maxFiles: 2 })).map((t) => t.call);
+    assert.deepEqual(calls, [3, 4, 5, 6, 7, 8]);
+  });
+
+  it("writes queued traces on close and ignores later ones", async () => {
+    const file = join(dir, "traces.jsonl");
+    const writer = new TraceWriter(file);
+    writer.write({ call: 1 });
+    await writer.close();
+    writer.write({ call: 2 });
+    await writer.flush();
+    assert.deepEqual(await readTraces(file), [{ call: 1 }]);
+  });
+
+  it("reports a failing write once and keeps going", async () => {
+    const warnings = [];
+    const blocker = join(dir, "file");
+    writeFileSync(blocker, "");
+    const writer = new TraceWriter(join(blocker, "traces.jsonl"), { logger: { warn: (m) => warnings.push(m) } });
+    writer.write({ call: 1 });
+    writer.write({ call: 2 });
+    await writer.flush();
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /^hookclaw: trace write failed — /);
+  });
+});
+
+describe("readTraces", () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), "hookclaw-trace-")); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  it("filters by call number and session, newest last", async () => {
+    const file = join(dir, "traces.jsonl");
+    writeFileSync(`${file}.1`, `${JSON.stringify({ call: 7, sessionKey: "a" })}\n`);
+    writeFileSync(
+      file,
+      [{ call: 8, sessionKey: "b" }, { call: 9, sessionKey: "a" }].map((t) => JSON.stringify(t)).join("\n") + "\n{\"call\": 10, \"sess"
+    );
+    assert.deepEqual((await readTraces(file, { sessionKey: "a" })).map((t) => t.call), [7, 9]);
+    assert.deepEqual((await readTraces(file, { callNum: 8 })).map((t) => t.sessionKey), ["b"]);
+    assert.deepEqual((await readTraces(file, { limit: 1 })).map((t) => t.call), [9]);
+    assert.deepEqual(await readTraces(join(dir, "missing.jsonl")), []);
+  });
+});
+
+describe("trace helpers", () => {
+  it("starts a trace from the hook context", () => {
+    const trace = createTrace(ctx, "ops", Date.parse("2026-03-02T10:00:00Z"));
+    assert.deepEqual(trace, {
+      call: null,
+      time: "2026-03-02T10:00:00.000Z",
+      sessionKey: "agent:main:main",
+      agentId: "main",
+      profile: "ops",
+    });
+  });
+
+  it("records decay factors of dated chunks only", () => {
+    const before = [{ path: "memory/2026-03-01.md", lines: "1-2", score: 0.8 }, { path: "memory/ops.md", lines: "1-2", score: 0.6 }];
+    const after = [{ ...before[0], score: 0.4 }, before[1]];
+    assert.deepEqual(traceDecay(before, after), [{ key: "memory/2026-03-01.md:1-2", factor: 0.5, score: 0.4 }]);
+  });
+
+  it("formats a trace stage by stage", () => {
+    const text = formatTrace({
+      call: 4,
+      time: "2026-03-02T10:00:00.000Z",
+      sessionKey: "agent:main:main",
+      agentId: "main",
+      prompt: "where do the backups go?",
+      cache: { scope: "agent:main", hit: false },
+      boosts: [{ key: "memory/ops.md:11-20", from: 0.7, fts: 0.5, to: 0.85 }],
+      adaptive: { in: 3, out: 2 },
+      results: [{ key: "memory/ops.md:11-20", score: 0.85 }],
+      context: { chars: 268 },
+      outcome: "injection",
+      latencyMs: 15,
+    });
+    assert.equal(
+      text,
+      [
+        '#4 2026-03-02T10:00:00.000Z injection, 1 memories, 15ms "where do the backups go?"',
+        "  session: agent:main:main (agent main)",
+        '  cache: miss, scope "agent:main"',
+        "  boosts: memory/ops.md:11-20 0.700→0.850 (fts 0.500)",
+        "  adaptive: 3 → 2",
+        "  results: memory/ops.md:11-20 0.850",
+        "  context: 268 chars",
+      ].join("\n")
+    );
+    assert.equal(formatTraceLine({ call: 5, time: "t", outcome: "skip_pattern" }), "#5 t skip_pattern");
+  });
+});
+
+describe("decision trace in the pipeline", () => {
+  let dir;
+  let dbPath;
+
+  beforeEach(() => {
+    resetManager();
+    dir = mkdtempSync(join(tmpdir(), "hookclaw-trace-"));
+    dbPath = join(dir, "main.sqlite");
+    if (!sqlite) return;
+    const db = new sqlite.DatabaseSync(dbPath);
+    db.exec(
+      "CREATE VIRTUAL TABLE chunks_fts USING fts5(text, id UNINDEXED, path UNINDEXED, " +
+        "source UNINDEXED, model UNINDEXED, start_line UNINDEXED, end_line UNINDEXED)"
+    );
+    const insert = db.prepare("INSERT INTO chunks_fts (text, id, path, source, start_line, end_line) VALUES (?, ?, ?, 'memory', ?, ?)");
+    insert.run(RESULTS[0].text, 1, "memory/ops.md", 11, 20);
+    insert.run(RESULTS[1].text, 2, "memory/2026-01-05.md", 1, 8);
+    insert.run(RESULTS[2].text, 3, "memory/recipes.md", 1, 5);
+    insert.run("Deploy the gateway with git pull and a service restart.", 4, "memory/deploy.md", 1, 6);
+    db.close();
+  });
+
+  afterEach(() => {
+    closeConnection?.(dbPath);
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  function tracedHandler(config = {}, services = {}) {
+    const writer = new TraceWriter(join(dir, "traces.jsonl"));
+    const handler = createHandler({ ftsDbPath: dbPath, minScore: 0.2, ...config }, fakeApi(), {
+      traceWriter: writer,
+      injectionLedger: new InjectionLedger(),
+      clock: () => Date.parse("2026-03-02T00:00:00Z"),
+      ...services,
+    });
+    return { handler, writer };
+  }
+
+  it("records every stage of a searched call", needsSqlite, async () => {
+    const { handler, writer } = tracedHandler();
+    const result = await handler({ prompt: "where do the nightly database backups go?" }, ctx);
+    await writer.flush();
+    const [trace] = await readTraces(writer.filePath);
+
+    assert.equal(trace.outcome, "injection");
+    assert.equal(trace.sessionKey, "agent:main:main");
+    assert.equal(typeof trace.call, "number");
+    assert.equal(trace.cache.hit, false);
+    assert.deepEqual(Object.keys(trace.search.stages).sort(), ["fts", "vector"]);
+    assert.deepEqual(trace.vector.map((r) => r.key), ["memory/ops.md:11-20", "memory/2026-01-05.md:1-8", "memory/recipes.md:1-5"]);
+    assert.equal(trace.vector[0].score, 0.7);
+    assert.ok(trace.fts.some((r) => r.key === "memory/ops.md:11-20"));
+    const boost = trace.boosts.find((b) => b.key === "memory/ops.md:11-20");
+    assert.equal(boost.from, 0.7);
+    assert.ok(boost.to > boost.from);
+    // 56 days at the default one-week half-life
+    assert.equal(trace.decay[0].key, "memory/2026-01-05.md:1-8");
+    assert.ok(Math.abs(trace.decay[0].factor - 2 ** -8) < 1e-3);
+    assert.deepEqual(trace.adaptive, { in: 3, out: 2 });
+    assert.deepEqual(trace.mmr.picked, trace.results.map((r) => r.key));
+    assert.equal(trace.context.chars, result.prependContext.length);
+  });
+
+  it("records skips, cache hits and session dedup", needsSqlite, async () => {
+    const { handler, writer } = tracedHandler();
+    const prompt = "where do the nightly database backups go?";
+    await handler({ prompt: "hi" }, ctx);
+    await handler({ prompt }, ctx);
+    await handler({ prompt }, ctx);
+    await writer.flush();
+    const [skip, , repeat] = await readTraces(writer.filePath);
+
+    assert.deepEqual(skip.skip, { reason: "short_prompt", chars: 2 });
+    assert.equal(skip.outcome, "short_prompt");
+    assert.equal(repeat.outcome, "cache_hit");
+    assert.deepEqual(repeat.cache, { scope: "agent:main", hit: true, results: 2 });
+    assert.equal(repeat.dedup.suppressed.length, 2);
+  });
+
+  it("injects with the built-in estimator when the configured one throws", async () => {
+    const broken = () => { throw new Error("estimator broke"); };
+    const { handler, writer } = tracedHandler({ maxContextTokens: 500, tokenEstimator: broken });
+    const result = await handler({ prompt: "where do the nightly database backups go?" }, ctx);
+    assert.ok(result.prependContext.includes("Database backups run nightly"));
+    await writer.flush();
+    const [trace] = await readTraces(writer.filePath);
+    assert.equal(trace.outcome, "injection");
+    assert.equal(trace.error, undefined);
+    assert.equal(trace.context.chars, result.prependContext.length);
+  });
+
+  it("records the error of a failed call", async () => {
+    const tracker = { getUtilityScores: () => { throw new Error("utility store broke"); } };
+    const { handler, writer } = tracedHandler({}, { utilityTracker: tracker });
+    await assert.rejects(handler({ prompt: "where do the nightly database backups go?" }, ctx), /utility store broke/);
+    await writer.flush();
+    const [trace] = await readTraces(writer.filePath);
+    assert.equal(trace.outcome, "error");
+    assert.equal(trace.error, "utility store broke");
+    assert.equal(trace.vector.length, 3);
+  });
+
+  it("answers /hookclaw trace by call number and session", needsSqlite, async () => {
+    const { handler, writer } = tracedHandler();
+    await handler({ prompt: "where do the nightly database backups go?" }, ctx);
+    await handler({ prompt: "when did we upgrade the postgres database?" }, { ...ctx, sessionKey: "agent:main:telegram:dm:1" });
+    const services = { traceWriter: writer };
+
+    const [first] = await readTraces(writer.filePath);
+    const byCall = await runCommand(`trace ${first.call}`, services);
+    assert.ok(byCall.startsWith(`#${first.call} `));
+    assert.ok(byCall.includes("  boosts: memory/ops.md:11-20 0.700→"));
+
+    const last = await runCommand("trace", services);
+    assert.ok(last.includes("when did we upgrade"));
+
+    const session = await runCommand("trace session agent:main:main", services);
+    assert.equal(session.split("\n").length, 2);
+    assert.ok(session.startsWith("HookClaw traces for agent:main:main (last 1)"));
+
+    assert.equal(await runCommand("trace 99999", services), "hookclaw: no trace for call #99999");
+    assert.equal(await runCommand("trace", {}), "hookclaw: tracing is off (set enableTrace)");
+  });
+
+  it("leaves shadow runs untraced", async () => {
+    const { handler, writer } = tracedHandler({ shadowConfig: { minScore: 0.5 } });
+    await handler({ prompt: "where do the nightly database backups go?" }, ctx);
+    await handler.settled();
+    await writer.flush();
+    assert.equal((await readTraces(writer.filePath)).length, 1);
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  parseExpected,
+  loadCases,
+  lexicalSimilarity,
+  scoreRanking,
+  createVectorStub,
+  readChunks,
+  evaluateVariant,
+  evaluateVariants,
+  formatEvalReport,
+} from "../src/evaluation.js";
+
+// node:sqlite ships with Node 22+; cases that replay against the fixture DB are skipped without it
+const sqlite = await import("node:sqlite").catch(() => null);
+const { closeConnection } = sqlite ? await import("../src/fts-search.js") : {};
+const needsSqlite = { skip: sqlite ? false : "node:sqlite unavailable" };
+
+const CHUNKS = [
+  ["Deploy the gateway: git pull, then systemctl restart the gateway service.", 1, "memory/ops.md", 1, 10],
+  ["Database backups run nightly at 02:00 to the NAS share.", 2, "memory/ops.md", 11, 20],
+  ["Upgraded the postgres database to version 16.", 3, "memory/2026-01-05.md", 1, 8],
+  ["Upgraded the postgres database to version 16.2 and restarted replicas.", 4, "memory/2026-03-01.md", 1, 8],
+  ["Banana bread recipe: three ripe bananas, flour and sugar.", 5, "memory/recipes.md", 1, 5],
+];
+
+const CASES = [
+  { id: "deploy", prompt: "how do we deploy the gateway service?", expected: ["memory/ops.md:1-10"] },
+  { id: "postgres", prompt: "when did we upgrade the postgres database?", expected: ["memory/2026-03-01.md"] },
+  {
+    id: "recorded",
+    prompt: "where do the nightly backups go?",
+    expected: ["memory/ops.md:11-20"],
+    vector: [
+      { path: "memory/recipes.md", lines: "1-5", score: 0.9 },
+      { path: "memory/ops.md", lines: "11-20", score: 0.8 },
+    ],
+  },
+  { id: "mars", prompt: "what is the weather like on mars today", expected: [] },
+];
+
+const NOW = Date.parse("2026-03-02T00:00:00Z");
+
+describe("parseExpected", () => {
+  it("reads paths with and without line ranges", () => {
+    assert.deepEqual(parseExpected("memory/ops.md:10-24"), { path: "memory/ops.md", start: 10, end: 24 });
+    assert.deepEqual(parseExpected("memory/2026-02-12.md"), { path: "memory/2026-02-12.md", start: null, end: null });
+    assert.deepEqual(parseExpected({ path: "a.md", startLine: 3, endLine: 9 }), { path: "a.md", start: 3, end: 9 });
+    assert.throws(() => parseExpected({ lines: "1-2" }), /needs a path/);
+  });
+});
+
+describe("scoreRanking", () => {
+  const expected = [parseExpected("a.md:1-10"), parseExpected("b.md")];
+
+  it("scores a perfect ranking as 1", () => {
+    const injected = [{ path: "a.md", lines: "1-10" }, { path: "b.md", lines: "5-9" }];
+    assert.deepEqual(scoreRanking(injected, expected, 3), { recall: 1, reciprocalRank: 1, ndcg: 1, hits: 2 });
+  });
+
+  it("discounts relevant chunks ranked lower", () => {
+    const injected = [{ path: "c.md", lines: "1-2" }, { path: "b.md", lines: "5-9" }];
+    const s = scoreRanking(injected, expected, 3);
+    assert.equal(s.recall, 0.5);
+    assert.equal(s.reciprocalRank, 0.5);
+    assert.ok(Math.abs(s.ndcg - (1 / Math.log2(3)) / (1 + 1 / Math.log2(3))) < 1e-9);
+  });
+
+  it("matches overlapping line ranges and credits each expected chunk once", () => {
+    const injected = [{ path: "a.md", lines: "5-15" }, { path: "a.md", lines: "8-12" }];
+    assert.equal(scoreRanking(injected, expected, 3).hits, 1);
+  });
+
+  it("only counts hits within k", () => {
+    const injected = [{ path: "c.md" }, { path: "d.md" }, { path: "b.md", lines: "1-2" }];
+    const s = scoreRanking(injected, expected, 2);
+    assert.equal(s.recall, 0);
+    assert.equal(s.reciprocalRank, 1 / 3);
+  });
+});
+
+describe("lexicalSimilarity", () => {
+  it("is 1 for identical terms and 0 without overlap", () => {
+    assert.ok(Math.abs(lexicalSimilarity("postgres upgrade", "upgrade postgres") - 1) < 1e-9);
+    assert.equal(lexicalSimilarity("postgres", "banana bread"), 0);
+    assert.equal(lexicalSimilarity("the", "the"), 0);
+  });
+});
+
+describe("evaluation harness", () => {
+  let dir;
+  let dbPath;
+  let casesPath;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), "hookclaw-eval-"));
+    dbPath = join(dir, "fixture.sqlite");
+    if (sqlite) {
+      const db = new sqlite.DatabaseSync(dbPath);
+      db.exec(
+        "CREATE VIRTUAL TABLE chunks_fts USING fts5(text, id UNINDEXED, path UNINDEXED, " +
+          "source UNINDEXED, model UNINDEXED, start_line UNINDEXED, end_line UNINDEXED)"
+      );
+      const insert = db.prepare("INSERT INTO chunks_fts (text, id, path, source, start_line, end_line) VALUES (?, ?, ?, 'memory', ?, ?)");
+      for (const row of CHUNKS) insert.run(...row);
+      db.close();
+    }
+    casesPath = join(dir, "cases.jsonl");
+    writeFileSync(casesPath, `# fixture cases\n\n${CASES.map((c) => JSON.stringify(c)).join("\n")}\n`);
+  });
+
+  after(() => {
+    closeConnection?.(dbPath);
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("loads cases from JSONL, skipping comments and blank lines", () => {
+    const cases = loadCases(casesPath);
+    assert.deepEqual(cases.map((c) => c.id), ["deploy", "postgres", "recorded", "mars"]);
+    assert.deepEqual(cases[0].expected, [{ path: "memory/ops.md", start: 1, end: 10 }]);
+    assert.equal(cases[2].vector.length, 2);
+
+    const bad = join(dir, "bad.jsonl");
+    writeFileSync(bad, '{"prompt": "ok"}\n{"expected": []}\n');
+    assert.throws(() => loadCases(bad), /bad\.jsonl:2: missing prompt/);
+  });
+
+  it("stubs vector search with recorded scores or local similarity", needsSqlite, async () => {
+    const chunks = await readChunks(dbPath);
+    assert.equal(chunks.length, 5);
+    const stub = createVectorStub(chunks, lexicalSimilarity);
+
+    stub.setCase({ vector: CASES[2].vector });
+    const recorded = await stub.tool.execute("id", { query: "x", maxResults: 5, minScore: 0.85 });
+    assert.deepEqual(recorded.details.results.map((r) => [r.path, r.snippet.slice(0, 6), r.score]), [
+      ["memory/recipes.md", "Banana", 0.9],
+    ]);
+
+    stub.setCase({ vector: null });
+    const local = await stub.tool.execute("id", { query: "postgres database upgrade", maxResults: 2, minScore: 0.1 });
+    assert.deepEqual(local.details.results.map((r) => r.id).sort(), [3, 4]);
+  });
+
+  it("runs the full pipeline per case and scores it", needsSqlite, async () => {
+    const cases = loadCases(casesPath);
+    const report = await evaluateVariant("loose", { minScore: 0.2 }, cases, { dbPath, now: NOW, workspaceDir: dir });
+    assert.equal(report.cases, 4);
+    assert.equal(report.labelled, 3);
+    assert.equal(report.recall, 1);
+    assert.equal(report.mrr, 1);
+    assert.equal(report.injectionRate, 1);
+    assert.equal(report.falseInjectionRate, 0);
+    // FTS5 matched "backups" in the fixture DB and lifted the right chunk over the recorded top hit
+    assert.equal(report.details[2].injected[0], "memory/ops.md:11-20");
+  });
+
+  it("compares variants on the same cases", needsSqlite, async () => {
+    const cases = loadCases(casesPath);
+    const reports = await evaluateVariants(
+      { baseline: {}, loose: { minScore: 0.2 }, "loose-no-decay": { minScore: 0.2, halfLifeHours: 0 } },
+      cases,
+      { dbPath, now: NOW, workspaceDir: dir }
+    );
+    const [baseline, loose, noDecay] = reports;
+    assert.ok(baseline.injectionRate < loose.injectionRate);
+    // Without decay the January upgrade outranks the March one
+    assert.equal(noDecay.details[1].injected[0], "memory/2026-01-05.md:1-8");
+    assert.ok(noDecay.mrr < loose.mrr);
+
+    const table = formatEvalReport(reports, 3).split("\n");
+    assert.match(table[0], /^variant +labelled +recall@3 +MRR +nDCG@3 +injected +false inj\.$/);
+    assert.match(table[2], /^loose +3\/4 +1\.000 +1\.000 +1\.000 +100\.0% +0\.0%$/);
+  });
+
+  it("warns about invalid variant options through the logger", needsSqlite, async () => {
+    const warnings = [];
+    const logger = { debug() {}, info() {}, warn: (m) => warnings.push(m), error() {} };
+    await evaluateVariant("bad", { mmrLambda: 3 }, [], { dbPath, logger });
+    assert.deepEqual(warnings, ["hookclaw: mmrLambda — 3 is above the maximum 1 — using 1"]);
+  });
+});
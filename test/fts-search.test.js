@@ -1,6 +1,37 @@
-import { describe, it } from "node:test";
+import { describe, it, beforeEach, afterEach } from "node:test";
 import assert from "node:assert/strict";
-import { tokenizeQuery, buildFtsQuery, normalizeRank, resolveDbPath } from "../src/fts-search.js";
+import { DatabaseSync } from "node:sqlite";
+import { mkdtempSync, rmSync, renameSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  tokenizeQuery,
+  buildFtsQuery,
+  buildFtsQueryParts,
+  normalizeRank,
+  resolveDbPath,
+  searchFts,
+  getConnection,
+  closeConnection,
+  closeFtsConnections,
+  openConnectionCount,
+  getIndexVersion,
+  getChunkEmbeddings,
+} from "../src/fts-search.js";
+import { createAnalyzer } from "../src/analyzer.js";
+import { parseSynonyms } from "../src/synonyms.js";
+
+// Write a chunks_fts database with the given texts to dbPath
+function writeFtsDb(dbPath, texts) {
+  const db = new DatabaseSync(dbPath);
+  db.exec(
+    "CREATE VIRTUAL TABLE chunks_fts USING fts5(text, id UNINDEXED, path UNINDEXED, " +
+      "source UNINDEXED, model UNINDEXED, start_line UNINDEXED, end_line UNINDEXED)"
+  );
+  const insert = db.prepare("INSERT INTO chunks_fts (text, id, path, start_line, end_line) VALUES (?, ?, ?, ?, ?)");
+  texts.forEach((text, i) => insert.run(text, `c${i}`, "memory/notes.md", i * 10 + 1, i * 10 + 9));
+  db.close();
+}
 
 describe("tokenizeQuery", () => {
   it("removes stop words", () => {
@@ -84,6 +115,97 @@ describe("buildFtsQuery", () => {
     const fts = buildFtsQuery('search for "exact phrase"');
     assert.ok(!fts.includes('""'));
   });
+
+  it("emits stemmed prefix terms with a stemming analyzer", () => {
+    const analyzer = createAnalyzer({ stemming: true });
+    assert.equal(buildFtsQuery("deployed deployments", analyzer), '"deploy"*');
+  });
+});
+
+describe("searchFts analyzer", () => {
+  let dir;
+  let dbPath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "hookclaw-fts-analyzer-"));
+    dbPath = join(dir, "main.sqlite");
+    writeFtsDb(dbPath, [
+      "we deploy the api every friday",
+      "desplegamos el servidor de producción el lunes",
+      "grocery list",
+    ]);
+  });
+
+  afterEach(() => {
+    closeFtsConnections();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("matches inflections through stemmed prefix terms", () => {
+    assert.equal(searchFts("when was it deployed?", { dbPath }).length, 0);
+    const results = searchFts("when was it deployed?", { dbPath, analyzer: createAnalyzer({ stemming: true }) });
+    assert.deepEqual(results.map((r) => r.id), ["c0"]);
+  });
+
+  it("matches Spanish queries with accents and stop words", () => {
+    const analyzer = createAnalyzer({ languages: ["es"], stemming: true });
+    const results = searchFts("¿cuándo desplegaron la producción?", { dbPath, analyzer });
+    assert.deepEqual(results.map((r) => r.id), ["c1"]);
+  });
+});
+
+describe("searchFts CJK", () => {
+  let dir;
+  let dbPath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "hookclaw-fts-cjk-"));
+    dbPath = join(dir, "main.sqlite");
+    writeFtsDb(dbPath, [
+      "昨天部署失败了，回滚到上个版本",
+      "部署 成功",
+      "デプロイのガイドを更新した",
+      "grocery list",
+    ]);
+  });
+
+  afterEach(() => {
+    closeFtsConnections();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("keeps CJK terms out of the MATCH expression", () => {
+    const parts = buildFtsQueryParts("部署失败 deploy");
+    assert.equal(parts.literal, '"deploy"');
+    assert.deepEqual(parts.substrings, ["部署", "署失", "失败"]);
+    assert.equal(buildFtsQueryParts("部署").literal, null);
+  });
+
+  it("finds bigrams inside a longer Han run", () => {
+    const results = searchFts("部署失败", { dbPath });
+    assert.deepEqual(results.map((r) => r.id), ["c0", "c1"]);
+  });
+
+  it("scores substring matches on the FTS5 scale", () => {
+    const [full, partial] = searchFts("部署失败", { dbPath });
+    assert.equal(full.score, normalizeRank(-4.5));
+    assert.equal(partial.score, normalizeRank(-1.5));
+    assert.ok(full.score < 1);
+  });
+
+  it("scans only the newest chunks up to substringScanLimit", () => {
+    assert.deepEqual(searchFts("部署失败", { dbPath, substringScanLimit: 2 }), []);
+    assert.deepEqual(searchFts("ガイド", { dbPath, substringScanLimit: 2 }).map((r) => r.id), ["c2"]);
+  });
+
+  it("finds kana terms", () => {
+    assert.deepEqual(searchFts("ガイド", { dbPath }).map((r) => r.id), ["c2"]);
+  });
+
+  it("combines CJK and word terms in one query", () => {
+    const ids = searchFts("grocery 回滚", { dbPath }).map((r) => r.id).sort();
+    assert.deepEqual(ids, ["c0", "c3"]);
+  });
 });
 
 describe("normalizeRank", () => {
@@ -145,3 +267,184 @@ describe("resolveDbPath", () => {
     assert.ok(result === null || typeof result === "string");
   });
 });
+
+describe("searchFts connections", () => {
+  let dir;
+  let dbPath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "hookclaw-fts-conn-"));
+    dbPath = join(dir, "main.sqlite");
+    writeFtsDb(dbPath, ["the deploy pipeline runs nightly", "grocery list"]);
+  });
+
+  afterEach(() => {
+    closeFtsConnections();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("reuses one connection and its prepared statement across searches", () => {
+    const first = searchFts("deploy pipeline", { dbPath });
+    assert.equal(first.length, 1);
+    assert.equal(first[0].id, "c0");
+    const conn = getConnection(dbPath);
+    searchFts("nightly deploy", { dbPath });
+    assert.equal(getConnection(dbPath).db, conn.db);
+    assert.equal(openConnectionCount(), 1);
+  });
+
+  it("caches prepared statements per connection", () => {
+    const conn = getConnection(dbPath);
+    const sql = "SELECT count(*) AS n FROM chunks_fts";
+    assert.equal(conn.prepare(sql), getConnection(dbPath).prepare(sql));
+  });
+
+  it("reopens when the database file is replaced", () => {
+    searchFts("deploy", { dbPath });
+    const before = getConnection(dbPath).db;
+
+    const next = join(dir, "next.sqlite");
+    writeFtsDb(next, ["the deploy freeze starts friday"]);
+    renameSync(next, dbPath);
+
+    const results = searchFts("freeze", { dbPath });
+    assert.equal(results.length, 1);
+    assert.notEqual(getConnection(dbPath).db, before);
+  });
+
+  it("returns empty and drops the connection when the file is unreadable", () => {
+    searchFts("deploy", { dbPath });
+    writeFileSync(dbPath, "not a database");
+    const warnings = [];
+    const results = searchFts("deploy", { dbPath, logger: { warn: (m) => warnings.push(m) } });
+    assert.deepEqual(results, []);
+    assert.equal(openConnectionCount(), 0);
+    assert.equal(warnings.length, 1);
+  });
+
+  it("reports a new index version after memory-core writes", () => {
+    const before = getIndexVersion({ dbPath });
+    assert.equal(typeof before, "string");
+    assert.equal(getIndexVersion({ dbPath }), before);
+
+    const writer = new DatabaseSync(dbPath);
+    writer.prepare("INSERT INTO chunks_fts (text, id, path) VALUES (?, ?, ?)").run("new fact", "c9", "memory/new.md");
+    writer.close();
+
+    assert.notEqual(getIndexVersion({ dbPath }), before);
+  });
+
+  it("has no index version without a database", () => {
+    assert.equal(getIndexVersion({ dbPath: join(dir, "missing.sqlite"), agentId: "no-such-agent", allowLegacy: false }), null);
+  });
+
+  it("closeFtsConnections closes everything", () => {
+    searchFts("deploy", { dbPath });
+    closeFtsConnections();
+    assert.equal(openConnectionCount(), 0);
+    // and searching again transparently reopens
+    assert.equal(searchFts("deploy", { dbPath }).length, 1);
+    closeConnection(dbPath);
+    assert.equal(openConnectionCount(), 0);
+  });
+});
+
+describe("getChunkEmbeddings", () => {
+  let dir;
+  let dbPath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "hookclaw-emb-"));
+    dbPath = join(dir, "main.sqlite");
+    const db = new DatabaseSync(dbPath);
+    // memory-core's chunks table (embeddings as JSON text)
+    db.exec("CREATE TABLE chunks (id TEXT PRIMARY KEY, path TEXT, text TEXT, embedding TEXT)");
+    const insert = db.prepare("INSERT INTO chunks (id, path, text, embedding) VALUES (?, ?, ?, ?)");
+    insert.run("c0", "memory/a.md", "alpha", JSON.stringify([1, 0, 0]));
+    insert.run("c1", "memory/b.md", "beta", JSON.stringify([0, 1, 0]));
+    insert.run("c2", "memory/c.md", "gamma", null);
+    insert.run("c3", "memory/d.md", "delta", "{not json");
+    insert.run("c4", "memory/e.md", "epsilon", new Uint8Array(new Float32Array([0.5, 0.5, 0]).buffer));
+    db.close();
+  });
+
+  afterEach(() => {
+    closeFtsConnections();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("loads embeddings by chunk id", () => {
+    const embeddings = getChunkEmbeddings(["c0", "c1", "missing"], { dbPath });
+    assert.deepEqual([...embeddings.keys()].sort(), ["c0", "c1"]);
+    assert.deepEqual([...embeddings.get("c1")], [0, 1, 0]);
+  });
+
+  it("skips chunks without a decodable embedding", () => {
+    const embeddings = getChunkEmbeddings(["c2", "c3"], { dbPath });
+    assert.equal(embeddings.size, 0);
+  });
+
+  it("decodes float32 BLOB embeddings", () => {
+    const embeddings = getChunkEmbeddings(["c4"], { dbPath });
+    assert.deepEqual([...embeddings.get("c4")], [0.5, 0.5, 0]);
+  });
+
+  it("returns an empty map without ids, database or chunks table", () => {
+    assert.equal(getChunkEmbeddings([], { dbPath }).size, 0);
+    assert.equal(getChunkEmbeddings(["c0"], { dbPath: join(dir, "missing.sqlite"), agentId: "no-such-agent", allowLegacy: false }).size, 0);
+
+    const ftsOnly = join(dir, "fts.sqlite");
+    writeFtsDb(ftsOnly, ["no vectors here"]);
+    assert.equal(getChunkEmbeddings(["c0"], { dbPath: ftsOnly }).size, 0);
+  });
+});
+
+describe("synonym expansion", () => {
+  const synonyms = parseSynonyms({ kubernetes: ["k8s"], "pull request": ["pr"] });
+  let dir;
+  let dbPath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "hookclaw-fts-synonyms-"));
+    dbPath = join(dir, "main.sqlite");
+    writeFtsDb(dbPath, [
+      "upgraded the k8s cluster to 1.30",
+      "kubernetes upgrade checklist",
+      "opened a PR for the upgrade script",
+      "grocery list",
+    ]);
+  });
+
+  afterEach(() => {
+    closeFtsConnections();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("groups terms with their alternatives", () => {
+    assert.equal(
+      buildFtsQuery("kubernetes pull request", undefined, synonyms),
+      '("kubernetes" OR "k8s") OR ("pull" OR "request" OR "pr")'
+    );
+  });
+
+  it("keeps synonym alternatives out of the literal query", () => {
+    const parts = buildFtsQueryParts("kubernetes k8s cluster", undefined, synonyms);
+    assert.equal(parts.literal, '"kubernetes" OR "k8s" OR "cluster"');
+    assert.equal(parts.expanded, null);
+    assert.equal(buildFtsQueryParts("cluster", undefined, synonyms).expanded, null);
+  });
+
+  it("finds chunks that use an alternative term", () => {
+    const results = searchFts("kubernetes", { dbPath, synonyms });
+    assert.deepEqual(results.map((r) => r.id).sort(), ["c0", "c1"]);
+    assert.deepEqual(searchFts("pull request", { dbPath, synonyms }).map((r) => r.id), ["c2"]);
+  });
+
+  it("scores synonym-only matches below literal ones", () => {
+    const [literal, expanded] = searchFts("kubernetes", { dbPath, synonyms, synonymWeight: 0.5 });
+    assert.equal(literal.id, "c1");
+    assert.equal(expanded.id, "c0");
+    const unweighted = searchFts("k8s", { dbPath }).find((r) => r.id === "c0");
+    assert.ok(Math.abs(expanded.score - unweighted.score * 0.5) < 0.05);
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, beforeEach } from "node:test";
+import { describe, it, beforeEach, afterEach } from "node:test";
 import assert from "node:assert/strict";
 import {
   createHandler,
@@ -9,10 +9,29 @@ import {
   matchesSkipPattern,
   parseDateFromPath,
   applyTemporalDecay,
+  getChunkTimeSpan,
+  applyTemporalWindow,
+  applyUtilityBlend,
   tokenize,
   jaccardSimilarity,
   mmrFilter,
+  cosineSimilarity,
+  similarityMatrix,
+  fallbackFilter,
 } from "../src/hook-handler.js";
+import { resetManager } from "../src/memory-client.js";
+import { UtilityTracker } from "../src/utility-tracker.js";
+import { MetricsCollector } from "../src/metrics.js";
+import { InjectionLedger } from "../src/injection-ledger.js";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+
+// node:sqlite ships with Node 22+; cases that need an FTS5 fixture are skipped without it
+const sqlite = await import("node:sqlite").catch(() => null);
+const DatabaseSync = sqlite?.DatabaseSync;
+const { closeConnection, openConnectionCount } = sqlite ? await import("../src/fts-search.js") : {};
+const needsSqlite = { skip: sqlite ? false : "node:sqlite unavailable" };
 
 // Fake api object matching OpenClawPluginApi shape
 function fakeApi(configOverrides = {}) {
@@ -33,6 +52,52 @@ function fakeApi(configOverrides = {}) {
   };
 }
 
+// Fake api whose memory search tool returns the given memory-core results
+function fakeApiWithResults(results, onExecute = () => {}) {
+  const api = fakeApi();
+  api.runtime.tools.createMemorySearchTool = () => ({
+    execute: async (id, params) => {
+      onExecute(params);
+      return { details: { results, count: results.length } };
+    },
+  });
+  return api;
+}
+
+// Unrelated chunks that give bm25 realistic document frequencies. In a
+// three-row index every term is common, so every keyword score is weak
+const PADDING_ROWS = Array.from({ length: 40 }, (_, i) => ({
+  text: `padding chunk ${i} zz${i}`,
+  path: `memory/padding/${i}.md`,
+  startLine: 1,
+  endLine: 2,
+}));
+
+// Build a throwaway SQLite DB with OpenClaw's chunks_fts layout
+function createFtsDb(rows, { padding = true } = {}) {
+  const dir = mkdtempSync(join(tmpdir(), "hookclaw-fts-"));
+  const dbPath = join(dir, "main.sqlite");
+  const db = new DatabaseSync(dbPath);
+  db.exec(
+    "CREATE VIRTUAL TABLE chunks_fts USING fts5(text, id UNINDEXED, path UNINDEXED, " +
+      "source UNINDEXED, model UNINDEXED, start_line UNINDEXED, end_line UNINDEXED)"
+  );
+  const insert = db.prepare(
+    "INSERT INTO chunks_fts (text, id, path, source, start_line, end_line) VALUES (?, ?, ?, ?, ?, ?)"
+  );
+  for (const r of padding ? [...rows, ...PADDING_ROWS] : rows) {
+    insert.run(r.text, r.id ?? null, r.path, r.source || "memory", r.startLine, r.endLine);
+  }
+  db.close();
+  return {
+    dbPath,
+    cleanup: () => {
+      closeConnection(dbPath);
+      rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
 // Fake hook context matching PluginHookAgentContext
 const fakeCtx = {
   agentId: "test-agent",
@@ -50,6 +115,16 @@ describe("createHandler", () => {
     assert.equal(typeof handler, "function");
   });
 
+  it("warns when the custom format has no entry template", () => {
+    const warnings = [];
+    const api = fakeApi();
+    api.logger.warn = (msg) => warnings.push(msg);
+    createHandler({ formatTemplate: "custom", contextTemplate: { header: "x" } }, api);
+    createHandler({ formatTemplate: "custom", contextTemplate: { entry: "{{text}}" } }, api);
+    assert.equal(warnings.length, 1);
+    assert.ok(warnings[0].includes("contextTemplate.entry"));
+  });
+
   it("skips when event has no prompt", async () => {
     const handler = createHandler({ logInjections: false }, fakeApi());
     const result = await handler({}, fakeCtx);
@@ -390,6 +465,41 @@ describe("PromptCache", () => {
     const miss = cache.get("exact match only testing");
     assert.equal(miss, undefined); // Would fuzzy match at lower threshold
   });
+
+  it("drops all entries when the index version changes", () => {
+    const cache = new PromptCache(10, 60000);
+    assert.equal(cache.syncVersion("v1"), 0);
+    cache.set("a", [{ text: "a", score: 0.5 }]);
+    cache.set("b", []);
+    assert.equal(cache.syncVersion("v1"), 0);
+    assert.equal(cache.syncVersion(null), 0);
+    assert.equal(cache.size, 2);
+    assert.equal(cache.syncVersion("v2"), 2);
+    assert.equal(cache.get("a"), undefined);
+  });
+
+  it("tracks the index version per partition", () => {
+    const cache = new PromptCache(10, 60000);
+    cache.syncVersion("main-v1");
+    cache.syncVersion("ops-v1", "profile:ops");
+    cache.set("a", [], "agent:main");
+    cache.set("b", [], "profile:ops/agent:main", "profile:ops");
+    assert.equal(cache.syncVersion("main-v1"), 0);
+    assert.equal(cache.syncVersion("ops-v2", "profile:ops"), 1);
+    assert.deepEqual(cache.get("a", "agent:main"), []);
+    assert.equal(cache.get("b", "profile:ops/agent:main"), undefined);
+  });
+
+  it("keeps scopes apart for exact and fuzzy lookups", () => {
+    const cache = new PromptCache(10, 60000, 0.5);
+    const results = [{ text: "private", score: 0.9 }];
+    cache.set("what is my salary review date", results, "session:a");
+    assert.deepEqual(cache.get("what is my salary review date", "session:a"), results);
+    assert.equal(cache.get("what is my salary review date", "session:b"), undefined);
+    assert.equal(cache.get("what is my salary review date?", "session:b"), undefined);
+    assert.equal(cache.get("what is my salary review date"), undefined);
+    assert.deepEqual(cache.get("what is my salary review date?", "session:a"), results);
+  });
 });
 
 // -----------------------------------------------------------------------
@@ -559,6 +669,1074 @@ describe("applyTemporalDecay", () => {
   });
 });
 
+// -----------------------------------------------------------------------
+// getChunkTimeSpan + applyTemporalWindow tests
+// -----------------------------------------------------------------------
+describe("getChunkTimeSpan", () => {
+  it("spans the full day for path dates", () => {
+    const span = getChunkTimeSpan({ path: "memory/2026-02-13.md" });
+    assert.equal(span.start, Date.parse("2026-02-13T00:00:00Z"));
+    assert.equal(span.end, Date.parse("2026-02-14T00:00:00Z") - 1);
+  });
+
+  it("prefers updatedAt metadata over the path date", () => {
+    const ts = Date.parse("2026-02-10T08:30:00Z");
+    const span = getChunkTimeSpan({ path: "memory/2026-02-13.md", updatedAt: ts });
+    assert.deepEqual(span, { start: ts, end: ts });
+  });
+
+  it("returns null for undated chunks", () => {
+    assert.equal(getChunkTimeSpan({ path: "MEMORY.md" }), null);
+    assert.equal(getChunkTimeSpan(null), null);
+  });
+});
+
+describe("applyTemporalWindow", () => {
+  const yesterday = {
+    startDate: new Date("2026-02-13T00:00:00Z"),
+    endDate: new Date("2026-02-13T23:59:59.999Z"),
+  };
+  const results = [
+    { text: "old", score: 0.8, path: "memory/2026-02-06.md" },
+    { text: "undated", score: 0.6, path: "MEMORY.md" },
+    { text: "yesterday", score: 0.5, path: "memory/2026-02-13.md" },
+  ];
+
+  it("returns results unchanged when no window is given", () => {
+    const tw = applyTemporalWindow(results, null);
+    assert.equal(tw.results, results);
+    assert.equal(tw.action, "none");
+  });
+
+  it("restricts to in-window and undated results when in-window exist", () => {
+    const tw = applyTemporalWindow(results, yesterday, { boost: 0.2 });
+    assert.equal(tw.action, "restrict");
+    assert.equal(tw.inWindow, 1);
+    assert.equal(tw.outOfWindow, 1);
+    assert.equal(tw.undated, 1);
+    assert.deepEqual(tw.results.map((r) => r.text), ["yesterday", "undated"]);
+    assert.equal(tw.results[0].score, 0.7);
+  });
+
+  it("keeps and demotes out-of-window results in boost mode", () => {
+    const tw = applyTemporalWindow(results, yesterday, { mode: "boost", boost: 0.2, demoteFactor: 0.5 });
+    assert.equal(tw.action, "boost");
+    assert.deepEqual(tw.results.map((r) => r.text), ["yesterday", "undated", "old"]);
+    assert.equal(tw.results[2].score, 0.4);
+  });
+
+  it("demotes instead of dropping when nothing is in-window", () => {
+    const tw = applyTemporalWindow(results.slice(0, 2), yesterday, { demoteFactor: 0.5 });
+    assert.equal(tw.action, "demote");
+    assert.equal(tw.results.length, 2);
+    assert.equal(tw.results[0].text, "undated");
+    assert.equal(tw.results[1].score, 0.4);
+  });
+
+  it("scales in-window scores by 1 + boost when relative", () => {
+    const tw = applyTemporalWindow([{ text: "fused", score: 0.05, path: "memory/2026-02-13.md" }], yesterday, {
+      boost: 0.2,
+      relative: true,
+    });
+    assert.ok(Math.abs(tw.results[0].score - 0.06) < 1e-9);
+  });
+
+  it("does not mutate input results", () => {
+    applyTemporalWindow(results, yesterday);
+    assert.equal(results[2].score, 0.5);
+    assert.equal(results[0]._temporal, undefined);
+  });
+});
+
+describe("createHandler temporal filtering", () => {
+  beforeEach(() => {
+    resetManager();
+    resetCallCount();
+  });
+
+  afterEach(() => {
+    resetManager();
+  });
+
+  const isoDay = (offsetDays) =>
+    new Date(Date.now() + offsetDays * 24 * 60 * 60 * 1000).toISOString().split("T")[0];
+
+  it("over-fetches and injects only in-window memories", async () => {
+    const searches = [];
+    const api = fakeApiWithResults([
+      { snippet: "last week we picked postgres", path: `memory/${isoDay(-6)}.md`, startLine: 1, endLine: 5, score: 0.9 },
+      { snippet: "yesterday we decided on sqlite", path: `memory/${isoDay(-1)}.md`, startLine: 3, endLine: 8, score: 0.6 },
+    ], (params) => searches.push(params));
+
+    const handler = createHandler({
+      logInjections: false,
+      enableSkipPatterns: false,
+      enableFts: false,
+      enableMmr: false,
+      enableTemporalParsing: true,
+      halfLifeHours: 0,
+      maxResults: 2,
+      temporalOverfetch: 3,
+    }, api);
+
+    const result = await handler({ prompt: "what did we decide yesterday about the database?" }, fakeCtx);
+    assert.equal(searches[0].maxResults, 6);
+    assert.ok(result.prependContext.includes("sqlite"));
+    assert.ok(!result.prependContext.includes("postgres"));
+  });
+
+  it("logs the temporal decision when debugLogging is on", async () => {
+    const logged = [];
+    const api = fakeApiWithResults([
+      { snippet: "an old memory about deploys", path: `memory/${isoDay(-20)}.md`, score: 0.9 },
+    ]);
+    api.logger.info = (msg) => logged.push(msg);
+
+    const handler = createHandler({
+      enableSkipPatterns: false,
+      enableFts: false,
+      enableTemporalParsing: true,
+      debugLogging: true,
+      halfLifeHours: 0,
+    }, api);
+
+    await handler({ prompt: "what did we deploy yesterday?" }, fakeCtx);
+    assert.ok(logged.some((m) => m.includes("temporal window") && m.includes("demote")));
+  });
+
+  it("does not over-fetch without a temporal expression", async () => {
+    const searches = [];
+    const api = fakeApiWithResults([], (params) => searches.push(params));
+    const handler = createHandler({
+      logInjections: false,
+      enableSkipPatterns: false,
+      enableFts: false,
+      enableTemporalParsing: true,
+      maxResults: 3,
+    }, api);
+
+    await handler({ prompt: "what database do we use?" }, fakeCtx);
+    assert.equal(searches[0].maxResults, 3);
+  });
+});
+
+describe("createHandler RRF fusion", needsSqlite, () => {
+  let fixture;
+
+  beforeEach(() => {
+    resetManager();
+    fixture = createFtsDb([
+      { text: "NETSDK1005 was fixed by pinning the dotnet SDK", path: "memory/2026-02-13.md", startLine: 40, endLine: 52 },
+      { text: "grocery list and weekend plans", path: "memory/2026-02-01.md", startLine: 1, endLine: 4 },
+      { text: "unrelated filler notes about gardening", path: "memory/2026-02-02.md", startLine: 1, endLine: 4 },
+    ]);
+  });
+
+  afterEach(() => {
+    resetManager();
+    fixture.cleanup();
+  });
+
+  it("injects FTS-only hits that vector search missed", async () => {
+    const logged = [];
+    const api = fakeApiWithResults([
+      { snippet: "build server notes from last sprint", path: "memory/2026-02-10.md", startLine: 1, endLine: 9, score: 0.55 },
+    ]);
+    api.logger.info = (msg) => logged.push(msg);
+
+    const handler = createHandler({
+      enableSkipPatterns: false,
+      enableRrf: true,
+      enableMmr: false,
+      adaptiveResults: false,
+      ftsDbPath: fixture.dbPath,
+      maxResults: 3,
+    }, api);
+
+    const result = await handler({ prompt: "how did we fix NETSDK1005 on the build?" }, fakeCtx);
+    assert.ok(result.prependContext.includes("pinning the dotnet SDK"));
+    assert.ok(result.prependContext.includes('lines="40-52"'));
+    assert.ok(logged.some((m) => m.includes("rrf:") && m.includes("1 fts-only")));
+  });
+
+  it("boosts only the chunk the keyword hit came from (additive mode)", async () => {
+    const api = fakeApiWithResults([
+      { snippet: "NETSDK1005 was fixed by pinning the dotnet SDK", path: "memory/2026-02-13.md", startLine: 40, endLine: 52, score: 0.5 },
+      { snippet: "other notes from the same day", path: "memory/2026-02-13.md", startLine: 1, endLine: 10, score: 0.52 },
+    ]);
+    const handler = createHandler({
+      logInjections: false,
+      enableSkipPatterns: false,
+      enableMmr: false,
+      adaptiveResults: false,
+      halfLifeHours: 0,
+      ftsDbPath: fixture.dbPath,
+      maxResults: 2,
+    }, api);
+
+    const result = await handler({ prompt: "how did we fix NETSDK1005 on the build?" }, fakeCtx);
+    const first = result.prependContext.indexOf('lines="40-52"');
+    const second = result.prependContext.indexOf('lines="1-10"');
+    assert.ok(first !== -1 && second !== -1);
+    assert.ok(first < second);
+    assert.ok(!/lines="1-10" score="0\.5[3-9]/.test(result.prependContext));
+  });
+
+  it("runs keyword search even when vector search returns nothing", async () => {
+    const handler = createHandler({
+      logInjections: false,
+      enableSkipPatterns: false,
+      enableRrf: true,
+      adaptiveResults: false,
+      ftsDbPath: fixture.dbPath,
+    }, fakeApiWithResults([]));
+
+    const result = await handler({ prompt: "what was the NETSDK1005 fix again?" }, fakeCtx);
+    assert.ok(result?.prependContext.includes("NETSDK1005"));
+  });
+
+  it("merges keyword hits when vector search misses the deadline", async () => {
+    const logged = [];
+    const api = fakeApi();
+    api.runtime.tools.createMemorySearchTool = () => ({ execute: () => new Promise(() => {}) });
+    api.logger.info = (msg) => logged.push(msg);
+    const metrics = new MetricsCollector(null, 0);
+
+    const handler = createHandler({
+      enableSkipPatterns: false,
+      enableRrf: true,
+      adaptiveResults: false,
+      debugLogging: true,
+      enableFtsFallback: false,
+      timeoutMs: 50,
+      ftsDbPath: fixture.dbPath,
+    }, api, { metrics });
+
+    const started = Date.now();
+    const result = await handler({ prompt: "what was the NETSDK1005 fix again?" }, fakeCtx);
+    assert.ok(Date.now() - started < 1000);
+    assert.ok(result?.prependContext.includes("NETSDK1005"));
+    assert.ok(logged.some((m) => /stages: vector timeout \d+ms, fts ok \d+ms \(deadline 50ms\)/.test(m)));
+
+    const { stages } = metrics.getSnapshot();
+    assert.equal(stages.vector.timeouts, 1);
+    assert.equal(stages.fts.timeouts, 0);
+  });
+
+  it("gates keyword-only hits on their own FTS5 score, not the fused score", async () => {
+    const config = { logInjections: false, enableSkipPatterns: false, enableRrf: true, ftsDbPath: fixture.dbPath };
+    const prompt = "what was the NETSDK1005 fix again?";
+
+    // A lone keyword hit is ranked first by every signal it has, so its fused
+    // score clears the cosine-calibrated adaptive cut; only its FTS5 score can gate it
+    const weak = createHandler({ ...config, ftsFallbackMinScore: 0.9 }, fakeApiWithResults([]));
+    assert.equal(await weak({ prompt }, fakeCtx), undefined);
+
+    resetManager();
+    const strong = createHandler(config, fakeApiWithResults([]));
+    assert.ok((await strong({ prompt }, fakeCtx)).prependContext.includes("NETSDK1005"));
+  });
+
+  it("logs per-signal ranks in debug mode", async () => {
+    const logged = [];
+    const api = fakeApiWithResults([]);
+    api.logger.info = (msg) => logged.push(msg);
+
+    const handler = createHandler({
+      enableSkipPatterns: false,
+      enableRrf: true,
+      adaptiveResults: false,
+      debugLogging: true,
+      ftsDbPath: fixture.dbPath,
+    }, api);
+
+    await handler({ prompt: "what was the NETSDK1005 fix again?" }, fakeCtx);
+    assert.ok(logged.some((m) => m.includes("rrf: vector#- fts#1")));
+  });
+});
+
+describe("fallbackFilter", () => {
+  it("returns empty for empty input", () => {
+    assert.deepEqual(fallbackFilter([], 5), []);
+    assert.deepEqual(fallbackFilter(null, 5), []);
+  });
+
+  it("drops everything when the top keyword score is below the floor", () => {
+    assert.deepEqual(fallbackFilter([{ score: 0.45 }, { score: 0.4 }], 5, 0.5), []);
+  });
+
+  it("cuts the long tail relative to the top score", () => {
+    const results = [{ score: 0.9 }, { score: 0.6 }, { score: 0.52 }, { score: 0.5 }];
+    assert.deepEqual(fallbackFilter(results, 5, 0.5).map((r) => r.score), [0.9, 0.6]);
+  });
+
+  it("respects maxResults", () => {
+    const results = [{ score: 0.7 }, { score: 0.69 }, { score: 0.68 }];
+    assert.equal(fallbackFilter(results, 2).length, 2);
+  });
+});
+
+describe("createHandler cache invalidation", needsSqlite, () => {
+  let fixture;
+
+  beforeEach(() => {
+    resetManager();
+    fixture = createFtsDb([
+      { text: "the staging deploy runs nightly", path: "memory/deploy.md", startLine: 1, endLine: 3 },
+    ]);
+  });
+
+  afterEach(() => {
+    resetManager();
+    fixture.cleanup();
+  });
+
+  const config = (overrides = {}) => ({
+    enableSkipPatterns: false,
+    enableRrf: true,
+    adaptiveResults: false,
+    ...overrides,
+  });
+
+  function addMemory(text) {
+    const db = new DatabaseSync(fixture.dbPath);
+    db.prepare("INSERT INTO chunks_fts (text, path, start_line, end_line) VALUES (?, ?, ?, ?)")
+      .run(text, "memory/new.md", 1, 2);
+    db.close();
+  }
+
+  it("surfaces a newly indexed memory for a repeated question", async () => {
+    const logged = [];
+    const api = fakeApiWithResults([]);
+    api.logger.info = (msg) => logged.push(msg);
+    const handler = createHandler(config({ ftsDbPath: fixture.dbPath }), api);
+
+    const prompt = "when does the production deploy freeze start?";
+    const first = await handler({ prompt }, fakeCtx);
+    assert.ok(!first.prependContext.includes("freeze starts"));
+
+    addMemory("the production deploy freeze starts friday");
+    const second = await handler({ prompt }, fakeCtx);
+    assert.ok(second.prependContext.includes("freeze starts friday"));
+    assert.ok(logged.some((m) => m.includes("memory index changed — dropped 1 cached entries")));
+  });
+
+  it("keeps serving the cache while the index is unchanged", async () => {
+    const logged = [];
+    const api = fakeApiWithResults([]);
+    api.logger.info = (msg) => logged.push(msg);
+    const handler = createHandler(config({ ftsDbPath: fixture.dbPath }), api);
+
+    await handler({ prompt: "when does the staging deploy run?" }, fakeCtx);
+    await handler({ prompt: "when does the staging deploy run?" }, fakeCtx);
+    assert.ok(logged.some((m) => m.includes("cache hit")));
+  });
+
+  it("relies on the TTL alone when disabled", async () => {
+    const handler = createHandler(
+      config({ logInjections: false, ftsDbPath: fixture.dbPath, invalidateCacheOnIndexChange: false }),
+      fakeApiWithResults([])
+    );
+    const prompt = "when does the production deploy freeze start?";
+    await handler({ prompt }, fakeCtx);
+    addMemory("the production deploy freeze starts friday");
+    const second = await handler({ prompt }, fakeCtx);
+    assert.ok(!second.prependContext.includes("freeze starts"));
+  });
+
+  it("leaves SQLite alone when FTS5 is off", async () => {
+    const logged = [];
+    const api = fakeApiWithResults([{ snippet: "the production deploy freeze is planned", path: "memory/ops.md", score: 0.7 }]);
+    api.logger.info = (msg) => logged.push(msg);
+    const handler = createHandler(config({ enableFts: false, ftsDbPath: fixture.dbPath }), api);
+
+    const prompt = "when does the production deploy freeze start?";
+    await handler({ prompt }, fakeCtx);
+    closeConnection(fixture.dbPath);
+    addMemory("the production deploy freeze starts friday");
+    await handler({ prompt }, fakeCtx);
+    assert.ok(logged.some((m) => m.includes("cache hit")));
+    assert.ok(!logged.some((m) => m.includes("memory index changed")));
+    assert.equal(openConnectionCount(), 0);
+  });
+
+  it("uses the shared cache from services", async () => {
+    const promptCache = new PromptCache(10, 60000);
+    const handler = createHandler(config({ logInjections: false, ftsDbPath: fixture.dbPath }), fakeApiWithResults([]), { promptCache });
+    await handler({ prompt: "when does the staging deploy run?" }, fakeCtx);
+    assert.equal(promptCache.size, 1);
+  });
+});
+
+describe("createHandler cache scope", () => {
+  beforeEach(() => {
+    resetManager();
+  });
+
+  afterEach(() => {
+    resetManager();
+  });
+
+  const prompt = "what did we decide about the offsite budget?";
+  const results = [{ snippet: "offsite budget capped at 5k", path: "memory/offsite.md", score: 0.66 }];
+
+  // Count memory searches across calls with the given contexts
+  async function searchesFor(cacheScope, contexts, logger = {}) {
+    let searches = 0;
+    const api = fakeApiWithResults(results, () => searches++);
+    Object.assign(api.logger, logger);
+    const handler = createHandler({ logInjections: false, enableFts: false, cacheScope }, api);
+    for (const ctx of contexts) await handler({ prompt }, ctx);
+    return searches;
+  }
+
+  it("defaults to per-agent partitions shared across that agent's sessions", async () => {
+    const searches = await searchesFor(undefined, [
+      { agentId: "personal", sessionKey: "agent:personal:one" },
+      { agentId: "personal", sessionKey: "agent:personal:two" },
+      { agentId: "work", sessionKey: "agent:work:one" },
+    ]);
+    assert.equal(searches, 2);
+  });
+
+  it("derives the agent from the session key when the context has no agentId", async () => {
+    const searches = await searchesFor("agent", [
+      { sessionKey: "agent:personal:one" },
+      { sessionKey: "agent:work:one" },
+      { sessionKey: "agent:work:two" },
+    ]);
+    assert.equal(searches, 2);
+  });
+
+  it("isolates every session with per-session scope", async () => {
+    const searches = await searchesFor("session", [
+      { agentId: "personal", sessionKey: "a" },
+      { agentId: "personal", sessionKey: "b" },
+      { agentId: "personal", sessionKey: "a" },
+    ]);
+    assert.equal(searches, 2);
+  });
+
+  it("shares one partition with global scope", async () => {
+    const searches = await searchesFor("global", [
+      { agentId: "personal", sessionKey: "a" },
+      { agentId: "work", sessionKey: "b" },
+    ]);
+    assert.equal(searches, 1);
+  });
+
+  it("warns about an unknown scope and uses per-agent", async () => {
+    const warnings = [];
+    const searches = await searchesFor("tenant", [
+      { agentId: "personal", sessionKey: "a" },
+      { agentId: "work", sessionKey: "b" },
+    ], { warn: (msg) => warnings.push(msg) });
+    assert.equal(searches, 2);
+    assert.ok(warnings.some((m) => m.includes('unknown cacheScope "tenant"')));
+  });
+});
+
+describe("createHandler keyword-only fallback", needsSqlite, () => {
+  let fixture;
+
+  beforeEach(() => {
+    resetManager();
+    fixture = createFtsDb([
+      { text: "NETSDK1005 was fixed by pinning the dotnet SDK", path: "memory/notes.md", startLine: 40, endLine: 52 },
+      { text: "grocery list and weekend plans", path: "memory/plans.md", startLine: 1, endLine: 4 },
+      // Enough unrelated chunks for BM25 scores to look like a real index
+      ...Array.from({ length: 20 }, (_, i) => ({
+        text: `filler note ${i} about gardening`, path: `memory/filler-${i}.md`, startLine: 1, endLine: 2,
+      })),
+    ]);
+  });
+
+  afterEach(() => {
+    resetManager();
+    fixture.cleanup();
+  });
+
+  function failingApi(execute) {
+    const api = fakeApi();
+    api.runtime.tools.createMemorySearchTool = () => ({ execute });
+    return api;
+  }
+
+  const config = (overrides = {}) => ({
+    enableSkipPatterns: false,
+    halfLifeHours: 0,
+    ...overrides,
+  });
+
+  it("injects keyword results when vector search errors", async () => {
+    const logged = [];
+    const metrics = new MetricsCollector(null, 0);
+    const api = failingApi(async () => { throw new Error("embedding API 503"); });
+    api.logger.info = (msg) => logged.push(msg);
+
+    const handler = createHandler(config({ ftsDbPath: fixture.dbPath }), api, { metrics });
+    const result = await handler({ prompt: "how did we fix NETSDK1005 last time?" }, fakeCtx);
+
+    assert.ok(result?.prependContext.includes("pinning the dotnet SDK"));
+    assert.ok(result.prependContext.includes('lines="40-52"'));
+    assert.ok(!result.prependContext.includes("grocery"));
+    assert.ok(logged.some((m) => m.includes("injecting 1 memories") && m.includes("fallback: fts-only (vector error)")));
+    const snap = metrics.getSnapshot();
+    assert.equal(snap.fallbacks, 1);
+    assert.equal(snap.injections, 1);
+  });
+
+  it("falls back when the memory tool is unavailable or times out", async () => {
+    const unavailable = createHandler(config({ logInjections: false, ftsDbPath: fixture.dbPath }), fakeApi());
+    const a = await unavailable({ prompt: "how did we fix NETSDK1005 last time?" }, fakeCtx);
+    assert.ok(a?.prependContext.includes("NETSDK1005"));
+
+    resetManager();
+    const slow = createHandler(
+      config({ logInjections: false, ftsDbPath: fixture.dbPath, timeoutMs: 30 }),
+      failingApi(() => new Promise(() => {}))
+    );
+    const b = await slow({ prompt: "how did we fix NETSDK1005 last time?" }, fakeCtx);
+    assert.ok(b?.prependContext.includes("NETSDK1005"));
+  });
+
+  it("applies its own score threshold", async () => {
+    const handler = createHandler(
+      config({ logInjections: false, ftsDbPath: fixture.dbPath, ftsFallbackMinScore: 0.99 }),
+      fakeApi()
+    );
+    const result = await handler({ prompt: "how did we fix NETSDK1005 last time?" }, fakeCtx);
+    assert.equal(result, undefined);
+  });
+
+  it("does not cache fallback results", async () => {
+    let calls = 0;
+    let healthy = false;
+    const api = failingApi(async () => {
+      calls++;
+      if (!healthy) throw new Error("embedding API 503");
+      return { details: { results: [{ snippet: "vector memory about NETSDK1005", path: "memory/vec.md", score: 0.65 }] } };
+    });
+    const handler = createHandler(config({ logInjections: false, enableFts: true, ftsDbPath: fixture.dbPath }), api);
+
+    await handler({ prompt: "how did we fix NETSDK1005 last time?" }, fakeCtx);
+    healthy = true;
+    const result = await handler({ prompt: "how did we fix NETSDK1005 last time?" }, fakeCtx);
+    assert.equal(calls, 2);
+    assert.ok(result?.prependContext.includes("vector memory about NETSDK1005"));
+  });
+
+  it("can be disabled", async () => {
+    const handler = createHandler(
+      config({ logInjections: false, ftsDbPath: fixture.dbPath, enableFtsFallback: false }),
+      fakeApi()
+    );
+    const result = await handler({ prompt: "how did we fix NETSDK1005 last time?" }, fakeCtx);
+    assert.equal(result, undefined);
+  });
+});
+
+describe("createHandler multi-agent search", needsSqlite, () => {
+  let personalDb;
+  let workDb;
+
+  beforeEach(() => {
+    resetManager();
+    personalDb = createFtsDb([
+      { text: "renew the passport before the trip", path: "memory/todo.md", startLine: 1, endLine: 3 },
+    ]);
+    workDb = createFtsDb([
+      { text: "passport scans for the visa go in the shared drive", path: "memory/private/hr.md", startLine: 1, endLine: 2 },
+    ]);
+  });
+
+  afterEach(() => {
+    resetManager();
+    personalDb.cleanup();
+    workDb.cleanup();
+  });
+
+  // One memory search tool per agent, picked by the agent session key
+  function multiAgentApi(resultsByAgent, sessionKeys = []) {
+    const api = fakeApi();
+    api.runtime.tools.createMemorySearchTool = ({ agentSessionKey }) => {
+      sessionKeys.push(agentSessionKey);
+      const agent = agentSessionKey.split(":")[1];
+      const results = resultsByAgent[agent] || [];
+      return { execute: async () => ({ details: { results } }) };
+    };
+    return api;
+  }
+
+  it("merges, weights and labels results from every configured agent", async () => {
+    const sessionKeys = [];
+    const api = multiAgentApi({
+      personal: [{ snippet: "dentist appointment on friday", path: "memory/2026-02-10.md", startLine: 1, endLine: 4, score: 0.6 }],
+      work: [
+        { snippet: "quarterly review is on friday", path: "memory/2026-02-11.md", startLine: 5, endLine: 9, score: 0.7 },
+        { snippet: "dentist appointment on friday", path: "memory/2026-02-10.md", startLine: 1, endLine: 4, score: 0.5 },
+      ],
+    }, sessionKeys);
+
+    const handler = createHandler({
+      logInjections: false,
+      enableSkipPatterns: false,
+      enableFts: false,
+      enableMmr: false,
+      adaptiveResults: false,
+      halfLifeHours: 0,
+      agents: [{ id: "personal", weight: 1.2 }, { id: "work" }],
+    }, api);
+
+    const result = await handler({ prompt: "what is happening on friday?" }, fakeCtx);
+    const context = result.prependContext;
+    assert.deepEqual(sessionKeys.sort(), ["agent:personal:main", "agent:work:main"]);
+    assert.equal(context.match(/dentist appointment/g).length, 1);
+    assert.ok(context.includes('agent="personal" path="memory/2026-02-10.md" lines="1-4" score="0.720"'));
+    assert.ok(context.includes('agent="work" path="memory/2026-02-11.md"'));
+    assert.ok(context.indexOf('agent="personal"') < context.indexOf('agent="work"'));
+  });
+
+  it("searches each agent's FTS5 index with its path filters", async () => {
+    const handler = createHandler({
+      logInjections: false,
+      enableSkipPatterns: false,
+      enableRrf: true,
+      adaptiveResults: false,
+      agents: [
+        { id: "personal", dbPath: personalDb.dbPath },
+        { id: "work", dbPath: workDb.dbPath, exclude: ["memory/private/**"] },
+      ],
+    }, multiAgentApi({}));
+
+    const result = await handler({ prompt: "where do passport documents live?" }, fakeCtx);
+    assert.ok(result.prependContext.includes('agent="personal"'));
+    assert.ok(result.prependContext.includes("renew the passport"));
+    assert.ok(!result.prependContext.includes("shared drive"));
+  });
+
+  it("records a stage per agent", async () => {
+    const metrics = new MetricsCollector(null, 0);
+    const handler = createHandler({
+      logInjections: false,
+      enableSkipPatterns: false,
+      enableFts: false,
+      agents: ["personal", "work"],
+    }, multiAgentApi({}), { metrics });
+
+    await handler({ prompt: "anything about the offsite?" }, fakeCtx);
+    assert.deepEqual(Object.keys(metrics.getSnapshot().stages).sort(), ["vector:personal", "vector:work"]);
+  });
+});
+
+// -----------------------------------------------------------------------
+// applyUtilityBlend + feedback loop integration tests
+// -----------------------------------------------------------------------
+describe("applyUtilityBlend", () => {
+  const results = [
+    { text: "a", path: "memory/a.md", score: 0.8 },
+    { text: "b", path: "memory/b.md", score: 0.7 },
+  ];
+
+  it("returns empty array for null/empty input", () => {
+    assert.deepEqual(applyUtilityBlend(null, new Map()), []);
+    assert.deepEqual(applyUtilityBlend([], new Map()), []);
+  });
+
+  it("returns results unchanged without scores or with zero weight", () => {
+    assert.equal(applyUtilityBlend(results, new Map()), results);
+    assert.equal(applyUtilityBlend(results, new Map([["memory/a.md", 0.1]]), { weight: 0 }), results);
+  });
+
+  it("leaves neutral utility scores unchanged", () => {
+    const blended = applyUtilityBlend(results, new Map([["memory/a.md", 0.5], ["memory/b.md", 0.5]]));
+    assert.equal(blended[0].score, 0.8);
+    assert.equal(blended[1].score, 0.7);
+  });
+
+  it("sinks low-utility chunks below cited ones", () => {
+    const blended = applyUtilityBlend(
+      results,
+      new Map([["memory/a.md", 0.1], ["memory/b.md", 0.9]]),
+      { weight: 0.5, floor: 0 }
+    );
+    assert.equal(blended[0].path, "memory/b.md");
+    assert.equal(blended[0]._utility, 0.9);
+  });
+
+  it("clamps utility at the floor", () => {
+    const [blended] = applyUtilityBlend([results[0]], new Map([["memory/a.md", 0]]), { weight: 0.5, floor: 0.3 });
+    // factor = 1 + 0.5 * 2 * (0.3 - 0.5) = 0.8
+    assert.ok(Math.abs(blended.score - 0.64) < 1e-9);
+  });
+
+  it("caps boosted scores at 1", () => {
+    const [blended] = applyUtilityBlend([{ path: "x", score: 0.95 }], new Map([["x", 1]]), { weight: 1 });
+    assert.equal(blended.score, 1);
+  });
+
+  it("takes a different cap for rank-derived scores", () => {
+    const [blended] = applyUtilityBlend([{ path: "x", score: 0.95 }], new Map([["x", 1]]), { weight: 1, cap: Infinity });
+    assert.ok(Math.abs(blended.score - 1.9) < 1e-9);
+  });
+});
+
+describe("createHandler feedback loop", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    resetManager();
+    tmpDir = mkdtempSync(join(tmpdir(), "hookclaw-utility-"));
+  });
+
+  afterEach(() => {
+    resetManager();
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const baseConfig = {
+    logInjections: false,
+    enableSkipPatterns: false,
+    enableFts: false,
+    enableMmr: false,
+    adaptiveResults: false,
+    halfLifeHours: 0,
+    maxResults: 1,
+    cacheTtlMs: 0,
+  };
+
+  it("records injected memories per session", async () => {
+    const tracker = new UtilityTracker(join(tmpDir, "u.json"));
+    const api = fakeApiWithResults([
+      { snippet: "the release train leaves on thursdays", path: "memory/release.md", score: 0.6 },
+    ]);
+    const handler = createHandler(baseConfig, api, { utilityTracker: tracker });
+
+    await handler({ prompt: "when does the release train leave?" }, fakeCtx);
+    const [entry] = tracker.getAllEntries();
+    assert.equal(entry.key, "memory/release.md");
+    assert.equal(entry.retrievals, 1);
+
+    tracker.recordResponse(fakeCtx.sessionKey, "The release train leaves on thursdays.");
+    assert.equal(tracker.getAllEntries()[0].citations, 1);
+    tracker.destroy();
+  });
+
+  it("ranks a never-cited chunk below a cited one over time", async () => {
+    const tracker = new UtilityTracker(join(tmpDir, "u.json"));
+    for (let i = 0; i < 5; i++) {
+      tracker.recordInjection("s", [{ path: "memory/noisy.md", text: "noisy" }]);
+      tracker.recordInjection("s", [{ path: "memory/useful.md", text: "useful release notes" }]);
+      tracker.recordResponse("s", "per the useful release notes");
+    }
+
+    const api = fakeApiWithResults([
+      { snippet: "noisy boilerplate about releases", path: "memory/noisy.md", score: 0.62 },
+      { snippet: "useful release notes", path: "memory/useful.md", score: 0.6 },
+    ]);
+    const handler = createHandler(
+      { ...baseConfig, adaptiveResults: true, utilityWeight: 0.5 },
+      api,
+      { utilityTracker: tracker }
+    );
+
+    const result = await handler({ prompt: "what are the release notes for this week?" }, fakeCtx);
+    assert.ok(result.prependContext.includes("memory/useful.md"));
+    assert.ok(!result.prependContext.includes("memory/noisy.md"));
+    tracker.destroy();
+  });
+
+  it("works without a tracker", async () => {
+    const api = fakeApiWithResults([{ snippet: "some memory text", path: "memory/x.md", score: 0.6 }]);
+    const handler = createHandler(baseConfig, api, {});
+    const result = await handler({ prompt: "tell me about that memory" }, fakeCtx);
+    assert.ok(result.prependContext.includes("memory/x.md"));
+  });
+});
+
+describe("createHandler metrics", () => {
+  beforeEach(() => {
+    resetManager();
+  });
+
+  afterEach(() => {
+    resetManager();
+  });
+
+  const config = {
+    logInjections: false,
+    enableFts: false,
+    skipShortPrompts: 10,
+  };
+
+  it("records skip outcomes without latency", async () => {
+    const metrics = new MetricsCollector(null, 0);
+    const handler = createHandler(config, fakeApiWithResults([]), { metrics });
+
+    await handler({ prompt: "hi" }, fakeCtx);
+    await handler({ prompt: "write a poem about the ocean" }, fakeCtx);
+    await handler({}, fakeCtx);
+
+    const snap = metrics.getSnapshot();
+    assert.equal(snap.totalCalls, 3);
+    assert.equal(snap.shortPromptSkips, 2);
+    assert.equal(snap.skipPatternHits, 1);
+    assert.equal(snap.latency.max, 0);
+  });
+
+  it("records injection, no_results and cache_hit outcomes", async () => {
+    const metrics = new MetricsCollector(null, 0);
+    const api = fakeApiWithResults([{ snippet: "the api uses bearer tokens", path: "memory/api.md", score: 0.66 }]);
+    const handler = createHandler(config, api, { metrics });
+
+    await handler({ prompt: "how does the api authenticate?" }, fakeCtx);
+    await handler({ prompt: "how does the api authenticate?" }, fakeCtx);
+
+    let snap = metrics.getSnapshot();
+    assert.equal(snap.injections, 1);
+    assert.equal(snap.cacheHits, 1);
+    assert.ok(Math.abs(snap.topScoreAvg - 0.66) < 1e-9);
+    assert.equal(snap.resultCountAvg, 1);
+
+    resetManager();
+    const empty = createHandler(config, fakeApiWithResults([]), { metrics });
+    await empty({ prompt: "something nobody ever wrote down" }, fakeCtx);
+    snap = metrics.getSnapshot();
+    assert.equal(snap.noResults, 1);
+    assert.equal(snap.totalCalls, 3);
+  });
+
+  it("records errors and re-throws", async () => {
+    const metrics = new MetricsCollector(null, 0);
+    const api = fakeApi();
+    api.runtime.tools.createMemorySearchTool = () => ({ execute: async () => ({ details: { results: [] } }) });
+    const handler = createHandler(config, api, { metrics });
+    const ctx = { get sessionKey() { throw new Error("boom"); } };
+
+    await assert.rejects(() => handler({ prompt: "a prompt that reaches search" }, ctx), /boom/);
+    assert.equal(metrics.getSnapshot().errors, 1);
+  });
+});
+
+describe("createHandler session dedup", () => {
+  beforeEach(() => {
+    resetManager();
+  });
+
+  afterEach(() => {
+    resetManager();
+  });
+
+  const config = {
+    logInjections: false,
+    enableSkipPatterns: false,
+    enableFts: false,
+    enableMmr: false,
+    adaptiveResults: false,
+    halfLifeHours: 0,
+    maxResults: 2,
+    cacheTtlMs: 0,
+  };
+
+  const MEMORIES = [
+    { snippet: "the release train leaves on thursdays", path: "memory/release.md", startLine: 1, endLine: 4, score: 0.8 },
+    { snippet: "release notes live in the wiki", path: "memory/release.md", startLine: 5, endLine: 9, score: 0.7 },
+    { snippet: "hotfixes skip the release train", path: "memory/hotfix.md", startLine: 1, endLine: 3, score: 0.6 },
+  ];
+
+  it("replaces already-injected chunks with the next-best candidates", async () => {
+    const fetched = [];
+    const api = fakeApiWithResults(MEMORIES, (params) => fetched.push(params.maxResults));
+    const handler = createHandler(config, api, { injectionLedger: new InjectionLedger() });
+
+    const first = await handler({ prompt: "when does the release train leave?" }, fakeCtx);
+    assert.ok(first.prependContext.includes('lines="1-4"'));
+    assert.ok(first.prependContext.includes('lines="5-9"'));
+
+    const second = await handler({ prompt: "tell me about the release train again" }, fakeCtx);
+    assert.ok(second.prependContext.includes("memory/hotfix.md"));
+    assert.ok(!second.prependContext.includes('lines="1-4"'));
+    assert.deepEqual(fetched, [2, 4]);
+  });
+
+  it("refills a cache hit from the cached candidates", async () => {
+    const fetched = [];
+    const api = fakeApiWithResults(MEMORIES, (params) => fetched.push(params.maxResults));
+    const handler = createHandler({ ...config, cacheTtlMs: 60000 }, api, { injectionLedger: new InjectionLedger() });
+
+    const prompt = "when does the release train leave?";
+    const first = await handler({ prompt }, fakeCtx);
+    assert.ok(!first.prependContext.includes("memory/hotfix.md"));
+
+    const second = await handler({ prompt }, fakeCtx);
+    assert.ok(second.prependContext.includes("memory/hotfix.md"));
+    assert.ok(!second.prependContext.includes("memory/release.md"));
+    assert.deepEqual(fetched, [2]);
+  });
+
+  it("injects nothing when every candidate was already injected", async () => {
+    const api = fakeApiWithResults(MEMORIES.slice(0, 1));
+    const handler = createHandler(config, api, { injectionLedger: new InjectionLedger() });
+
+    assert.ok(await handler({ prompt: "when does the release train leave?" }, fakeCtx));
+    assert.equal(await handler({ prompt: "tell me about the release train again" }, fakeCtx), undefined);
+  });
+
+  it("filters cached results per session", async () => {
+    const api = fakeApiWithResults(MEMORIES.slice(0, 1));
+    const handler = createHandler({ ...config, cacheTtlMs: 60000 }, api, { injectionLedger: new InjectionLedger() });
+
+    const prompt = "when does the release train leave?";
+    assert.ok(await handler({ prompt }, fakeCtx));
+    assert.equal(await handler({ prompt }, fakeCtx), undefined);
+    const other = await handler({ prompt }, { ...fakeCtx, sessionKey: "other-session" });
+    assert.ok(other.prependContext.includes("memory/release.md"));
+  });
+
+  it("re-injects after the session is cleared (compaction)", async () => {
+    const ledger = new InjectionLedger();
+    const api = fakeApiWithResults(MEMORIES.slice(0, 1));
+    const handler = createHandler(config, api, { injectionLedger: ledger });
+
+    await handler({ prompt: "when does the release train leave?" }, fakeCtx);
+    ledger.clearSession(fakeCtx.sessionKey);
+    const result = await handler({ prompt: "tell me about the release train again" }, fakeCtx);
+    assert.ok(result.prependContext.includes("memory/release.md"));
+  });
+
+  it("does not dedup calls without a session key", async () => {
+    const api = fakeApiWithResults(MEMORIES.slice(0, 1));
+    const handler = createHandler(config, api, { injectionLedger: new InjectionLedger() });
+
+    assert.ok(await handler({ prompt: "when does the release train leave?" }, {}));
+    assert.ok(await handler({ prompt: "tell me about the release train again" }, {}));
+  });
+});
+
+describe("createHandler token budget", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    resetManager();
+    tmpDir = mkdtempSync(join(tmpdir(), "hookclaw-tokens-"));
+  });
+
+  afterEach(() => {
+    resetManager();
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const config = {
+    logInjections: false,
+    enableSkipPatterns: false,
+    enableFts: false,
+    enableMmr: false,
+    adaptiveResults: false,
+    halfLifeHours: 0,
+    cacheTtlMs: 0,
+  };
+
+  const MEMORIES = [
+    { snippet: "the release train leaves on thursdays", path: "memory/release.md", score: 0.8 },
+    { snippet: "release notes live in the wiki", path: "memory/notes.md", score: 0.7 },
+  ];
+
+  it("loads a token estimator module", async () => {
+    const modPath = join(tmpDir, "tokenizer.mjs");
+    writeFileSync(modPath, "export default (text) => text.length;\n");
+    const handler = createHandler(
+      { ...config, maxContextTokens: 200, tokenEstimator: modPath },
+      fakeApiWithResults(MEMORIES)
+    );
+
+    // One token per char: the second memory doesn't fit in 200
+    const result = await handler({ prompt: "when does the release train leave?" }, fakeCtx);
+    assert.ok(result.prependContext.includes("memory/release.md"));
+    assert.ok(!result.prependContext.includes("memory/notes.md"));
+  });
+
+  it("falls back to the built-in estimator when the module fails to load", async () => {
+    const warnings = [];
+    const api = fakeApiWithResults(MEMORIES);
+    api.logger.warn = (msg) => warnings.push(msg);
+    const handler = createHandler(
+      { ...config, maxContextTokens: 200, tokenEstimator: join(tmpDir, "missing.mjs") },
+      api
+    );
+
+    const result = await handler({ prompt: "when does the release train leave?" }, fakeCtx);
+    assert.ok(result.prependContext.includes("memory/notes.md"));
+    await handler({ prompt: "where do the release notes live?" }, fakeCtx);
+    assert.equal(warnings.filter((w) => w.includes("token estimator")).length, 1);
+  });
+
+  it("warns once and keeps injecting when the estimator throws", async () => {
+    const warnings = [];
+    const api = fakeApiWithResults(MEMORIES);
+    api.logger.warn = (msg) => warnings.push(msg);
+    const tokenEstimator = () => { throw new Error("vocab missing"); };
+    const handler = createHandler({ ...config, maxContextTokens: 200, tokenEstimator }, api);
+
+    const result = await handler({ prompt: "when does the release train leave?" }, fakeCtx);
+    assert.ok(result.prependContext.includes("memory/notes.md"));
+    assert.ok(await handler({ prompt: "where do the release notes live?" }, fakeCtx));
+    assert.deepEqual(warnings, ["hookclaw: token estimator failed, using built-in heuristic — vocab missing"]);
+  });
+});
+
+describe("createHandler query synthesis", () => {
+  beforeEach(() => {
+    resetManager();
+  });
+
+  afterEach(() => {
+    resetManager();
+  });
+
+  const messages = [
+    { role: "user", content: "which databases did we evaluate for the ledger service?" },
+    { role: "assistant", content: "We evaluated PostgreSQL and CockroachDB for the ledger." },
+  ];
+
+  it("searches with the synthesized query for follow-ups", async () => {
+    const searches = [];
+    const handler = createHandler(
+      { logInjections: false, enableFts: false, enableQuerySynthesis: true },
+      fakeApiWithResults([], (params) => searches.push(params))
+    );
+
+    await handler({ prompt: "and what about the second one?", messages }, fakeCtx);
+    assert.ok(searches[0].query.includes("CockroachDB"));
+    assert.ok(searches[0].query.startsWith("and what about the second one?"));
+  });
+
+  it("caches on the synthesized form", async () => {
+    const searches = [];
+    const handler = createHandler(
+      { logInjections: false, enableFts: false, enableQuerySynthesis: true },
+      fakeApiWithResults([], (params) => searches.push(params))
+    );
+
+    await handler({ prompt: "and what about the second one?", messages }, fakeCtx);
+    await handler({ prompt: "and what about the second one?", messages: [
+      { role: "user", content: "which queues did we compare for billing events?" },
+      { role: "assistant", content: "RabbitMQ and NATS JetStream, mostly on ops cost." },
+    ] }, fakeCtx);
+    assert.equal(searches.length, 2);
+  });
+
+  it("uses the raw prompt by default", async () => {
+    const searches = [];
+    const handler = createHandler(
+      { logInjections: false, enableFts: false },
+      fakeApiWithResults([], (params) => searches.push(params))
+    );
+
+    await handler({ prompt: "and what about the second one?", messages }, fakeCtx);
+    assert.equal(searches[0].query, "and what about the second one?");
+  });
+});
+
 // -----------------------------------------------------------------------
 // tokenize + jaccardSimilarity tests
 // -----------------------------------------------------------------------
@@ -663,6 +1841,17 @@ describe("mmrFilter", () => {
     assert.equal(filtered.length, 2);
   });
 
+  it("treats the same chunk reached twice as a full duplicate", () => {
+    const results = [
+      // Snippet vs full chunk text: little word overlap, same chunk
+      { text: "freeze starts friday", path: "a.md", lines: "1-5", score: 0.9 },
+      { text: "the release freeze begins on friday for everyone", path: "a.md", lines: "1-5", score: 0.85 },
+      { text: "something unrelated", path: "b.md", lines: "1-5", score: 0.5 },
+    ];
+    const filtered = mmrFilter(results, 0.7, 2);
+    assert.deepEqual(filtered.map((r) => r.path), ["a.md", "b.md"]);
+  });
+
   it("with lambda=1.0 acts as pure relevance (no diversity penalty)", () => {
     const results = [
       { text: "identical content here", score: 0.9 },
@@ -676,3 +1865,314 @@ describe("mmrFilter", () => {
     assert.equal(filtered[2].score, 0.7);
   });
 });
+
+describe("cosineSimilarity", () => {
+  it("measures the angle between vectors", () => {
+    assert.equal(cosineSimilarity([1, 0], [2, 0]), 1);
+    assert.equal(cosineSimilarity([1, 0], [0, 3]), 0);
+    assert.ok(Math.abs(cosineSimilarity([1, 1], [1, 0]) - Math.SQRT1_2) < 1e-9);
+  });
+
+  it("returns null for vectors that can't be compared", () => {
+    assert.equal(cosineSimilarity([1, 0], [1, 0, 0]), null);
+    assert.equal(cosineSimilarity([0, 0], [1, 0]), null);
+    assert.equal(cosineSimilarity(undefined, [1, 0]), null);
+  });
+});
+
+describe("similarityMatrix", () => {
+  const results = [
+    { text: "the deploy freeze starts friday", path: "a.md", lines: "1-5", score: 0.9 },
+    { text: "no releases go out after thursday", path: "b.md", lines: "1-5", score: 0.8 },
+    { text: "the deploy freeze is over", path: "c.md", lines: "1-5", score: 0.7 },
+  ];
+
+  it("uses embeddings when every result has one", () => {
+    const embeddings = new Map([
+      ["a.md:1-5", [1, 0]],
+      ["b.md:1-5", [0.9, 0.1]],
+      ["c.md:1-5", [0, 1]],
+    ]);
+    const { matrix, method } = similarityMatrix(results, embeddings);
+    assert.equal(method, "embedding");
+    assert.ok(matrix[0 * 3 + 1] > 0.9);
+    assert.equal(matrix[0 * 3 + 2], 0);
+    assert.equal(matrix[1 * 3 + 0], matrix[0 * 3 + 1]);
+  });
+
+  it("falls back to Jaccard for all pairs when any embedding is missing", () => {
+    const embeddings = new Map([["a.md:1-5", [1, 0]], ["b.md:1-5", [0.9, 0.1]]]);
+    const { matrix, method } = similarityMatrix(results, embeddings);
+    assert.equal(method, "jaccard");
+    assert.equal(matrix[0 * 3 + 1], 0);
+    assert.ok(matrix[0 * 3 + 2] > 0);
+  });
+});
+
+describe("mmrFilter with embeddings", () => {
+  it("treats paraphrases as redundant and shared wording as diverse", () => {
+    const results = [
+      { text: "the deploy freeze starts friday", path: "a.md", lines: "1-5", score: 0.9 },
+      { text: "no releases go out after thursday", path: "b.md", lines: "1-5", score: 0.85 },
+      { text: "the deploy freeze is over, ship the backlog", path: "c.md", lines: "1-5", score: 0.7 },
+    ];
+    const embeddings = new Map([
+      ["a.md:1-5", [1, 0, 0]],
+      ["b.md:1-5", [0.98, 0.2, 0]],
+      ["c.md:1-5", [0.1, 0, 1]],
+    ]);
+    assert.deepEqual(mmrFilter(results, 0.7, 2).map((r) => r.path), ["a.md", "b.md"]);
+    assert.deepEqual(mmrFilter(results, 0.7, 2, { embeddings }).map((r) => r.path), ["a.md", "c.md"]);
+  });
+});
+
+describe("createHandler embedding MMR", needsSqlite, () => {
+  let store;
+
+  beforeEach(() => {
+    resetManager();
+    store = createFtsDb([]);
+    const db = new DatabaseSync(store.dbPath);
+    db.exec("CREATE TABLE chunks (id TEXT PRIMARY KEY, path TEXT, text TEXT, embedding TEXT)");
+    const insert = db.prepare("INSERT INTO chunks (id, path, text, embedding) VALUES (?, ?, ?, ?)");
+    insert.run("c1", "memory/a.md", "", JSON.stringify([1, 0, 0]));
+    insert.run("c2", "memory/b.md", "", JSON.stringify([0.98, 0.2, 0]));
+    insert.run("c3", "memory/c.md", "", JSON.stringify([0.1, 0, 1]));
+    db.close();
+  });
+
+  afterEach(() => {
+    resetManager();
+    store.cleanup();
+  });
+
+  const vectorResults = [
+    { id: "c1", snippet: "the deploy freeze starts friday", path: "memory/a.md", startLine: 1, endLine: 5, score: 0.9 },
+    { id: "c2", snippet: "no releases go out after thursday", path: "memory/b.md", startLine: 1, endLine: 5, score: 0.85 },
+    { id: "c3", snippet: "the deploy freeze is over, ship the backlog", path: "memory/c.md", startLine: 1, endLine: 5, score: 0.7 },
+  ];
+
+  function handlerWith(overrides) {
+    return createHandler({
+      logInjections: false,
+      enableSkipPatterns: false,
+      enableFts: false,
+      adaptiveResults: false,
+      halfLifeHours: 0,
+      maxResults: 2,
+      ftsDbPath: store.dbPath,
+      ...overrides,
+    }, fakeApiWithResults(vectorResults));
+  }
+
+  it("diversifies by stored chunk embeddings", async () => {
+    const result = await handlerWith({ mmrSimilarity: "embedding" })({ prompt: "when is the deploy freeze?" }, fakeCtx);
+    assert.ok(result.prependContext.includes('path="memory/c.md"'));
+    assert.ok(!result.prependContext.includes('path="memory/b.md"'));
+  });
+
+  it("keeps Jaccard by default", async () => {
+    const result = await handlerWith({})({ prompt: "when is the deploy freeze?" }, fakeCtx);
+    assert.ok(result.prependContext.includes('path="memory/b.md"'));
+  });
+
+  it("falls back to Jaccard when the index has no embeddings", async () => {
+    const warnings = [];
+    const api = fakeApiWithResults(vectorResults);
+    api.logger.warn = (m) => warnings.push(m);
+    const handler = createHandler({
+      logInjections: false,
+      enableSkipPatterns: false,
+      enableFts: false,
+      adaptiveResults: false,
+      halfLifeHours: 0,
+      maxResults: 2,
+      mmrSimilarity: "embedding",
+      ftsDbPath: "/nonexistent/memory.sqlite",
+      ftsAgentId: "no-such-agent",
+    }, api);
+    const result = await handler({ prompt: "when is the deploy freeze?" }, fakeCtx);
+    assert.ok(result.prependContext.includes('path="memory/b.md"'));
+    assert.deepEqual(warnings, []);
+  });
+});
+
+describe("createHandler analyzer", needsSqlite, () => {
+  let store;
+
+  beforeEach(() => {
+    resetManager();
+    store = createFtsDb([
+      { text: "desplegamos el servidor de producción el lunes", path: "memory/2026-02-09.md", startLine: 1, endLine: 2 },
+    ]);
+  });
+
+  afterEach(() => {
+    resetManager();
+    store.cleanup();
+  });
+
+  function handlerWith(analyzer) {
+    return createHandler({
+      logInjections: false,
+      enableSkipPatterns: false,
+      enableRrf: true,
+      adaptiveResults: false,
+      ftsDbPath: store.dbPath,
+      analyzer,
+    }, fakeApiWithResults([]));
+  }
+
+  it("finds keyword matches for inflected, accented prompts in the configured language", async () => {
+    const prompt = "¿cuándo desplegaron los servidores?";
+    assert.equal(await handlerWith(null)({ prompt }, fakeCtx), undefined);
+
+    const result = await handlerWith({ languages: ["es"], stemming: true })({ prompt }, fakeCtx);
+    assert.ok(result.prependContext.includes("desplegamos el servidor"));
+  });
+});
+
+describe("createHandler synonyms", needsSqlite, () => {
+  let store;
+  let workspaceDir;
+
+  beforeEach(() => {
+    resetManager();
+    store = createFtsDb([
+      { id: "c1", text: "upgraded the k8s cluster to 1.30", path: "memory/2026-02-09.md", startLine: 1, endLine: 2 },
+    ]);
+    workspaceDir = mkdtempSync(join(tmpdir(), "hookclaw-workspace-"));
+  });
+
+  afterEach(() => {
+    resetManager();
+    store.cleanup();
+    rmSync(workspaceDir, { recursive: true, force: true });
+  });
+
+  it("expands keyword queries with the workspace dictionary and logs the MATCH expression", async () => {
+    writeFileSync(join(workspaceDir, "hookclaw-synonyms.json"), JSON.stringify({ kubernetes: ["k8s"] }));
+    const logs = [];
+    const api = fakeApiWithResults([]);
+    api.logger.info = (m) => logs.push(m);
+    const handler = createHandler({
+      logInjections: false,
+      debugLogging: true,
+      enableSkipPatterns: false,
+      enableRrf: true,
+      adaptiveResults: false,
+      // A synonym-only hit (scored ×0.7) is the only candidate here
+      ftsFallbackMinScore: 0.3,
+      ftsDbPath: store.dbPath,
+    }, api);
+
+    const prompt = "which kubernetes version are we on?";
+    const result = await handler({ prompt }, { ...fakeCtx, workspaceDir });
+    assert.ok(result.prependContext.includes("k8s cluster"));
+    assert.ok(logs.some((m) => m.includes('fts match: ("kubernetes" OR "k8s") OR "version" (synonym-only matches ×0.7)')));
+
+    // Without the dictionary the abbreviation is not found
+    const plain = createHandler({
+      logInjections: false,
+      enableSkipPatterns: false,
+      enableRrf: true,
+      adaptiveResults: false,
+      ftsDbPath: store.dbPath,
+      synonymsFile: null,
+    }, fakeApiWithResults([]));
+    assert.equal(await plain({ prompt }, { ...fakeCtx, workspaceDir }), undefined);
+  });
+});
+
+describe("createHandler profiles", () => {
+  beforeEach(() => resetManager());
+  afterEach(() => resetManager());
+
+  const memories = [
+    { snippet: "the offsite is in Lisbon in March", path: "memory/2026-02-01.md", startLine: 1, endLine: 2, score: 0.8 },
+    { snippet: "book flights for the offsite by Friday", path: "memory/2026-02-02.md", startLine: 1, endLine: 2, score: 0.7 },
+    { snippet: "offsite budget approved at 20k", path: "memory/2026-02-03.md", startLine: 1, endLine: 2, score: 0.6 },
+  ];
+
+  function profiledHandler(logs, calls = []) {
+    const api = fakeApiWithResults(memories, (params) => calls.push(params));
+    api.logger.info = (m) => logs.push(m);
+    return createHandler({
+      enableSkipPatterns: false,
+      enableFts: false,
+      enableMmr: false,
+      adaptiveResults: false,
+      halfLifeHours: 0,
+      maxResults: 3,
+      minScore: 0.3,
+      profiles: [
+        { name: "telegram", match: { channel: "telegram" }, options: { maxResults: 1 } },
+        { name: "ops", match: { agentId: "ops" }, options: { minScore: 0.75 } },
+      ],
+    }, api);
+  }
+
+  it("applies the matching profile's overrides and names it in the log line", async () => {
+    const logs = [];
+    const handler = profiledHandler(logs);
+    const prompt = "what do we know about the offsite?";
+
+    const telegram = await handler({ prompt }, { sessionKey: "agent:main:telegram:dm:42" });
+    assert.equal(telegram.prependContext.match(/<memory /g).length, 1);
+    assert.ok(logs.some((m) => /injecting 1 memories \(.*, profile: telegram\)/.test(m)));
+
+    const desktop = await handler({ prompt }, { sessionKey: "agent:main:main" });
+    assert.equal(desktop.prependContext.match(/<memory /g).length, 3);
+    assert.ok(!logs.at(-1).includes("profile:"));
+  });
+
+  it("passes profile overrides to the search", async () => {
+    const calls = [];
+    const handler = profiledHandler([], calls);
+    await handler({ prompt: "what do we know about the offsite?" }, { agentId: "ops", sessionKey: "agent:ops:main" });
+    assert.equal(calls[0].minScore, 0.75);
+  });
+
+  it("does not share cached selections between profiles", async () => {
+    const logs = [];
+    const handler = profiledHandler(logs);
+    const prompt = "what do we know about the offsite?";
+    await handler({ prompt }, { sessionKey: "agent:main:telegram:dm:42" });
+    const result = await handler({ prompt }, { sessionKey: "agent:main:main" });
+    assert.equal(result.prependContext.match(/<memory /g).length, 3);
+    assert.ok(!logs.some((m) => m.includes("cache hit")));
+  });
+
+  it("keeps each profile's cache hits when profiles with different indexes alternate", needsSqlite, async () => {
+    const workDb = createFtsDb([{ text: "offsite agenda draft", path: "memory/work.md", startLine: 1, endLine: 2 }]);
+    const opsDb = createFtsDb([{ text: "offsite network checklist", path: "memory/ops.md", startLine: 1, endLine: 2 }]);
+    try {
+      const logs = [];
+      const calls = [];
+      const api = fakeApiWithResults(memories, (params) => calls.push(params));
+      api.logger.info = (m) => logs.push(m);
+      const handler = createHandler({
+        enableSkipPatterns: false,
+        enableMmr: false,
+        adaptiveResults: false,
+        halfLifeHours: 0,
+        profiles: [
+          { name: "work", match: { agentId: "work" }, options: { ftsDbPath: workDb.dbPath } },
+          { name: "ops", match: { agentId: "ops" }, options: { ftsDbPath: opsDb.dbPath } },
+        ],
+      }, api, { promptCache: new PromptCache(10, 60000) });
+
+      const prompt = "what do we know about the offsite?";
+      for (let i = 0; i < 3; i++) {
+        await handler({ prompt }, { agentId: "work", sessionKey: "agent:work:main" });
+        await handler({ prompt }, { agentId: "ops", sessionKey: "agent:ops:main" });
+      }
+      assert.equal(calls.length, 2);
+      assert.equal(logs.filter((m) => m.includes("cache hit")).length, 4);
+      assert.ok(!logs.some((m) => m.includes("memory index changed")));
+    } finally {
+      workDb.cleanup();
+      opsDb.cleanup();
+    }
+  });
+});
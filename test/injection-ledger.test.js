@@ -0,0 +1,93 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { InjectionLedger } from "../src/injection-ledger.js";
+
+const A = { path: "memory/a.md", lines: "1-5", text: "alpha" };
+const B = { path: "memory/a.md", lines: "6-9", text: "beta" };
+const C = { path: "memory/c.md", lines: "1-3", text: "gamma" };
+
+describe("InjectionLedger", () => {
+  it("passes everything through for an unknown session", () => {
+    const ledger = new InjectionLedger();
+    const { fresh, suppressed } = ledger.partition("s1", [A, B]);
+    assert.deepEqual(fresh, [A, B]);
+    assert.deepEqual(suppressed, []);
+  });
+
+  it("suppresses chunks already injected in the session", () => {
+    const ledger = new InjectionLedger();
+    ledger.nextTurn("s1");
+    ledger.record("s1", [A]);
+    ledger.nextTurn("s1");
+    const { fresh, suppressed } = ledger.partition("s1", [A, B, C]);
+    assert.deepEqual(fresh, [B, C]);
+    assert.deepEqual(suppressed, [A]);
+  });
+
+  it("keys chunks by path and line range", () => {
+    const ledger = new InjectionLedger();
+    ledger.nextTurn("s1");
+    ledger.record("s1", [A]);
+    const sameRange = { path: "memory/a.md", startLine: 1, endLine: 5, text: "alpha (reindexed)" };
+    assert.equal(ledger.partition("s1", [sameRange]).suppressed.length, 1);
+    assert.equal(ledger.partition("s1", [B]).suppressed.length, 0);
+  });
+
+  it("keeps sessions independent", () => {
+    const ledger = new InjectionLedger();
+    ledger.nextTurn("s1");
+    ledger.record("s1", [A]);
+    assert.deepEqual(ledger.partition("s2", [A]).fresh, [A]);
+  });
+
+  it("allows re-injection after reinjectAfterTurns turns", () => {
+    const ledger = new InjectionLedger({ reinjectAfterTurns: 2 });
+    ledger.nextTurn("s1");
+    ledger.record("s1", [A]);
+    ledger.nextTurn("s1");
+    assert.equal(ledger.activeCount("s1"), 1);
+    ledger.nextTurn("s1");
+    assert.equal(ledger.activeCount("s1"), 0);
+    assert.deepEqual(ledger.partition("s1", [A]).fresh, [A]);
+  });
+
+  it("applies a changed reinjectAfterTurns to recorded chunks", () => {
+    const ledger = new InjectionLedger({ reinjectAfterTurns: 10 });
+    ledger.nextTurn("s1");
+    ledger.record("s1", [A]);
+    ledger.nextTurn("s1");
+    ledger.nextTurn("s1");
+    assert.equal(ledger.activeCount("s1"), 1);
+    ledger.reinjectAfterTurns = 2;
+    assert.equal(ledger.reinjectAfterTurns, 2);
+    assert.equal(ledger.activeCount("s1"), 0);
+  });
+
+  it("never suppresses when reinjectAfterTurns is 0", () => {
+    const ledger = new InjectionLedger({ reinjectAfterTurns: 0 });
+    ledger.nextTurn("s1");
+    ledger.record("s1", [A]);
+    assert.deepEqual(ledger.partition("s1", [A]).fresh, [A]);
+  });
+
+  it("clearSession forgets a session's injections", () => {
+    const ledger = new InjectionLedger();
+    ledger.nextTurn("s1");
+    ledger.record("s1", [A]);
+    ledger.record("s2", [A]);
+    ledger.clearSession("s1");
+    assert.deepEqual(ledger.partition("s1", [A]).fresh, [A]);
+    assert.deepEqual(ledger.partition("s2", [A]).suppressed, [A]);
+  });
+
+  it("drops the least recently active session beyond maxSessions", () => {
+    const ledger = new InjectionLedger({ maxSessions: 2 });
+    ledger.record("s1", [A]);
+    ledger.record("s2", [A]);
+    ledger.nextTurn("s1");
+    ledger.record("s3", [A]);
+    assert.equal(ledger.size, 2);
+    assert.equal(ledger.activeCount("s2"), 0);
+    assert.equal(ledger.activeCount("s1"), 1);
+  });
+});
@@ -153,6 +153,94 @@ describe("MetricsCollector", () => {
     assert.ok(snap.uptimeMs >= 0);
   });
 
+  it("averages injected result counts", () => {
+    const m = new MetricsCollector();
+    m.record({ outcome: "injection", resultCount: 3 });
+    m.record({ outcome: "injection", resultCount: 1 });
+    m.record({ outcome: "no_results", resultCount: 0 });
+
+    const snap = m.getSnapshot();
+    assert.equal(snap.resultCountAvg, 2);
+  });
+
+  it("tracks agent_end feedback without counting hook calls", () => {
+    const m = new MetricsCollector();
+    m.recordAgentEnd({ responded: true });
+    m.recordAgentEnd({ responded: true });
+    m.recordAgentEnd({ responded: false });
+
+    const snap = m.getSnapshot();
+    assert.equal(snap.totalCalls, 0);
+    assert.equal(snap.agentResponses, 2);
+    assert.equal(snap.agentNoResponses, 1);
+  });
+
+  it("tracks shadow comparisons without counting hook calls", () => {
+    const m = new MetricsCollector();
+    assert.ok(!m.formatReport().includes("shadow:"));
+
+    m.recordShadow({ primary: ["a"], shadow: ["a"], jaccard: 1, topMatch: true, identical: true, latencyMs: 100 });
+    m.recordShadow({ primary: ["a"], shadow: [], jaccard: 0, topMatch: false, identical: false, latencyMs: 300 });
+    m.recordShadow({ busy: true });
+    m.recordShadow({ error: true });
+
+    const { shadow, totalCalls } = m.getSnapshot();
+    assert.equal(totalCalls, 0);
+    assert.equal(shadow.runs, 2);
+    assert.equal(shadow.jaccardAvg, 0.5);
+    assert.equal(shadow.topMatchRate, 0.5);
+    assert.equal(shadow.identicalRate, 0.5);
+    assert.equal(shadow.primaryOnly, 1);
+    assert.equal(shadow.shadowOnly, 0);
+    assert.equal(shadow.latency.max, 300);
+    assert.ok(m.formatReport().includes("injects only primary 1, only shadow 0 | p50=300ms p95=300ms | 1 busy, 1 errors"));
+
+    m.reset();
+    assert.equal(m.getSnapshot().shadow.runs, 0);
+  });
+
+  it("formats a readable report", () => {
+    const m = new MetricsCollector();
+    m.record({ outcome: "injection", latencyMs: 120, topScore: 0.8, resultCount: 2 });
+    m.record({ outcome: "no_results", latencyMs: 80 });
+
+    const report = m.formatReport();
+    assert.ok(report.startsWith("HookClaw metrics"));
+    assert.ok(report.includes("injected: 1 (50.0%)"));
+    assert.ok(report.includes("p95=120ms"));
+  });
+
+  it("counts keyword-only fallbacks", () => {
+    const m = new MetricsCollector();
+    m.record({ outcome: "injection", fallback: true });
+    m.record({ outcome: "no_results", fallback: true });
+    m.record({ outcome: "injection" });
+
+    assert.equal(m.getSnapshot().fallbacks, 2);
+    assert.ok(m.formatReport().includes("fallback: 2"));
+  });
+
+  it("tracks per-stage latency and deadline misses", () => {
+    const m = new MetricsCollector();
+    m.record({ outcome: "injection", stages: { vector: { status: "ok", ms: 200 }, fts: { status: "ok", ms: 4 } } });
+    m.record({ outcome: "no_results", stages: { vector: { status: "timeout", ms: 2000 }, fts: { status: "ok", ms: 6 } } });
+    m.record({ outcome: "no_results", stages: { vector: { status: "ok", ms: 300 }, fts: { status: "error", ms: 1 } } });
+
+    const { stages } = m.getSnapshot();
+    assert.equal(stages.vector.count, 3);
+    assert.equal(stages.vector.timeouts, 1);
+    assert.equal(stages.vector.max, 2000);
+    assert.equal(stages.fts.errors, 1);
+    assert.equal(stages.fts.timeouts, 0);
+
+    const report = m.formatReport();
+    assert.ok(report.includes("stages: vector p50=300ms"));
+    assert.ok(report.includes("(1 missed deadline)"));
+
+    m.reset();
+    assert.deepEqual(m.getSnapshot().stages, {});
+  });
+
   it("computes injection rate correctly for mixed events", () => {
     const m = new MetricsCollector();
     m.record({ outcome: "injection" });
@@ -0,0 +1,108 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeProfiles, matchProfile, profileContext } from "../src/profiles.js";
+
+describe("normalizeProfiles", () => {
+  it("returns null without profiles", () => {
+    assert.equal(normalizeProfiles(null), null);
+    assert.equal(normalizeProfiles([]), null);
+  });
+
+  it("normalizes match fields to lists", () => {
+    const [profile] = normalizeProfiles([
+      { name: "chat", match: { channel: ["Telegram", "whatsapp"], agentId: "main" }, options: { maxResults: 1 } },
+    ]);
+    assert.deepEqual(profile.match.channel, ["telegram", "whatsapp"]);
+    assert.deepEqual(profile.match.agentId, ["main"]);
+    assert.deepEqual(profile.options, { maxResults: 1 });
+  });
+
+  it("warns about and skips invalid entries", () => {
+    const warnings = [];
+    const logger = { warn: (m) => warnings.push(m) };
+    const profiles = normalizeProfiles([
+      { match: { agentId: "ops" } },
+      { name: "empty", match: {} },
+      { name: "ops", match: { agentId: "ops" }, options: { minScore: 0.6, profiles: [] } },
+      { name: "ops", match: { agentId: "other" } },
+    ], logger);
+    assert.deepEqual(profiles.map((p) => p.name), ["ops"]);
+    assert.deepEqual(profiles[0].options, { minScore: 0.6 });
+    assert.equal(warnings.length, 4);
+  });
+
+  it("drops options of services every profile shares", () => {
+    const warnings = [];
+    const [profile] = normalizeProfiles([{
+      name: "ops",
+      match: { agentId: "ops" },
+      options: {
+        minScore: 0.6,
+        cacheSize: 5,
+        fuzzyCacheThreshold: 0.5,
+        analyzer: { languages: ["es"] },
+        enableSessionDedup: true,
+        reinjectAfterTurns: 2,
+        enableFeedbackLoop: false,
+        enableTrace: true,
+        configFile: "ops.json",
+      },
+    }], { warn: (m) => warnings.push(m) });
+    assert.deepEqual(profile.options, { minScore: 0.6 });
+    assert.equal(warnings.length, 8);
+    assert.ok(warnings.some((m) => m === 'hookclaw: profile "ops" cannot override "analyzer" — shared by every profile, ignored'));
+    assert.ok(warnings.some((m) => m === 'hookclaw: profile "ops" cannot override "configFile" — ignored'));
+  });
+
+  it("warns when profiles is not an array", () => {
+    const warnings = [];
+    assert.equal(normalizeProfiles({ ops: {} }, { warn: (m) => warnings.push(m) }), null);
+    assert.equal(warnings.length, 1);
+  });
+});
+
+describe("profileContext", () => {
+  it("reads agent and channel from the context", () => {
+    assert.deepEqual(profileContext({ agentId: "ops", messageProvider: "slack", sessionKey: "s1" }), {
+      agentId: "ops",
+      channel: "slack",
+      sessionKey: "s1",
+    });
+  });
+
+  it("falls back to the agent session key", () => {
+    assert.deepEqual(profileContext({ sessionKey: "agent:main:telegram:dm:42" }), {
+      agentId: "main",
+      channel: "telegram",
+      sessionKey: "agent:main:telegram:dm:42",
+    });
+    assert.equal(profileContext({ sessionKey: "agent:main:main" }).channel, "");
+    assert.equal(profileContext(undefined).agentId, "");
+  });
+});
+
+describe("matchProfile", () => {
+  const profiles = normalizeProfiles([
+    { name: "ops-telegram", match: { agentId: "ops", channel: "telegram" }, options: {} },
+    { name: "ops", match: { agentId: "ops" }, options: {} },
+    { name: "telegram", match: { channel: "telegram" }, options: {} },
+    { name: "desktop", match: { sessionKey: ["agent:*:desktop:*", "desk-?"] }, options: {} },
+  ]);
+
+  it("picks the first profile whose fields all match", () => {
+    assert.equal(matchProfile(profiles, { agentId: "ops", sessionKey: "agent:ops:telegram:dm:1" }).name, "ops-telegram");
+    assert.equal(matchProfile(profiles, { agentId: "ops", sessionKey: "agent:ops:main" }).name, "ops");
+    assert.equal(matchProfile(profiles, { messageProvider: "Telegram" }).name, "telegram");
+  });
+
+  it("matches session key wildcards", () => {
+    assert.equal(matchProfile(profiles, { sessionKey: "agent:main:desktop:abc" }).name, "desktop");
+    assert.equal(matchProfile(profiles, { sessionKey: "desk-1" }).name, "desktop");
+    assert.equal(matchProfile(profiles, { sessionKey: "desk-12" }), null);
+  });
+
+  it("returns null when nothing matches", () => {
+    assert.equal(matchProfile(profiles, { agentId: "main", sessionKey: "agent:main:main" }), null);
+    assert.equal(matchProfile(null, { agentId: "ops" }), null);
+  });
+});
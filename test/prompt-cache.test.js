@@ -0,0 +1,158 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { PromptCache, minHashSignature, rowsPerBand } from "../src/prompt-cache.js";
+import { tokenize, jaccardSimilarity } from "../src/analyzer.js";
+
+describe("minHashSignature", () => {
+  it("is deterministic and order-independent", () => {
+    const a = minHashSignature(new Set(["deploy", "staging", "friday"]));
+    const b = minHashSignature(new Set(["friday", "deploy", "staging"]));
+    assert.deepEqual(a, b);
+    assert.equal(a.length, 64);
+  });
+
+  it("estimates Jaccard similarity", () => {
+    const words = Array.from({ length: 40 }, (_, i) => `w${i}`);
+    const a = new Set(words.slice(0, 30));
+    const b = new Set(words.slice(10, 40)); // J = 20/40 = 0.5
+    const sa = minHashSignature(a);
+    const sb = minHashSignature(b);
+    const agree = sa.filter((v, i) => v === sb[i]).length / sa.length;
+    assert.ok(Math.abs(agree - 0.5) < 0.2, `estimate ${agree}`);
+  });
+});
+
+describe("rowsPerBand", () => {
+  it("narrows bands as the threshold drops", () => {
+    assert.equal(rowsPerBand(0.85), 4);
+    assert.equal(rowsPerBand(0.5), 2);
+    assert.equal(rowsPerBand(0.2), 1);
+    assert.ok(rowsPerBand(0.95) >= 8);
+  });
+});
+
+describe("PromptCache LSH lookup", () => {
+  it("finds the same fuzzy hits as a linear Jaccard scan", () => {
+    const threshold = 0.8;
+    const cache = new PromptCache(1000, 60000, threshold);
+    const topics = ["deploy", "logging", "billing", "backups", "oncall", "search", "release", "metrics"];
+    const prompts = [];
+    for (let i = 0; i < 400; i++) {
+      const t = topics[i % topics.length];
+      const prompt = `how do we handle ${t} for service ${i} in the ${topics[(i * 3) % topics.length]} region`;
+      prompts.push(prompt);
+      cache.set(prompt, [{ text: prompt, score: 0.5 }]);
+    }
+
+    for (let i = 0; i < 400; i += 7) {
+      const query = prompts[i].replace(" the ", " our ");
+      const tokens = tokenize(query);
+      const expected = prompts
+        .map((p) => ({ p, sim: jaccardSimilarity(tokens, tokenize(p)) }))
+        .filter((m) => m.sim >= threshold)
+        .sort((a, b) => b.sim - a.sim)[0];
+      const hit = cache.get(query);
+      assert.equal(hit?.[0].text, expected?.p);
+    }
+  });
+
+  it("forgets LSH buckets of evicted and overwritten entries", () => {
+    const cache = new PromptCache(1, 60000, 0.8);
+    cache.set("how do I configure the logging system", [1]);
+    cache.set("what is the deployment process", [2]);
+    assert.equal(cache.get("how do I configure logging system"), undefined);
+    assert.equal(cache._buckets.size, 16);
+  });
+});
+
+describe("PromptCache eviction", () => {
+  it("LFU keeps frequently used entries over recent ones", () => {
+    const cache = new PromptCache(2, 60000, 1.0, { eviction: "lfu" });
+    cache.set("popular", [1]);
+    cache.get("popular");
+    cache.get("popular");
+    cache.set("one-off", [2]);
+    cache.set("newest", [3]); // evicts "one-off" (0 hits), not the older "popular"
+    assert.deepEqual(cache.get("popular"), [1]);
+    assert.equal(cache.get("one-off"), undefined);
+    assert.deepEqual(cache.get("newest"), [3]);
+  });
+
+  it("LFU breaks ties by recency", () => {
+    const cache = new PromptCache(2, 60000, 1.0, { eviction: "lfu" });
+    cache.set("a", [1]);
+    cache.set("b", [2]);
+    cache.get("a");
+    cache.get("b");
+    cache.set("c", [3]); // a and b both have 1 hit; a was used less recently
+    assert.equal(cache.get("a"), undefined);
+    assert.deepEqual(cache.get("b"), [2]);
+  });
+
+  it("bounds the estimated size in bytes", () => {
+    const big = [{ text: "x".repeat(1000), score: 0.5 }];
+    const cache = new PromptCache(100, 60000, 0.85, { maxBytes: 6000 });
+    cache.set("first prompt", big);
+    cache.set("second prompt", big);
+    assert.equal(cache.size, 2);
+    cache.set("third prompt", big);
+    assert.equal(cache.size, 2);
+    assert.equal(cache.get("first prompt"), undefined);
+    assert.ok(cache.bytes <= 6000);
+  });
+
+  it("does not keep an entry larger than the byte bound", () => {
+    const cache = new PromptCache(100, 60000, 0.85, { maxBytes: 500 });
+    cache.set("huge", [{ text: "x".repeat(1000) }]);
+    assert.equal(cache.size, 0);
+    assert.equal(cache.bytes, 0);
+  });
+
+  it("falls back to LRU for an unknown policy", () => {
+    const cache = new PromptCache(2, 60000, 1.0, { eviction: "random" });
+    cache.set("a", [1]);
+    cache.set("b", [2]);
+    cache.get("a");
+    cache.set("c", [3]);
+    assert.equal(cache.get("b"), undefined);
+  });
+});
+
+describe("PromptCache configure", () => {
+  it("shrinks to a smaller size, dropping by the eviction policy", () => {
+    const cache = new PromptCache(5, 60000, 1.0);
+    for (const key of ["a", "b", "c", "d"]) cache.set(key, [key]);
+    cache.get("a");
+    assert.equal(cache.configure(2, 60000, 1.0), 2);
+    assert.equal(cache.size, 2);
+    assert.deepEqual(cache.get("a"), ["a"]);
+    assert.deepEqual(cache.get("d"), ["d"]);
+    assert.equal(cache.get("b"), undefined);
+  });
+
+  it("applies a new byte bound", () => {
+    const big = [{ text: "x".repeat(1000), score: 0.5 }];
+    const cache = new PromptCache(100, 60000, 0.85);
+    cache.set("first prompt", big);
+    cache.set("second prompt", big);
+    cache.configure(100, 60000, 0.85, { maxBytes: 3000 });
+    assert.equal(cache.size, 1);
+    assert.ok(cache.bytes <= 3000);
+  });
+
+  it("re-indexes entries for a new fuzzy threshold", () => {
+    const cache = new PromptCache(10, 60000, 1.0);
+    cache.set("how do I configure the logging system", [1]);
+    assert.equal(cache.get("how do I configure logging system"), undefined);
+    cache.configure(10, 60000, 0.8);
+    assert.deepEqual(cache.get("how do I configure logging system"), [1]);
+  });
+
+  it("applies a new TTL to existing entries", () => {
+    const cache = new PromptCache(10, 60000, 1.0);
+    cache.set("a", [1]);
+    cache._map.values().next().value.ts -= 5000;
+    cache.configure(10, 1000, 1.0);
+    assert.equal(cache.get("a"), undefined);
+  });
+});
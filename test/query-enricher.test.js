@@ -1,6 +1,13 @@
 import { describe, it } from "node:test";
 import assert from "node:assert/strict";
-import { extractEntities, parseTemporalExpression, enrichQuery } from "../src/query-enricher.js";
+import {
+  extractEntities,
+  parseTemporalExpression,
+  enrichQuery,
+  isFollowUpPrompt,
+  messageText,
+  synthesizeQuery,
+} from "../src/query-enricher.js";
 
 describe("extractEntities", () => {
   it("returns empty for null/undefined/empty", () => {
@@ -155,3 +162,86 @@ describe("enrichQuery", () => {
     assert.equal(result.entities.length, 0);
   });
 });
+
+describe("isFollowUpPrompt", () => {
+  it("treats short prompts as follow-ups", () => {
+    assert.equal(isFollowUpPrompt("and the second one?"), true);
+    assert.equal(isFollowUpPrompt("why did it fail"), true);
+  });
+
+  it("treats moderately long anaphoric prompts as follow-ups", () => {
+    assert.equal(isFollowUpPrompt("can you remind me what we decided to do with that after the review"), true);
+  });
+
+  it("does not treat self-contained prompts as follow-ups", () => {
+    assert.equal(isFollowUpPrompt("what did we decide about the structured logging format for services"), false);
+    assert.equal(isFollowUpPrompt(""), false);
+  });
+});
+
+describe("messageText", () => {
+  it("reads string content", () => {
+    assert.deepEqual(messageText({ role: "user", content: "hello there" }), { role: "user", text: "hello there" });
+  });
+
+  it("joins text parts and ignores other part types", () => {
+    const msg = {
+      role: "assistant",
+      content: [{ type: "text", text: "first" }, { type: "tool_use", id: "x" }, { type: "text", text: "second" }],
+    };
+    assert.deepEqual(messageText(msg), { role: "assistant", text: "first\nsecond" });
+  });
+
+  it("ignores system/tool messages and empty content", () => {
+    assert.equal(messageText({ role: "system", content: "rules" }), null);
+    assert.equal(messageText({ role: "user", content: "   " }), null);
+    assert.equal(messageText(null), null);
+  });
+});
+
+describe("synthesizeQuery", () => {
+  const messages = [
+    { role: "user", content: "which databases did we evaluate for the ledger service?" },
+    { role: "assistant", content: "We evaluated PostgreSQL and CockroachDB for the ledger; PostgreSQL won on tooling." },
+    { role: "user", content: "and what about the second one?" },
+  ];
+
+  it("appends salient terms from recent turns to follow-ups", () => {
+    const result = synthesizeQuery("and what about the second one?", messages);
+    assert.equal(result.synthesized, true);
+    assert.ok(result.terms.includes("CockroachDB"));
+    assert.ok(result.terms.includes("ledger"));
+    assert.ok(result.query.startsWith("and what about the second one? "));
+  });
+
+  it("leaves self-contained prompts untouched", () => {
+    const prompt = "what did we decide about the structured logging format for services";
+    const result = synthesizeQuery(prompt, messages);
+    assert.deepEqual(result, { query: prompt, synthesized: false, terms: [] });
+  });
+
+  it("leaves prompts untouched without history", () => {
+    assert.equal(synthesizeQuery("and the other one?", []).synthesized, false);
+    assert.equal(synthesizeQuery("and the other one?", undefined).synthesized, false);
+  });
+
+  it("does not repeat terms already in the prompt", () => {
+    const result = synthesizeQuery("what about the ledger?", messages);
+    assert.ok(!result.terms.includes("ledger"));
+  });
+
+  it("limits the number of appended terms", () => {
+    const result = synthesizeQuery("and the second one?", messages, { maxTerms: 2 });
+    assert.equal(result.terms.length, 2);
+  });
+
+  it("only reads the last maxTurns turns", () => {
+    const long = [
+      { role: "user", content: "tell me about KafkaConnect" },
+      { role: "assistant", content: "ok" },
+      ...messages,
+    ];
+    const result = synthesizeQuery("and the second one?", long, { maxTurns: 2 });
+    assert.ok(!result.terms.includes("KafkaConnect"));
+  });
+});
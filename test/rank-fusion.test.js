@@ -0,0 +1,137 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  fuseResults,
+  chunkKey,
+  ftsRowToResult,
+  DEFAULT_RRF_WEIGHTS,
+  DEFAULT_RRF_K,
+} from "../src/rank-fusion.js";
+
+const VECTOR = [
+  { text: "we chose postgres for the ledger", source: "memory", path: "memory/2026-02-10.md", lines: "1-10", score: 0.82 },
+  { text: "the deploy pipeline runs nightly", source: "memory", path: "memory/2026-02-12.md", lines: "20-30", score: 0.61 },
+];
+
+const FTS = [
+  { text: "NETSDK1005 fixed by pinning the SDK", source: "memory", path: "memory/2026-02-13.md", startLine: 5, endLine: 9, score: 0.9 },
+  { text: "the deploy pipeline runs nightly", source: "memory", path: "memory/2026-02-12.md", startLine: 20, endLine: 30, score: 0.7 },
+];
+
+describe("chunkKey", () => {
+  it("combines path and line range", () => {
+    assert.equal(chunkKey({ path: "memory/a.md", lines: "3-7" }), "memory/a.md:3-7");
+  });
+
+  it("derives the line range from FTS5 start/end lines", () => {
+    assert.equal(chunkKey({ path: "memory/a.md", startLine: 3, endLine: 7 }), "memory/a.md:3-7");
+  });
+
+  it("falls back to a text prefix when there is no path", () => {
+    assert.equal(chunkKey({ text: "hello" }), "hello");
+  });
+});
+
+describe("ftsRowToResult", () => {
+  it("maps FTS5 rows to the memory result shape", () => {
+    assert.deepEqual(ftsRowToResult(FTS[0]), {
+      text: "NETSDK1005 fixed by pinning the SDK",
+      source: "memory",
+      path: "memory/2026-02-13.md",
+      lines: "5-9",
+      score: 0.9,
+    });
+  });
+
+  it("carries the SQLite chunk id", () => {
+    assert.equal(ftsRowToResult({ ...FTS[0], id: "abc" }).chunkId, "abc");
+  });
+
+  it("keeps the originating agent of multi-agent rows", () => {
+    assert.equal(ftsRowToResult({ ...FTS[0], agent: "work" }).agent, "work");
+    assert.equal("agent" in ftsRowToResult(FTS[0]), false);
+  });
+});
+
+describe("fuseResults", () => {
+  it("exposes default weights and k", () => {
+    assert.deepEqual({ ...DEFAULT_RRF_WEIGHTS }, { vector: 0.4, fts: 0.3, recency: 0.2, entity: 0.1 });
+    assert.equal(DEFAULT_RRF_K, 60);
+  });
+
+  it("returns empty for empty input", () => {
+    assert.deepEqual(fuseResults({}), []);
+    assert.deepEqual(fuseResults(), []);
+  });
+
+  it("merges chunks found by both signals", () => {
+    const fused = fuseResults({ vector: VECTOR, fts: FTS });
+    assert.equal(fused.length, 3);
+    const shared = fused.find((r) => r.path === "memory/2026-02-12.md");
+    assert.deepEqual(shared._rrfDetails, { vector: 2, fts: 2, recency: null, entity: null });
+    assert.equal(shared._vectorScore, 0.61);
+    assert.equal(shared._ftsScore, 0.7);
+  });
+
+  it("surfaces FTS-only hits as first-class results", () => {
+    const fused = fuseResults({ vector: VECTOR, fts: FTS });
+    const ftsOnly = fused.find((r) => r.path === "memory/2026-02-13.md");
+    assert.equal(ftsOnly.text, "NETSDK1005 fixed by pinning the SDK");
+    assert.equal(ftsOnly.lines, "5-9");
+    assert.equal(ftsOnly._rrfDetails.vector, null);
+    assert.equal(ftsOnly._rrfDetails.fts, 1);
+  });
+
+  it("drops FTS-only hits below ftsOnlyMinScore but keeps keyword ranks of vector hits", () => {
+    const fused = fuseResults({ vector: VECTOR, fts: FTS }, { ftsOnlyMinScore: 0.95 });
+    assert.equal(fused.length, 2);
+    assert.ok(!fused.some((r) => r.path === "memory/2026-02-13.md"));
+    assert.equal(fused.find((r) => r.path === "memory/2026-02-12.md")._rrfDetails.fts, 2);
+  });
+
+  it("ranks chunks found by several signals above single-signal chunks", () => {
+    const fused = fuseResults({ vector: VECTOR, fts: FTS });
+    assert.equal(fused[0].path, "memory/2026-02-12.md");
+  });
+
+  it("normalizes to 1.0 for a chunk ranked first by every signal", () => {
+    const only = [{ text: "NETSDK1005", path: "memory/2026-02-13.md", lines: "1-2", score: 0.9 }];
+    const fused = fuseResults(
+      { vector: only, fts: [{ ...only[0], startLine: 1, endLine: 2 }] },
+      { entities: ["NETSDK1005"], timeOf: () => 1 }
+    );
+    assert.ok(Math.abs(fused[0].score - 1) < 1e-9);
+  });
+
+  it("ranks by recency when timeOf is provided", () => {
+    const fused = fuseResults(
+      { vector: VECTOR },
+      { timeOf: (r) => Date.parse(r.path.match(/\d{4}-\d{2}-\d{2}/)[0]) }
+    );
+    assert.equal(fused.find((r) => r.lines === "20-30")._rrfDetails.recency, 1);
+    assert.equal(fused.find((r) => r.lines === "1-10")._rrfDetails.recency, 2);
+  });
+
+  it("ranks by entity matches", () => {
+    const fused = fuseResults({ vector: VECTOR, fts: FTS }, { entities: ["NETSDK1005"] });
+    const hit = fused.find((r) => r.path === "memory/2026-02-13.md");
+    assert.equal(hit._rrfDetails.entity, 1);
+    assert.equal(fused.filter((r) => r._rrfDetails.entity !== null).length, 1);
+  });
+
+  it("respects custom weights", () => {
+    const fused = fuseResults({ vector: VECTOR, fts: FTS }, { weights: { vector: 0, fts: 1 } });
+    assert.equal(fused[0].path, "memory/2026-02-13.md");
+  });
+
+  it("computes the raw RRF sum with the configured k", () => {
+    const fused = fuseResults({ vector: VECTOR.slice(0, 1) }, { k: 10 });
+    assert.ok(Math.abs(fused[0]._rrfScore - 0.4 / 11) < 1e-12);
+  });
+
+  it("does not mutate input results", () => {
+    fuseResults({ vector: VECTOR, fts: FTS });
+    assert.equal(VECTOR[0].score, 0.82);
+    assert.equal(VECTOR[0]._rrfDetails, undefined);
+  });
+});
@@ -0,0 +1,228 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  compareSelections,
+  formatShadowComparison,
+  shadowOverrides,
+  createShadowHandler,
+} from "../src/shadow.js";
+import { createHandler } from "../src/hook-handler.js";
+import { MetricsCollector } from "../src/metrics.js";
+import { InjectionLedger } from "../src/injection-ledger.js";
+import { resetManager } from "../src/memory-client.js";
+
+const RESULTS = [
+  { path: "memory/deploy.md", lines: "1-5", text: "Deploys run from CI on every merge to main.", score: 0.8 },
+  { path: "memory/rollback.md", lines: "3-9", text: "Roll back with the previous image tag.", score: 0.4 },
+];
+
+function captureLogger() {
+  const lines = { info: [], warn: [] };
+  return {
+    lines,
+    debug: () => {},
+    info: (m) => lines.info.push(m),
+    warn: (m) => lines.warn.push(m),
+    error: () => {},
+  };
+}
+
+function fakeApi(logger, onExecute = () => {}) {
+  return {
+    config: {},
+    runtime: {
+      tools: {
+        createMemorySearchTool: () => ({
+          execute: async (id, params) => {
+            onExecute(params);
+            const results = RESULTS.filter((r) => r.score >= params.minScore).map((r) => ({ ...r }));
+            return { details: { results, count: results.length } };
+          },
+        }),
+      },
+    },
+    logger,
+  };
+}
+
+const ctx = { agentId: "main", sessionKey: "agent:main:main" };
+const prompt = "how does the deploy pipeline work?";
+
+describe("compareSelections", () => {
+  const a = { path: "a.md", lines: "1-5" };
+  const b = { path: "b.md", lines: "1-5" };
+  const c = { path: "c.md", lines: "1-5" };
+
+  it("measures overlap by chunk key", () => {
+    const cmp = compareSelections([a, b], [a, c]);
+    assert.deepEqual(cmp.primary, ["a.md:1-5", "b.md:1-5"]);
+    assert.deepEqual(cmp.shadow, ["a.md:1-5", "c.md:1-5"]);
+    assert.equal(cmp.overlap, 1);
+    assert.equal(cmp.jaccard, 1 / 3);
+    assert.equal(cmp.topMatch, true);
+    assert.equal(cmp.identical, false);
+  });
+
+  it("treats order as part of identity", () => {
+    const cmp = compareSelections([a, b], [b, a]);
+    assert.equal(cmp.jaccard, 1);
+    assert.equal(cmp.topMatch, false);
+    assert.equal(cmp.identical, false);
+  });
+
+  it("counts two empty selections as identical", () => {
+    const cmp = compareSelections([], []);
+    assert.equal(cmp.jaccard, 1);
+    assert.equal(cmp.identical, true);
+  });
+});
+
+describe("formatShadowComparison", () => {
+  it("logs both selections with overlap stats", () => {
+    const cmp = compareSelections([{ path: "a.md", lines: "1-5" }], [{ path: "b.md", lines: "2-3" }]);
+    assert.equal(
+      formatShadowComparison(7, cmp, 120),
+      "hookclaw: #7 shadow — overlap 0 (jaccard 0.00, top-1 differs, 120ms) — primary [a.md:1-5] vs shadow [b.md:2-3]"
+    );
+  });
+});
+
+describe("shadowOverrides", () => {
+  it("drops shadow settings from the overrides", () => {
+    const logger = captureLogger();
+    assert.deepEqual(shadowOverrides({ minScore: 0.3, shadowSampleRate: 0.5 }, logger), { minScore: 0.3 });
+    assert.deepEqual(logger.lines.warn, ['hookclaw: shadowConfig cannot override "shadowSampleRate" — ignored']);
+  });
+});
+
+describe("createShadowHandler", () => {
+  it("returns the primary result before the shadow runs", async () => {
+    const order = [];
+    const handler = createShadowHandler(
+      async (event, c, call) => { order.push("primary"); call.selection = []; return { prependContext: "p" }; },
+      async (event, c, call) => { order.push("shadow"); call.selection = []; },
+      { services: {}, logger: captureLogger(), logComparisons: false }
+    );
+    assert.deepEqual(await handler({ prompt }, ctx), { prependContext: "p" });
+    assert.deepEqual(order, ["primary"]);
+    await handler.settled();
+    assert.deepEqual(order, ["primary", "shadow"]);
+  });
+
+  it("skips prompts while a shadow run is in flight and honours the sample rate", async () => {
+    const metrics = new MetricsCollector(null, 0);
+    let release;
+    const handler = createShadowHandler(
+      async (event, c, call) => { call.selection = []; },
+      async (event, c, call) => { await new Promise((r) => { release = r; }); call.selection = []; },
+      { services: { metrics }, logger: captureLogger(), logComparisons: false }
+    );
+    await handler({ prompt }, ctx);
+    await new Promise((r) => setImmediate(r));
+    await handler({ prompt }, ctx);
+    release();
+    await handler.settled();
+    assert.equal(metrics.getSnapshot().shadow.busy, 1);
+    assert.equal(metrics.getSnapshot().shadow.runs, 1);
+
+    let shadowRuns = 0;
+    const sampled = createShadowHandler(
+      async () => {},
+      async () => { shadowRuns++; },
+      { sampleRate: 0.5, random: () => 0.7, services: {}, logger: captureLogger() }
+    );
+    await sampled({ prompt }, ctx);
+    await sampled.settled();
+    assert.equal(shadowRuns, 0);
+  });
+
+  it("counts shadow failures without affecting the primary", async () => {
+    const metrics = new MetricsCollector(null, 0);
+    const logger = captureLogger();
+    const handler = createShadowHandler(
+      async () => ({ prependContext: "p" }),
+      async () => { throw new Error("boom"); },
+      { services: { metrics }, logger }
+    );
+    assert.deepEqual(await handler({ prompt }, ctx), { prependContext: "p" });
+    await handler.settled();
+    assert.equal(metrics.getSnapshot().shadow.errors, 1);
+    assert.match(logger.lines.warn[0], /shadow failed — boom/);
+  });
+});
+
+describe("shadow mode in createHandler", () => {
+  beforeEach(() => resetManager());
+
+  it("compares the live selection with the shadow config's and feeds metrics", async () => {
+    const logger = captureLogger();
+    const metrics = new MetricsCollector(null, 0);
+    const handler = createHandler(
+      { enableFts: false, adaptiveResults: false, shadowConfig: { minScore: 0.3 } },
+      fakeApi(logger),
+      { metrics }
+    );
+
+    const result = await handler({ prompt }, ctx);
+    assert.ok(result.prependContext.includes("Deploys run from CI"));
+    assert.ok(!result.prependContext.includes("Roll back"));
+    await handler.settled();
+
+    const line = logger.lines.info.find((m) => m.includes(" shadow — "));
+    assert.match(line, /shadow — overlap 1 \(jaccard 0\.50, top-1 same, \d+ms\)/);
+    assert.ok(line.endsWith("primary [memory/deploy.md:1-5] vs shadow [memory/deploy.md:1-5, memory/rollback.md:3-9]"));
+
+    const snap = metrics.getSnapshot();
+    assert.equal(snap.totalCalls, 1);
+    assert.equal(snap.shadow.runs, 1);
+    assert.equal(snap.shadow.jaccardAvg, 0.5);
+    assert.match(metrics.formatReport(), /shadow: 1 compared \| avg jaccard 0\.500 \| top-1 same 100\.0%/);
+  });
+
+  it("leaves session state, cache and utility tracking to the primary", async () => {
+    const logger = captureLogger();
+    const ledger = new InjectionLedger();
+    const recorded = [];
+    const tracker = {
+      getUtilityScores: () => new Map(),
+      recordInjection: (session, results) => recorded.push(results.length),
+    };
+    const searches = [];
+    const handler = createHandler(
+      { enableFts: false, adaptiveResults: false, shadowConfig: { minScore: 0.3 } },
+      fakeApi(logger, (params) => searches.push(params.minScore)),
+      { injectionLedger: ledger, utilityTracker: tracker }
+    );
+
+    await handler({ prompt }, ctx);
+    await handler.settled();
+    assert.deepEqual(searches, [0.5, 0.3]);
+    assert.deepEqual(recorded, [1]);
+    assert.equal(ledger.activeCount(ctx.sessionKey), 1);
+
+    // Second time round: the primary answers from its cache and dedups; the shadow
+    // from its own cache, still seeing the session-agnostic selection
+    await handler({ prompt }, ctx);
+    await handler.settled();
+    assert.deepEqual(searches, [0.5, 0.3]);
+    const lines = logger.lines.info.filter((m) => m.includes(" shadow — "));
+    assert.equal(lines.length, 2);
+    assert.ok(lines[1].includes("primary [memory/deploy.md:1-5] vs shadow"));
+  });
+
+  it("uses the primary's call number and logs nothing else from the shadow", async () => {
+    const logger = captureLogger();
+    const handler = createHandler({ enableFts: false, shadowConfig: { maxResults: 1 } }, fakeApi(logger), {});
+    await handler({ prompt }, ctx);
+    await handler.settled();
+    const [injection, shadow, ...rest] = logger.lines.info.filter((m) => m.startsWith("hookclaw: #"));
+    const callNum = /#(\d+) injecting/.exec(injection)[1];
+    assert.ok(shadow.startsWith(`hookclaw: #${callNum} shadow — identical`));
+    assert.deepEqual(rest, []);
+  });
+
+  it("returns the plain pipeline without shadowConfig", () => {
+    const handler = createHandler({ enableFts: false }, fakeApi(captureLogger()), {});
+    assert.equal(handler.settled, undefined);
+  });
+});
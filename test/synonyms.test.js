@@ -0,0 +1,100 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync, utimesSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { parseSynonyms, expandTerms, loadSynonyms, clearSynonymCache, EMPTY_SYNONYMS } from "../src/synonyms.js";
+import { createAnalyzer, tokenizeQuery } from "../src/analyzer.js";
+
+const alts = (synonyms, term) => (synonyms.alternatives.get(term) || []).map((t) => t.join(" "));
+
+describe("parseSynonyms", () => {
+  it("reads term -> alternatives objects as two-way groups", () => {
+    const synonyms = parseSynonyms({ kubernetes: ["k8s", "kube"], Postgres: "database" });
+    assert.equal(synonyms.size, 2);
+    assert.deepEqual(alts(synonyms, "kubernetes"), ["k8s", "kube"]);
+    assert.deepEqual(alts(synonyms, "k8s"), ["kubernetes", "kube"]);
+    assert.deepEqual(alts(synonyms, "database"), ["postgres"]);
+  });
+
+  it("reads arrays of equivalence groups", () => {
+    const synonyms = parseSynonyms([["pull request", "PR"], ["solo"]]);
+    assert.equal(synonyms.size, 1);
+    assert.deepEqual(alts(synonyms, "pr"), ["pull request"]);
+    assert.deepEqual(alts(synonyms, "pull request"), ["pr"]);
+    assert.equal(synonyms.maxTermLength, 2);
+  });
+
+  it("normalizes terms with the analyzer and drops stop-word-only terms", () => {
+    const synonyms = parseSynonyms({ "Deployments": ["rollout", "the"] }, createAnalyzer({ stemming: true }));
+    assert.deepEqual(alts(synonyms, "deploy"), ["rollout"]);
+    assert.equal(parseSynonyms({ the: ["a"] }).size, 0);
+  });
+
+  it("rejects other JSON values", () => {
+    assert.throws(() => parseSynonyms("k8s"), /expected an object/);
+  });
+});
+
+describe("expandTerms", () => {
+  const synonyms = parseSynonyms({ "pull request": ["pr"], kubernetes: ["k8s"], request: ["ask"] });
+
+  it("groups each term with its alternatives", () => {
+    assert.deepEqual(expandTerms(["kubernetes", "upgrade"], synonyms), [
+      { literal: ["kubernetes"], alternatives: [["k8s"]] },
+      { literal: ["upgrade"], alternatives: [] },
+    ]);
+  });
+
+  it("matches multi-word terms before single words", () => {
+    const groups = expandTerms(tokenizeQuery("review the pull request"), synonyms);
+    assert.deepEqual(groups.map((g) => g.literal.join(" ")), ["review", "pull request"]);
+    assert.deepEqual(groups[1].alternatives, [["pr"]]);
+  });
+
+  it("leaves terms alone without a dictionary", () => {
+    assert.deepEqual(expandTerms(["a1", "b2"]), [
+      { literal: ["a1"], alternatives: [] },
+      { literal: ["b2"], alternatives: [] },
+    ]);
+  });
+});
+
+describe("loadSynonyms", () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "hookclaw-synonyms-"));
+    file = join(dir, "hookclaw-synonyms.json");
+    clearSynonymCache();
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("returns an empty dictionary when the file is missing", () => {
+    assert.equal(loadSynonyms(file), EMPTY_SYNONYMS);
+  });
+
+  it("caches the dictionary until the file changes", () => {
+    writeFileSync(file, JSON.stringify({ kubernetes: ["k8s"] }));
+    const first = loadSynonyms(file);
+    assert.equal(loadSynonyms(file), first);
+
+    writeFileSync(file, JSON.stringify({ kubernetes: ["k8s", "kube"] }));
+    utimesSync(file, new Date(), new Date(Date.now() + 5000));
+    assert.deepEqual(alts(loadSynonyms(file), "kubernetes"), ["k8s", "kube"]);
+  });
+
+  it("warns once about a malformed file and treats it as empty", () => {
+    writeFileSync(file, "{ not json");
+    const warnings = [];
+    const logger = { warn: (m) => warnings.push(m) };
+    assert.equal(loadSynonyms(file, undefined, logger).size, 0);
+    assert.equal(loadSynonyms(file, undefined, logger).size, 0);
+    assert.equal(warnings.length, 1);
+    assert.ok(warnings[0].includes("hookclaw-synonyms.json"));
+  });
+});
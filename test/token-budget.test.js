@@ -0,0 +1,146 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  estimateTokens,
+  createBudget,
+  withFallbackEstimator,
+  truncateAtBoundary,
+  packEntries,
+} from "../src/token-budget.js";
+
+describe("estimateTokens", () => {
+  it("returns 0 for empty input", () => {
+    assert.equal(estimateTokens(""), 0);
+    assert.equal(estimateTokens(null), 0);
+  });
+
+  it("counts ASCII words at ~4 chars per token", () => {
+    assert.equal(estimateTokens("the deploy pipeline"), 1 + 2 + 2);
+  });
+
+  it("counts CJK characters individually", () => {
+    assert.equal(estimateTokens("日本語の文"), 5);
+  });
+
+  it("charges symbol-dense code more than prose of the same length", () => {
+    const code = "if(a&&b){x[i]=y;}";
+    const prose = "if and by the way";
+    assert.equal(code.length, prose.length);
+    assert.ok(estimateTokens(code) > estimateTokens(prose));
+  });
+
+  it("counts other scripts at ~2 chars per token", () => {
+    assert.equal(estimateTokens("привет"), 3);
+  });
+});
+
+describe("createBudget", () => {
+  it("budgets characters by default", () => {
+    const budget = createBudget({ maxChars: 100 });
+    assert.equal(budget.unit, "chars");
+    assert.equal(budget.limit, 100);
+    assert.equal(budget.cost("abcd"), 4);
+  });
+
+  it("budgets tokens when maxTokens is set", () => {
+    const budget = createBudget({ maxChars: 100, maxTokens: 50 });
+    assert.equal(budget.unit, "tokens");
+    assert.equal(budget.limit, 50);
+    assert.equal(budget.cost("abcdefgh"), 2);
+  });
+
+  it("uses a custom estimator", () => {
+    const budget = createBudget({ maxTokens: 50, estimateTokens: (t) => t.length });
+    assert.equal(budget.cost("abcdefgh"), 8);
+  });
+
+  it("falls back to the heuristic when the custom estimator returns garbage", () => {
+    const budget = createBudget({ maxTokens: 50, estimateTokens: () => "many" });
+    assert.equal(budget.cost("abcdefgh"), 2);
+  });
+
+  it("falls back to the heuristic when the custom estimator throws", () => {
+    const budget = createBudget({ maxTokens: 50, estimateTokens: () => { throw new Error("no vocab"); } });
+    assert.equal(budget.cost("abcdefgh"), 2);
+  });
+});
+
+describe("withFallbackEstimator", () => {
+  it("reports the first error and then stays on the heuristic", () => {
+    const errors = [];
+    let calls = 0;
+    const estimate = withFallbackEstimator((text) => {
+      calls++;
+      if (text === "boom") throw new Error("no vocab");
+      return text.length;
+    }, (err) => errors.push(err.message));
+
+    assert.equal(estimate("abcdefgh"), 8);
+    assert.equal(estimate("boom"), 1);
+    assert.equal(estimate("abcdefgh"), 2);
+    assert.deepEqual(errors, ["no vocab"]);
+    assert.equal(calls, 2);
+  });
+});
+
+describe("truncateAtBoundary", () => {
+  const text = "First sentence is here. Second sentence is a little longer. Third.";
+
+  it("returns short text unchanged", () => {
+    assert.equal(truncateAtBoundary("short", 10), "short");
+  });
+
+  it("cuts at the last sentence end that fits", () => {
+    assert.equal(truncateAtBoundary(text, 40), "First sentence is here.");
+  });
+
+  it("falls back to a word boundary when no sentence end is close enough", () => {
+    assert.equal(truncateAtBoundary("alpha beta gamma delta epsilon", 20), "alpha beta gamma");
+  });
+
+  it("hard-cuts text without boundaries", () => {
+    assert.equal(truncateAtBoundary("A".repeat(100), 30), "A".repeat(30));
+  });
+
+  it("treats newlines as sentence ends", () => {
+    assert.equal(truncateAtBoundary("- first bullet item\n- second bullet item", 30), "- first bullet item");
+  });
+});
+
+describe("packEntries", () => {
+  const render = (r, text) => `[${text}]`;
+  const chars = (limit) => createBudget({ maxChars: limit });
+
+  it("packs entries in rank order while they fit", () => {
+    const results = [{ text: "aaaa" }, { text: "bbbb" }];
+    assert.deepEqual(packEntries(results, { render, budget: chars(100) }), ["[aaaa]", "[bbbb]"]);
+  });
+
+  it("skips a large chunk to fit smaller lower-ranked ones", () => {
+    const results = [{ text: "small one" }, { text: "x".repeat(40) }, { text: "tiny" }, { text: "also small" }];
+    const packed = packEntries(results, { render, budget: chars(40) });
+    assert.deepEqual(packed, ["[small one]", "[tiny]", "[also small]"]);
+  });
+
+  it("fills leftover budget with the best skipped chunk, truncated at a sentence", () => {
+    const long = "This sentence is exactly long enough to keep around. And this one would overflow the budget.";
+    const results = [{ text: "first" }, { text: long }];
+    const packed = packEntries(results, { render, budget: chars(80) });
+    assert.deepEqual(packed, ["[first]", "[This sentence is exactly long enough to keep around....]"]);
+  });
+
+  it("drops a chunk when too little of it would survive truncation", () => {
+    const results = [{ text: "first" }, { text: "y".repeat(200) }];
+    assert.deepEqual(packEntries(results, { render, budget: chars(40) }), ["[first]"]);
+  });
+
+  it("respects reserved wrapper cost", () => {
+    const results = [{ text: "aaaa" }];
+    assert.deepEqual(packEntries(results, { render, budget: chars(10), reserved: 5 }), []);
+  });
+
+  it("skips empty chunks", () => {
+    const results = [{ text: "  " }, { text: "real" }];
+    assert.deepEqual(packEntries(results, { render, budget: chars(100) }), ["[real]"]);
+  });
+});
@@ -2,7 +2,7 @@ import { describe, it, beforeEach, afterEach } from "node:test";
 import assert from "node:assert/strict";
 import { join } from "node:path";
 import { tmpdir } from "node:os";
-import { mkdtemp, rm } from "node:fs/promises";
+import { mkdtemp, rm, readFile, writeFile } from "node:fs/promises";
 import { UtilityTracker, defaultStoragePath } from "../src/utility-tracker.js";
 
 let tmpDir;
@@ -162,6 +162,41 @@ describe("UtilityTracker", () => {
     tracker.destroy();
   });
 
+  it("tracks chunks of the same file separately", () => {
+    const tracker = new UtilityTracker(storagePath);
+    tracker.recordInjection("s1", [
+      { path: "memory/2026-02-12.md", lines: "1-10", text: "standup notes about the deploy freeze" },
+      { path: "memory/2026-02-12.md", lines: "11-20", text: "lunch order for the offsite" },
+    ]);
+    tracker.recordResponse("s1", "The deploy freeze from standup notes still applies");
+
+    const byKey = Object.fromEntries(tracker.getAllEntries().map((e) => [e.key, e]));
+    assert.equal(byKey["memory/2026-02-12.md:1-10"].citations, 1);
+    assert.equal(byKey["memory/2026-02-12.md:11-20"].citations, 0);
+    tracker.destroy();
+  });
+
+  it("migrates v1 path-keyed files as a per-file fallback", async () => {
+    await writeFile(storagePath, JSON.stringify({ "memory/a.md": { retrievals: 8, citations: 7 } }));
+    const tracker = new UtilityTracker(storagePath);
+    await tracker.load();
+
+    const chunk = { path: "memory/a.md", lines: "1-5", text: "x" };
+    const scores = tracker.getUtilityScores([chunk]);
+    assert.equal(scores.get("memory/a.md:1-5"), (7 + 1) / (8 + 2));
+
+    // Once the chunk has its own history, it wins over the file fallback
+    for (let i = 0; i < 3; i++) tracker.recordInjection(`s${i}`, [chunk]);
+    assert.equal(tracker.getUtilityScores([chunk]).get("memory/a.md:1-5"), 1 / 5);
+
+    await tracker.save();
+    const saved = JSON.parse(await readFile(storagePath, "utf-8"));
+    assert.equal(saved.version, 2);
+    assert.deepEqual(saved.legacyFiles, { "memory/a.md": { retrievals: 8, citations: 7 } });
+    assert.equal(saved.chunks["memory/a.md:1-5"].retrievals, 3);
+    tracker.destroy();
+  });
+
   it("provides meaningful summary", () => {
     const tracker = new UtilityTracker(storagePath);
 